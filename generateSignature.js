@@ -107,4 +107,4 @@ const hmac = crypto.createHmac('sha256', WEBHOOK_SECRET);
 hmac.update(signedPayload);
 const signature = hmac.digest('hex');
 
-console.log('Generated Paymongo-Signature: t=' + timestamp + ',v1=' + signature);
\ No newline at end of file
+console.log('Generated Paymongo-Signature: t=' + timestamp + ',te=' + signature + ',li=');
\ No newline at end of file
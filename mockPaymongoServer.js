@@ -0,0 +1,145 @@
+// backend/mockPaymongoServer.js
+//
+// A stand-in for the Paymongo checkout API, for trying online payments locally.
+//
+//   PAYMONGO_WEBHOOK_SECRET=whsk_test node mockPaymongoServer.js
+//
+// then start the backend with PAYMONGO_API_URL=http://localhost:4010/v1, any
+// PAYMONGO_SECRET_KEY and the same PAYMONGO_WEBHOOK_SECRET. Opening a checkout_url
+// shows Pay/Cancel buttons; Pay sends a signed checkout_session.payment.paid webhook
+// to WEBHOOK_URL (default http://localhost:5001/api/webhooks/paymongo).
+
+const crypto = require('crypto');
+const http = require('http');
+const axios = require('axios');
+const { signWebhookPayload } = require('./src/services/paymentService');
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+});
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * @param {object} options
+ * @param {string} options.webhookUrl - Where paid events are delivered.
+ * @param {string} options.webhookSecret - Signs the events (in the `te` part, as test mode).
+ * @returns {{server: http.Server, sessions: Map, pay: (sessionId: string) => Promise<object>}}
+ */
+const createMockPaymongoServer = ({ webhookUrl, webhookSecret }) => {
+    const sessions = new Map();
+    let baseUrl = '';
+
+    // Marks a session paid and delivers the webhook; resolves with the event sent.
+    const pay = async (sessionId) => {
+        const session = sessions.get(sessionId);
+        if (!session) throw new Error(`No checkout session ${sessionId}`);
+        if (session.attributes.status !== 'active') throw new Error(`Checkout session ${sessionId} is ${session.attributes.status}`);
+        const amount = session.attributes.line_items.reduce((sum, item) => sum + item.amount * item.quantity, 0);
+        const now = Math.floor(Date.now() / 1000);
+        session.attributes.status = 'completed';
+        session.attributes.payments = [{
+            id: newId('pay'),
+            type: 'payment',
+            attributes: { amount, currency: 'PHP', status: 'paid', paid_at: now },
+        }];
+
+        const event = {
+            data: {
+                id: newId('evt'),
+                type: 'event',
+                attributes: { type: 'checkout_session.payment.paid', livemode: false, data: session, created_at: now },
+            },
+        };
+        const rawBody = JSON.stringify(event);
+        await axios.post(webhookUrl, rawBody, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Paymongo-Signature': `t=${now},te=${signWebhookPayload(rawBody, now, webhookSecret)},li=`,
+            },
+            validateStatus: () => true,
+        });
+        return event;
+    };
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const [, first, second, third, fourth] = url.pathname.split('/');
+
+            if (first === 'v1' && second === 'checkout_sessions') {
+                if (!(req.headers.authorization || '').startsWith('Basic ')) {
+                    return sendJson(res, 401, { errors: [{ code: 'unauthorized', detail: 'API key missing.' }] });
+                }
+                if (req.method === 'POST' && !third) {
+                    const { attributes } = JSON.parse(await readBody(req)).data;
+                    const id = newId('cs');
+                    const session = {
+                        id,
+                        type: 'checkout_session',
+                        attributes: { ...attributes, checkout_url: `${baseUrl}/checkout/${id}`, status: 'active', payments: [] },
+                    };
+                    sessions.set(id, session);
+                    return sendJson(res, 200, { data: session });
+                }
+                if (req.method === 'GET' && sessions.has(third)) {
+                    return sendJson(res, 200, { data: sessions.get(third) });
+                }
+                if (req.method === 'POST' && sessions.has(third) && fourth === 'expire') {
+                    const session = sessions.get(third);
+                    if (session.attributes.status !== 'active') {
+                        return sendJson(res, 400, { errors: [{ code: 'resource_failed_state', detail: 'Only active checkout sessions can be expired.' }] });
+                    }
+                    session.attributes.status = 'expired';
+                    return sendJson(res, 200, { data: session });
+                }
+                return sendJson(res, 404, { errors: [{ code: 'resource_not_found', detail: 'No such checkout session.' }] });
+            }
+
+            const session = first === 'checkout' ? sessions.get(second) : null;
+            if (!session) {
+                return sendJson(res, 404, { errors: [{ detail: 'Not found.' }] });
+            }
+            if (req.method === 'GET' && !third) {
+                const item = session.attributes.line_items[0];
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(`<h1>Mock Paymongo</h1><p>${item.name}: PHP ${(item.amount / 100).toFixed(2)}</p>`
+                    + `<form method="post" action="/checkout/${session.id}/pay"><button>Pay</button></form>`
+                    + `<form method="post" action="/checkout/${session.id}/cancel"><button>Cancel</button></form>`);
+            }
+            if (req.method === 'POST' && (third === 'pay' || third === 'cancel')) {
+                if (third === 'pay') await pay(session.id);
+                res.writeHead(303, { Location: third === 'pay' ? session.attributes.success_url : session.attributes.cancel_url });
+                return res.end();
+            }
+            sendJson(res, 404, { errors: [{ detail: 'Not found.' }] });
+        } catch (error) {
+            sendJson(res, 500, { errors: [{ detail: error.message }] });
+        }
+    });
+
+    server.on('listening', () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    return { server, sessions, pay };
+};
+
+if (require.main === module) {
+    const port = process.env.MOCK_PAYMONGO_PORT || 4010;
+    const { server } = createMockPaymongoServer({
+        webhookUrl: process.env.WEBHOOK_URL || 'http://localhost:5001/api/webhooks/paymongo',
+        webhookSecret: process.env.PAYMONGO_WEBHOOK_SECRET || 'whsk_test',
+    });
+    server.listen(port, () => console.log(`Mock Paymongo listening on http://localhost:${port}/v1`));
+}
+
+module.exports = { createMockPaymongoServer };
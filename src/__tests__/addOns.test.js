@@ -0,0 +1,115 @@
+// backend/src/__tests__/addOns.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: { firestore: { FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' } } },
+  db: {},
+}));
+
+const {
+  AddOnError,
+  normalizeAddOns,
+  resolveAddOnSelections,
+  parseAddOnQuery,
+  applyAddOnsToQuote,
+  quoteAddOnExtension,
+  countReservedAddOns,
+  assertAddOnStock,
+} = require('../utils/addOns');
+
+const vehicle = {
+  addOns: normalizeAddOns([
+    { name: 'Child Seat', pricingType: 'per_day', price: 150, maxPerBooking: 2, stock: 3 },
+    { name: 'Helmet', pricingType: 'per_trip', price: 100, maxPerBooking: 2 },
+  ]),
+};
+const quote = (billableDays) => ({ billableDays, lineItems: [], total: billableDays * 2000 });
+
+describe('Add-ons', () => {
+  describe('normalizeAddOns', () => {
+    it('should derive IDs from names and default to one per booking with unlimited stock', () => {
+      expect(normalizeAddOns([{ name: ' Extra Driver ', pricingType: 'per_trip', price: '500' }])).toEqual([
+        { id: 'extra_driver', name: 'Extra Driver', description: '', pricingType: 'per_trip', price: 500, maxPerBooking: 1, stock: null },
+      ]);
+      expect(normalizeAddOns(undefined)).toEqual([]);
+    });
+
+    it('should reject invalid add-ons', () => {
+      expect(() => normalizeAddOns({})).toThrow(AddOnError);
+      expect(() => normalizeAddOns([{ name: 'Helmet', pricingType: 'per_week', price: 100 }])).toThrow('pricingType');
+      expect(() => normalizeAddOns([{ name: 'Helmet', pricingType: 'per_trip', price: -1 }])).toThrow('price');
+      expect(() => normalizeAddOns([{ name: 'Helmet', pricingType: 'per_trip', price: 100, stock: 1.5 }])).toThrow('stock');
+      expect(() => normalizeAddOns([
+        { name: 'Helmet', pricingType: 'per_trip', price: 100 },
+        { name: 'helmet', pricingType: 'per_day', price: 50 },
+      ])).toThrow('used twice');
+    });
+  });
+
+  describe('resolveAddOnSelections', () => {
+    it('should snapshot the name and price of each selected add-on', () => {
+      expect(resolveAddOnSelections(vehicle, [{ id: 'child_seat', quantity: 2 }, { id: 'helmet' }])).toEqual([
+        { id: 'child_seat', name: 'Child Seat', pricingType: 'per_day', unitPrice: 150, quantity: 2 },
+        { id: 'helmet', name: 'Helmet', pricingType: 'per_trip', unitPrice: 100, quantity: 1 },
+      ]);
+    });
+
+    it('should reject unknown add-ons, repeats and quantities over the limit', () => {
+      expect(() => resolveAddOnSelections(vehicle, [{ id: 'gps' }])).toThrow('does not offer');
+      expect(() => resolveAddOnSelections(vehicle, [{ id: 'helmet' }, { id: 'helmet' }])).toThrow('more than once');
+      expect(() => resolveAddOnSelections(vehicle, [{ id: 'helmet', quantity: 3 }])).toThrow('between 1 and 2');
+    });
+
+    it('should parse selections from a query string', () => {
+      expect(parseAddOnQuery('child_seat:2,helmet')).toEqual([{ id: 'child_seat', quantity: 2 }, { id: 'helmet', quantity: 1 }]);
+      expect(parseAddOnQuery(undefined)).toEqual([]);
+    });
+  });
+
+  describe('pricing', () => {
+    const selected = resolveAddOnSelections(vehicle, [{ id: 'child_seat', quantity: 2 }, { id: 'helmet' }]);
+
+    it('should charge per-day add-ons for each billable day and per-trip add-ons once', () => {
+      const priced = applyAddOnsToQuote(quote(3), selected);
+
+      expect(priced.addOnsTotal).toBe(1000);
+      expect(priced.total).toBe(7000);
+      expect(priced.lineItems).toEqual([
+        { code: 'add_on', addOnId: 'child_seat', label: 'Child Seat × 2 (3 days)', quantity: 6, unitPrice: 150, amount: 900 },
+        { code: 'add_on', addOnId: 'helmet', label: 'Helmet × 1', quantity: 1, unitPrice: 100, amount: 100 },
+      ]);
+    });
+
+    it('should only charge per-day add-ons again when a booking is extended', () => {
+      expect(quoteAddOnExtension(selected, quote(3), quote(5))).toBe(600);
+      expect(quoteAddOnExtension([], quote(3), quote(5))).toBe(0);
+    });
+  });
+
+  describe('stock', () => {
+    const start = new Date('2025-06-10T00:00:00Z');
+    const end = new Date('2025-06-12T00:00:00Z');
+    const held = (id, startDate, endDate, quantity) => ({
+      id,
+      data: { startDate: new Date(startDate), endDate: new Date(endDate), addOns: [{ id: 'child_seat', quantity }] },
+    });
+    const bookings = [
+      held('b1', '2025-06-09T00:00:00Z', '2025-06-11T00:00:00Z', 2),
+      held('b2', '2025-06-12T00:00:00Z', '2025-06-14T00:00:00Z', 3),
+      held('b3', '2025-06-10T00:00:00Z', '2025-06-11T00:00:00Z', 1),
+    ];
+
+    it('should count add-ons held by overlapping bookings only', () => {
+      expect(countReservedAddOns(bookings, { start, end })).toEqual({ child_seat: 3 });
+      expect(countReservedAddOns(bookings, { start, end, excludeBookingId: 'b3' })).toEqual({ child_seat: 2 });
+    });
+
+    it('should refuse add-ons that have run out for the dates with a 409', () => {
+      const seat = (quantity) => [{ id: 'child_seat', quantity }];
+
+      expect(() => assertAddOnStock(vehicle, seat(1), { child_seat: 2 })).not.toThrow();
+      expect(() => assertAddOnStock(vehicle, seat(2), { child_seat: 2 })).toThrow('Only 1 "Child Seat" left');
+      expect(() => assertAddOnStock(vehicle, seat(1), { child_seat: 3 })).toThrow(expect.objectContaining({ statusCode: 409 }));
+      expect(() => assertAddOnStock(vehicle, [{ id: 'helmet', quantity: 2 }], { helmet: 50 })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// backend/src/__tests__/bookingHistory.test.js
+
+class MockTimestamp {
+  constructor(millis) { this.millis = millis; }
+  isEqual(other) { return other.millis === this.millis; }
+  toDate() { return new Date(this.millis); }
+}
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      Timestamp: MockTimestamp,
+      FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    },
+  },
+  db: {},
+}));
+
+const { diffBookingFields, buildHistoryEntry } = require('../utils/bookingHistory');
+
+describe('Booking History', () => {
+  describe('diffBookingFields', () => {
+    it('should list changed fields with their previous and new values', () => {
+      const before = { paymentStatus: 'confirmed', amountPaid: 200 };
+      const { changedFields, changes } = diffBookingFields(before, { paymentStatus: 'returned', amountPaid: 200, updatedAt: 'now' });
+
+      expect(changedFields).toEqual(['paymentStatus']);
+      expect(changes).toEqual({ paymentStatus: { from: 'confirmed', to: 'returned' } });
+    });
+
+    it('should compare timestamps by value', () => {
+      const before = { endDate: new MockTimestamp(1000) };
+      expect(diffBookingFields(before, { endDate: new MockTimestamp(1000) }).changedFields).toEqual([]);
+      expect(diffBookingFields(before, { endDate: new MockTimestamp(2000) }).changedFields).toEqual(['endDate']);
+    });
+
+    it('should record the field name but not the value of FieldValue sentinels', () => {
+      const sentinel = { _methodName: 'FieldValue.increment' };
+      const { changedFields, changes } = diffBookingFields({ totalCost: 1000 }, { totalCost: sentinel });
+
+      expect(changedFields).toEqual(['totalCost']);
+      expect(changes).toEqual({});
+    });
+
+    it('should treat every field as new when there is no previous booking', () => {
+      const { changes } = diffBookingFields(null, { paymentStatus: 'pending_owner_approval' });
+      expect(changes).toEqual({ paymentStatus: { from: null, to: 'pending_owner_approval' } });
+    });
+  });
+
+  describe('buildHistoryEntry', () => {
+    it('should capture the actor, statuses and changed fields', () => {
+      const entry = buildHistoryEntry({
+        actor: { uid: 'owner1', role: 'owner' },
+        actorRole: 'owner',
+        action: 'decline',
+        previousStatus: 'pending_owner_approval',
+        newStatus: 'declined_by_owner',
+        before: { paymentStatus: 'pending_owner_approval' },
+        updates: { paymentStatus: 'declined_by_owner', declineReason: 'Under maintenance' },
+        note: 'Under maintenance',
+      });
+
+      expect(entry).toMatchObject({
+        actorId: 'owner1',
+        actorRole: 'owner',
+        action: 'decline',
+        previousStatus: 'pending_owner_approval',
+        newStatus: 'declined_by_owner',
+        changedFields: ['paymentStatus', 'declineReason'],
+        note: 'Under maintenance',
+        createdAt: 'SERVER_TIMESTAMP',
+      });
+    });
+  });
+});
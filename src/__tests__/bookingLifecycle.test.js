@@ -0,0 +1,114 @@
+// backend/src/__tests__/bookingLifecycle.test.js
+
+// The lifecycle module only needs Firestore for transitionBooking, which is not covered here.
+jest.mock('../utils/firebase', () => ({ admin: {}, db: {} }));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+
+const {
+  BOOKING_STATUS,
+  SYSTEM_ACTOR,
+  BookingTransitionError,
+  assertTransition,
+  getAllowedTransitions,
+  resolveActorRole,
+} = require('../utils/bookingLifecycle');
+
+const owner = { uid: 'owner1', role: 'owner' };
+const renter = { uid: 'renter1', role: 'renter' };
+const stranger = { uid: 'someone', role: 'renter' };
+const adminUser = { uid: 'admin1', role: 'admin' };
+
+const bookingIn = (paymentStatus) => ({ ownerId: 'owner1', renterId: 'renter1', paymentStatus });
+
+const expectRejection = (fn, statusCode) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(BookingTransitionError);
+    expect(error.statusCode).toBe(statusCode);
+    return;
+  }
+  throw new Error('Expected a BookingTransitionError');
+};
+
+describe('Booking Lifecycle', () => {
+  describe('resolveActorRole', () => {
+    it('should resolve the role relative to the booking', () => {
+      const booking = bookingIn(BOOKING_STATUS.PENDING_OWNER_APPROVAL);
+      expect(resolveActorRole(booking, owner)).toBe('owner');
+      expect(resolveActorRole(booking, renter)).toBe('renter');
+      expect(resolveActorRole(booking, adminUser)).toBe('admin');
+      expect(resolveActorRole(booking, SYSTEM_ACTOR)).toBe('system');
+      expect(resolveActorRole(booking, stranger)).toBeNull();
+    });
+
+    it('should treat an owner renting someone else\'s vehicle as the renter', () => {
+      const booking = { ownerId: 'owner2', renterId: 'owner1', paymentStatus: BOOKING_STATUS.PENDING_PAYMENT };
+      expect(resolveActorRole(booking, owner)).toBe('renter');
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('should allow the owner to approve a pending request', () => {
+      const transition = assertTransition(bookingIn(BOOKING_STATUS.PENDING_OWNER_APPROVAL), BOOKING_STATUS.PENDING_PAYMENT, owner);
+      expect(transition.to).toBe(BOOKING_STATUS.PENDING_PAYMENT);
+    });
+
+    it('should give the promo code use back whenever a booking is declined', () => {
+      const transition = assertTransition(bookingIn(BOOKING_STATUS.PENDING_PAYMENT), BOOKING_STATUS.DECLINED_BY_OWNER, owner);
+      expect(transition.effects).toMatchObject({ releaseHold: true, releasePromo: true });
+    });
+
+    it('should return 409 for a transition that does not exist', () => {
+      expectRejection(
+        () => assertTransition(bookingIn(BOOKING_STATUS.COMPLETED), BOOKING_STATUS.CONFIRMED, owner),
+        409
+      );
+    });
+
+    it('should return 403 when the role may not trigger the transition', () => {
+      expectRejection(
+        () => assertTransition(bookingIn(BOOKING_STATUS.PENDING_OWNER_APPROVAL), BOOKING_STATUS.PENDING_PAYMENT, renter),
+        403
+      );
+    });
+
+    it('should return 403 for users who are not part of the booking', () => {
+      expectRejection(
+        () => assertTransition(bookingIn(BOOKING_STATUS.PENDING_PAYMENT), BOOKING_STATUS.CANCELLED_BY_RENTER, stranger),
+        403
+      );
+    });
+
+    it('should return 400 for an unknown status', () => {
+      expectRejection(
+        () => assertTransition(bookingIn(BOOKING_STATUS.CONFIRMED), 'teleported', owner),
+        400
+      );
+    });
+
+    it('should only let the system flag an overdue booking', () => {
+      expect(() => assertTransition(bookingIn(BOOKING_STATUS.CONFIRMED), BOOKING_STATUS.AWAITING_RETURN, SYSTEM_ACTOR)).not.toThrow();
+      expectRejection(
+        () => assertTransition(bookingIn(BOOKING_STATUS.CONFIRMED), BOOKING_STATUS.AWAITING_RETURN, owner),
+        403
+      );
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('should list what the owner can do with a confirmed booking', () => {
+      expect(getAllowedTransitions(bookingIn(BOOKING_STATUS.CONFIRMED), owner))
+        .toEqual([BOOKING_STATUS.CANCELLED_BY_OWNER, BOOKING_STATUS.RETURNED]);
+    });
+
+    it('should list what the renter can do while awaiting approval', () => {
+      expect(getAllowedTransitions(bookingIn(BOOKING_STATUS.PENDING_OWNER_APPROVAL), renter))
+        .toEqual([BOOKING_STATUS.CANCELLED_BY_RENTER]);
+    });
+
+    it('should return nothing for outsiders', () => {
+      expect(getAllowedTransitions(bookingIn(BOOKING_STATUS.CONFIRMED), stranger)).toEqual([]);
+    });
+  });
+});
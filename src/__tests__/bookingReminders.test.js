@@ -0,0 +1,65 @@
+// backend/src/__tests__/bookingReminders.test.js
+
+jest.mock('../utils/firebase', () => ({ admin: {}, db: {} }));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+jest.mock('../utils/emailService', () => ({ sendBookingReminderEmail: jest.fn() }));
+
+const { parseOffsets, reminderKey, selectDueReminder, clearReturnReminders } = require('../utils/bookingReminders');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Booking Reminders', () => {
+  describe('parseOffsets', () => {
+    it('should parse a comma-separated list, largest first', () => {
+      expect(parseOffsets('2, 24', [1])).toEqual([24, 2]);
+    });
+
+    it('should fall back when the value is missing or invalid', () => {
+      expect(parseOffsets(undefined, [24, 2])).toEqual([24, 2]);
+      expect(parseOffsets('soon,-3', [24, 2])).toEqual([24, 2]);
+    });
+  });
+
+  describe('reminderKey', () => {
+    it('should produce keys that are safe as Firestore field names', () => {
+      expect(reminderKey('pickup', 24)).toBe('pickup_24h');
+      expect(reminderKey('return', 1.5)).toBe('return_1_5h');
+    });
+  });
+
+  describe('selectDueReminder', () => {
+    const now = new Date('2025-06-22T10:00:00Z');
+
+    it('should send nothing while no window has opened', () => {
+      const pickup = new Date(now.getTime() + 30 * HOUR);
+      expect(selectDueReminder('pickup', pickup, [24, 2], {}, now).send).toBeNull();
+    });
+
+    it('should send the 24 hour reminder once inside its window', () => {
+      const pickup = new Date(now.getTime() + 20 * HOUR);
+      expect(selectDueReminder('pickup', pickup, [24, 2], {}, now)).toEqual({ send: 'pickup_24h', hoursBefore: 24, skip: [] });
+    });
+
+    it('should not repeat a reminder that was already sent', () => {
+      const pickup = new Date(now.getTime() + 20 * HOUR);
+      expect(selectDueReminder('pickup', pickup, [24, 2], { pickup_24h: 'sent' }, now).send).toBeNull();
+    });
+
+    it('should only send the most imminent reminder when earlier ones were missed', () => {
+      const pickup = new Date(now.getTime() + 1 * HOUR);
+      expect(selectDueReminder('pickup', pickup, [24, 2], {}, now)).toEqual({ send: 'pickup_2h', hoursBefore: 2, skip: ['pickup_24h'] });
+    });
+
+    it('should send nothing once the event has passed', () => {
+      const pickup = new Date(now.getTime() - 1 * HOUR);
+      expect(selectDueReminder('pickup', pickup, [24, 2], {}, now).send).toBeNull();
+    });
+  });
+
+  describe('clearReturnReminders', () => {
+    it('should keep pickup reminders and drop return reminders', () => {
+      expect(clearReturnReminders({ pickup_24h: 'a', return_2h: 'b' })).toEqual({ pickup_24h: 'a' });
+      expect(clearReturnReminders(undefined)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// backend/src/__tests__/calendarSync.test.js
+const dns = require('dns');
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+      Timestamp: { fromDate: (date) => ({ toDate: () => date }) },
+    },
+  },
+  db: { collection: jest.fn() },
+}));
+
+const {
+  CalendarSyncError,
+  buildFeedEvents,
+  buildVehicleFeed,
+  normalizeFeedUrl,
+  publicOnlyLookup,
+  replaceImportedBlocks,
+} = require('../utils/calendarSync');
+const { db } = require('../utils/firebase');
+
+const now = new Date('2025-06-01T00:00:00Z');
+const day = (date) => new Date(`2025-${date}T00:00:00Z`);
+
+describe('Calendar Sync', () => {
+  it('should export bookings and owner blocks but not imported blocks or old trips', () => {
+    const vehicle = {
+      availability: [
+        { start: day('06-03'), end: day('06-05'), bookingId: 'b1' },
+        { start: day('06-10'), end: day('06-11') },
+        { start: day('06-12'), end: day('06-14'), bookingId: 'legacy' },
+        { start: day('06-20'), end: day('06-21'), importId: 'airbnb', source: 'Airbnb' },
+      ],
+    };
+    const bookings = [
+      { id: 'b1', startDate: day('06-03'), endDate: day('06-05'), renterId: 'renter-1' },
+      { id: 'old', startDate: day('04-01'), endDate: day('04-02') },
+    ];
+
+    expect(buildFeedEvents('v1', vehicle, bookings, now)).toEqual([
+      { uid: 'booking-b1@rentcycle', start: day('06-03'), end: day('06-05'), summary: 'Booked (RentCycle)' },
+      { uid: `block-v1-${day('06-10').getTime()}@rentcycle`, start: day('06-10'), end: day('06-11'), summary: 'Unavailable' },
+      { uid: 'booking-legacy@rentcycle', start: day('06-12'), end: day('06-14'), summary: 'Booked (RentCycle)' },
+    ]);
+  });
+
+  describe('normalizeFeedUrl', () => {
+    it('should fetch webcal links over https', () => {
+      expect(normalizeFeedUrl(' webcal://www.airbnb.com/calendar/ical/123.ics?s=abc '))
+        .toBe('https://www.airbnb.com/calendar/ical/123.ics?s=abc');
+    });
+
+    it('should refuse other schemes and private addresses', () => {
+      expect(() => normalizeFeedUrl('not a url')).toThrow(CalendarSyncError);
+      expect(() => normalizeFeedUrl('file:///etc/passwd')).toThrow('http(s) or webcal');
+      ['http://localhost:5000/x.ics', 'http://127.0.0.1/x.ics', 'http://192.168.1.10/x.ics', 'http://169.254.169.254/latest', 'http://[::1]/x.ics']
+        .forEach((url) => expect(() => normalizeFeedUrl(url)).toThrow('public calendar'));
+    });
+  });
+
+  describe('publicOnlyLookup', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should refuse hostnames that resolve to a private address', (done) => {
+      jest.spyOn(dns, 'lookup').mockImplementation((host, options, cb) => cb(null, [{ address: '93.184.216.34', family: 4 }, { address: '::ffff:10.0.0.5', family: 6 }]));
+      publicOnlyLookup('feeds.example.com', { all: true }, (error) => {
+        expect(error).toBeInstanceOf(CalendarSyncError);
+        expect(error.message).toBe('feeds.example.com resolves to a private address.');
+        done();
+      });
+    });
+
+    it('should pass public addresses through', (done) => {
+      jest.spyOn(dns, 'lookup').mockImplementation((host, options, cb) => cb(null, '93.184.216.34', 4));
+      publicOnlyLookup('feeds.example.com', {}, (error, address, family) => {
+        expect(error).toBeNull();
+        expect([address, family]).toEqual(['93.184.216.34', 4]);
+        done();
+      });
+    });
+  });
+
+  it('should replace only the synced feed\'s blocks, skipping events already over', () => {
+    const availability = [
+      { start: day('06-10'), end: day('06-11') },
+      { start: day('06-12'), end: day('06-13'), importId: 'airbnb', source: 'Airbnb' },
+      { start: day('06-14'), end: day('06-15'), importId: 'google', source: 'Google' },
+    ];
+    const events = [
+      { uid: 'a1', start: day('06-20'), end: day('06-22') },
+      { uid: 'a0', start: day('05-01'), end: day('05-03') },
+    ];
+
+    const blocks = replaceImportedBlocks(availability, { id: 'airbnb', name: 'Airbnb' }, events, now);
+
+    expect(blocks.map((block) => block.importId || 'owner')).toEqual(['owner', 'google', 'airbnb']);
+    expect(blocks[2]).toMatchObject({ source: 'Airbnb', externalUid: 'a1' });
+    expect(blocks[2].start.toDate()).toEqual(day('06-20'));
+  });
+
+  it('should only put paid-for trips in the vehicle feed', async () => {
+    const where = jest.fn();
+    const query = { where, get: jest.fn().mockResolvedValue({ docs: [] }) };
+    where.mockReturnValue(query);
+    db.collection.mockReturnValue(query);
+
+    await buildVehicleFeed('v1', { make: 'Toyota', model: 'Vios' }, now);
+
+    expect(where).toHaveBeenCalledWith('paymentStatus', 'in', ['confirmed', 'pending_extension_payment', 'awaiting_return']);
+  });
+});
@@ -0,0 +1,83 @@
+// backend/src/__tests__/cancellationPolicy.test.js
+
+jest.mock('../utils/firebase', () => ({ admin: {}, db: {} }));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+
+const { CancellationError, validatePolicyName, getPaidAmount, computeRefund, buildRefundPaidUpdates } = require('../utils/cancellationPolicy');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-06-01T00:00:00Z');
+const bookingStarting = (hoursAhead, overrides = {}) => ({
+  startDate: { toDate: () => new Date(now.getTime() + hoursAhead * HOUR) },
+  paymentStatus: 'confirmed',
+  amountPaid: 1000,
+  downPayment: 1000,
+  ...overrides,
+});
+
+describe('Cancellation Policy', () => {
+  it('should refund renters by how far ahead they cancel', () => {
+    const moderate = { cancellationPolicy: 'moderate' };
+    const refund = (hours) => computeRefund({ booking: bookingStarting(hours), vehicle: moderate, cancelledBy: 'renter', now }).refundAmount;
+
+    expect(refund(6 * 24)).toBe(1000);
+    expect(refund(48)).toBe(500);
+    expect(refund(10)).toBe(0);
+  });
+
+  it('should apply the strict tiers', () => {
+    const strict = { cancellationPolicy: 'strict' };
+    expect(computeRefund({ booking: bookingStarting(10 * 24), vehicle: strict, cancelledBy: 'renter', now }).refundPercent).toBe(50);
+    expect(computeRefund({ booking: bookingStarting(3 * 24), vehicle: strict, cancelledBy: 'renter', now }).refundPercent).toBe(0);
+  });
+
+  it('should use the flexible policy for vehicles without one', () => {
+    const result = computeRefund({ booking: bookingStarting(12), vehicle: {}, cancelledBy: 'renter', now });
+    expect(result).toMatchObject({ policy: 'flexible', refundPercent: 50, refundAmount: 500 });
+  });
+
+  it('should always refund in full when the owner cancels', () => {
+    const result = computeRefund({ booking: bookingStarting(2), vehicle: { cancellationPolicy: 'strict' }, cancelledBy: 'owner', now });
+    expect(result.refundAmount).toBe(1000);
+  });
+
+  it('should not allow cancelling a confirmed trip that has started', () => {
+    expect(() => computeRefund({ booking: bookingStarting(-1), vehicle: {}, cancelledBy: 'renter', now })).toThrow(CancellationError);
+  });
+
+  it('should count a submitted but unverified downpayment as paid', () => {
+    expect(getPaidAmount({ amountPaid: 0, downPayment: 600, paymentStatus: 'downpayment_pending_verification' })).toBe(600);
+    expect(getPaidAmount({ amountPaid: 0, downPayment: 600, paymentStatus: 'pending_payment' })).toBe(0);
+  });
+
+  it('should validate the policy name', () => {
+    expect(validatePolicyName(undefined)).toBe('flexible');
+    expect(validatePolicyName('strict')).toBe('strict');
+    expect(() => validatePolicyName('lenient')).toThrow('cancellationPolicy must be one of');
+  });
+
+  describe('buildRefundPaidUpdates', () => {
+    const paid = { referenceNumber: 'GC-123', paidAt: 'PAID_AT' };
+
+    it('should mark the cancellation refund paid', () => {
+      const booking = { paymentStatus: 'cancelled_by_renter', cancellation: { refundId: 'r1', refundStatus: 'pending' } };
+      expect(buildRefundPaidUpdates(booking, 'r1', { source: 'cancellation' }, paid)).toEqual({ 'cancellation.refundStatus': 'paid' });
+    });
+
+    it('should mark the date change paid without adding a cancellation to a live booking', () => {
+      const booking = {
+        paymentStatus: 'confirmed',
+        modificationRequests: [{ status: 'declined' }, { status: 'accepted', refundId: 'r2', refundStatus: 'pending' }],
+      };
+      const updates = buildRefundPaidUpdates(booking, 'r2', { source: 'modification' }, paid);
+
+      expect(updates).not.toHaveProperty(['cancellation.refundStatus']);
+      expect(updates.modificationRequests[0]).toEqual({ status: 'declined' });
+      expect(updates.modificationRequests[1]).toEqual({
+        status: 'accepted', refundId: 'r2', refundStatus: 'paid', refundReferenceNumber: 'GC-123', refundPaidAt: 'PAID_AT',
+      });
+      // Refunds from before the source was stored are matched by ID.
+      expect(buildRefundPaidUpdates(booking, 'r2', {}, paid).modificationRequests[1].refundStatus).toBe('paid');
+    });
+  });
+});
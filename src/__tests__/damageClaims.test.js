@@ -0,0 +1,109 @@
+// backend/src/__tests__/damageClaims.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: { firestore: { FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' } } },
+  db: {},
+}));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+
+const { DEPOSIT_STATUS, assertDepositAction } = require('../utils/securityDeposit');
+const {
+  DamageClaimError,
+  validateClaimInput,
+  validateDisputeInput,
+  getFilingDeadline,
+  buildSettlement,
+  assertCanFileClaim,
+} = require('../utils/damageClaims');
+
+const now = 'NOW';
+const owner = { uid: 'owner1', role: 'owner' };
+const heldDeposit = (amount) => ({ amount, status: DEPOSIT_STATUS.HELD, deductions: [], releasedAmount: 0 });
+const returnedBooking = (overrides = {}) => ({
+  renterId: 'renter1',
+  ownerId: 'owner1',
+  paymentStatus: 'returned',
+  totalCost: 3000,
+  remainingBalance: 0,
+  priceBreakdown: { lineItems: [], total: 3000 },
+  ...overrides,
+});
+
+describe('Damage Claims', () => {
+  describe('validation', () => {
+    it('should require a description, a positive estimate and at least one photo', () => {
+      expect(validateClaimInput({ description: ' Dented door ', repairEstimate: '4500', photos: ['a.jpg', null] }))
+        .toEqual({ description: 'Dented door', repairEstimate: 4500, photos: ['a.jpg'] });
+      expect(() => validateClaimInput({ description: 'Dent', repairEstimate: 0, photos: ['a.jpg'] })).toThrow(DamageClaimError);
+      expect(() => validateClaimInput({ description: 'Dent', repairEstimate: 100, photos: [] })).toThrow('photo');
+    });
+
+    it('should require a statement to dispute a claim', () => {
+      expect(validateDisputeInput({ statement: 'The dent was there at pickup.' }))
+        .toEqual({ statement: 'The dent was there at pickup.', photos: [] });
+      expect(() => validateDisputeInput({ statement: '  ' })).toThrow('statement');
+    });
+
+    it('should allow filing until 72 hours after the return', () => {
+      const returnedAt = new Date('2025-06-04T10:00:00Z');
+      expect(getFilingDeadline({ returnedAt, endDate: new Date('2025-06-04T08:00:00Z') }))
+        .toEqual(new Date('2025-06-07T10:00:00Z'));
+    });
+
+    it('should only let the owner file on a returned booking without an open claim', () => {
+      const returnedAt = new Date('2025-06-04T10:00:00Z');
+      const filedAt = new Date('2025-06-05T10:00:00Z');
+      expect(() => assertCanFileClaim(returnedBooking({ returnedAt }), owner, filedAt)).not.toThrow();
+      expect(() => assertCanFileClaim(returnedBooking({ returnedAt }), { uid: 'renter1', role: 'renter' }, filedAt)).toThrow('Only the vehicle owner');
+      expect(() => assertCanFileClaim(returnedBooking({ returnedAt, paymentStatus: 'confirmed' }), owner, filedAt)).toThrow('after the vehicle is returned');
+      expect(() => assertCanFileClaim(returnedBooking({ returnedAt, openDamageClaimId: 'claim123' }), owner, filedAt)).toThrow('already an open');
+      expect(() => assertCanFileClaim(returnedBooking({ returnedAt }), owner, new Date('2025-06-08T10:00:00Z'))).toThrow('within 72 hours');
+    });
+  });
+
+  describe('buildSettlement', () => {
+    it('should take the claim from the deposit and release the rest', () => {
+      const { updates, settlement } = buildSettlement(returnedBooking({ securityDeposit: heldDeposit(5000) }), 'claim123', 2000, now);
+
+      expect(settlement).toMatchObject({ amount: 2000, chargedToDeposit: 2000, addedToBalance: 0 });
+      expect(updates.securityDeposit).toMatchObject({
+        status: DEPOSIT_STATUS.PARTIALLY_RELEASED,
+        releasedAmount: 3000,
+        deductions: [{ amount: 2000, reason: 'Damage claim #claim', claimType: 'damage', claimId: 'claim123' }],
+      });
+      expect(updates).not.toHaveProperty('remainingBalance');
+      expect(updates.openDamageClaimId).toBeNull();
+    });
+
+    it('should forfeit the deposit and add the shortfall to the balance', () => {
+      const { updates, settlement } = buildSettlement(returnedBooking({ securityDeposit: heldDeposit(1500) }), 'claim123', 4000, now);
+
+      expect(settlement).toMatchObject({ chargedToDeposit: 1500, addedToBalance: 2500 });
+      expect(updates.securityDeposit.status).toBe(DEPOSIT_STATUS.FORFEITED);
+      expect(updates.remainingBalance).toBe(2500);
+      expect(updates.priceBreakdown.lineItems).toEqual([
+        { code: 'damage', label: 'Damage claim #claim', quantity: 1, unitPrice: 2500, amount: 2500 },
+      ]);
+    });
+
+    it('should charge the balance when there is no paid deposit', () => {
+      const booking = returnedBooking({ securityDeposit: { ...heldDeposit(1500), status: DEPOSIT_STATUS.RELEASED } });
+      const { updates, settlement } = buildSettlement(booking, 'claim123', 800, now);
+
+      expect(settlement).toMatchObject({ chargedToDeposit: 0, addedToBalance: 800 });
+      expect(updates).not.toHaveProperty('securityDeposit');
+    });
+
+    it('should only close the claim when the amount is zero', () => {
+      expect(buildSettlement(returnedBooking({ securityDeposit: heldDeposit(1500) }), 'claim123', 0, now).updates)
+        .toEqual({ openDamageClaimId: null });
+    });
+  });
+
+  it('should keep the deposit from being released while a claim is open', () => {
+    const booking = returnedBooking({ securityDeposit: heldDeposit(1500), openDamageClaimId: 'claim123' });
+
+    expect(() => assertDepositAction(booking, 'release', owner)).toThrow('damage claim is open');
+    expect(() => assertDepositAction({ ...booking, openDamageClaimId: null }, 'release', owner)).not.toThrow();
+  });
+});
@@ -0,0 +1,104 @@
+// backend/src/__tests__/dateModifications.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: { firestore: { FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' } } },
+  db: {},
+}));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+
+const {
+  ModificationError,
+  validateNewDates,
+  quoteBookingDates,
+  buildModificationUpdates,
+} = require('../utils/dateModifications');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-01T00:00:00Z');
+const at = (days) => new Date(now.getTime() + days * DAY);
+const vehicle = { rentalPricePerDay: 1000 };
+
+const booking = (overrides = {}) => ({
+  startDate: at(10),
+  endDate: at(12),
+  paymentStatus: 'confirmed',
+  totalCost: 1800,
+  downPayment: 540,
+  downPaymentPercent: 30,
+  amountPaid: 540,
+  remainingBalance: 1260,
+  addOns: [],
+  priceBreakdown: {
+    lineItems: [
+      { code: 'daily', label: '2 days', quantity: 2, unitPrice: 1000, amount: 2000 },
+      { code: 'promo', label: 'Promo code SUMMER', quantity: 1, unitPrice: -200, amount: -200 },
+    ],
+    total: 1800,
+  },
+  ...overrides,
+});
+
+// A request as stored by requestModification, for a change worth `priceDifference`.
+const request = (days, priceDifference) => ({
+  newStartDate: at(10),
+  newEndDate: at(10 + days),
+  priceDifference,
+  priceBreakdown: { lineItems: [{ code: 'daily', label: `${days} days`, quantity: days, unitPrice: 1000, amount: days * 1000 }], total: days * 1000 },
+  quotedCodes: ['daily'],
+  mileageAllowance: null,
+});
+
+describe('Date Modifications', () => {
+  describe('validateNewDates', () => {
+    it('should accept new dates in the future', () => {
+      expect(validateNewDates(booking(), { startDate: at(5).toISOString(), endDate: at(6).toISOString() }, now))
+        .toEqual({ start: at(5), end: at(6) });
+    });
+
+    it('should reject invalid, unchanged or past dates', () => {
+      expect(() => validateNewDates(booking(), { startDate: at(6), endDate: at(5) }, now)).toThrow(ModificationError);
+      expect(() => validateNewDates(booking(), { startDate: at(10), endDate: at(12) }, now)).toThrow('same as the current');
+      expect(() => validateNewDates(booking(), { startDate: at(-1), endDate: at(2) }, now)).toThrow('must be in the future');
+    });
+
+    it('should only let a started trip move its return date', () => {
+      const started = booking({ startDate: at(-1), endDate: at(2) });
+
+      expect(validateNewDates(started, { startDate: at(-1), endDate: at(1) }, now)).toEqual({ start: at(-1), end: at(1) });
+      expect(() => validateNewDates(started, { startDate: at(1), endDate: at(3) }, now)).toThrow(expect.objectContaining({ statusCode: 409 }));
+      expect(() => validateNewDates(started, { startDate: at(-1), endDate: at(-0.5) }, now)).toThrow('return date must be in the future');
+    });
+  });
+
+  it('should quote the new dates with the booking\'s add-ons', () => {
+    const withAddOn = booking({ addOns: [{ id: 'helmet', name: 'Helmet', pricingType: 'per_day', unitPrice: 100, quantity: 1 }] });
+
+    expect(quoteBookingDates(vehicle, withAddOn, at(10), at(13)).total).toBe(3300);
+  });
+
+  describe('buildModificationUpdates', () => {
+    it('should add a longer trip to the balance and keep the promo discount', () => {
+      const { updates, refundAmount } = buildModificationUpdates(booking(), request(3, 1000));
+
+      expect(refundAmount).toBe(0);
+      expect(updates).toMatchObject({ startDate: at(10), endDate: at(13), totalCost: 2800, remainingBalance: 2260 });
+      expect(updates.priceBreakdown.lineItems.map((item) => item.code)).toEqual(['daily', 'promo']);
+      expect(updates.priceBreakdown.total).toBe(2800);
+    });
+
+    it('should split the downpayment again before anything is paid', () => {
+      const unpaid = booking({ paymentStatus: 'pending_payment', amountPaid: 0 });
+      const { updates } = buildModificationUpdates(unpaid, request(1, -1000));
+
+      expect(updates).toMatchObject({ totalCost: 800, downPayment: 240, remainingBalance: 560 });
+    });
+
+    it('should refund what was paid beyond a shorter trip\'s total', () => {
+      const paidInFull = booking({ amountPaid: 1800, remainingBalance: 0 });
+      const { updates, refundAmount } = buildModificationUpdates(paidInFull, request(1, -1000));
+
+      expect(updates).toMatchObject({ totalCost: 800, remainingBalance: 0 });
+      expect(refundAmount).toBe(1000);
+    });
+  });
+});
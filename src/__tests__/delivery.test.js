@@ -0,0 +1,107 @@
+// backend/src/__tests__/delivery.test.js
+
+jest.mock('../utils/geocoding', () => ({ geocodeLocation: jest.fn() }));
+
+const { geocodeLocation } = require('../utils/geocoding');
+const {
+  DeliveryError,
+  normalizeDeliverySettings,
+  distanceKm,
+  formatAddress,
+  planDelivery,
+  applyDeliveryToQuote,
+} = require('../utils/delivery');
+
+// The vehicle is parked in Makati; BGC is about 3 km away and Tagaytay about 50 km.
+const MAKATI = { lat: 14.5547, lon: 121.0244 };
+const BGC = { lat: 14.5509, lon: 121.0503 };
+const TAGAYTAY = { lat: 14.1153, lon: 120.9621 };
+const vehicle = {
+  latitude: MAKATI.lat,
+  longitude: MAKATI.lon,
+  delivery: normalizeDeliverySettings({ available: true, maxRadiusKm: '25', feePerKm: 40 }),
+};
+const address = (street) => ({ street, city: 'Taguig', country: 'Philippines' });
+
+describe('Delivery', () => {
+  beforeEach(() => {
+    geocodeLocation.mockReset();
+  });
+
+  describe('normalizeDeliverySettings', () => {
+    it('should require a radius and fee when delivery is offered', () => {
+      expect(vehicle.delivery).toEqual({ available: true, maxRadiusKm: 25, feePerKm: 40 });
+      expect(normalizeDeliverySettings({ available: false, feePerKm: 'x' })).toEqual({ available: false, maxRadiusKm: null, feePerKm: null });
+      expect(normalizeDeliverySettings(undefined)).toBeNull();
+      expect(() => normalizeDeliverySettings({ available: true, maxRadiusKm: 25 })).toThrow('delivery.feePerKm');
+      expect(() => normalizeDeliverySettings([])).toThrow(DeliveryError);
+    });
+  });
+
+  it('should measure straight-line distance in kilometres', () => {
+    expect(distanceKm(MAKATI, BGC)).toBe(2.82);
+    expect(distanceKm(MAKATI, MAKATI)).toBe(0);
+  });
+
+  describe('planDelivery', () => {
+    it('should geocode each address and charge per kilometre', async () => {
+      geocodeLocation.mockResolvedValue(BGC);
+
+      const plan = await planDelivery(vehicle, { deliveryAddress: address(' 5th Avenue '), returnAddress: address('26th Street') });
+
+      expect(geocodeLocation).toHaveBeenCalledWith({ street: '5th Avenue', city: 'Taguig', country: 'Philippines' });
+      expect(plan.dropOff).toEqual({
+        address: { street: '5th Avenue', city: 'Taguig', country: 'Philippines' },
+        coordinates: BGC,
+        distanceKm: 2.82,
+        fee: 112.8,
+      });
+      expect(plan.pickUp.address.street).toBe('26th Street');
+      expect(plan.totalFee).toBe(225.6);
+    });
+
+    it('should leave out legs the renter handles at the owner\'s location', async () => {
+      geocodeLocation.mockResolvedValue(BGC);
+
+      const plan = await planDelivery(vehicle, { deliveryAddress: address('5th Avenue') });
+
+      expect(plan.pickUp).toBeNull();
+      expect(plan.totalFee).toBe(112.8);
+      expect(await planDelivery(vehicle, {})).toBeNull();
+    });
+
+    it('should refuse addresses outside the delivery radius', async () => {
+      geocodeLocation.mockResolvedValue(TAGAYTAY);
+
+      await expect(planDelivery(vehicle, { deliveryAddress: address('Aguinaldo Highway') }))
+        .rejects.toThrow('outside its 25 km delivery radius');
+    });
+
+    it('should refuse delivery the vehicle cannot offer or price', async () => {
+      const request = { deliveryAddress: address('5th Avenue') };
+
+      await expect(planDelivery({ ...vehicle, delivery: null }, request)).rejects.toThrow('not offered with delivery');
+      await expect(planDelivery({ ...vehicle, latitude: null }, request)).rejects.toThrow(expect.objectContaining({ statusCode: 409 }));
+      await expect(planDelivery(vehicle, { deliveryAddress: { city: 'Taguig' } })).rejects.toThrow('street, city and country');
+
+      geocodeLocation.mockResolvedValue(null);
+      await expect(planDelivery(vehicle, request)).rejects.toThrow("couldn't locate the delivery address");
+    });
+  });
+
+  it('should add a line item per leg to the quote', () => {
+    const plan = {
+      dropOff: { distanceKm: 2.82, fee: 112.8 },
+      pickUp: { distanceKm: 4.5, fee: 180 },
+      totalFee: 292.8,
+    };
+    const quoted = applyDeliveryToQuote({ lineItems: [], total: 3000 }, plan);
+
+    expect(quoted.total).toBe(3292.8);
+    expect(quoted.lineItems).toEqual([
+      { code: 'delivery', label: 'Delivery (2.8 km)', quantity: 1, unitPrice: 112.8, amount: 112.8 },
+      { code: 'return_pickup', label: 'Return pickup (4.5 km)', quantity: 1, unitPrice: 180, amount: 180 },
+    ]);
+    expect(formatAddress({ street: '5th Avenue', city: 'Taguig', country: 'Philippines' })).toBe('5th Avenue, Taguig, Philippines');
+  });
+});
@@ -0,0 +1,64 @@
+// backend/src/__tests__/downpaymentPolicy.test.js
+
+jest.mock('../utils/firebase', () => ({ admin: {}, db: {} }));
+
+const {
+  DEFAULT_SETTINGS,
+  DownpaymentPolicyError,
+  normalizeSettingsInput,
+  validateDownpaymentPercent,
+  resolveDownpaymentPercent,
+  splitDownpayment,
+} = require('../utils/downpaymentPolicy');
+
+const settings = { defaultPercent: 20, minPercent: 10, maxPercent: 100 };
+
+describe('Downpayment Policy', () => {
+  describe('resolveDownpaymentPercent', () => {
+    it('should prefer the vehicle, then the owner, then the platform default', () => {
+      expect(resolveDownpaymentPercent({ vehicle: { downPaymentPercent: 50 }, owner: { defaultDownPaymentPercent: 30 }, settings }))
+        .toEqual({ percent: 50, source: 'vehicle' });
+      expect(resolveDownpaymentPercent({ vehicle: { downPaymentPercent: null }, owner: { defaultDownPaymentPercent: 30 }, settings }))
+        .toEqual({ percent: 30, source: 'owner' });
+      expect(resolveDownpaymentPercent({ vehicle: {}, owner: {}, settings }))
+        .toEqual({ percent: 20, source: 'platform' });
+    });
+
+    it('should clamp stored values to the current bounds', () => {
+      const tightened = { defaultPercent: 30, minPercent: 25, maxPercent: 60 };
+      expect(resolveDownpaymentPercent({ vehicle: { downPaymentPercent: 100 }, settings: tightened }).percent).toBe(60);
+      expect(resolveDownpaymentPercent({ owner: { defaultDownPaymentPercent: 10 }, settings: tightened }).percent).toBe(25);
+    });
+  });
+
+  describe('validateDownpaymentPercent', () => {
+    it('should accept values within the bounds and clear empty ones', () => {
+      expect(validateDownpaymentPercent('30', settings)).toBe(30);
+      expect(validateDownpaymentPercent(100, settings)).toBe(100);
+      expect(validateDownpaymentPercent('', settings)).toBeNull();
+    });
+
+    it('should reject values outside the bounds', () => {
+      expect(() => validateDownpaymentPercent(5, settings)).toThrow(DownpaymentPolicyError);
+      expect(() => validateDownpaymentPercent('abc', settings)).toThrow('between 10% and 100%');
+    });
+  });
+
+  describe('normalizeSettingsInput', () => {
+    it('should merge changes into the current settings', () => {
+      expect(normalizeSettingsInput({ maxPercent: '50' }, DEFAULT_SETTINGS)).toEqual({ defaultPercent: 20, minPercent: 10, maxPercent: 50 });
+    });
+
+    it('should keep the default between the bounds', () => {
+      expect(() => normalizeSettingsInput({ minPercent: 30 }, DEFAULT_SETTINGS)).toThrow('defaultPercent must be between');
+      expect(() => normalizeSettingsInput({ minPercent: 60, maxPercent: 50 }, DEFAULT_SETTINGS)).toThrow('minPercent cannot be greater');
+    });
+  });
+
+  describe('splitDownpayment', () => {
+    it('should split the total into the downpayment and remaining balance', () => {
+      expect(splitDownpayment(2999, 30)).toEqual({ downPayment: 899.7, remainingBalance: 2099.3 });
+      expect(splitDownpayment(1500, 100)).toEqual({ downPayment: 1500, remainingBalance: 0 });
+    });
+  });
+});
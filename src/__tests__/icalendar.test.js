@@ -0,0 +1,96 @@
+// backend/src/__tests__/icalendar.test.js
+
+const { buildIcs, parseIcs, parseIcsDate } = require('../utils/icalendar');
+
+describe('iCalendar', () => {
+  describe('buildIcs', () => {
+    const ics = buildIcs({
+      name: 'Toyota Vios, Makati',
+      now: new Date('2025-06-01T00:00:00Z'),
+      events: [{ uid: 'booking-abc@rentcycle', start: new Date('2025-06-03T00:00:00Z'), end: new Date('2025-06-05T12:30:00Z'), summary: 'Booked (RentCycle)' }],
+    });
+
+    it('should write one VEVENT per busy period with CRLF line endings', () => {
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:Toyota Vios\\, Makati\r\n');
+      expect(ics).toContain([
+        'BEGIN:VEVENT',
+        'UID:booking-abc@rentcycle',
+        'DTSTAMP:20250601T000000Z',
+        'DTSTART:20250603T000000Z',
+        'DTEND:20250605T123000Z',
+        'SUMMARY:Booked (RentCycle)',
+        'TRANSP:OPAQUE',
+        'END:VEVENT',
+      ].join('\r\n'));
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('should fold lines longer than 75 octets', () => {
+      const long = buildIcs({ name: 'x'.repeat(100), events: [] });
+      const lines = long.split('\r\n');
+
+      expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(long).toContain(`X-WR-CALNAME:${'x'.repeat(62)}\r\n ${'x'.repeat(38)}`);
+    });
+
+    it('should read back what it writes', () => {
+      expect(parseIcs(ics)).toEqual([{
+        uid: 'booking-abc@rentcycle',
+        summary: 'Booked (RentCycle)',
+        start: new Date('2025-06-03T00:00:00Z'),
+        end: new Date('2025-06-05T12:30:00Z'),
+      }]);
+    });
+  });
+
+  describe('parseIcs', () => {
+    it('should read all-day, zoned and floating events from other platforms', () => {
+      const feed = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:airbnb-1',
+        'DTSTART;VALUE=DATE:20250610',
+        'DTEND;VALUE=DATE:20250612',
+        'SUMMARY:Reserved',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:google-1',
+        'DTSTART;TZID=Asia/Tokyo:20250615T090000',
+        'DTEND;TZID=Asia/Tokyo:20250615T180000',
+        'SUMMARY:Owner\\, personal use',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20250620',
+        'SUMMARY:Single day with no end',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\n');
+
+      expect(parseIcs(feed)).toEqual([
+        { uid: 'airbnb-1', summary: 'Reserved', start: new Date('2025-06-10T00:00:00+08:00'), end: new Date('2025-06-12T00:00:00+08:00') },
+        { uid: 'google-1', summary: 'Owner, personal use', start: new Date('2025-06-15T00:00:00Z'), end: new Date('2025-06-15T09:00:00Z') },
+        { uid: null, summary: 'Single day with no end', start: new Date('2025-06-20T00:00:00+08:00'), end: new Date('2025-06-21T00:00:00+08:00') },
+      ]);
+    });
+
+    it('should skip cancelled, free and unreadable events', () => {
+      const event = (lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'].join('\r\n');
+      const feed = [
+        'BEGIN:VCALENDAR',
+        event(['DTSTART:20250610T000000Z', 'DTEND:20250611T000000Z', 'STATUS:CANCELLED']),
+        event(['DTSTART:20250610T000000Z', 'DTEND:20250611T000000Z', 'TRANSP:TRANSPARENT']),
+        event(['DTSTART:tomorrow', 'DTEND:20250611T000000Z']),
+        event(['DTSTART:20250610T000000Z']),
+        'END:VCALENDAR',
+      ].join('\r\n');
+
+      expect(parseIcs(feed)).toEqual([]);
+    });
+  });
+
+  it('should treat times without a zone as Manila time', () => {
+    expect(parseIcsDate('20250610T080000')).toEqual({ date: new Date('2025-06-10T00:00:00Z'), allDay: false });
+    expect(parseIcsDate('20250610T080000Z')).toEqual({ date: new Date('2025-06-10T08:00:00Z'), allDay: false });
+  });
+});
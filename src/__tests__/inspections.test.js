@@ -0,0 +1,102 @@
+// backend/src/__tests__/inspections.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      Timestamp: class {},
+      FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    },
+  },
+  db: {},
+}));
+
+const {
+  InspectionError,
+  validateFuelChargePerBar,
+  normalizeInspectionInput,
+  computeInspectionDifferences,
+  buildInspectionChargeUpdates,
+} = require('../utils/inspections');
+
+const photos = { front: 'f.jpg', back: 'b.jpg', left: 'l.jpg', right: 'r.jpg' };
+const reading = (overrides = {}) => normalizeInspectionInput({ odometer: 12000, fuelBars: 8, photos, ...overrides });
+
+describe('Inspections', () => {
+  describe('normalizeInspectionInput', () => {
+    it('should parse readings and default to an 8-bar fuel gauge', () => {
+      expect(reading({ odometer: '12000.5', fuelBars: '6', damageNotes: ' scratch on rear bumper ' })).toEqual({
+        odometer: 12000.5,
+        fuelBars: 6,
+        fuelBarsTotal: 8,
+        damageNotes: 'scratch on rear bumper',
+        photos,
+      });
+    });
+
+    it('should reject invalid readings', () => {
+      expect(() => reading({ odometer: -1 })).toThrow(InspectionError);
+      expect(() => reading({ fuelBars: 9 })).toThrow('between 0 and 8');
+      expect(() => reading({ fuelBars: 5, fuelBarsTotal: 4 })).toThrow('between 0 and 4');
+    });
+
+    it('should require a photo of each side', () => {
+      expect(() => reading({ photos: { front: 'f.jpg', back: 'b.jpg' } })).toThrow('Missing: left, right');
+    });
+  });
+
+  describe('computeInspectionDifferences', () => {
+    it('should compute distance driven and the fuel charge for missing bars', () => {
+      const differences = computeInspectionDifferences(reading(), reading({ odometer: 12350, fuelBars: 5 }), { fuelChargePerBar: 250 });
+
+      expect(differences).toEqual({
+        distanceKm: 350, fuelBarsMissing: 3, fuelCharge: 750, allowanceKm: null, overageKm: 0, mileageCharge: 0,
+      });
+    });
+
+    it('should not charge when the tank is returned fuller, or when the vehicle sets no rate', () => {
+      expect(computeInspectionDifferences(reading({ fuelBars: 4 }), reading({ fuelBars: 6 }), { fuelChargePerBar: 250 }).fuelCharge).toBe(0);
+      expect(computeInspectionDifferences(reading(), reading({ fuelBars: 2 }), {})).toMatchObject({ fuelBarsMissing: 6, fuelCharge: 0 });
+    });
+
+    it('should charge for kilometres past the booking allowance', () => {
+      const booking = { mileageAllowance: { dailyKm: 200, days: 2, totalKm: 400, overageFeePerKm: 15 } };
+      const differences = computeInspectionDifferences(reading(), reading({ odometer: 12460 }), {}, booking);
+
+      expect(differences).toMatchObject({ distanceKm: 460, allowanceKm: 400, overageKm: 60, mileageCharge: 900 });
+    });
+
+    it('should reject an odometer reading lower than at pickup', () => {
+      expect(() => computeInspectionDifferences(reading(), reading({ odometer: 11000 }))).toThrow('cannot be lower');
+    });
+  });
+
+  describe('buildInspectionChargeUpdates', () => {
+    const booking = { totalCost: 3000, remainingBalance: 2400, priceBreakdown: { lineItems: [], total: 3000 } };
+
+    it('should add the fuel charge to the balance and the price breakdown', () => {
+      const updates = buildInspectionChargeUpdates(booking, { fuelBarsMissing: 1, fuelCharge: 250, mileageCharge: 0 });
+
+      expect(updates).toMatchObject({ totalCost: 3250, remainingBalance: 2650 });
+      expect(updates.priceBreakdown.lineItems).toEqual([
+        { code: 'fuel', label: 'Fuel (1 bar short)', quantity: 1, unitPrice: 250, amount: 250 },
+      ]);
+      expect(buildInspectionChargeUpdates(booking, { fuelBarsMissing: 0, fuelCharge: 0, mileageCharge: 0 })).toEqual({});
+    });
+
+    it('should itemize fuel and mileage overage separately', () => {
+      const updates = buildInspectionChargeUpdates(booking, {
+        fuelBarsMissing: 2, fuelCharge: 500, allowanceKm: 400, overageKm: 60, mileageCharge: 900,
+      });
+
+      expect(updates).toMatchObject({ totalCost: 4400, remainingBalance: 3800 });
+      expect(updates.priceBreakdown.lineItems.map((item) => item.code)).toEqual(['fuel', 'mileage_overage']);
+      expect(updates.priceBreakdown.lineItems[1].label).toBe('Mileage overage (60 km over 400 km)');
+    });
+  });
+
+  it('should validate the per-bar fuel charge set on a vehicle', () => {
+    expect(validateFuelChargePerBar('')).toBeNull();
+    expect(validateFuelChargePerBar('120.456')).toBe(120.46);
+    expect(() => validateFuelChargePerBar(-5)).toThrow(InspectionError);
+  });
+});
@@ -0,0 +1,112 @@
+// backend/src/__tests__/instantBook.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: { firestore: { FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' } } },
+  db: { collection: jest.fn() },
+}));
+
+const { db } = require('../utils/firebase');
+const {
+  InstantBookError,
+  normalizeInstantBookSettings,
+  getRenterRating,
+  evaluateInstantBook,
+  checkInstantBook,
+  validateRenterRating,
+} = require('../utils/instantBook');
+
+const trustedRenter = {
+  isApprovedToDrive: true,
+  emailVerified: true,
+  renterRatingTotal: 14,
+  renterRatingCount: 3,
+};
+const settings = normalizeInstantBookSettings({ enabled: true, minCompletedTrips: '2', minRating: 4.5 });
+
+describe('Instant Book', () => {
+  describe('normalizeInstantBookSettings', () => {
+    it('should require vetted renters unless the owner opts out', () => {
+      expect(settings).toEqual({
+        enabled: true,
+        requireApprovedToDrive: true,
+        requireVerifiedEmail: true,
+        minCompletedTrips: 2,
+        minRating: 4.5,
+      });
+      expect(normalizeInstantBookSettings({ enabled: true, requireVerifiedEmail: false })).toMatchObject({
+        requireVerifiedEmail: false,
+        minCompletedTrips: 0,
+        minRating: null,
+      });
+      expect(normalizeInstantBookSettings('')).toBeNull();
+    });
+
+    it('should reject invalid requirements', () => {
+      expect(() => normalizeInstantBookSettings([])).toThrow(InstantBookError);
+      expect(() => normalizeInstantBookSettings({ enabled: true, minCompletedTrips: 1.5 })).toThrow('minCompletedTrips');
+      expect(() => normalizeInstantBookSettings({ enabled: true, minRating: 6 })).toThrow('minRating must be between 1 and 5');
+    });
+  });
+
+  it('should average the ratings owners have given a renter', () => {
+    expect(getRenterRating(trustedRenter)).toEqual({ average: 4.67, count: 3 });
+    expect(getRenterRating({})).toBeNull();
+  });
+
+  describe('evaluateInstantBook', () => {
+    it('should accept a renter who meets every requirement', () => {
+      expect(evaluateInstantBook(settings, trustedRenter, { completedTrips: 2 })).toEqual({ eligible: true, unmet: [] });
+    });
+
+    it('should list each requirement the renter misses', () => {
+      const newRenter = { isApprovedToDrive: false, emailVerified: false };
+
+      expect(evaluateInstantBook(settings, newRenter, { completedTrips: 1 })).toEqual({
+        eligible: false,
+        unmet: [
+          'An approved drive application.',
+          'A verified email address.',
+          'At least 2 completed trips (you have 1).',
+          'A renter rating of at least 4.5 (you have no ratings yet).',
+        ],
+      });
+      expect(evaluateInstantBook(settings, { ...trustedRenter, renterRatingTotal: 12 }, { completedTrips: 5 }).unmet)
+        .toEqual(['A renter rating of at least 4.5 (yours is 4).']);
+    });
+
+    it('should never instant book a vehicle that has it off', () => {
+      expect(evaluateInstantBook(null, trustedRenter, { completedTrips: 10 }).eligible).toBe(false);
+      expect(evaluateInstantBook({ ...settings, enabled: false }, trustedRenter, { completedTrips: 10 }).eligible).toBe(false);
+    });
+  });
+
+  it('should count the renter\'s completed trips only when a minimum is set', async () => {
+    const get = jest.fn().mockResolvedValue({ size: 2 });
+    const query = { where: jest.fn(() => query), get };
+    db.collection.mockReturnValue(query);
+    const customUser = { ...trustedRenter, email_verified: true };
+
+    await expect(checkInstantBook({ instantBook: settings }, 'renter-1', customUser)).resolves.toEqual({ eligible: true, unmet: [] });
+    expect(query.where).toHaveBeenCalledWith('renterId', '==', 'renter-1');
+    expect(query.where).toHaveBeenCalledWith('paymentStatus', '==', 'completed');
+
+    get.mockClear();
+    const noMinimum = { instantBook: { ...settings, minCompletedTrips: 0 } };
+    await expect(checkInstantBook(noMinimum, 'renter-1', customUser)).resolves.toMatchObject({ eligible: true });
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  it('should take email verification from the token, not the profile', async () => {
+    const noMinimum = { instantBook: { ...settings, minCompletedTrips: 0 } };
+    const customUser = { ...trustedRenter, emailVerified: true, email_verified: false };
+
+    await expect(checkInstantBook(noMinimum, 'renter-1', customUser))
+      .resolves.toEqual({ eligible: false, unmet: ['A verified email address.'] });
+  });
+
+  it('should only take whole-star renter ratings', () => {
+    expect(validateRenterRating({ rating: '4', comment: ' Returned it clean. ' })).toEqual({ rating: 4, comment: 'Returned it clean.' });
+    expect(() => validateRenterRating({ rating: 4.5 })).toThrow(InstantBookError);
+    expect(() => validateRenterRating({ rating: 0 })).toThrow('from 1 to 5');
+  });
+});
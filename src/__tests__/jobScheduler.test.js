@@ -0,0 +1,159 @@
+// backend/src/__tests__/jobScheduler.test.js
+
+// A tiny in-memory Firestore keyed by document path: enough for the lock transactions
+// and the runs subcollection.
+const mockDocs = new Map();
+jest.mock('../utils/firebase', () => {
+  const timestamp = (millis) => ({ toMillis: () => millis, toDate: () => new Date(millis) });
+  const snapshot = (path) => ({ exists: mockDocs.has(path), data: () => mockDocs.get(path) });
+  const write = (path, data, { merge = false } = {}) => {
+    mockDocs.set(path, merge ? { ...mockDocs.get(path), ...data } : { ...data });
+  };
+  let autoId = 0;
+  const collection = (prefix) => ({
+    doc: (id = `auto-${(autoId += 1)}`) => {
+      const path = `${prefix}${id}`;
+      return {
+        id,
+        path,
+        get: async () => snapshot(path),
+        set: async (data, options) => write(path, data, options),
+        update: async (updates) => write(path, updates, { merge: true }),
+        collection: (name) => collection(`${path}/${name}/`),
+      };
+    },
+  });
+  return {
+    admin: { firestore: { Timestamp: { fromMillis: timestamp, fromDate: (date) => timestamp(date.getTime()) } } },
+    db: {
+      collection: (name) => collection(`${name}/`),
+      runTransaction: async (fn) => fn({
+        get: async (ref) => snapshot(ref.path),
+        set: (ref, data, options) => write(ref.path, data, options),
+      }),
+    },
+  };
+});
+
+const { admin } = require('../utils/firebase');
+const { cronEnvName, resolveCronExpression, registerJob, runJob, JobSchedulerError } = require('../utils/jobScheduler');
+
+const MINUTE_MS = 60 * 1000;
+const lockHeldBy = (owner, expiresInMs) => ({
+  lock: {
+    owner,
+    acquiredAt: admin.firestore.Timestamp.fromMillis(Date.now() - MINUTE_MS),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + expiresInMs),
+  },
+});
+const runsOf = (jobName) => [...mockDocs.entries()]
+  .filter(([path]) => path.startsWith(`scheduled_jobs/${jobName}/runs/`))
+  .map(([, run]) => run);
+
+describe('Job Scheduler', () => {
+  describe('cronEnvName', () => {
+    it('should build the override variable name from the job name', () => {
+      expect(cronEnvName('overdue-bookings')).toBe('JOB_OVERDUE_BOOKINGS_CRON');
+    });
+  });
+
+  describe('resolveCronExpression', () => {
+    const job = { name: 'overdue-bookings', schedule: '*/15 * * * *' };
+
+    it('should use the default schedule when there is no override', () => {
+      expect(resolveCronExpression(job, {})).toBe('*/15 * * * *');
+    });
+
+    it('should prefer the environment override', () => {
+      expect(resolveCronExpression(job, { JOB_OVERDUE_BOOKINGS_CRON: '*/5 * * * *' })).toBe('*/5 * * * *');
+    });
+
+    it('should return null when the job is disabled', () => {
+      expect(resolveCronExpression(job, { JOB_OVERDUE_BOOKINGS_CRON: 'disabled' })).toBeNull();
+    });
+  });
+
+  describe('registerJob', () => {
+    it('should reject duplicate job names', () => {
+      registerJob({ name: 'test-job', schedule: '0 * * * *', handler: async () => ({}) });
+      expect(() => registerJob({ name: 'test-job', schedule: '0 * * * *', handler: async () => ({}) })).toThrow();
+    });
+
+    it('should require a handler', () => {
+      expect(() => registerJob({ name: 'no-handler' })).toThrow();
+    });
+  });
+
+  describe('runJob', () => {
+    const handler = jest.fn();
+    registerJob({ name: 'locked-job', schedule: '0 * * * *', handler, lockTtlMinutes: 5 });
+
+    beforeEach(() => {
+      mockDocs.clear();
+      handler.mockReset();
+    });
+
+    it('should reject unknown jobs with a 404', async () => {
+      await expect(runJob('does-not-exist')).rejects.toBeInstanceOf(JobSchedulerError);
+      await expect(runJob('does-not-exist')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should hold the lock while the job runs, then release it and record the run', async () => {
+      handler.mockImplementation(async () => {
+        const { lock } = mockDocs.get('scheduled_jobs/locked-job');
+        expect(lock.owner).toEqual(expect.any(String));
+        expect(lock.expiresAt.toMillis() - lock.acquiredAt.toMillis()).toBe(5 * MINUTE_MS);
+        return { processed: 3 };
+      });
+
+      const run = await runJob('locked-job', { trigger: 'manual', triggeredBy: 'admin-1' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(run).toMatchObject({ jobName: 'locked-job', trigger: 'manual', triggeredBy: 'admin-1', status: 'succeeded', counts: { processed: 3 } });
+      expect(runsOf('locked-job')).toEqual([expect.objectContaining({ trigger: 'manual', triggeredBy: 'admin-1', status: 'succeeded', counts: { processed: 3 }, error: null })]);
+      const state = mockDocs.get('scheduled_jobs/locked-job');
+      expect(state.lock).toBeNull();
+      expect(state.lastRun).toMatchObject({ runId: run.id, status: 'succeeded', counts: { processed: 3 } });
+    });
+
+    it('should skip the run while another instance holds the lock', async () => {
+      mockDocs.set('scheduled_jobs/locked-job', lockHeldBy('other-instance', MINUTE_MS));
+
+      await expect(runJob('locked-job')).resolves.toEqual({ jobName: 'locked-job', skipped: true, reason: 'locked' });
+      expect(handler).not.toHaveBeenCalled();
+      expect(runsOf('locked-job')).toEqual([]);
+      expect(mockDocs.get('scheduled_jobs/locked-job').lock.owner).toBe('other-instance');
+    });
+
+    it('should take over a lock that has expired', async () => {
+      mockDocs.set('scheduled_jobs/locked-job', lockHeldBy('crashed-instance', -MINUTE_MS));
+      handler.mockResolvedValue({});
+
+      await expect(runJob('locked-job')).resolves.toMatchObject({ status: 'succeeded' });
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(mockDocs.get('scheduled_jobs/locked-job').lock).toBeNull();
+    });
+
+    it('should record a failed run and still release the lock', async () => {
+      handler.mockRejectedValue(new Error('Firestore unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(runJob('locked-job')).resolves.toMatchObject({ status: 'failed', error: 'Firestore unavailable' });
+      expect(runsOf('locked-job')).toEqual([expect.objectContaining({ status: 'failed', error: 'Firestore unavailable', counts: {} })]);
+      expect(mockDocs.get('scheduled_jobs/locked-job').lock).toBeNull();
+      console.error.mockRestore();
+    });
+
+    it('should leave a lock alone that another instance took over mid-run', async () => {
+      handler.mockImplementation(async () => {
+        mockDocs.set('scheduled_jobs/locked-job', { ...mockDocs.get('scheduled_jobs/locked-job'), ...lockHeldBy('other-instance', MINUTE_MS) });
+      });
+
+      const run = await runJob('locked-job');
+
+      const state = mockDocs.get('scheduled_jobs/locked-job');
+      expect(state.lock.owner).toBe('other-instance');
+      expect(state.lastRun.runId).toBe(run.id);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// backend/src/__tests__/lateFees.test.js
+
+class MockTimestamp {
+  constructor(millis) { this.millis = millis; }
+  static fromDate(date) { return new MockTimestamp(date.getTime()); }
+  toMillis() { return this.millis; }
+  toDate() { return new Date(this.millis); }
+}
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      Timestamp: MockTimestamp,
+      FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    },
+  },
+  db: {},
+}));
+
+const { LateFeeError, getGraceHours, validateGraceHours, computeLateFee, buildReturnUpdates, getRunningLateFee } = require('../utils/lateFees');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Monday to Wednesday in Manila, so no weekend rates apply.
+const start = new Date('2025-06-02T00:00:00+08:00');
+const end = new Date('2025-06-04T00:00:00+08:00');
+const vehicle = { rentalPricePerDay: 1000, pricing: { hourlyRate: 100, halfDayRate: 600 } };
+const booking = {
+  paymentStatus: 'confirmed',
+  startDate: MockTimestamp.fromDate(start),
+  endDate: MockTimestamp.fromDate(end),
+  totalCost: 2000,
+  remainingBalance: 1600,
+  priceBreakdown: { lineItems: [{ code: 'daily', amount: 2000 }], total: 2000 },
+};
+const hoursLate = (hours) => new Date(end.getTime() + hours * HOUR_MS);
+
+describe('Late Fees', () => {
+  const originalEnv = process.env.LATE_RETURN_GRACE_HOURS;
+  afterEach(() => {
+    if (originalEnv === undefined) delete process.env.LATE_RETURN_GRACE_HOURS;
+    else process.env.LATE_RETURN_GRACE_HOURS = originalEnv;
+  });
+
+  describe('getGraceHours', () => {
+    it('should prefer the vehicle setting, then the environment, then 3 hours', () => {
+      delete process.env.LATE_RETURN_GRACE_HOURS;
+      expect(getGraceHours({})).toBe(3);
+      process.env.LATE_RETURN_GRACE_HOURS = '1';
+      expect(getGraceHours({})).toBe(1);
+      expect(getGraceHours({ lateReturnGraceHours: 0 })).toBe(0);
+    });
+
+    it('should validate owner-supplied grace periods', () => {
+      expect(validateGraceHours('')).toBeNull();
+      expect(validateGraceHours('2')).toBe(2);
+      expect(() => validateGraceHours(30)).toThrow(LateFeeError);
+    });
+  });
+
+  describe('computeLateFee', () => {
+    it('should not charge returns within the grace period', () => {
+      expect(computeLateFee({ booking, vehicle, returnedAt: hoursLate(2) })).toEqual({
+        overdueHours: 2, graceHours: 3, withinGrace: true, amount: 0,
+      });
+    });
+
+    it('should bill the whole overdue time at the cheapest rate once past the grace period', () => {
+      expect(computeLateFee({ booking, vehicle, returnedAt: hoursLate(4) }).amount).toBe(400);
+      expect(computeLateFee({ booking, vehicle, returnedAt: hoursLate(8) }).amount).toBe(600);
+      expect(computeLateFee({ booking, vehicle, returnedAt: hoursLate(20) }).amount).toBe(1000);
+    });
+  });
+
+  describe('buildReturnUpdates', () => {
+    it('should add the fee to the balance and the price breakdown', () => {
+      const updates = buildReturnUpdates(booking, vehicle, hoursLate(4));
+
+      expect(updates.totalCost).toBe(2400);
+      expect(updates.remainingBalance).toBe(2000);
+      expect(updates.priceBreakdown.total).toBe(2400);
+      expect(updates.priceBreakdown.lineItems[1]).toEqual({
+        code: 'late_fee', label: 'Late return (4 hr overdue)', quantity: 1, unitPrice: 400, amount: 400,
+      });
+    });
+
+    it('should only record the return time for on-time returns', () => {
+      const updates = buildReturnUpdates(booking, vehicle, hoursLate(-1));
+
+      expect(updates.lateFee.amount).toBe(0);
+      expect(updates.returnedAt.toDate()).toEqual(hoursLate(-1));
+      expect(updates).not.toHaveProperty('remainingBalance');
+    });
+  });
+
+  describe('getRunningLateFee', () => {
+    it('should only report a charge for trips still out past their end date', () => {
+      expect(getRunningLateFee(booking, vehicle, hoursLate(-1))).toBeNull();
+      expect(getRunningLateFee({ ...booking, paymentStatus: 'returned' }, vehicle, hoursLate(5))).toBeNull();
+      expect(getRunningLateFee({ ...booking, paymentStatus: 'awaiting_return' }, vehicle, hoursLate(5)))
+        .toMatchObject({ overdueHours: 5, amount: 500 });
+    });
+  });
+});
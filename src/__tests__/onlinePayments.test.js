@@ -0,0 +1,179 @@
+// backend/src/__tests__/onlinePayments.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      FieldValue: {
+        serverTimestamp: () => 'SERVER_TIMESTAMP',
+        increment: (amount) => ({ increment: amount }),
+      },
+      Timestamp: { fromDate: (date) => ({ toDate: () => date }) },
+    },
+  },
+  db: { collection: jest.fn() },
+}));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+jest.mock('../services/paymentService', () => ({
+  createCheckoutSession: jest.fn(),
+  retrieveCheckoutSession: jest.fn(),
+  expireCheckoutSession: jest.fn(),
+}));
+jest.mock('../utils/bookingLifecycle', () => ({
+  ...jest.requireActual('../utils/bookingLifecycle'),
+  transitionBooking: jest.fn(),
+}));
+
+const {
+  PAYMENT_PURPOSE,
+  OnlinePaymentError,
+  applyCheckoutPayment,
+  buildExtensionSettlement,
+  createCheckout,
+  getAmountDue,
+  readPaidCheckout,
+} = require('../utils/onlinePayments');
+const { db } = require('../utils/firebase');
+const paymentService = require('../services/paymentService');
+const { transitionBooking } = require('../utils/bookingLifecycle');
+
+const docSnapshot = (data) => ({ exists: true, data: () => data });
+
+// Points db at a bookings collection holding `booking` and a booking_payments
+// collection whose queries return `paymentDocs`.
+const mockCollections = (booking, paymentDocs = []) => {
+  const payments = { where: jest.fn(() => payments), get: jest.fn().mockResolvedValue({ docs: paymentDocs }) };
+  const collections = {
+    bookings: { doc: () => ({ get: jest.fn().mockResolvedValue(docSnapshot(booking)) }) },
+    booking_payments: payments,
+  };
+  db.collection.mockImplementation((name) => collections[name]);
+  return payments;
+};
+
+const extensions = [
+  { hours: 24, cost: 800, status: 'paid' },
+  { hours: 12, cost: '450.5', status: 'pending_payment', newEndDate: 'NEW_END', mileageAllowance: { totalKm: 300 } },
+];
+
+describe('Online Payments', () => {
+  describe('getAmountDue', () => {
+    it('should charge the downpayment while the booking awaits payment', () => {
+      expect(getAmountDue({ paymentStatus: 'pending_payment', downPayment: 900, remainingBalance: 2100 }, PAYMENT_PURPOSE.DOWNPAYMENT))
+        .toEqual({ amount: 900, label: 'Downpayment' });
+      expect(getAmountDue({ paymentStatus: 'pending_payment', downPayment: 3000, remainingBalance: 0 }, PAYMENT_PURPOSE.DOWNPAYMENT).label)
+        .toBe('Full payment');
+      expect(() => getAmountDue({ paymentStatus: 'confirmed', downPayment: 900 }, PAYMENT_PURPOSE.DOWNPAYMENT)).toThrow(OnlinePaymentError);
+    });
+
+    it('should charge the pending extension', () => {
+      expect(getAmountDue({ paymentStatus: 'pending_extension_payment', extensions }, PAYMENT_PURPOSE.EXTENSION))
+        .toEqual({ amount: 450.5, label: 'Extension (12 hr)', extensionIndex: 1 });
+      expect(() => getAmountDue({ paymentStatus: 'confirmed', extensions }, PAYMENT_PURPOSE.EXTENSION)).toThrow('No valid, pending extension');
+    });
+
+    it('should charge the remaining balance from confirmation until return', () => {
+      expect(getAmountDue({ paymentStatus: 'returned', remainingBalance: 2350.25 }, PAYMENT_PURPOSE.BALANCE).amount).toBe(2350.25);
+      expect(() => getAmountDue({ paymentStatus: 'confirmed', remainingBalance: 0 }, PAYMENT_PURPOSE.BALANCE)).toThrow('no remaining balance');
+      expect(() => getAmountDue({ paymentStatus: 'pending_payment', remainingBalance: 500 }, PAYMENT_PURPOSE.BALANCE)).toThrow('cannot be paid');
+    });
+
+    it('should reject unknown purposes', () => {
+      expect(() => getAmountDue({ paymentStatus: 'confirmed' }, 'deposit')).toThrow('purpose must be one of');
+    });
+  });
+
+  describe('buildExtensionSettlement', () => {
+    const booking = { extensions, remindersSent: { pickup_24: true, return_24: true } };
+
+    it('should add a paid extension to the total and to what has been paid', () => {
+      const updates = buildExtensionSettlement(booking, 1, { status: 'paid', paymentReferenceNumber: 'pay_1' });
+
+      expect(updates).toMatchObject({
+        endDate: 'NEW_END',
+        mileageAllowance: { totalKm: 300 },
+        totalCost: { increment: 450.5 },
+        amountPaid: { increment: 450.5 },
+      });
+      expect(updates.remainingBalance).toBeUndefined();
+      expect(updates.extensions[1]).toMatchObject({ status: 'paid', paymentReferenceNumber: 'pay_1', cost: '450.5' });
+      expect(extensions[1].status).toBe('pending_payment');
+    });
+
+    it('should add an extension paid on return to the balance instead', () => {
+      const updates = buildExtensionSettlement(booking, 1, { status: 'pay_on_return', paymentMethod: 'cash' });
+
+      expect(updates.remainingBalance).toEqual({ increment: 450.5 });
+      expect(updates.amountPaid).toBeUndefined();
+    });
+  });
+
+  it('should total only the paid payments of a checkout session', () => {
+    const session = {
+      attributes: {
+        payments: [
+          { id: 'pay_failed', attributes: { amount: 90000, status: 'failed' } },
+          { id: 'pay_ok', attributes: { amount: 45050, status: 'paid' } },
+        ],
+      },
+    };
+
+    expect(readPaidCheckout(session)).toEqual({ amountPaid: 450.5, providerPaymentId: 'pay_ok' });
+    expect(readPaidCheckout({ attributes: {} })).toEqual({ amountPaid: 0, providerPaymentId: null });
+  });
+
+  describe('createCheckout', () => {
+    const booking = { renterId: 'renter-1', ownerId: 'owner-1', paymentStatus: 'pending_payment', downPayment: 900, remainingBalance: 2100 };
+    const pendingPayment = (id, amount) => ({
+      id,
+      ref: { update: jest.fn() },
+      data: () => ({ purpose: 'downpayment', amount, checkoutSessionId: `cs_${id}`, checkoutUrl: `https://pay/${id}` }),
+    });
+
+    beforeEach(() => jest.clearAllMocks());
+
+    it('should reuse an open checkout for the same amount and expire ones for an old amount', async () => {
+      const stale = pendingPayment('old', 800);
+      const current = pendingPayment('current', 900);
+      const payments = mockCollections(booking, [stale, current]);
+      paymentService.retrieveCheckoutSession.mockResolvedValue({ attributes: { status: 'active' } });
+
+      await expect(createCheckout('b1', 'downpayment', { uid: 'renter-1', role: 'renter' }))
+        .resolves.toEqual({ paymentId: 'current', purpose: 'downpayment', amount: 900, checkoutUrl: 'https://pay/current' });
+      expect(payments.where).toHaveBeenCalledWith('status', '==', 'pending');
+      expect(paymentService.expireCheckoutSession).toHaveBeenCalledWith('cs_old');
+      expect(stale.ref.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'expired' }));
+      expect(current.ref.update).not.toHaveBeenCalled();
+      expect(paymentService.createCheckoutSession).not.toHaveBeenCalled();
+    });
+
+    it('should open a new checkout once the old session has run out', async () => {
+      const lapsed = pendingPayment('lapsed', 900);
+      const payments = mockCollections(booking, [lapsed]);
+      const newRef = { id: 'new', set: jest.fn() };
+      payments.doc = () => newRef;
+      paymentService.retrieveCheckoutSession.mockResolvedValue({ attributes: { status: 'expired' } });
+      paymentService.createCheckoutSession.mockResolvedValue({ id: 'cs_new', checkoutUrl: 'https://pay/new' });
+
+      await expect(createCheckout('b1', 'downpayment', { uid: 'renter-1', role: 'renter' }))
+        .resolves.toEqual({ paymentId: 'new', purpose: 'downpayment', amount: 900, checkoutUrl: 'https://pay/new' });
+      expect(paymentService.expireCheckoutSession).not.toHaveBeenCalled();
+      expect(lapsed.ref.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'expired' }));
+      expect(newRef.set).toHaveBeenCalledWith(expect.objectContaining({ checkoutSessionId: 'cs_new', status: 'pending' }));
+    });
+  });
+
+  it('should fail a downpayment paid for an amount that is no longer due', async () => {
+    const booking = { paymentStatus: 'pending_payment', downPayment: 1200, remainingBalance: 1800 };
+    const payments = mockCollections(booking);
+    const paymentRef = {
+      get: jest.fn().mockResolvedValue(docSnapshot({ bookingId: 'b1', purpose: 'downpayment', amount: 900, checkoutSessionId: 'cs_1', status: 'pending' })),
+      update: jest.fn(),
+    };
+    payments.doc = () => paymentRef;
+    transitionBooking.mockImplementation(async (bookingId, status, actor, { updates }) => updates(booking));
+    const session = { id: 'cs_1', attributes: { metadata: { payment_id: 'pay-1' }, payments: [{ id: 'pay_1', attributes: { amount: 90000, status: 'paid' } }] } };
+
+    await expect(applyCheckoutPayment(session)).rejects.toThrow('the downpayment is now ₱1200.00');
+    expect(paymentRef.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', paidAmount: 900 }));
+  });
+});
@@ -0,0 +1,95 @@
+// backend/src/__tests__/paymentService.test.js
+
+const http = require('http');
+const { createMockPaymongoServer } = require('../../mockPaymongoServer');
+const {
+  PaymongoError,
+  createCheckoutSession,
+  retrieveCheckoutSession,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} = require('../services/paymentService');
+
+const WEBHOOK_SECRET = 'whsk_test_secret';
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+describe('Payment Service (against the mock Paymongo server)', () => {
+  const received = [];
+  const webhookReceiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ body, signature: req.headers['paymongo-signature'] });
+      res.end('ok');
+    });
+  });
+  let mock;
+
+  beforeAll(async () => {
+    const webhookPort = await listen(webhookReceiver);
+    mock = createMockPaymongoServer({ webhookUrl: `http://127.0.0.1:${webhookPort}/`, webhookSecret: WEBHOOK_SECRET });
+    const apiPort = await listen(mock.server);
+    process.env.PAYMONGO_API_URL = `http://127.0.0.1:${apiPort}/v1`;
+    process.env.PAYMONGO_SECRET_KEY = 'sk_test_mock';
+  });
+
+  afterAll(async () => {
+    delete process.env.PAYMONGO_API_URL;
+    delete process.env.PAYMONGO_SECRET_KEY;
+    await close(mock.server);
+    await close(webhookReceiver);
+  });
+
+  it('should create a checkout session with the amount in centavos', async () => {
+    const session = await createCheckoutSession({
+      amount: 1234.5,
+      name: 'Downpayment - booking #abcde',
+      description: 'RentCycle booking #abcde',
+      referenceNumber: 'pay-1',
+      successUrl: 'https://rentcycle.site/ok',
+      cancelUrl: 'https://rentcycle.site/cancel',
+      metadata: { payment_id: 'pay-1' },
+    });
+
+    expect(session.id).toMatch(/^cs_/);
+    expect(session.checkoutUrl).toContain(`/checkout/${session.id}`);
+    const stored = await retrieveCheckoutSession(session.id);
+    expect(stored.attributes.line_items).toEqual([{ amount: 123450, currency: 'PHP', name: 'Downpayment - booking #abcde', quantity: 1 }]);
+    expect(stored.attributes.metadata).toEqual({ payment_id: 'pay-1' });
+  });
+
+  it('should deliver a paid event whose signature verifies', async () => {
+    const session = await createCheckoutSession({ amount: 500, name: 'Balance', referenceNumber: 'pay-2', metadata: { payment_id: 'pay-2' } });
+    await mock.pay(session.id);
+
+    const { body, signature } = received[received.length - 1];
+    const event = JSON.parse(body).data;
+    expect(event.attributes.type).toBe('checkout_session.payment.paid');
+    expect(event.attributes.data.attributes.payments[0].attributes).toMatchObject({ amount: 50000, status: 'paid' });
+    expect(verifyWebhookSignature(body, signature, WEBHOOK_SECRET)).toBe(true);
+    expect(verifyWebhookSignature(body.replace('50000', '90000'), signature, WEBHOOK_SECRET)).toBe(false);
+    expect(verifyWebhookSignature(body, signature, 'whsk_wrong')).toBe(false);
+  });
+
+  it('should report Paymongo errors as PaymongoError', async () => {
+    await expect(retrieveCheckoutSession('cs_missing')).rejects.toThrow(PaymongoError);
+    await expect(retrieveCheckoutSession('cs_missing')).rejects.toThrow('No such checkout session.');
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  const body = '{"data":{}}';
+  const sig = signWebhookPayload(body, 1700000000, 'secret');
+
+  it('should check the live signature for live events', () => {
+    expect(verifyWebhookSignature(body, `t=1700000000,te=,li=${sig}`, 'secret', { livemode: true })).toBe(true);
+    expect(verifyWebhookSignature(body, `t=1700000000,te=${sig},li=`, 'secret', { livemode: true })).toBe(false);
+  });
+
+  it('should reject malformed headers', () => {
+    expect(verifyWebhookSignature(body, `te=${sig}`, 'secret')).toBe(false);
+    expect(verifyWebhookSignature(body, 'garbage', 'secret')).toBe(false);
+    expect(verifyWebhookSignature(undefined, `t=1700000000,te=${sig}`, 'secret')).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+// backend/src/__tests__/pricingEngine.test.js
+const {
+  PricingError,
+  normalizePricing,
+  quoteRental,
+  quoteExtension,
+  getMileageAllowance,
+  computeMileageOverage,
+} = require('../utils/pricingEngine');
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2025-03-01T08:00:00Z');
+const after = (hours) => new Date(start.getTime() + hours * HOUR);
+
+describe('Pricing Engine', () => {
+  describe('quoteRental', () => {
+    it('should bill leftover hours as a full day when no hourly or half-day rate is set', () => {
+      const quote = quoteRental({ rentalPricePerDay: 1000 }, start, after(25));
+
+      expect(quote.total).toBe(2000);
+      expect(quote.lineItems.map((item) => item.code)).toEqual(['daily', 'extra_day']);
+    });
+
+    it('should bill leftover hours at the cheapest of hourly, half-day and daily', () => {
+      const vehicle = { rentalPricePerDay: 1000, pricing: { hourlyRate: 100, halfDayRate: 600 } };
+
+      expect(quoteRental(vehicle, start, after(25)).total).toBe(1100);
+      expect(quoteRental(vehicle, start, after(32)).lineItems[1].code).toBe('half_day');
+      expect(quoteRental(vehicle, start, after(32)).total).toBe(1600);
+      expect(quoteRental(vehicle, start, after(47)).total).toBe(2000);
+    });
+
+    it('should round partial hours up', () => {
+      const vehicle = { rentalPricePerDay: 1000, pricing: { hourlyRate: 100 } };
+      const quote = quoteRental(vehicle, start, new Date(start.getTime() + 2.5 * HOUR));
+
+      expect(quote.durationHours).toBe(3);
+      expect(quote.total).toBe(300);
+    });
+
+    it('should apply the weekly and monthly discount tiers', () => {
+      const vehicle = { rentalPricePerDay: 1000, pricing: { weeklyDiscountPercent: 10, monthlyDiscountPercent: 25 } };
+
+      expect(quoteRental(vehicle, start, after(6 * 24)).discount).toBe(0);
+      expect(quoteRental(vehicle, start, after(7 * 24)).total).toBe(6300);
+      expect(quoteRental(vehicle, start, after(30 * 24)).total).toBe(22500);
+      expect(quoteRental(vehicle, start, after(30 * 24)).lineItems.pop().code).toBe('monthly_discount');
+    });
+
+    it('should fall back to the pricing object when rentalPricePerDay is missing', () => {
+      expect(quoteRental({ pricing: { manualPrice: '1500' } }, start, after(24)).total).toBe(1500);
+    });
+
+    it('should reject vehicles without a daily rate', () => {
+      expect(() => quoteRental({ pricing: {} }, start, after(24))).toThrow(PricingError);
+    });
+  });
+
+  describe('day-by-day rates', () => {
+    // 2025-04-14 08:00 Manila is a Monday; Holy Week overrides run Thursday to Sunday.
+    const monday = new Date('2025-04-14T00:00:00Z');
+    const vehicle = {
+      rentalPricePerDay: 1000,
+      pricing: {
+        weekendRate: 1200,
+        seasonalRates: [{ name: 'Holy Week', start: '2025-04-17', end: '2025-04-20', dailyRate: 1800 }],
+      },
+    };
+
+    it('should price each day with its seasonal, weekend or standard rate', () => {
+      const quote = quoteRental(vehicle, monday, new Date(monday.getTime() + 7 * 24 * HOUR));
+
+      expect(quote.days.map((day) => day.rateType)).toEqual([
+        'standard', 'standard', 'standard', 'seasonal', 'seasonal', 'seasonal', 'seasonal',
+      ]);
+      expect(quote.total).toBe(3 * 1000 + 4 * 1800);
+      expect(quote.lineItems.map((item) => item.label)).toEqual([
+        '3 days × ₱1000.00',
+        '4 days (Holy Week) × ₱1800.00',
+      ]);
+    });
+
+    it('should use the weekend rate outside any season', () => {
+      const saturday = new Date('2025-04-26T00:00:00Z');
+      const quote = quoteRental(vehicle, saturday, new Date(saturday.getTime() + 3 * 24 * HOUR));
+
+      expect(quote.days.map((day) => day.rate)).toEqual([1200, 1200, 1000]);
+      expect(quote.total).toBe(3400);
+    });
+
+    it('should bill a leftover partial day at that day\'s rate', () => {
+      const quote = quoteRental(vehicle, new Date('2025-04-16T00:00:00Z'), new Date('2025-04-17T05:00:00Z'));
+
+      expect(quote.days[1]).toMatchObject({ date: '2025-04-17', hours: 5, rateType: 'seasonal', amount: 1800 });
+      expect(quote.total).toBe(2800);
+    });
+  });
+
+  describe('quoteExtension', () => {
+    it('should charge the difference between the extended and original trip', () => {
+      const vehicle = { rentalPricePerDay: 1000, pricing: { hourlyRate: 100 } };
+      const { cost, newQuote } = quoteExtension(vehicle, start, after(24), after(27));
+
+      expect(cost).toBe(300);
+      expect(newQuote.total).toBe(1300);
+    });
+  });
+
+  describe('mileage allowance', () => {
+    const vehicle = { rentalPricePerDay: 1000, pricing: { dailyKmAllowance: '200', overageFeePerKm: 12 } };
+
+    it('should give the trip a daily allowance for each billable day', () => {
+      const quote = quoteRental(vehicle, start, after(50));
+
+      expect(getMileageAllowance(vehicle, quote)).toEqual({ dailyKm: 200, days: 3, totalKm: 600, overageFeePerKm: 12 });
+      expect(getMileageAllowance({ rentalPricePerDay: 1000 }, quote)).toBeNull();
+    });
+
+    it('should charge only the kilometres past the allowance', () => {
+      const allowance = { dailyKm: 200, days: 3, totalKm: 600, overageFeePerKm: 12 };
+
+      expect(computeMileageOverage(allowance, 550)).toEqual({ allowanceKm: 600, overageKm: 0, amount: 0 });
+      expect(computeMileageOverage(allowance, 675.5)).toEqual({ allowanceKm: 600, overageKm: 75.5, amount: 906 });
+      expect(computeMileageOverage(null, 2000)).toEqual({ allowanceKm: null, overageKm: 0, amount: 0 });
+    });
+  });
+
+  describe('normalizePricing', () => {
+    it('should clean rate fields and keep the rest', () => {
+      expect(normalizePricing({ manualPrice: 1200, hourlyRate: '80', halfDayRate: -5, weeklyDiscountPercent: 150 }))
+        .toEqual({ manualPrice: 1200, hourlyRate: 80, halfDayRate: null, weeklyDiscountPercent: 100 });
+    });
+
+    it('should drop invalid seasonal overrides and sort the rest', () => {
+      const { seasonalRates } = normalizePricing({
+        seasonalRates: [
+          { name: 'Christmas', start: '2025-12-20', end: '2026-01-02', dailyRate: '2000' },
+          { name: 'Backwards', start: '2025-05-10', end: '2025-05-01', dailyRate: 1500 },
+          { start: '2025-04-17', end: '2025-04-20', dailyRate: 1800 },
+          { name: 'Free', start: '2025-06-01', end: '2025-06-02', dailyRate: 0 },
+        ],
+      });
+
+      expect(seasonalRates).toEqual([
+        { name: 'Seasonal rate', start: '2025-04-17', end: '2025-04-20', dailyRate: 1800 },
+        { name: 'Christmas', start: '2025-12-20', end: '2026-01-02', dailyRate: 2000 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// backend/src/__tests__/promoCodes.test.js
+
+class MockTimestamp {
+  constructor(millis) { this.millis = millis; }
+  static fromDate(date) { return new MockTimestamp(date.getTime()); }
+  toMillis() { return this.millis; }
+  toDate() { return new Date(this.millis); }
+}
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      Timestamp: MockTimestamp,
+      FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    },
+  },
+  db: {},
+}));
+
+const { PromoCodeError, normalizePromoInput, evaluatePromoCode, applyPromoToQuote } = require('../utils/promoCodes');
+
+const now = new Date('2025-06-01T00:00:00Z');
+const vehicle = { ownerId: 'owner1', assetType: 'vehicle' };
+const quote = { durationHours: 72, total: 3000, lineItems: [] };
+const basePromo = { isActive: true, discountType: 'percentage', discountValue: 10, redemptionCount: 0 };
+
+const evaluate = (overrides, params = {}) =>
+  evaluatePromoCode({ ...basePromo, ...overrides }, { vehicle, quote, userRedemptionCount: 0, now, ...params });
+
+describe('Promo Codes', () => {
+  describe('evaluatePromoCode', () => {
+    it('should compute percentage and fixed discounts', () => {
+      expect(evaluate({})).toBe(300);
+      expect(evaluate({ discountType: 'fixed', discountValue: 500 })).toBe(500);
+    });
+
+    it('should cap the discount at maxDiscount and at the trip total', () => {
+      expect(evaluate({ maxDiscount: 200 })).toBe(200);
+      expect(evaluate({ discountType: 'fixed', discountValue: 5000 })).toBe(3000);
+    });
+
+    it('should reject codes outside their validity window', () => {
+      expect(() => evaluate({ startsAt: MockTimestamp.fromDate(new Date('2025-07-01')) })).toThrow('not valid yet');
+      expect(() => evaluate({ endsAt: MockTimestamp.fromDate(new Date('2025-05-01')) })).toThrow('expired');
+    });
+
+    it('should enforce the total and per-user usage caps', () => {
+      expect(() => evaluate({ maxRedemptions: 5, redemptionCount: 5 })).toThrow('usage limit');
+      expect(() => evaluate({ maxRedemptionsPerUser: 1 }, { userRedemptionCount: 1 })).toThrow(PromoCodeError);
+      expect(evaluate({ maxRedemptionsPerUser: 2 }, { userRedemptionCount: 1 })).toBe(300);
+    });
+
+    it('should enforce the minimum trip length and owner and asset type restrictions', () => {
+      expect(() => evaluate({ minTripDays: 4 })).toThrow('at least 4 day(s)');
+      expect(() => evaluate({ ownerIds: ['owner2'] })).toThrow('not valid for this vehicle');
+      expect(() => evaluate({ assetTypes: ['motorcycle'] })).toThrow('type of vehicle');
+      expect(evaluate({ ownerIds: ['owner1'], assetTypes: ['vehicle'] })).toBe(300);
+    });
+  });
+
+  describe('applyPromoToQuote', () => {
+    it('should add a promo line item and reduce the total', () => {
+      const discounted = applyPromoToQuote(quote, 'SUMMER10', 300);
+
+      expect(discounted.total).toBe(2700);
+      expect(discounted.lineItems).toEqual([
+        { code: 'promo', label: 'Promo code SUMMER10', quantity: 1, unitPrice: -300, amount: -300 },
+      ]);
+    });
+  });
+
+  describe('normalizePromoInput', () => {
+    it('should upper-case the code and parse limits', () => {
+      const promo = normalizePromoInput({ code: ' summer10 ', discountType: 'percentage', discountValue: '10', maxRedemptionsPerUser: '1' });
+
+      expect(promo).toMatchObject({ code: 'SUMMER10', discountValue: 10, maxRedemptionsPerUser: 1, maxRedemptions: null, isActive: true });
+    });
+
+    it('should reject percentages over 100, including on partial updates', () => {
+      expect(() => normalizePromoInput({ code: 'BIG', discountType: 'percentage', discountValue: 150 })).toThrow(PromoCodeError);
+      expect(() => normalizePromoInput({ discountType: 'percentage' }, { partial: true, existing: { discountValue: 500 } }))
+        .toThrow('cannot exceed 100');
+    });
+
+    it('should only return the fields sent on partial updates', () => {
+      expect(normalizePromoInput({ isActive: false }, { partial: true })).toEqual({ isActive: false });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// backend/src/__tests__/reservations.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+      Timestamp: { fromDate: (date) => ({ toDate: () => date }) },
+    },
+  },
+  db: { collection: jest.fn() },
+}));
+
+const { db } = require('../utils/firebase');
+const {
+  HOLD_STAGE,
+  getHoldExpiry,
+  isHoldActive,
+  findConflict,
+  loadReservations,
+} = require('../utils/reservations');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-06-01T00:00:00Z');
+const at = (hours) => new Date(now.getTime() + hours * HOUR);
+const hold = (bookingId, start, end, expiresAt = null) => ({ bookingId, start: at(start), end: at(end), expiresAt });
+
+describe('Reservations', () => {
+  describe('getHoldExpiry', () => {
+    it('should expire unpaid holds after 24 hours unless configured', () => {
+      expect(getHoldExpiry(HOLD_STAGE.APPROVAL, now, {})).toEqual(at(24));
+      expect(getHoldExpiry(HOLD_STAGE.PAYMENT, now, { RESERVATION_PAYMENT_HOLD_HOURS: '2' })).toEqual(at(2));
+      expect(getHoldExpiry(HOLD_STAGE.PAYMENT, now, { RESERVATION_PAYMENT_HOLD_HOURS: 'soon' })).toEqual(at(24));
+    });
+
+    it('should keep a hold with a submitted payment until the owner confirms it', () => {
+      expect(getHoldExpiry(HOLD_STAGE.SUBMITTED, now, {})).toBeNull();
+      expect(isHoldActive(hold('b1', 10, 20), at(1000))).toBe(true);
+    });
+  });
+
+  describe('findConflict', () => {
+    const vehicle = {
+      availability: [
+        { start: at(100), end: at(120) },
+        { start: at(200), end: at(220), bookingId: 'confirmed' },
+      ],
+      tripRules: { turnaroundHours: 3 },
+    };
+
+    it('should report owner blocks, confirmed bookings and other holds', () => {
+      const holds = [hold('held', 300, 320, at(24))];
+
+      expect(findConflict({ vehicle, holds, start: at(110), end: at(130), now }).code).toBe('owner_block');
+      expect(findConflict({ vehicle, holds, start: at(221), end: at(240), now }).code).toBe('booked');
+      expect(findConflict({ vehicle, holds, start: at(290), end: at(298), now }).code).toBe('held');
+      expect(findConflict({ vehicle, holds, start: at(130), end: at(190), now })).toBeNull();
+    });
+
+    it('should ignore expired holds and the booking\'s own block and hold', () => {
+      const holds = [hold('lapsed', 300, 320, at(-1)), hold('mine', 400, 420, at(24))];
+
+      expect(findConflict({ vehicle, holds, start: at(300), end: at(320), now })).toBeNull();
+      expect(findConflict({ vehicle, holds, start: at(400), end: at(430), bookingId: 'mine', now })).toBeNull();
+      expect(findConflict({ vehicle, holds, start: at(200), end: at(230), bookingId: 'confirmed', now })).toBeNull();
+    });
+  });
+
+  describe('loadReservations', () => {
+    let stored;
+    let transaction;
+
+    beforeEach(() => {
+      stored = { holds: [hold('lapsed', 10, 20, at(-1)), hold('other', 50, 60, at(12))] };
+      db.collection.mockReturnValue({ doc: (id) => ({ id }) });
+      transaction = {
+        get: jest.fn(async () => ({ exists: true, data: () => stored })),
+        set: jest.fn(),
+      };
+    });
+
+    it('should write the new hold with its expiry and drop expired ones', async () => {
+      const reservations = await loadReservations(transaction, 'vehicle-1');
+
+      expect(reservations.findConflict({ start: at(55), end: at(70), now }).code).toBe('held');
+      reservations.hold({ bookingId: 'new', start: at(70), end: at(90), stage: HOLD_STAGE.APPROVAL, now });
+      reservations.commit(now);
+
+      const [ref, written] = transaction.set.mock.calls[0];
+      expect(ref.id).toBe('vehicle-1');
+      expect(written.holds.map((item) => item.bookingId)).toEqual(['other', 'new']);
+      expect(written.holds[1]).toMatchObject({ stage: 'approval' });
+      expect(written.holds[1].expiresAt.toDate()).toEqual(at(24));
+    });
+
+    it('should only write when a hold was placed or released', async () => {
+      const reservations = await loadReservations(transaction, 'vehicle-1');
+
+      reservations.release('unknown');
+      reservations.commit(now);
+      expect(transaction.set).not.toHaveBeenCalled();
+
+      reservations.release('other');
+      reservations.commit(now);
+      expect(transaction.set.mock.calls[0][1].holds).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// backend/src/__tests__/securityDeposit.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: { firestore: { FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' } } },
+  db: {},
+}));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+
+const {
+  DEPOSIT_STATUS,
+  DepositError,
+  validateDepositAmount,
+  buildInitialDeposit,
+  normalizeDeductions,
+  assertDepositAction,
+  cancelUnpaidDeposit,
+} = require('../utils/securityDeposit');
+
+const renter = { uid: 'renter1', role: 'renter' };
+const owner = { uid: 'owner1', role: 'owner' };
+
+const bookingWith = (depositStatus, paymentStatus) => ({
+  renterId: 'renter1',
+  ownerId: 'owner1',
+  paymentStatus,
+  securityDeposit: { ...buildInitialDeposit({ securityDeposit: 3000 }), status: depositStatus },
+});
+
+describe('Security Deposit', () => {
+  it('should only start a deposit when the vehicle asks for one', () => {
+    expect(buildInitialDeposit({})).toBeNull();
+    expect(buildInitialDeposit({ securityDeposit: '2500' })).toMatchObject({ amount: 2500, status: DEPOSIT_STATUS.REQUESTED });
+  });
+
+  it('should validate the vehicle deposit amount', () => {
+    expect(validateDepositAmount('')).toBeNull();
+    expect(validateDepositAmount(0)).toBeNull();
+    expect(validateDepositAmount('1500.505')).toBe(1500.51);
+    expect(() => validateDepositAmount('abc')).toThrow(DepositError);
+  });
+
+  describe('assertDepositAction', () => {
+    it('should let the renter pay while the booking is awaiting payment', () => {
+      expect(() => assertDepositAction(bookingWith('requested', 'pending_payment'), 'pay', renter)).not.toThrow();
+      expect(() => assertDepositAction(bookingWith('requested', 'pending_payment'), 'pay', owner)).toThrow('owner cannot pay');
+    });
+
+    it('should reject actions from the wrong deposit status', () => {
+      expect(() => assertDepositAction(bookingWith('requested', 'confirmed'), 'confirm', owner))
+        .toThrow('Cannot confirm a deposit that is requested.');
+    });
+
+    it('should only forfeit after the vehicle is returned', () => {
+      expect(() => assertDepositAction(bookingWith('held', 'confirmed'), 'forfeit', owner)).toThrow('while the booking is confirmed');
+      expect(() => assertDepositAction(bookingWith('held', 'returned'), 'forfeit', owner)).not.toThrow();
+    });
+
+    it('should reject users who are not on the booking', () => {
+      expect(() => assertDepositAction(bookingWith('held', 'returned'), 'release', { uid: 'x', role: 'owner' }))
+        .toThrow('not a party');
+    });
+  });
+
+  it('should require an amount and reason for each deduction', () => {
+    expect(normalizeDeductions([{ amount: '500', reason: 'Scratched bumper', claimType: 'damage', claimId: 'c1' }]))
+      .toEqual([{ amount: 500, reason: 'Scratched bumper', claimType: 'damage', claimId: 'c1' }]);
+    expect(() => normalizeDeductions([{ amount: 500 }])).toThrow('needs a reason');
+    expect(() => normalizeDeductions([{ amount: 500, reason: 'x', claimType: 'fuel' }])).toThrow('claimType');
+  });
+
+  it('should cancel only deposits that were never paid', () => {
+    expect(cancelUnpaidDeposit(bookingWith('requested', 'pending_payment')).securityDeposit.status).toBe(DEPOSIT_STATUS.CANCELLED);
+    expect(cancelUnpaidDeposit(bookingWith('paid', 'pending_payment'))).toEqual({});
+    expect(cancelUnpaidDeposit({})).toEqual({});
+  });
+});
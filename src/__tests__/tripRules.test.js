@@ -0,0 +1,80 @@
+// backend/src/__tests__/tripRules.test.js
+
+const {
+  TRIP_RULE_CODES,
+  TripRuleError,
+  normalizeTripRules,
+  evaluateTripRules,
+  assertTripRules,
+} = require('../utils/tripRules');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-06-01T00:00:00Z');
+const at = (hours) => new Date(now.getTime() + hours * HOUR);
+const rules = normalizeTripRules({ minDays: 2, maxDays: '30', advanceNoticeHours: 12, turnaroundHours: 3 });
+const codes = (reasons) => reasons.map((reason) => reason.code);
+
+describe('Trip Rules', () => {
+  describe('normalizeTripRules', () => {
+    it('should keep the rules that are set and turn off the rest', () => {
+      expect(rules).toEqual({ minDays: 2, maxDays: 30, advanceNoticeHours: 12, turnaroundHours: 3 });
+      expect(normalizeTripRules({ minDays: 0, turnaroundHours: '1.5' }))
+        .toEqual({ minDays: null, maxDays: null, advanceNoticeHours: null, turnaroundHours: 1.5 });
+      expect(normalizeTripRules({ minDays: '' })).toBeNull();
+      expect(normalizeTripRules(null)).toBeNull();
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => normalizeTripRules([])).toThrow(TripRuleError);
+      expect(() => normalizeTripRules({ minDays: 1.5 })).toThrow('tripRules.minDays must be a whole number');
+      expect(() => normalizeTripRules({ advanceNoticeHours: -1 })).toThrow('tripRules.advanceNoticeHours');
+      expect(() => normalizeTripRules({ minDays: 5, maxDays: 3 })).toThrow('cannot be more than');
+    });
+  });
+
+  describe('evaluateTripRules', () => {
+    it('should allow a trip that follows every rule', () => {
+      expect(evaluateTripRules(rules, { start: at(24), end: at(72), now })).toEqual([]);
+      expect(evaluateTripRules(null, { start: at(1), end: at(2), now })).toEqual([]);
+    });
+
+    it('should enforce the minimum and maximum trip length', () => {
+      expect(evaluateTripRules(rules, { start: at(24), end: at(47), now })).toEqual([{
+        code: TRIP_RULE_CODES.MIN_DURATION,
+        message: 'Trips with this vehicle must last at least 2 days.',
+        minDays: 2,
+      }]);
+      expect(codes(evaluateTripRules(rules, { start: at(24), end: at(24 + 31 * 24), now }))).toEqual(['max_duration']);
+    });
+
+    it('should require advance notice and say when the earliest start is', () => {
+      const [reason] = evaluateTripRules(rules, { start: at(6), end: at(60), now });
+
+      expect(reason).toEqual({
+        code: TRIP_RULE_CODES.ADVANCE_NOTICE,
+        message: 'This vehicle must be booked at least 12 hours ahead.',
+        advanceNoticeHours: 12,
+        earliestStart: at(12).toISOString(),
+      });
+    });
+
+    it('should keep the turnaround buffer on both sides of other bookings', () => {
+      const otherBookings = [{ startDate: at(100), endDate: at(150) }];
+
+      expect(codes(evaluateTripRules(rules, { start: at(40), end: at(98), now, otherBookings }))).toEqual(['turnaround']);
+      expect(codes(evaluateTripRules(rules, { start: at(152), end: at(210), now, otherBookings }))).toEqual(['turnaround']);
+      expect(evaluateTripRules(rules, { start: at(153), end: at(210), now, otherBookings })).toEqual([]);
+    });
+
+    it('should let extensions skip the advance notice and minimum length', () => {
+      const trip = { start: at(-2), end: at(20), now, checkAdvanceNotice: false, checkMinDuration: false };
+
+      expect(evaluateTripRules(rules, trip)).toEqual([]);
+    });
+  });
+
+  it('should throw every broken rule at once', () => {
+    expect(() => assertTripRules(rules, { start: at(1), end: at(5), now }))
+      .toThrow(expect.objectContaining({ statusCode: 400, reasons: [expect.objectContaining({ code: 'min_duration' }), expect.objectContaining({ code: 'advance_notice' })] }));
+  });
+});
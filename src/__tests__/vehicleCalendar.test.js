@@ -0,0 +1,118 @@
+// backend/src/__tests__/vehicleCalendar.test.js
+
+jest.mock('../utils/firebase', () => ({ admin: {}, db: {} }));
+
+const {
+  CalendarError,
+  parseCalendarRange,
+  buildBusySlots,
+  mergeBusySlots,
+  buildVehicleCalendar,
+  mergeOwnerBlocks,
+} = require('../utils/vehicleCalendar');
+
+// Manila is UTC+8, so Manila midnight on June 2 is 16:00 UTC on June 1.
+const manila = (iso) => new Date(`${iso}+08:00`);
+const now = manila('2025-06-01T09:00:00');
+const vehicle = {
+  rentalPricePerDay: 1000,
+  pricing: { weekendRate: 1500 },
+  tripRules: { turnaroundHours: 3 },
+  availability: [
+    { start: manila('2025-06-10T00:00:00'), end: manila('2025-06-11T00:00:00') },
+    { start: manila('2025-06-03T08:00:00'), end: manila('2025-06-04T08:00:00'), bookingId: 'b1' },
+  ],
+};
+const bookings = [
+  { id: 'b1', startDate: manila('2025-06-03T08:00:00'), endDate: manila('2025-06-04T08:00:00'), paymentStatus: 'confirmed', renterId: 'renter-1' },
+];
+const holds = [
+  { bookingId: 'b2', start: manila('2025-06-04T12:00:00'), end: manila('2025-06-05T10:00:00'), stage: 'payment', expiresAt: manila('2025-06-02T09:00:00') },
+  { bookingId: 'b3', start: manila('2025-06-06T08:00:00'), end: manila('2025-06-07T08:00:00'), stage: 'approval', expiresAt: manila('2025-06-01T08:00:00') },
+];
+
+describe('Vehicle Calendar', () => {
+  describe('parseCalendarRange', () => {
+    it('should default to the next 60 Manila days', () => {
+      expect(parseCalendarRange({}, now)).toMatchObject({ from: '2025-06-01', to: '2025-07-30', start: manila('2025-06-01T00:00:00') });
+      expect(parseCalendarRange({ from: '2025-06-01', to: '2025-06-07' }, now).end).toEqual(manila('2025-06-08T00:00:00'));
+    });
+
+    it('should reject bad or oversized ranges', () => {
+      expect(() => parseCalendarRange({ from: 'June' })).toThrow(CalendarError);
+      expect(() => parseCalendarRange({ from: '2025-06-07', to: '2025-06-01' })).toThrow('to cannot be before from');
+      expect(() => parseCalendarRange({ from: '2025-01-01', to: '2026-06-01' })).toThrow('at most 366 days');
+    });
+  });
+
+  it('should list blocks, bookings and live holds once each, with turnaround buffers', () => {
+    const slots = buildBusySlots({ vehicle, bookings, holds, now });
+
+    expect(slots.map((slot) => [slot.type, slot.bookingId])).toEqual([
+      ['booked', 'b1'],
+      ['owner_block', null],
+      ['held', 'b2'],
+      ['turnaround', 'b1'],
+      ['turnaround', 'b1'],
+      ['turnaround', 'b2'],
+      ['turnaround', 'b2'],
+    ]);
+  });
+
+  it('should merge slots that touch or overlap', () => {
+    const range = parseCalendarRange({ from: '2025-06-01', to: '2025-06-14' });
+    const merged = mergeBusySlots(buildBusySlots({ vehicle, bookings, holds, now }), range);
+
+    expect(merged.map(({ start, end, types }) => [start, end, types])).toEqual([
+      [manila('2025-06-03T05:00:00'), manila('2025-06-05T13:00:00'), ['turnaround', 'booked', 'held']],
+      [manila('2025-06-10T00:00:00'), manila('2025-06-11T00:00:00'), ['owner_block']],
+    ]);
+  });
+
+  describe('buildVehicleCalendar', () => {
+    const range = parseCalendarRange({ from: '2025-06-05', to: '2025-06-08' });
+
+    it('should price the free days and keep bookings anonymous', () => {
+      const calendar = buildVehicleCalendar({ vehicle, bookings, holds, range, now });
+
+      expect(calendar.busy).toEqual([
+        { start: manila('2025-06-05T00:00:00').toISOString(), end: manila('2025-06-05T13:00:00').toISOString(), types: ['held', 'turnaround'] },
+      ]);
+      expect(calendar.freeDays).toEqual([
+        { date: '2025-06-06', rate: 1000, rateType: 'standard', season: null },
+        { date: '2025-06-07', rate: 1500, rateType: 'weekend', season: null },
+        { date: '2025-06-08', rate: 1500, rateType: 'weekend', season: null },
+      ]);
+      expect(JSON.stringify(calendar)).not.toMatch(/b2|renter/);
+    });
+
+    it('should show the owner which booking holds each slot', () => {
+      const calendar = buildVehicleCalendar({ vehicle, bookings, holds, range, annotate: true, now });
+
+      expect(calendar.busy[0].slots).toEqual([
+        expect.objectContaining({ type: 'held', bookingId: 'b2', status: 'payment' }),
+        expect.objectContaining({ type: 'turnaround', bookingId: 'b2' }),
+      ]);
+    });
+  });
+
+  describe('mergeOwnerBlocks', () => {
+    const utc = (iso) => new Date(`${iso}T00:00:00Z`);
+
+    it('should drop the editor\'s copies of booking blocks that don\'t start at midnight', () => {
+      const owned = { start: utc('2025-06-10'), end: utc('2025-06-11') };
+      const booking = { start: manila('2025-06-05T14:00:00'), end: manila('2025-06-07T10:00:00'), bookingId: 'b3' };
+      const sameDay = { start: manila('2025-06-12T09:00:00'), end: manila('2025-06-12T18:00:00'), bookingId: 'b4' };
+      // The editor sends the bookings back as whole dates: June 5 to 7 and June 12 to 12.
+      const sent = [owned, { start: utc('2025-06-05'), end: utc('2025-06-07') }, { start: utc('2025-06-12'), end: utc('2025-06-12') }];
+
+      expect(mergeOwnerBlocks(sent, [owned, booking, sameDay])).toEqual([owned, booking, sameDay]);
+    });
+
+    it('should keep imported blocks, even when the editor sent nothing back', () => {
+      const imported = { start: manila('2025-06-15T15:00:00'), end: manila('2025-06-17T11:00:00'), importId: 'airbnb' };
+
+      expect(mergeOwnerBlocks([], [...vehicle.availability, imported])).toEqual([vehicle.availability[1], imported]);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// backend/src/__tests__/webhookEvents.test.js
+const crypto = require('crypto');
+
+// A tiny in-memory Firestore: enough for get/set/update, increments and transactions.
+const mockDocs = new Map();
+jest.mock('../utils/firebase', () => {
+  const apply = (current = {}, updates) => {
+    const next = { ...current };
+    Object.entries(updates).forEach(([field, value]) => {
+      next[field] = value && value.increment !== undefined ? (next[field] || 0) + value.increment : value;
+    });
+    return next;
+  };
+  const snapshot = (id) => ({ exists: mockDocs.has(id), data: () => mockDocs.get(id) });
+  const doc = (id) => ({
+    id,
+    get: async () => snapshot(id),
+    update: async (updates) => { mockDocs.set(id, apply(mockDocs.get(id), updates)); },
+  });
+  return {
+    admin: {
+      firestore: {
+        FieldValue: {
+          serverTimestamp: () => ({ toMillis: () => Date.now(), toDate: () => new Date() }),
+          increment: (amount) => ({ increment: amount }),
+        },
+      },
+    },
+    db: {
+      collection: () => ({
+        doc,
+        add: async (data) => { mockDocs.set(`auto-${mockDocs.size}`, data); },
+      }),
+      runTransaction: async (fn) => fn({
+        get: async (ref) => snapshot(ref.id),
+        set: (ref, data) => { mockDocs.set(ref.id, apply({}, data)); },
+        update: (ref, updates) => { mockDocs.set(ref.id, apply(mockDocs.get(ref.id), updates)); },
+      }),
+    },
+  };
+});
+jest.mock('../utils/onlinePayments', () => ({ handlePaymongoEvent: jest.fn() }));
+
+const { handlePaymongoEvent } = require('../utils/onlinePayments');
+const {
+  WEBHOOK_EVENT_STATUS,
+  WebhookEventError,
+  canClaim,
+  recordRejectedDelivery,
+  receiveWebhookEvent,
+  replayWebhookEvent,
+} = require('../utils/webhookEvents');
+
+const admin = { uid: 'admin-1', role: 'admin' };
+const delivery = (eventId) => ({
+  provider: 'paymongo',
+  eventId,
+  eventType: 'checkout_session.payment.paid',
+  rawBody: JSON.stringify({ data: { id: eventId, attributes: { type: 'checkout_session.payment.paid' } } }),
+  signatureHeader: 't=1,te=abc,li=',
+});
+const permanent = (message) => Object.assign(new Error(message), { statusCode: 409 });
+
+describe('Webhook Events', () => {
+  beforeEach(() => {
+    mockDocs.clear();
+    handlePaymongoEvent.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => console.error.mockRestore());
+
+  it('should store and process an event once, only counting redeliveries', async () => {
+    handlePaymongoEvent.mockResolvedValue({ applied: true });
+
+    expect(await receiveWebhookEvent(delivery('evt_1'))).toEqual({ status: WEBHOOK_EVENT_STATUS.PROCESSED });
+    expect(await receiveWebhookEvent(delivery('evt_1'))).toEqual({ status: WEBHOOK_EVENT_STATUS.PROCESSED, duplicate: true });
+
+    expect(handlePaymongoEvent).toHaveBeenCalledTimes(1);
+    expect(handlePaymongoEvent).toHaveBeenCalledWith({ id: 'evt_1', attributes: { type: 'checkout_session.payment.paid' } });
+    expect(mockDocs.get('paymongo_evt_1')).toMatchObject({
+      eventId: 'evt_1',
+      signatureValid: true,
+      rawBody: delivery('evt_1').rawBody,
+      status: WEBHOOK_EVENT_STATUS.PROCESSED,
+      deliveries: 2,
+      attempts: 1,
+    });
+  });
+
+  it('should record ignored events with the reason', async () => {
+    handlePaymongoEvent.mockResolvedValue({ applied: false, reason: 'Ignored payment.failed event.' });
+
+    expect(await receiveWebhookEvent(delivery('evt_2'))).toEqual({ status: WEBHOOK_EVENT_STATUS.IGNORED, reason: 'Ignored payment.failed event.' });
+    expect(mockDocs.get('paymongo_evt_2').result).toBe('Ignored payment.failed event.');
+  });
+
+  it('should process a failed event again when it is redelivered', async () => {
+    handlePaymongoEvent.mockRejectedValueOnce(new Error('Firestore unavailable')).mockResolvedValueOnce({ applied: true });
+
+    expect(await receiveWebhookEvent(delivery('evt_3'))).toEqual({ status: WEBHOOK_EVENT_STATUS.FAILED, error: 'Firestore unavailable', retryable: true });
+    expect(await receiveWebhookEvent(delivery('evt_3'))).toEqual({ status: WEBHOOK_EVENT_STATUS.PROCESSED });
+    expect(mockDocs.get('paymongo_evt_3')).toMatchObject({ attempts: 2, deliveries: 2 });
+  });
+
+  it('should let an admin replay a permanently failed event', async () => {
+    handlePaymongoEvent.mockRejectedValueOnce(permanent('The extension this payment was for is no longer pending.'));
+    expect(await receiveWebhookEvent(delivery('evt_4'))).toMatchObject({ status: WEBHOOK_EVENT_STATUS.FAILED, retryable: false });
+
+    handlePaymongoEvent.mockResolvedValueOnce({ applied: true });
+    expect(await replayWebhookEvent('paymongo_evt_4', admin)).toEqual({ status: WEBHOOK_EVENT_STATUS.PROCESSED });
+    expect(mockDocs.get('paymongo_evt_4')).toMatchObject({ status: WEBHOOK_EVENT_STATUS.PROCESSED, attempts: 2, lastReplayedBy: 'admin-1', error: null });
+  });
+
+  it('should only replay failed, verified events', async () => {
+    handlePaymongoEvent.mockResolvedValue({ applied: true });
+    await receiveWebhookEvent(delivery('evt_5'));
+    await recordRejectedDelivery({ provider: 'paymongo', rawBody: '{}', signatureHeader: 't=1,te=bad', reason: 'Invalid Paymongo-Signature' });
+
+    await expect(replayWebhookEvent('paymongo_evt_5', admin)).rejects.toThrow('only failed events');
+    await expect(replayWebhookEvent('auto-1', admin)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(replayWebhookEvent('missing', admin)).rejects.toBeInstanceOf(WebhookEventError);
+    expect(mockDocs.get('auto-1')).toMatchObject({ signatureValid: false, status: WEBHOOK_EVENT_STATUS.REJECTED, error: 'Invalid Paymongo-Signature' });
+  });
+
+  it('should keep only the size and hash of a rejected delivery\'s body', async () => {
+    const junk = 'x'.repeat(100 * 1024);
+    await recordRejectedDelivery({ provider: 'paymongo', rawBody: junk, signatureHeader: 'y'.repeat(4096), reason: 'Invalid Paymongo-Signature' });
+
+    const [stored] = [...mockDocs.values()];
+    expect(stored).not.toHaveProperty('rawBody');
+    expect(stored).toMatchObject({
+      bodyBytes: junk.length,
+      bodySha256: crypto.createHash('sha256').update(junk).digest('hex'),
+      status: WEBHOOK_EVENT_STATUS.REJECTED,
+    });
+    expect(stored.signatureHeader).toHaveLength(512);
+  });
+
+  it('should take over an event stuck processing past the timeout', () => {
+    const now = Date.parse('2025-06-01T12:00:00Z');
+    const processingSince = (minutes) => ({
+      status: WEBHOOK_EVENT_STATUS.PROCESSING,
+      lastAttemptAt: { toMillis: () => now - minutes * 60 * 1000 },
+    });
+
+    expect(canClaim(processingSince(2), now)).toBe(false);
+    expect(canClaim(processingSince(11), now)).toBe(true);
+    expect(canClaim({ status: WEBHOOK_EVENT_STATUS.IGNORED }, now)).toBe(false);
+    expect(canClaim(null, now)).toBe(true);
+  });
+});
@@ -0,0 +1,125 @@
+// backend/src/__tests__/withDriver.test.js
+
+jest.mock('../utils/firebase', () => ({
+  admin: {
+    firestore: {
+      Timestamp: { fromDate: (date) => ({ toDate: () => date }) },
+      FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    },
+  },
+  db: {},
+}));
+jest.mock('../utils/notificationHelper', () => ({ createNotification: jest.fn() }));
+
+const {
+  DRIVE_MODES,
+  DEFAULT_DRIVER_HOURS_PER_DAY,
+  DriverError,
+  normalizeWithDriverSettings,
+  resolveDriveMode,
+  getDriverTerms,
+  applyDriverFeesToQuote,
+  quoteDriverExtension,
+  validateDriverProfileInput,
+} = require('../utils/withDriver');
+
+const withDriver = normalizeWithDriverSettings({
+  available: true,
+  dailyRate: '1500',
+  overtimeRatePerHour: 200,
+  mealAllowancePerDay: 300,
+  lodgingAllowancePerNight: 800,
+});
+const quote = (billableDays) => ({ billableDays, lineItems: [], total: billableDays * 2000 });
+const approvedRenter = { isApprovedToDrive: true };
+
+describe('With-driver bookings', () => {
+  describe('normalizeWithDriverSettings', () => {
+    it('should clean the rates and default the driver to a 10-hour day', () => {
+      expect(withDriver).toEqual({
+        available: true,
+        required: false,
+        dailyRate: 1500,
+        hoursPerDay: DEFAULT_DRIVER_HOURS_PER_DAY,
+        overtimeRatePerHour: 200,
+        mealAllowancePerDay: 300,
+        lodgingAllowancePerNight: 800,
+      });
+      expect(normalizeWithDriverSettings('')).toBeNull();
+    });
+
+    it('should require a daily rate when a driver is offered', () => {
+      expect(() => normalizeWithDriverSettings({ available: true })).toThrow(DriverError);
+      expect(() => normalizeWithDriverSettings({ available: true, dailyRate: 1500, hoursPerDay: 25 })).toThrow('hoursPerDay');
+      expect(() => normalizeWithDriverSettings({ available: true, dailyRate: 1500, mealAllowancePerDay: -1 })).toThrow('mealAllowancePerDay');
+      expect(normalizeWithDriverSettings({ available: false, required: true })).toMatchObject({ available: false, required: false });
+    });
+  });
+
+  describe('resolveDriveMode', () => {
+    it('should only let renters with an approved drive application book self-drive', () => {
+      expect(resolveDriveMode({}, undefined, approvedRenter)).toBe(DRIVE_MODES.SELF_DRIVE);
+      expect(() => resolveDriveMode({}, undefined, {})).toThrow(expect.objectContaining({ statusCode: 403 }));
+      expect(() => resolveDriveMode({ withDriver }, DRIVE_MODES.SELF_DRIVE, {})).toThrow('book this vehicle with a driver instead');
+    });
+
+    it('should skip the drive application for with-driver bookings', () => {
+      expect(resolveDriveMode({ withDriver }, DRIVE_MODES.WITH_DRIVER, {})).toBe(DRIVE_MODES.WITH_DRIVER);
+      expect(() => resolveDriveMode({}, DRIVE_MODES.WITH_DRIVER, {})).toThrow('not offered with a driver');
+    });
+
+    it('should default to and enforce with-driver for vehicles that require it', () => {
+      const vehicle = { withDriver: { ...withDriver, required: true } };
+
+      expect(resolveDriveMode(vehicle, undefined, {})).toBe(DRIVE_MODES.WITH_DRIVER);
+      expect(() => resolveDriveMode(vehicle, DRIVE_MODES.SELF_DRIVE, approvedRenter)).toThrow('only rented with a driver');
+      expect(() => resolveDriveMode(vehicle, 'chauffeur', approvedRenter)).toThrow('driveMode must be one of');
+    });
+  });
+
+  describe('driver fees', () => {
+    const terms = getDriverTerms({ withDriver });
+
+    it('should charge the daily rate and meals per day and lodging per night', () => {
+      const priced = applyDriverFeesToQuote(quote(3), terms);
+
+      expect(priced.driverFeesTotal).toBe(7000);
+      expect(priced.total).toBe(13000);
+      expect(priced.lineItems).toEqual([
+        { code: 'driver', label: 'Driver (3 days)', quantity: 3, unitPrice: 1500, amount: 4500 },
+        { code: 'driver_meals', label: 'Driver meal allowance (3 days)', quantity: 3, unitPrice: 300, amount: 900 },
+        { code: 'driver_lodging', label: 'Driver lodging (2 nights)', quantity: 2, unitPrice: 800, amount: 1600 },
+      ]);
+    });
+
+    it('should leave out lodging for a same-day trip and self-drive quotes untouched', () => {
+      expect(applyDriverFeesToQuote(quote(1), terms).lineItems.map((item) => item.code)).toEqual(['driver', 'driver_meals']);
+      expect(applyDriverFeesToQuote(quote(1), null)).toEqual(quote(1));
+    });
+
+    it('should charge the extra days of an extension', () => {
+      expect(quoteDriverExtension(terms, quote(2), quote(3))).toBe(2600);
+      expect(quoteDriverExtension(null, quote(2), quote(3))).toBe(0);
+    });
+  });
+
+  describe('validateDriverProfileInput', () => {
+    const licenseExpiry = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+    it('should clean the profile fields', () => {
+      const profile = validateDriverProfileInput({
+        email: ' Driver@Example.com ', name: 'Juan Dela Cruz', phoneNumber: '09171234567', licenseNumber: 'N01-23-456789', licenseExpiry,
+      });
+
+      expect(profile).toMatchObject({ email: 'driver@example.com', name: 'Juan Dela Cruz', licenseNumber: 'N01-23-456789' });
+      expect(profile.licenseExpiry.toDate()).toEqual(new Date(licenseExpiry));
+    });
+
+    it('should reject missing fields and expired licenses', () => {
+      expect(() => validateDriverProfileInput({ email: 'driver@example.com', licenseExpiry })).toThrow('name, phoneNumber, licenseNumber');
+      expect(() => validateDriverProfileInput({
+        email: 'driver@example.com', name: 'Juan', phoneNumber: '0917', licenseNumber: 'N01', licenseExpiry: '2020-01-01',
+      })).toThrow('expired');
+    });
+  });
+});
@@ -1,5 +1,43 @@
 const { admin, db, storageBucket } = require('../utils/firebase');
 const { createNotification } = require('../utils/notificationHelper');
+const {
+  BOOKING_STATUS,
+  ACTIVE_BOOKING_STATUSES,
+  SYSTEM_ACTOR,
+  BookingTransitionError,
+  assertTransition,
+  getAllowedTransitions,
+  transitionBooking,
+  resolveActorRole,
+} = require('../utils/bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory, getBookingHistoryEntries } = require('../utils/bookingHistory');
+const { PricingError, quoteRental, quoteExtension, toPriceBreakdown, getMileageAllowance } = require('../utils/pricingEngine');
+const { PromoCodeError, previewPromoCode, redeemPromoCode, releasePromoRedemption } = require('../utils/promoCodes');
+const { getDownpaymentSettings, resolveDownpaymentPercent, splitDownpayment } = require('../utils/downpaymentPolicy');
+const { buildInitialDeposit, cancelUnpaidDeposit } = require('../utils/securityDeposit');
+const { REFUND_STATUS, CancellationError, computeRefund, createRefundRecord, newRefundRef } = require('../utils/cancellationPolicy');
+const { getGraceHours, buildReturnUpdates, getRunningLateFee } = require('../utils/lateFees');
+const {
+  AddOnError,
+  resolveAddOnSelections,
+  parseAddOnQuery,
+  applyAddOnsToQuote,
+  quoteAddOnExtension,
+  assertAddOnsAvailable,
+} = require('../utils/addOns');
+const {
+  DRIVE_MODES,
+  DriverError,
+  resolveDriveMode,
+  getDriverTerms,
+  applyDriverFeesToQuote,
+  quoteDriverExtension,
+} = require('../utils/withDriver');
+const { DeliveryError, formatAddress, planDelivery, applyDeliveryToQuote } = require('../utils/delivery');
+const { checkInstantBook } = require('../utils/instantBook');
+const { TripRuleError, evaluateTripRules, assertTripRules } = require('../utils/tripRules');
+const { HOLD_STAGE, ReservationError, findConflict, loadReservations, getActiveHolds } = require('../utils/reservations');
+const { findPendingExtensionIndex, buildExtensionSettlement } = require('../utils/onlinePayments');
 const { DateTime } = require('luxon');
 const PDFDocument = require('pdfkit');
 const path = require('path');
@@ -38,6 +76,21 @@ const extractUserDetails = (userDoc) => {
   };
 };
 
+// HELPER: The cost fields of a new booking.
+const bookingCostFields = (quote, downPaymentPercent) => ({
+  totalCost: quote.total,
+  priceBreakdown: toPriceBreakdown(quote),
+  downPaymentPercent,
+  ...splitDownpayment(quote.total, downPaymentPercent),
+});
+
+// HELPER: Send a lifecycle rejection with its own status code. Returns false for any other error.
+const sendTransitionError = (res, error) => {
+  if (!(error instanceof BookingTransitionError)) return false;
+  res.status(error.statusCode).json(error.toJSON());
+  return true;
+};
+
 // ==================================================================
 // CONTROLLER FUNCTIONS
 // ==================================================================
@@ -106,7 +159,9 @@ const getAllBookings = async (req, res) => {
 
 const createBooking = async (req, res) => {
   try {
-    const { vehicleId, startDate, endDate } = req.body;
+    const {
+      vehicleId, startDate, endDate, promoCode, addOns, driveMode: requestedDriveMode, deliveryAddress, returnAddress,
+    } = req.body;
     const renterId = req.customUser.uid;
 
     // --- 1. CHECK IF RENTER IS SUSPENDED ---
@@ -150,19 +205,38 @@ const createBooking = async (req, res) => {
       return res.status(403).json({ message: 'You cannot book your own vehicle.' });
     }
 
-    const rentalPricePerDay = parseFloat(vehicleData.rentalPricePerDay);
-    if (isNaN(rentalPricePerDay) || rentalPricePerDay <= 0) {
-      return res.status(500).json({ message: 'Vehicle rental price is invalid or not set. Cannot create booking.' });
-    }
+    // Trip length and advance notice; the turnaround buffer around other bookings is
+    // checked in the transaction below.
+    const tripRules = vehicleData.tripRules || null;
+    assertTripRules(tripRules, { start, end, otherBookings: [] });
 
-    const diffMilliseconds = end.getTime() - start.getTime();
-    const diffHours = diffMilliseconds / (1000 * 60 * 60);
-    const calculatedDays = Math.ceil(diffHours / 24);
-    const billableDays = calculatedDays > 0 ? calculatedDays : 1;
-    const backendTotalCost = parseFloat((rentalPricePerDay * billableDays).toFixed(2));
+    // Self-drive needs an approved drive application; with-driver bookings don't.
+    const driveMode = resolveDriveMode(vehicleData, requestedDriveMode, req.customUser);
+    const driverTerms = driveMode === DRIVE_MODES.WITH_DRIVER ? getDriverTerms(vehicleData) : null;
+
+    let quote;
+    try {
+      quote = quoteRental(vehicleData, start, end);
+    } catch (error) {
+      if (error instanceof PricingError) {
+        return res.status(500).json({ message: `${error.message} Cannot create booking.` });
+      }
+      throw error;
+    }
+    const selectedAddOns = resolveAddOnSelections(vehicleData, addOns);
+    quote = applyDriverFeesToQuote(applyAddOnsToQuote(quote, selectedAddOns), driverTerms);
+    // Addresses are geocoded and refused if they fall outside the vehicle's delivery radius.
+    const deliveryPlan = await planDelivery(vehicleData, { deliveryAddress, returnAddress });
+    quote = applyDeliveryToQuote(quote, deliveryPlan);
+
+    const downPaymentRule = resolveDownpaymentPercent({
+      vehicle: vehicleData,
+      owner: ownerDoc.exists ? ownerDoc.data() : {},
+      settings: await getDownpaymentSettings(),
+    });
 
-    const downPayment = parseFloat((backendTotalCost * 0.20).toFixed(2));
-    const remainingBalance = parseFloat((backendTotalCost - downPayment).toFixed(2));
+    // Renters who meet the vehicle's instant book requirements skip owner approval.
+    const instantBook = await checkInstantBook(vehicleData, renterId, req.customUser);
 
     const newBooking = {
       vehicleId,
@@ -170,29 +244,114 @@ const createBooking = async (req, res) => {
       ownerId,
       startDate: admin.firestore.Timestamp.fromDate(start),
       endDate: admin.firestore.Timestamp.fromDate(end),
-      totalCost: backendTotalCost,
-      downPayment: downPayment,
-      remainingBalance: remainingBalance,
+      ...bookingCostFields(quote, downPaymentRule.percent),
+      mileageAllowance: getMileageAllowance(vehicleData, quote),
+      addOns: selectedAddOns,
+      driveMode,
+      driverTerms,
+      driver: null,
+      delivery: deliveryPlan,
+      securityDeposit: buildInitialDeposit(vehicleData),
       amountPaid: 0,
-      paymentStatus: 'pending_owner_approval',
+      paymentStatus: instantBook.eligible ? BOOKING_STATUS.PENDING_PAYMENT : BOOKING_STATUS.PENDING_OWNER_APPROVAL,
+      instantBooked: instantBook.eligible,
       isReminderSent: false,
       extensions: [],
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
-    const docRef = await db.collection('bookings').add(newBooking);
+    // The dates are held, add-on stock and the promo code are checked, and the code's use
+    // counted, in the same transaction that creates the booking. A request that overlaps
+    // another booking or hold gets a 409.
+    const docRef = db.collection('bookings').doc();
+    await db.runTransaction(async (transaction) => {
+      const currentVehicle = await transaction.get(vehicleRef);
+      const reservations = await loadReservations(transaction, vehicleId);
+      const conflict = reservations.findConflict({ vehicle: currentVehicle.data(), start, end });
+      if (conflict) {
+        throw new ReservationError(conflict.message, 409, conflict.code);
+      }
+      // Blocks can be edited away by the owner, so confirmed bookings are checked directly.
+      const activeBookings = await transaction.get(db.collection('bookings')
+        .where('vehicleId', '==', vehicleId)
+        .where('paymentStatus', 'in', ACTIVE_BOOKING_STATUSES));
+      const otherBookings = activeBookings.docs.map((doc) => doc.data());
+      const overlapping = otherBookings.some((other) => {
+        const otherStart = convertToDate(other.startDate);
+        const otherEnd = convertToDate(other.endDate);
+        return otherStart && otherEnd && start < otherEnd && end > otherStart;
+      });
+      if (overlapping) {
+        throw new ReservationError('The vehicle is already booked during some of the requested times.', 409, 'booked');
+      }
+      assertTripRules(tripRules, { start, end, otherBookings });
+      await assertAddOnsAvailable({ ownerId, vehicle: vehicleData, selected: selectedAddOns, start, end, transaction });
+      let redemption = null;
+      if (promoCode) {
+        redemption = await redeemPromoCode(transaction, promoCode, {
+          userId: renterId,
+          bookingId: docRef.id,
+          vehicle: vehicleData,
+          quote,
+        });
+        Object.assign(newBooking, bookingCostFields(redemption.quote, downPaymentRule.percent), { promo: redemption.promo });
+      }
 
-    await createNotification(
-      ownerId,
-      `You have a new booking request for your ${vehicleData.make || 'vehicle'}.`,
-      `/dashboard/my-bookings/${docRef.id}`
-    );
+      reservations.hold({
+        bookingId: docRef.id,
+        start,
+        end,
+        stage: instantBook.eligible ? HOLD_STAGE.PAYMENT : HOLD_STAGE.APPROVAL,
+      });
+      reservations.commit();
+      redemption?.commit();
+      transaction.set(docRef, newBooking);
+    });
+
+    await recordBookingHistory(docRef.id, buildHistoryEntry({
+      actor: req.customUser,
+      actorRole: 'renter',
+      action: 'create',
+      previousStatus: null,
+      newStatus: newBooking.paymentStatus,
+      updates: newBooking,
+      note: instantBook.eligible ? 'Instant book: accepted automatically.' : null,
+    }));
+
+    if (instantBook.eligible) {
+      await createNotification(
+        ownerId,
+        `Your ${vehicleData.make || 'vehicle'} was instant booked. The booking was accepted automatically and is awaiting payment.`,
+        `/dashboard/my-bookings/${docRef.id}`
+      );
+      await createNotification(
+        renterId,
+        'Your booking was accepted instantly! Please proceed with payment.'
+          + (newBooking.securityDeposit ? ` A refundable ₱${newBooking.securityDeposit.amount.toFixed(2)} security deposit is also required.` : ''),
+        `/dashboard/my-bookings/${docRef.id}`
+      );
+    } else {
+      await createNotification(
+        ownerId,
+        `You have a new booking request for your ${vehicleData.make || 'vehicle'}.`,
+        `/dashboard/my-bookings/${docRef.id}`
+      );
+    }
 
-    log(`Booking request created with ID: ${docRef.id}`);
+    log(`Booking ${instantBook.eligible ? 'instant booked' : 'request created'} with ID: ${docRef.id}`);
     res.status(201).json({ id: docRef.id, ...newBooking });
 
   } catch (error) {
+    if (error instanceof TripRuleError) {
+      return res.status(error.statusCode).json({ message: error.message, reasons: error.reasons });
+    }
+    if (error instanceof ReservationError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    if ([PromoCodeError, AddOnError, DriverError, DeliveryError].some((ErrorClass) => error instanceof ErrorClass)) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('[BookingController] Error creating booking:', error);
     res.status(500).json({ message: 'Error creating booking request.', error: error.message });
   }
@@ -202,7 +361,7 @@ const apiCheckAvailability = async (req, res) => {
   log(`Checking availability with query: ${JSON.stringify(req.query)}`);
   try {
     const { vehicleId } = req.params;
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, promoCode, addOns, driveMode: requestedDriveMode } = req.query;
     const requesterId = req.customUser.uid;
 
     // --- 1. CHECK IF RENTER IS SUSPENDED ---
@@ -258,10 +417,9 @@ const apiCheckAvailability = async (req, res) => {
       }
     }
 
-    const activeBookingStatuses = ['confirmed', 'pending_extension_payment', 'awaiting_return'];
     const bookingsRef = db.collection('bookings')
                           .where('vehicleId', '==', vehicleId)
-                          .where('paymentStatus', 'in', activeBookingStatuses);
+                          .where('paymentStatus', 'in', ACTIVE_BOOKING_STATUSES);
 
     const snapshot = await bookingsRef.get();
     let isOverlapping = false;
@@ -279,22 +437,97 @@ const apiCheckAvailability = async (req, res) => {
       return res.status(200).json({ isAvailable: false, message: 'Vehicle is already booked during some of the requested dates.' });
     }
 
-    const rentalPricePerDay = parseFloat(vehicleData.rentalPricePerDay);
-    if (isNaN(rentalPricePerDay) || rentalPricePerDay <= 0) {
-      return res.status(500).json({ isAvailable: false, message: 'Vehicle rental price is invalid or not set.' });
+    // Unpaid bookings hold their dates until the hold expires.
+    const holdConflict = findConflict({
+      vehicle: { tripRules: vehicleData.tripRules },
+      holds: await getActiveHolds(vehicleId),
+      start: requestedStart,
+      end: requestedEnd,
+    });
+    if (holdConflict) {
+      log('Availability check failed: Overlaps with a reservation hold');
+      return res.status(200).json({ isAvailable: false, message: holdConflict.message, code: holdConflict.code });
     }
 
-    const diffMilliseconds = requestedEnd.getTime() - requestedStart.getTime();
-    const diffHours = diffMilliseconds / (1000 * 60 * 60);
-    const calculatedDays = Math.ceil(diffHours / 24);
-    const billableDays = calculatedDays > 0 ? calculatedDays : 1;
-    const totalCost = parseFloat((rentalPricePerDay * billableDays).toFixed(2));
+    const tripRuleReasons = evaluateTripRules(vehicleData.tripRules, {
+      start: requestedStart,
+      end: requestedEnd,
+      otherBookings: snapshot.docs.map((doc) => doc.data()),
+    });
+    if (tripRuleReasons.length > 0) {
+      log(`Availability check failed: Breaks trip rules ${tripRuleReasons.map((reason) => reason.code).join(', ')}`);
+      return res.status(200).json({
+        isAvailable: false,
+        message: tripRuleReasons.map((reason) => reason.message).join(' '),
+        reasons: tripRuleReasons,
+      });
+    }
+
+    let quote;
+    try {
+      quote = quoteRental(vehicleData, requestedStart, requestedEnd);
+    } catch (error) {
+      if (error instanceof PricingError) {
+        return res.status(500).json({ isAvailable: false, message: error.message });
+      }
+      throw error;
+    }
+
+    // Add-ons that can't be had for these dates are reported but leave the vehicle available.
+    let addOnError = null;
+    try {
+      const selectedAddOns = resolveAddOnSelections(vehicleData, parseAddOnQuery(addOns));
+      await assertAddOnsAvailable({ ownerId, vehicle: vehicleData, selected: selectedAddOns, start: requestedStart, end: requestedEnd });
+      quote = applyAddOnsToQuote(quote, selectedAddOns);
+    } catch (error) {
+      if (!(error instanceof AddOnError)) throw error;
+      addOnError = error.message;
+    }
+
+    // Likewise for a drive mode the renter can't book; the quote stays self-drive.
+    let driveMode = DRIVE_MODES.SELF_DRIVE;
+    let driveModeError = null;
+    try {
+      driveMode = resolveDriveMode(vehicleData, requestedDriveMode, req.customUser);
+      if (driveMode === DRIVE_MODES.WITH_DRIVER) {
+        quote = applyDriverFeesToQuote(quote, getDriverTerms(vehicleData));
+      }
+    } catch (error) {
+      if (!(error instanceof DriverError)) throw error;
+      driveModeError = error.message;
+    }
 
-    log(`Availability check success. Cost: ${totalCost}`);
+    // An invalid promo code doesn't make the vehicle unavailable; the quote is returned without it.
+    let promoError = null;
+    if (promoCode) {
+      try {
+        quote = await previewPromoCode(promoCode, { userId: requesterId, vehicle: vehicleData, quote });
+      } catch (error) {
+        if (!(error instanceof PromoCodeError)) throw error;
+        promoError = error.message;
+      }
+    }
+
+    const downPaymentRule = resolveDownpaymentPercent({
+      vehicle: vehicleData,
+      owner: ownerDoc.exists ? ownerDoc.data() : {},
+      settings: await getDownpaymentSettings(),
+    });
+
+    log(`Availability check success. Cost: ${quote.total}`);
     res.status(200).json({
         isAvailable: true,
         message: 'Vehicle is available for the selected dates.',
-        totalCost
+        totalCost: quote.total,
+        downPaymentPercent: downPaymentRule.percent,
+        ...splitDownpayment(quote.total, downPaymentRule.percent),
+        mileageAllowance: getMileageAllowance(vehicleData, quote),
+        driveMode,
+        quote,
+        ...(vehicleData.instantBook?.enabled ? { instantBook: await checkInstantBook(vehicleData, requesterId, req.customUser) } : {}),
+        ...(addOnError ? { addOnError } : {}),
+        ...(driveModeError ? { driveModeError } : {}),
+        ...(promoError ? { promoError } : {}),
     });
 
   } catch (error) {
@@ -346,6 +579,10 @@ const getBookingsByUser = async (req, res) => {
 const getBookingsByVehicle = async (req, res) => {
   try {
     const { vehicleId } = req.params;
+    const vehicleDoc = await db.collection('vehicles').doc(vehicleId).get();
+    const isOwnerOrAdmin = req.customUser.role === 'admin'
+      || (vehicleDoc.exists && vehicleDoc.data().ownerId === req.customUser.uid);
+
     const bookingsRef = db.collection('bookings').where('vehicleId', '==', vehicleId);
     const snapshot = await bookingsRef.get();
 
@@ -355,11 +592,18 @@ const getBookingsByVehicle = async (req, res) => {
 
     const bookings = snapshot.docs.map(doc => {
         const bookingData = doc.data();
+        const dates = {
+            startDate: convertToDate(bookingData.startDate)?.toISOString() || null,
+            endDate: convertToDate(bookingData.endDate)?.toISOString() || null,
+        };
+        // Everyone else gets dates and status only; GET /api/vehicles/:id/calendar is the public view.
+        if (!isOwnerOrAdmin) {
+            return { id: doc.id, ...dates, paymentStatus: bookingData.paymentStatus };
+        }
         return {
             id: doc.id,
             ...bookingData,
-            startDate: convertToDate(bookingData.startDate)?.toISOString() || null,
-            endDate: convertToDate(bookingData.endDate)?.toISOString() || null,
+            ...dates,
             createdAt: convertToDate(bookingData.createdAt)?.toISOString() || null,
         }
     });
@@ -396,7 +640,8 @@ const getBookingById = async (req, res) => {
 
     const requesterId = req.customUser.uid;
     const requesterRole = req.customUser.role;
-    if (requesterRole !== 'admin' && requesterId !== bookingData.renterId && requesterId !== (vehicleData ? vehicleData.ownerId : null)) {
+    const isDriver = Boolean(bookingData.driver) && requesterId === bookingData.driver.userId;
+    if (requesterRole !== 'admin' && !isDriver && requesterId !== bookingData.renterId && requesterId !== (vehicleData ? vehicleData.ownerId : null)) {
       return res.status(403).json({ message: 'Unauthorized access to booking details.' });
     }
 
@@ -409,6 +654,9 @@ const getBookingById = async (req, res) => {
       vehicleDetails: vehicleData,
       renterDetails: extractUserDetails(renterDoc),
       ownerDetails: extractUserDetails(ownerDoc),
+      allowedTransitions: getAllowedTransitions(bookingData, req.customUser),
+      // What the renter owes for being late if the vehicle came back right now.
+      overdueCharge: getRunningLateFee(bookingData, vehicleData),
     });
   } catch (error) {
     console.error(`Error fetching booking by ID ${req.params.bookingId}:`, error);
@@ -416,41 +664,36 @@ const getBookingById = async (req, res) => {
   }
 };
 
-const approveBooking = async (req, res) => {
+const getBookingHistory = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const approverId = req.customUser.uid;
-    const approverRole = req.customUser.role;
-
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    const bookingDoc = await bookingRef.get();
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
 
     if (!bookingDoc.exists) {
-        return res.status(404).json({ message: 'Booking not found.' });
+      return res.status(404).json({ message: 'Booking not found.' });
     }
 
-    const bookingData = bookingDoc.data();
-    if (approverRole !== 'admin' && approverId !== bookingData.ownerId) {
-        return res.status(403).json({ message: 'You are not authorized to approve this booking.' });
+    if (!resolveActorRole(bookingDoc.data(), req.customUser)) {
+      return res.status(403).json({ message: 'Unauthorized access to booking history.' });
     }
 
-    if (bookingData.paymentStatus !== 'pending_owner_approval') {
-        return res.status(400).json({ message: `This booking is not pending approval. Current status: ${bookingData.paymentStatus}` });
-    }
+    const history = await getBookingHistoryEntries(bookingId);
+    res.status(200).json(history);
+  } catch (error) {
+    console.error(`Error fetching history for booking ${req.params.bookingId}:`, error);
+    res.status(500).json({ message: 'Error fetching booking history.', error: error.message });
+  }
+};
 
-    await bookingRef.update({
-      paymentStatus: 'pending_payment',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+const approveBooking = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
 
-    await createNotification(
-      bookingData.renterId,
-      `Your booking request has been approved! Please proceed with payment.`,
-      `/dashboard/my-bookings/${bookingId}`
-    );
+    await transitionBooking(bookingId, BOOKING_STATUS.PENDING_PAYMENT, req.customUser);
 
     res.status(200).json({ message: 'Booking request approved. Awaiting payment from renter.' });
   } catch (error) {
+    if (sendTransitionError(res, error)) return;
     console.error('Error approving booking request:', error);
     res.status(500).json({ message: error.message || 'Error approving booking request.' });
   }
@@ -459,35 +702,18 @@ const approveBooking = async (req, res) => {
 const declineBooking = async (req, res) => {
   try {
     const { bookingId } = req.params;
+    const { reason } = req.body || {};
     const declinerId = req.customUser.uid;
-    const approverRole = req.customUser.role;
-
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    const bookingDoc = await bookingRef.get();
 
-    if (!bookingDoc.exists) {
-      return res.status(404).json({ message: 'Booking not found.' });
-    }
-
-    const bookingData = bookingDoc.data();
-    if (approverRole !== 'admin' && declinerId !== bookingData.ownerId) {
-        return res.status(403).json({ message: 'You are not authorized to decline this booking.' });
-    }
-
-    await bookingRef.update({
-      paymentStatus: 'declined_by_owner',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    await transitionBooking(bookingId, BOOKING_STATUS.DECLINED_BY_OWNER, req.customUser, {
+      updates: (booking) => ({ ...cancelUnpaidDeposit(booking), ...(reason ? { declineReason: reason } : {}) }),
+      note: reason || null,
     });
 
-    await createNotification(
-      bookingData.renterId,
-      `Unfortunately, your booking request has been declined.`,
-      `/dashboard/my-bookings/${bookingId}`
-    );
-
     log(`Booking ${bookingId} declined by ${declinerId}.`);
     res.status(200).json({ message: 'Booking request declined.' });
   } catch (error) {
+    if (sendTransitionError(res, error)) return;
     console.error('Error declining booking:', error);
     res.status(500).json({ message: 'Error declining booking request.' });
   }
@@ -497,44 +723,21 @@ const confirmDownpaymentByUser = async (req, res) => {
     try {
         const { bookingId } = req.params;
         const { referenceNumber } = req.body;
-        const renterId = req.customUser.uid;
 
         if (!referenceNumber) {
              return res.status(400).json({ message: 'Reference number is required.' });
         }
 
-        const bookingRef = db.collection('bookings').doc(bookingId);
-        const bookingDoc = await bookingRef.get();
-
-        if (!bookingDoc.exists) {
-            return res.status(404).json({ message: 'Booking not found.' });
-        }
-
-        const bookingData = bookingDoc.data();
-        if (bookingData.renterId !== renterId) {
-            return res.status(403).json({ message: 'You are not authorized to update this booking.' });
-        }
-
-        if (bookingData.paymentStatus !== 'pending_payment') {
-            return res.status(400).json({ message: `Booking is not awaiting payment. Current status: ${bookingData.paymentStatus}` });
-        }
-
-        await bookingRef.update({
-            paymentStatus: 'downpayment_pending_verification',
-            paymentReferenceNumber: referenceNumber,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        await transitionBooking(bookingId, BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION, req.customUser, {
+            updates: { paymentReferenceNumber: referenceNumber },
+            context: { referenceNumber },
         });
 
-        await createNotification(
-          bookingData.ownerId,
-          `Renter submitted payment (Ref: ${referenceNumber}) for booking #${bookingId.substring(0, 5)}. Please verify.`,
-          `/dashboard/my-bookings/${bookingId}`
-        );
-
         log(`Downpayment for booking ${bookingId} confirmed by user. Ref: ${referenceNumber}. Awaiting owner verification.`);
         res.status(200).json({ message: 'Payment submitted for verification.' });
 
     } catch (error) {
+        if (sendTransitionError(res, error)) return;
         console.error('Error confirming downpayment by user:', error);
         res.status(500).json({ message: 'Server error during payment confirmation.' });
     }
@@ -544,68 +747,8 @@ const confirmBookingPayment = async (req, res) => {
   try {
     const { bookingId } = req.params;
     const approverId = req.customUser.uid;
-    const approverRole = req.customUser.role;
-    let renterIdToNotify;
-
-    const bookingRef = db.collection('bookings').doc(bookingId);
-
-    await db.runTransaction(async (transaction) => {
-      const bookingDoc = await transaction.get(bookingRef);
-      if (!bookingDoc.exists) throw new Error('Booking not found.');
-
-      const bookingData = bookingDoc.data();
-      renterIdToNotify = bookingData.renterId;
-      const vehicleRef = db.collection('vehicles').doc(bookingData.vehicleId);
-      const vehicleDoc = await transaction.get(vehicleRef);
-      if (!vehicleDoc.exists) throw new Error('Associated vehicle not found.');
-
-      if (approverRole !== 'admin' && approverId !== bookingData.ownerId) {
-        throw new Error('You are not authorized to confirm payments for this booking.');
-      }
-
-      if (bookingData.paymentStatus !== 'downpayment_pending_verification') {
-        throw new Error(`Booking is not awaiting payment verification. Current status: ${bookingData.paymentStatus}`);
-      }
 
-      const vehicleData = vehicleDoc.data();
-      const currentAvailability = Array.isArray(vehicleData.availability) ? vehicleData.availability : [];
-      const newUnavailableRange = {
-        start: bookingData.startDate,
-        end: bookingData.endDate,
-        bookingId: bookingId,
-      };
-
-      transaction.update(vehicleRef, { availability: [...currentAvailability, newUnavailableRange] });
-
-      transaction.update(bookingRef, {
-        paymentStatus: 'confirmed',
-        amountPaid: bookingData.downPayment,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      const chatRef = db.collection('chats').doc(bookingId);
-      transaction.set(chatRef, {
-        bookingId: bookingId,
-        ownerId: bookingData.ownerId,
-        renterId: bookingData.renterId,
-        participants: [bookingData.ownerId, bookingData.renterId],
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        lastMessage: {
-          text: 'Booking confirmed! You can now chat to arrange the meetup.',
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          senderId: 'system',
-          readBy: [approverId],
-        },
-      });
-    });
-
-    if (renterIdToNotify) {
-      await createNotification(
-        renterIdToNotify,
-        `Your booking is confirmed! The owner has verified your payment.`,
-        `/dashboard/my-bookings/${bookingId}`
-      );
-    }
+    await transitionBooking(bookingId, BOOKING_STATUS.CONFIRMED, req.customUser);
 
     log(`Booking ${bookingId} downpayment confirmed and finalized by owner ${approverId}.`);
     res.status(200).json({
@@ -613,6 +756,7 @@ const confirmBookingPayment = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendTransitionError(res, error)) return;
     console.error(`Error confirming booking payment for ${req.params.bookingId}:`, error);
     res.status(500).json({ message: error.message || 'Error confirming booking payment.' });
   }
@@ -622,32 +766,13 @@ const confirmOwnerPayment = async (req, res) => {
     try {
         const { bookingId } = req.params;
         const verifierId = req.customUser.uid;
-        const verifierRole = req.customUser.role;
 
-        const bookingRef = db.collection('bookings').doc(bookingId);
-        const bookingDoc = await bookingRef.get();
-
-        if (!bookingDoc.exists) {
-            return res.status(404).json({ message: 'Booking not found.' });
-        }
-
-        const bookingData = bookingDoc.data();
-        if (verifierRole !== 'admin' && verifierId !== bookingData.ownerId) {
-            return res.status(403).json({ message: 'You are not authorized to verify this payment.' });
-        }
-
-        if (bookingData.paymentStatus !== 'downpayment_pending_verification') {
-            return res.status(400).json({ message: `Booking is not awaiting verification. Current status: ${bookingData.paymentStatus}` });
-        }
-
-        await bookingRef.update({
-            paymentStatus: 'downpayment_verified',
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
+        await transitionBooking(bookingId, BOOKING_STATUS.DOWNPAYMENT_VERIFIED, req.customUser);
 
         log(`Downpayment for booking ${bookingId} was verified by owner ${verifierId}.`);
         res.status(200).json({ message: 'Payment successfully verified.' });
     } catch (error) {
+        if (sendTransitionError(res, error)) return;
         console.error('Error in confirmOwnerPayment controller:', error);
         res.status(500).json({ message: 'Server error while verifying payment.', error: error.message });
     }
@@ -706,7 +831,7 @@ const getOwnerBookings = async (req, res) => {
 const updateBookingPaymentMethod = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { paymentMethod, newStatus } = req.body;
+    const { paymentMethod, newStatus, referenceNumber } = req.body;
     const renterId = req.customUser.uid;
 
     const bookingRef = db.collection('bookings').doc(bookingId);
@@ -716,18 +841,47 @@ const updateBookingPaymentMethod = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found.' });
     }
 
-    if (bookingDoc.data().renterId !== renterId) {
+    const bookingData = bookingDoc.data();
+    if (bookingData.renterId !== renterId) {
       return res.status(403).json({ message: 'Unauthorized: You are not the renter for this booking.' });
     }
 
-    await bookingRef.update({
-      paymentMethod: paymentMethod,
-      paymentStatus: newStatus,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    if (newStatus && newStatus !== bookingData.paymentStatus) {
+      // Cancellations and extensions have their own endpoints; the only status change
+      // allowed here is submitting the downpayment.
+      if (newStatus !== BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION) {
+        return res.status(400).json({ message: 'Only a payment submission can change the booking status here.' });
+      }
+      const reference = referenceNumber || bookingData.paymentReferenceNumber;
+      if (!reference) {
+        return res.status(400).json({ message: 'Reference number is required.' });
+      }
+      await transitionBooking(bookingId, newStatus, req.customUser, {
+        updates: { paymentMethod, paymentReferenceNumber: reference },
+        context: { referenceNumber: reference },
+      });
+    } else {
+      const updates = {
+        paymentMethod: paymentMethod,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      const batch = db.batch();
+      batch.update(bookingRef, updates);
+      await recordBookingHistory(bookingId, buildHistoryEntry({
+        actor: req.customUser,
+        actorRole: 'renter',
+        action: 'update_payment_method',
+        previousStatus: bookingData.paymentStatus,
+        newStatus: bookingData.paymentStatus,
+        before: bookingData,
+        updates,
+      }), batch);
+      await batch.commit();
+    }
 
     res.status(200).json({ message: 'Payment method and status updated successfully.' });
   } catch (error) {
+    if (sendTransitionError(res, error)) return;
     res.status(500).json({ message: 'Error updating booking payment method.', error: error.message });
   }
 };
@@ -735,51 +889,49 @@ const updateBookingPaymentMethod = async (req, res) => {
 const updateBookingStatus = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { newStatus } = req.body;
+    const { newStatus, note } = req.body;
     const userId = req.customUser.uid;
-    const userRole = req.customUser.role;
 
     if (!newStatus) {
         console.error(`[BookingController] updateBookingStatus failed for booking ${bookingId}: Missing newStatus.`);
         return res.status(400).json({ message: 'New status is required.' });
     }
 
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    const bookingDoc = await bookingRef.get();
-
-    if (!bookingDoc.exists) {
-      console.error(`[BookingController] updateBookingStatus failed: Booking ${bookingId} not found.`);
-      return res.status(404).json({ message: 'Booking not found.' });
+    // Cancellations compute a refund, so they only go through the cancel endpoint.
+    if ([BOOKING_STATUS.CANCELLED_BY_RENTER, BOOKING_STATUS.CANCELLED_BY_OWNER].includes(newStatus)) {
+      return res.status(400).json({ message: 'Use the cancel endpoint to cancel a booking.' });
     }
-
-    const bookingData = bookingDoc.data();
-
-    if (userRole !== 'admin' && userId !== bookingData.ownerId) {
-        console.warn(`[BookingController] updateBookingStatus unauthorized attempt by user ${userId} (role: ${userRole}) on booking ${bookingId} owned by ${bookingData.ownerId}.`);
-        return res.status(403).json({ message: 'Forbidden: You are not authorized to update this booking status.' });
+    // Declining cancels the unpaid security deposit, which only the decline endpoint does.
+    if (newStatus === BOOKING_STATUS.DECLINED_BY_OWNER) {
+      return res.status(400).json({ message: 'Use the decline endpoint to decline a booking.' });
     }
 
-    await bookingRef.update({
-      paymentStatus: newStatus,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    if (newStatus === 'returned' && bookingData.renterId) {
-        try {
-            await createNotification(
-                bookingData.renterId,
-                `The owner has marked your trip for booking #${bookingId.substring(0,5)} as returned.`,
-                `/dashboard/my-bookings/${bookingId}`
-            );
-        } catch (notificationError) {
-            console.error(`[BookingController] Failed to send 'returned' notification for booking ${bookingId}:`, notificationError);
-        }
+    // Marking a booking returned settles any late fee against the vehicle's rates.
+    let updates = {};
+    if (newStatus === BOOKING_STATUS.RETURNED) {
+      const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+      const vehicleDoc = bookingDoc.exists ? await db.collection('vehicles').doc(bookingDoc.data().vehicleId).get() : null;
+      const vehicleData = vehicleDoc && vehicleDoc.exists ? vehicleDoc.data() : null;
+      if (vehicleData) {
+        const returnedAt = new Date();
+        updates = (booking) => buildReturnUpdates(booking, vehicleData, returnedAt);
+      }
     }
 
+    const result = await transitionBooking(bookingId, newStatus, req.customUser, { updates, note: note || null });
+
     log(`Booking ${bookingId} status updated to ${newStatus} by user ${userId}.`);
-    res.status(200).json({ message: `Booking status updated successfully to ${newStatus}.` });
+    res.status(200).json({
+      message: `Booking status updated successfully to ${newStatus}.`,
+      ...(result.updates.lateFee ? { lateFee: result.updates.lateFee } : {}),
+    });
 
   } catch (error) {
+    if (sendTransitionError(res, error)) return;
+    // The late fee is priced from the vehicle's rates; without a usable rate the return can't be settled.
+    if (error instanceof PricingError) {
+      return res.status(422).json({ message: `${error.message} Cannot work out the late fee for this return.` });
+    }
     console.error(`[BookingController] Error updating booking status for ${req.params.bookingId} to ${req.body.newStatus}:`, error);
     res.status(500).json({ message: 'Error updating booking status.', error: error.message });
   }
@@ -798,64 +950,90 @@ const deleteBooking = async (req, res) => {
 const cancelBooking = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const renterId = req.customUser.uid;
-
-    const bookingRef = db.collection('bookings').doc(bookingId);
-    const bookingDoc = await bookingRef.get();
+    const { reason } = req.body || {};
+    const userId = req.customUser.uid;
 
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
     if (!bookingDoc.exists) {
       return res.status(404).json({ message: 'Booking not found.' });
     }
-
     const bookingData = bookingDoc.data();
+    const cancelledBy = resolveActorRole(bookingData, req.customUser);
+    const targetStatus = cancelledBy === 'renter' ? BOOKING_STATUS.CANCELLED_BY_RENTER : BOOKING_STATUS.CANCELLED_BY_OWNER;
+    assertTransition(bookingData, targetStatus, req.customUser);
+
+    const vehicleDoc = await db.collection('vehicles').doc(bookingData.vehicleId).get();
+    const vehicleData = vehicleDoc.exists ? vehicleDoc.data() : {};
+    const refundRef = newRefundRef();
+    const context = {};
+    let refund = null;
+
+    await transitionBooking(bookingId, targetStatus, req.customUser, {
+      // The refund is worked out from the booking as read inside the transaction.
+      updates: (booking) => {
+        refund = computeRefund({ booking, vehicle: vehicleData, cancelledBy });
+        context.refundAmount = refund.refundAmount;
+        return {
+          ...cancelUnpaidDeposit(booking),
+          cancellation: {
+            cancelledBy,
+            cancelledById: userId,
+            reason: reason || null,
+            cancelledAt: admin.firestore.Timestamp.now(),
+            ...refund,
+            refundId: refund.refundAmount > 0 ? refundRef.id : null,
+            refundStatus: refund.refundAmount > 0 ? REFUND_STATUS.PENDING : null,
+          },
+        };
+      },
+      context,
+      note: reason || null,
+      onTransaction: (transaction, booking) => {
+        releasePromoRedemption(transaction, bookingId, booking);
+        createRefundRecord(transaction, refundRef, { bookingId, booking, refund, cancelledBy, reason });
+      },
+    });
 
-    if (bookingData.renterId !== renterId) {
-      return res.status(403).json({ message: 'Forbidden: You can only cancel your own bookings.' });
-    }
-
-    const cancellableStatuses = [
-      'pending_owner_approval',
-      'pending_payment'
-    ];
-    if (!cancellableStatuses.includes(bookingData.paymentStatus)) {
-      return res.status(400).json({ message: `Booking cannot be cancelled in its current state (${bookingData.paymentStatus}). Payment may have already been submitted or confirmed.` });
-    }
-
-    await bookingRef.update({
-      paymentStatus: 'cancelled_by_renter',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    log(`Booking ${bookingId} cancelled by ${cancelledBy} ${userId}. Refund: ${refund.refundAmount}`);
+    res.status(200).json({
+      message: 'Booking cancelled successfully.',
+      refund: { ...refund, refundId: refund.refundAmount > 0 ? refundRef.id : null },
     });
 
-    if (bookingData.paymentStatus === 'confirmed') {
-        const vehicleRef = db.collection('vehicles').doc(bookingData.vehicleId);
-        try {
-            await db.runTransaction(async (transaction) => {
-                const vehicleDoc = await transaction.get(vehicleRef);
-                if (vehicleDoc.exists) {
-                    const vehicleData = vehicleDoc.data();
-                    const currentAvailability = Array.isArray(vehicleData.availability) ? vehicleData.availability : [];
-                    const updatedAvailability = currentAvailability.filter(block => block.bookingId !== bookingId);
-                    transaction.update(vehicleRef, { availability: updatedAvailability });
-                }
-            });
-            log(`Removed availability block for cancelled booking ${bookingId}`);
-        } catch (transactionError) {
-             console.error(`Failed to remove availability block for cancelled booking ${bookingId}:`, transactionError);
-        }
+  } catch (error) {
+    if (sendTransitionError(res, error)) return;
+    if (error instanceof CancellationError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error(`Error cancelling booking ${req.params.bookingId}:`, error);
+    res.status(500).json({ message: 'Server error while cancelling booking.', error: error.message });
+  }
+};
 
-    await createNotification(
-      bookingData.ownerId,
-      `Booking #${bookingId.substring(0, 5)} has been cancelled by the renter.`,
-      `/dashboard/my-bookings/${bookingId}`
-    );
+// Shows what cancelling now would refund, without cancelling.
+const getCancellationQuote = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return res.status(404).json({ message: 'Booking not found.' });
+    }
+    const bookingData = bookingDoc.data();
+    const cancelledBy = resolveActorRole(bookingData, req.customUser);
+    const targetStatus = cancelledBy === 'renter' ? BOOKING_STATUS.CANCELLED_BY_RENTER : BOOKING_STATUS.CANCELLED_BY_OWNER;
+    assertTransition(bookingData, targetStatus, req.customUser);
 
-    log(`Booking ${bookingId} cancelled by renter ${renterId}.`);
-    res.status(200).json({ message: 'Booking cancelled successfully.' });
+    const vehicleDoc = await db.collection('vehicles').doc(bookingData.vehicleId).get();
+    const refund = computeRefund({ booking: bookingData, vehicle: vehicleDoc.exists ? vehicleDoc.data() : {}, cancelledBy });
 
+    res.status(200).json({ cancelledBy, ...refund });
   } catch (error) {
-    console.error(`Error cancelling booking ${req.params.bookingId}:`, error);
-    res.status(500).json({ message: 'Server error while cancelling booking.', error: error.message });
+    if (sendTransitionError(res, error)) return;
+    if (error instanceof CancellationError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`Error quoting cancellation for booking ${req.params.bookingId}:`, error);
+    res.status(500).json({ message: 'Server error calculating the cancellation refund.', error: error.message });
   }
 };
 
@@ -927,12 +1105,7 @@ const requestBookingExtension = async (req, res) => {
         }
         const bookingData = bookingDoc.data();
 
-        if (bookingData.renterId !== renterId) {
-            return res.status(403).json({ message: 'Forbidden: You cannot extend this booking.' });
-        }
-        if (bookingData.paymentStatus !== 'confirmed') {
-             return res.status(400).json({ message: `Booking cannot be extended in its current state (${bookingData.paymentStatus}). Only 'Confirmed' bookings can be extended.` });
-        }
+        assertTransition(bookingData, BOOKING_STATUS.PENDING_EXTENSION_PAYMENT, req.customUser);
 
         const currentEndDate = convertToDate(bookingData.endDate);
         if (!currentEndDate) {
@@ -946,10 +1119,6 @@ const requestBookingExtension = async (req, res) => {
              return res.status(404).json({ message: 'Associated vehicle not found.' });
         }
         const vehicleData = vehicleDoc.data();
-        const rentalPricePerDay = parseFloat(vehicleData.rentalPricePerDay);
-        if (isNaN(rentalPricePerDay) || rentalPricePerDay <= 0) {
-            return res.status(500).json({ message: 'Vehicle rental price is invalid.' });
-        }
 
         const extendedStartCheck = DateTime.fromJSDate(currentEndDate).plus({ minutes: 1 }).toJSDate();
         const extendedEndCheck = newEndDate;
@@ -964,7 +1133,7 @@ const requestBookingExtension = async (req, res) => {
         }
         const otherBookingsSnapshot = await db.collection('bookings')
             .where('vehicleId', '==', bookingData.vehicleId)
-            .where('paymentStatus', '==', 'confirmed')
+            .where('paymentStatus', 'in', ACTIVE_BOOKING_STATUSES)
             .get();
 
         let overlapFound = false;
@@ -980,29 +1149,77 @@ const requestBookingExtension = async (req, res) => {
         if (overlapFound) {
              return res.status(409).json({ message: 'Vehicle is booked by someone else during the requested extension period.' });
         }
+        const holdConflict = findConflict({
+            vehicle: { tripRules: vehicleData.tripRules },
+            holds: await getActiveHolds(bookingData.vehicleId),
+            start: extendedStartCheck,
+            end: extendedEndCheck,
+            bookingId,
+        });
+        if (holdConflict) {
+            return res.status(409).json({ message: 'Vehicle is being held for another booking during the requested extension period.' });
+        }
+
+        // The extended trip still has to fit the maximum length and the turnaround buffer.
+        const tripRuleReasons = evaluateTripRules(vehicleData.tripRules, {
+            start: convertToDate(bookingData.startDate),
+            end: newEndDate,
+            otherBookings: otherBookingsSnapshot.docs.filter((doc) => doc.id !== bookingId).map((doc) => doc.data()),
+            checkAdvanceNotice: false,
+            checkMinDuration: false,
+        });
+        if (tripRuleReasons.length > 0) {
+            return res.status(400).json({ message: tripRuleReasons.map((reason) => reason.message).join(' '), reasons: tripRuleReasons });
+        }
+
+        const bookedAddOns = bookingData.addOns || [];
+        try {
+            await assertAddOnsAvailable({
+                ownerId: bookingData.ownerId,
+                vehicle: vehicleData,
+                selected: bookedAddOns,
+                start: currentEndDate,
+                end: newEndDate,
+                excludeBookingId: bookingId,
+            });
+        } catch (error) {
+            if (error instanceof AddOnError) {
+                return res.status(error.statusCode).json({ message: `${error.message} Return or drop the add-on before extending.` });
+            }
+            throw error;
+        }
 
-        const hourlyRate = rentalPricePerDay / 24;
-        const extensionCost = parseFloat((hourlyRate * hours).toFixed(2));
+        // Priced as the whole trip with the new end minus the trip as booked, so the
+        // extended total always matches a fresh quote for the same dates.
+        let extensionQuote;
+        try {
+            extensionQuote = quoteExtension(vehicleData, convertToDate(bookingData.startDate), currentEndDate, newEndDate);
+        } catch (error) {
+            if (error instanceof PricingError) {
+                return res.status(500).json({ message: error.message });
+            }
+            throw error;
+        }
+        // Per-day add-ons and the driver are charged for the extra days too.
+        const driverTerms = bookingData.driverTerms || null;
+        const extensionCost = extensionQuote.cost
+            + quoteAddOnExtension(bookedAddOns, extensionQuote.currentQuote, extensionQuote.newQuote)
+            + quoteDriverExtension(driverTerms, extensionQuote.currentQuote, extensionQuote.newQuote);
 
         const newExtension = {
             requestedAt: new Date(),
             hours: hours,
             cost: extensionCost,
+            priceBreakdown: toPriceBreakdown(applyDriverFeesToQuote(applyAddOnsToQuote(extensionQuote.newQuote, bookedAddOns), driverTerms)),
+            mileageAllowance: getMileageAllowance(vehicleData, extensionQuote.newQuote),
             newEndDate: admin.firestore.Timestamp.fromDate(newEndDate),
             status: 'pending_payment',
         };
 
-         await bookingRef.update({
-             extensions: admin.firestore.FieldValue.arrayUnion(newExtension),
-             paymentStatus: 'pending_extension_payment',
-             updatedAt: admin.firestore.FieldValue.serverTimestamp()
-         });
-
-        await createNotification(
-            bookingData.ownerId,
-            `Renter requested a ${hours}-hour extension for booking #${bookingId.substring(0,5)}. Cost: ₱${extensionCost.toFixed(2)}.`,
-            `/dashboard/my-bookings/${bookingId}`
-        );
+        await transitionBooking(bookingId, BOOKING_STATUS.PENDING_EXTENSION_PAYMENT, req.customUser, {
+            updates: { extensions: admin.firestore.FieldValue.arrayUnion(newExtension) },
+            context: { hours, extensionCost },
+        });
 
         log(`Extension of ${hours} hours requested for booking ${bookingId} by renter ${renterId}. Cost: ${extensionCost}`);
         res.status(200).json({
@@ -1012,6 +1229,7 @@ const requestBookingExtension = async (req, res) => {
          });
 
     } catch (error) {
+        if (sendTransitionError(res, error)) return;
         console.error(`Error requesting extension for booking ${req.params.bookingId}:`, error);
         res.status(500).json({ message: 'Server error requesting booking extension.', error: error.message });
     }
@@ -1033,21 +1251,15 @@ const confirmExtensionPayment = async (req, res) => {
             return res.status(404).json({ message: 'Booking not found.' });
         }
         const bookingData = bookingDoc.data();
-        const currentExtensions = bookingData.extensions || [];
 
-        if (bookingData.renterId !== renterId) {
-            return res.status(403).json({ message: 'You are not authorized to confirm this payment.' });
-        }
-        if (bookingData.paymentStatus !== 'pending_extension_payment') {
-            return res.status(400).json({ message: `Booking is not awaiting extension payment. Current status: ${bookingData.paymentStatus}` });
-        }
+        assertTransition(bookingData, BOOKING_STATUS.CONFIRMED, req.customUser);
 
-        const pendingExtensionIndex = currentExtensions.map(e => e.status).lastIndexOf('pending_payment');
+        const pendingExtensionIndex = findPendingExtensionIndex(bookingData);
         if (pendingExtensionIndex === -1) {
             return res.status(400).json({ message: 'No valid, pending extension request found.' });
         }
 
-        const pendingExtension = currentExtensions[pendingExtensionIndex];
+        const pendingExtension = bookingData.extensions[pendingExtensionIndex];
         const expectedCost = parseFloat(pendingExtension.cost);
         const paidAmount = parseFloat(amount);
 
@@ -1055,34 +1267,20 @@ const confirmExtensionPayment = async (req, res) => {
              return res.status(400).json({ message: `Payment amount (₱${paidAmount.toFixed(2)}) is less than the required extension cost (₱${expectedCost.toFixed(2)}).` });
         }
 
-        const costToApply = expectedCost;
-
-        currentExtensions[pendingExtensionIndex] = {
-            ...pendingExtension,
-            status: 'paid',
-            paymentReferenceNumber: referenceNumber,
-            paidAt: new Date()
-        };
-
-        await bookingRef.update({
-          paymentStatus: 'confirmed',
-          endDate: pendingExtension.newEndDate,
-          totalCost: admin.firestore.FieldValue.increment(costToApply),
-          amountPaid: admin.firestore.FieldValue.increment(costToApply),
-          extensions: currentExtensions,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        await transitionBooking(bookingId, BOOKING_STATUS.CONFIRMED, req.customUser, {
+            updates: buildExtensionSettlement(bookingData, pendingExtensionIndex, {
+                status: 'paid',
+                paymentReferenceNumber: referenceNumber,
+                paidAt: new Date()
+            }),
+            context: { extensionCost: expectedCost, deferred: false },
         });
 
-        await createNotification(
-            bookingData.ownerId,
-            `Renter paid the ₱${costToApply.toFixed(2)} extension fee for booking #${bookingId.substring(0,5)}. The trip is now extended.`,
-            `/dashboard/my-bookings/${bookingId}`
-        );
-
         log(`Extension payment confirmed for booking ${bookingId} by renter ${renterId}.`);
         res.status(200).json({ message: 'Extension payment successful. Booking updated.' });
 
     } catch (error) {
+        if (sendTransitionError(res, error)) return;
         console.error(`Error confirming extension payment for ${req.params.bookingId}:`, error);
         res.status(500).json({ message: 'Server error confirming extension payment.', error: error.message });
     }
@@ -1100,21 +1298,15 @@ const deferExtensionPayment = async (req, res) => {
             return res.status(404).json({ message: 'Booking not found.' });
         }
         const bookingData = bookingDoc.data();
-        const currentExtensions = bookingData.extensions || [];
 
-        if (bookingData.renterId !== renterId) {
-            return res.status(403).json({ message: 'You are not authorized to update this booking.' });
-        }
-        if (bookingData.paymentStatus !== 'pending_extension_payment') {
-            return res.status(400).json({ message: `Booking is not awaiting extension payment. Current status: ${bookingData.paymentStatus}` });
-        }
+        assertTransition(bookingData, BOOKING_STATUS.CONFIRMED, req.customUser);
 
-        const pendingExtensionIndex = currentExtensions.map(e => e.status).lastIndexOf('pending_payment');
+        const pendingExtensionIndex = findPendingExtensionIndex(bookingData);
         if (pendingExtensionIndex === -1) {
             return res.status(400).json({ message: 'No valid, pending extension request found.' });
         }
 
-        const pendingExtension = currentExtensions[pendingExtensionIndex];
+        const pendingExtension = bookingData.extensions[pendingExtensionIndex];
         const expectedCost = parseFloat(pendingExtension.cost);
         const paidAmount = parseFloat(amount);
 
@@ -1122,33 +1314,19 @@ const deferExtensionPayment = async (req, res) => {
              return res.status(400).json({ message: `Amount mismatch. Expected ₱${expectedCost.toFixed(2)}.` });
         }
 
-        const costToApply = expectedCost;
-
-        currentExtensions[pendingExtensionIndex] = {
-            ...pendingExtension,
-            status: 'pay_on_return',
-            paymentMethod: paymentMethod
-        };
-
-        await bookingRef.update({
-          paymentStatus: 'confirmed',
-          endDate: pendingExtension.newEndDate,
-          totalCost: admin.firestore.FieldValue.increment(costToApply),
-          remainingBalance: admin.firestore.FieldValue.increment(costToApply),
-          extensions: currentExtensions,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        await transitionBooking(bookingId, BOOKING_STATUS.CONFIRMED, req.customUser, {
+            updates: buildExtensionSettlement(bookingData, pendingExtensionIndex, {
+                status: 'pay_on_return',
+                paymentMethod: paymentMethod
+            }),
+            context: { extensionCost: expectedCost, deferred: true },
         });
 
-        await createNotification(
-            bookingData.ownerId,
-            `Renter extended booking #${bookingId.substring(0,5)}. They will pay the ₱${costToApply.toFixed(2)} fee in cash upon return.`,
-            `/dashboard/my-bookings/${bookingId}`
-        );
-
         log(`Extension payment deferred for booking ${bookingId} by renter ${renterId}.`);
         res.status(200).json({ message: 'Extension confirmed. Payment will be collected upon return.' });
 
     } catch (error) {
+        if (sendTransitionError(res, error)) return;
         console.error(`Error deferring extension payment for ${req.params.bookingId}:`, error);
         res.status(500).json({ message: 'Server error deferring extension payment.', error: error.message });
     }
@@ -1168,7 +1346,8 @@ const generateBookingContract = async (req, res) => {
     }
     const booking = bookingDoc.data();
    
-    if (req.customUser.role !== 'admin' && userId !== booking.ownerId && userId !== booking.renterId) {
+    const isDriver = Boolean(booking.driver) && userId === booking.driver.userId;
+    if (req.customUser.role !== 'admin' && !isDriver && userId !== booking.ownerId && userId !== booking.renterId) {
         return res.status(403).json({ message: "Forbidden: You are not authorized to download this contract." });
     }
    
@@ -1195,6 +1374,29 @@ const generateBookingContract = async (req, res) => {
     const amountPaid = booking.amountPaid || 0;
     const remainingBalance = booking.remainingBalance || 0;
     const downPayment = booking.downPayment || 0;
+    const priceLines = booking.priceBreakdown?.lineItems || [];
+    const priceBreakdownText = priceLines.length > 0
+        ? `Price Breakdown:\n${priceLines.map((item) => `  ${item.label}: ₱${item.amount.toFixed(2)}`).join('\n')}\n`
+        : '';
+    // Trips with a mileage allowance list it, plus the distance driven once the return inspection is in.
+    const allowance = booking.mileageAllowance;
+    const returnDifferences = booking.inspections?.return?.differences;
+    let mileageText = '';
+    if (allowance) {
+        mileageText = `Mileage Allowance: ${allowance.dailyKm} km/day x ${allowance.days} day(s) = ${allowance.totalKm} km (₱${allowance.overageFeePerKm.toFixed(2)} per km over)\n`;
+        if (returnDifferences) {
+            mileageText += `Distance Driven: ${returnDifferences.distanceKm} km (${returnDifferences.overageKm} km over)\n`;
+        }
+    }
+    // With-driver bookings name the assigned driver in place of the renter's driving responsibility.
+    let driverTerm = "Driver's Responsibility: Only the renter or authorized drivers with valid driver's licenses may operate the vehicle.";
+    if (booking.driveMode === DRIVE_MODES.WITH_DRIVER) {
+        const terms = booking.driverTerms || {};
+        const driverName = booking.driver ? `${booking.driver.name} (License No. ${booking.driver.licenseNumber})` : 'a driver to be assigned by the owner';
+        driverTerm = `Driver: The vehicle will be operated only by the owner's driver, ${driverName}. The driver works up to ${terms.hoursPerDay} hours a day`
+            + (terms.overtimeRatePerHour > 0 ? `; overtime is charged at ₱${terms.overtimeRatePerHour.toFixed(2)} per hour.` : '.')
+            + ' Driver fees and allowances are listed in the price breakdown.';
+    }
 
     let extensionsText = '--- EXTENSIONS ---\n\n';
     if (booking.extensions && booking.extensions.length > 0) {
@@ -1261,6 +1463,9 @@ const generateBookingContract = async (req, res) => {
 
     doc.fontSize(10).font('Helvetica-Bold').text('Lessor (Owner): ', { continued: true }).font('Helvetica').text(owner.name);
     doc.font('Helvetica-Bold').text('Lessee (Renter): ', { continued: true }).font('Helvetica').text(renter.name);
+    if (booking.driver) {
+        doc.font('Helvetica-Bold').text('Driver: ', { continued: true }).font('Helvetica').text(`${booking.driver.name} (License No. ${booking.driver.licenseNumber})`);
+    }
     doc.moveDown();
 
     doc.font('Helvetica-Bold').text('Vehicle Details:', { underline: true });
@@ -1280,15 +1485,24 @@ const generateBookingContract = async (req, res) => {
       'The Renter is responsible for any fines, tolls, or damages incurred during the rental period.',
       `The remaining balance of ₱${remainingBalance.toFixed(2)} is due upon vehicle pickup/return as agreed.`,
       `Rental Period: The rental period shall start on ${formattedStartDate} at ${formattedStartTime} and end on ${formattedEndDate} at ${formattedEndTime}`,
-      'Fuel Policy: The vehicle must be returned with the same number of fuel bars as when it was rented. If the fuel level is lower, the renter will be charged accordingly.',
-      "Driver's Responsibility: Only the renter or authorized drivers with valid driver's licenses may operate the vehicle.",
+      `Fuel Policy: The vehicle must be returned with the same number of fuel bars as when it was rented. If the fuel level is lower, the renter will be charged accordingly${vehicle.fuelChargePerBar ? ` (₱${vehicle.fuelChargePerBar.toFixed(2)} per missing bar)` : ''}. Fuel and odometer readings are taken at the pickup and return inspections.`,
+      driverTerm,
       'Prohibited Uses: The vehicle shall not be used for racing, towing, off-road driving, or any illegal activity.',
-      'Late Return Policy: If the vehicle is returned later than the agreed time, applicable hourly or half-day rates will automatically apply. (Subject to 3-hour grace period for emergencies, unless otherwise updated by owner).',
+      `Late Return Policy: If the vehicle is returned later than the agreed time, applicable hourly or half-day rates will automatically apply. (Subject to a ${getGraceHours(vehicle)}-hour grace period for emergencies, unless otherwise updated by owner).`,
+      ...(booking.addOns?.length > 0
+        ? [`Add-ons: The following extras are included in this rental and must be returned with the vehicle: ${booking.addOns.map((addOn) => `${addOn.name} x${addOn.quantity}`).join(', ')}.`]
+        : []),
+      ...(booking.delivery
+        ? [`Delivery: ${[
+          booking.delivery.dropOff && `The owner will deliver the vehicle to ${formatAddress(booking.delivery.dropOff.address)} (${booking.delivery.dropOff.distanceKm.toFixed(1)} km, ₱${booking.delivery.dropOff.fee.toFixed(2)}).`,
+          booking.delivery.pickUp && `The owner will collect the vehicle from ${formatAddress(booking.delivery.pickUp.address)} (${booking.delivery.pickUp.distanceKm.toFixed(1)} km, ₱${booking.delivery.pickUp.fee.toFixed(2)}).`,
+        ].filter(Boolean).join(' ')} The renter must be present at the agreed time and place.`]
+        : []),
       'Traffic Violations: Any traffic violations or penalties incurred during the rental period shall be the responsibility of the renter.',
       'Emergency or Breakdown: In case of vehicle malfunction, the renter must immediately contact the owner. Unauthorized repairs are not allowed unless approved by the owner.',
       "Identification Requirement: The renter must present a valid government-issued ID and driver's license before the vehicle is released.",
       'Damages: The renter is responsible for any damages to the unit during the rental period. Repair costs will be shouldered by the renter.',
-      `Payment: All payments shall be made in full before or upon release of the vehicle.\nTotal Cost: ₱${totalCost.toFixed(2)}\nAmount Paid: ₱${amountPaid.toFixed(2)}\nRemaining Balance: ₱${remainingBalance.toFixed(2)}\nDownpayment Reference: ${booking.paymentReferenceNumber || 'N/A'}\n\n${extensionsText}`,
+      `Payment: All payments shall be made in full before or upon release of the vehicle.\nTotal Cost: ₱${totalCost.toFixed(2)}\n${priceBreakdownText}${mileageText}Downpayment${booking.downPaymentPercent ? ` (${booking.downPaymentPercent}%)` : ''}: ₱${downPayment.toFixed(2)}\nAmount Paid: ₱${amountPaid.toFixed(2)}\nRemaining Balance: ₱${remainingBalance.toFixed(2)}\n${booking.securityDeposit ? `Security Deposit (refundable, not part of the total): ₱${booking.securityDeposit.amount.toFixed(2)} - ${booking.securityDeposit.status.replace(/_/g, ' ')}\n` : ''}Downpayment Reference: ${booking.paymentReferenceNumber || 'N/A'}\n\n${extensionsText}`,
       'Agreement Validity: By signing below, the renter agrees to all the terms and conditions stated in this contract.'
     ], {
       bulletRadius: 0.1, // Use numbers instead of bullets
@@ -1331,68 +1545,70 @@ const generateBookingContract = async (req, res) => {
 // ================================================
 //  NEW FUNCTION FOR CRON JOB
 // ================================================
+/**
+ * Flags confirmed bookings past the grace period as awaiting return.
+ * Registered with the job scheduler (see utils/scheduledJobs.js).
+ * @returns {Promise<{checked: number, flagged: number, failed: number}>}
+ */
 const autoHandleOverdueBookings = async () => {
-  log('Running cron job: autoHandleOverdueBookings...');
-  const now = new Date(); // The current time
-
-  try {
-    const bookingsRef = db.collection('bookings');
-    const snapshot = await bookingsRef
-      .where('paymentStatus', '==', 'confirmed')
-      .where('endDate', '<', admin.firestore.Timestamp.fromDate(now)) // Find all active trips that *should* have ended
-      .get();
+  log('Running cron job: autoHandleOverdueBookings...');
+  const now = new Date(); // The current time
 
-    if (snapshot.empty) {
-      log('Cron Job: No active bookings found past their end date.');
-      return;
-    }
+  try {
+    const bookingsRef = db.collection('bookings');
+    const snapshot = await bookingsRef
+      .where('paymentStatus', '==', BOOKING_STATUS.CONFIRMED)
+      .where('endDate', '<', admin.firestore.Timestamp.fromDate(now)) // Find all active trips that *should* have ended
+      .get();
 
-    const updatesBatch = db.batch();
-    let notifications = [];
+    if (snapshot.empty) {
+      log('Cron Job: No active bookings found past their end date.');
+      return { checked: 0, flagged: 0, failed: 0 };
+    }
 
-    snapshot.forEach(doc => {
-      const booking = doc.data();
-      const endDate = convertToDate(booking.endDate);
-      if (!endDate) return; // Skip if date is invalid
+    let flaggedCount = 0;
+    let failedCount = 0;
+    const graceHoursByVehicle = {};
 
-      const gracePeriodEnd = DateTime.fromJSDate(endDate).plus({ hours: 3 }).toJSDate();
+    for (const doc of snapshot.docs) {
+      const booking = doc.data();
+      const endDate = convertToDate(booking.endDate);
+      if (!endDate) continue; // Skip if date is invalid
 
-      if (now > gracePeriodEnd) {
-        log(`Cron Job: Booking ${doc.id} is past 3-hour grace period. Updating status.`);
-       
-        const bookingRef = db.collection('bookings').doc(doc.id);
-        updatesBatch.update(bookingRef, {
-          paymentStatus: 'awaiting_return', // This is the new "late" status
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+      if (graceHoursByVehicle[booking.vehicleId] === undefined) {
+        const vehicleDoc = await db.collection('vehicles').doc(booking.vehicleId).get();
+        graceHoursByVehicle[booking.vehicleId] = getGraceHours(vehicleDoc.exists ? vehicleDoc.data() : {});
+      }
+      const graceHours = graceHoursByVehicle[booking.vehicleId];
+      const gracePeriodEnd = DateTime.fromJSDate(endDate).plus({ hours: graceHours }).toJSDate();
 
-        notifications.push(createNotification(
-          booking.ownerId,
-          `Your vehicle for booking #${doc.id.substring(0,5)} is now 3 hours overdue for return.`,
-          `/dashboard/my-bookings/${doc.id}`
-        ));
-         notifications.push(createNotification(
-          booking.renterId,
-          `Your booking (#${doc.id.substring(0,5)}) is now 3 hours overdue. Please return the vehicle. Late fees may apply.`,
-          `/dashboard/my-bookings/${doc.id}`
-        ));
-      }
-    });
+      if (now > gracePeriodEnd) {
+        log(`Cron Job: Booking ${doc.id} is past its ${graceHours}-hour grace period. Updating status.`);
+        try {
+          await transitionBooking(doc.id, BOOKING_STATUS.AWAITING_RETURN, SYSTEM_ACTOR);
+          flaggedCount++;
+        } catch (transitionError) {
+          // The booking may have been returned or extended since the query ran.
+          failedCount++;
+          console.error(`[Cron Job: autoHandleOverdueBookings] Could not flag booking ${doc.id}:`, transitionError.message);
+        }
+      }
+    }
 
-    await updatesBatch.commit();
-    if (notifications.length > 0) {
-       await Promise.all(notifications);
-       log(`Cron Job: Sent ${notifications.length} late return notifications.`);
-    }
+    if (flaggedCount > 0) {
+       log(`Cron Job: Flagged ${flaggedCount} bookings as awaiting return.`);
+    }
+    return { checked: snapshot.size, flagged: flaggedCount, failed: failedCount };
 
-  } catch (error) {
-     if (error.code === 9) { // FAILED_PRECONDITION
-        console.error('Cron Job Error: Firestore composite index is missing for autoHandleOverdueBookings. Please create it.');
-        console.error('The index required is on collection `bookings`: `paymentStatus` (ASC), `endDate` (ASC)');
-     } else {
-        console.error('[Cron Job: autoHandleOverdueBookings] Error:', error);
-     }
-  }
+  } catch (error) {
+     if (error.code === 9) { // FAILED_PRECONDITION
+        console.error('Cron Job Error: Firestore composite index is missing for autoHandleOverdueBookings. Please create it.');
+        console.error('The index required is on collection `bookings`: `paymentStatus` (ASC), `endDate` (ASC)');
+     } else {
+        console.error('[Cron Job: autoHandleOverdueBookings] Error:', error);
+     }
+     throw error;
+  }
 };
 
 // 1. GET ALL FEES (For Admin)
@@ -1495,6 +1711,7 @@ module.exports = {
   getBookingsByUser,
   getBookingsByVehicle,
   getBookingById,
+  getBookingHistory,
   updateBookingPaymentMethod,
   updateBookingStatus,
   deleteBooking,
@@ -1505,6 +1722,7 @@ module.exports = {
   confirmDownpaymentByUser,
   confirmOwnerPayment,
   cancelBooking,
+  getCancellationQuote,
   submitBookingReport,
   requestBookingExtension,
   confirmExtensionPayment,
@@ -0,0 +1,149 @@
+const { db } = require('../utils/firebase');
+const {
+  CalendarSyncError,
+  getSyncSettings,
+  ensureFeedToken,
+  findVehicleByFeedToken,
+  buildVehicleFeed,
+  syncCalendarImport,
+  addCalendarImport,
+  removeCalendarImport,
+} = require('../utils/calendarSync');
+
+const iso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+const serializeImport = (feed) => ({
+  ...feed,
+  createdAt: iso(feed.createdAt),
+  lastSyncedAt: iso(feed.lastSyncedAt),
+  lastAttemptAt: iso(feed.lastAttemptAt),
+});
+
+// API_PUBLIC_URL overrides the host the request came in on (e.g. behind a proxy).
+const feedUrl = (req, feedToken) => {
+  const base = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/vehicles/calendar-feeds/${feedToken}.ics`;
+};
+
+// HELPER: Loads the vehicle and checks the user owns it (admins can manage any vehicle).
+const loadOwnedVehicle = async (req, res) => {
+  const vehicleDoc = await db.collection('vehicles').doc(req.params.id).get();
+  if (!vehicleDoc.exists) {
+    res.status(404).json({ message: 'Vehicle not found.' });
+    return null;
+  }
+  const vehicle = vehicleDoc.data();
+  if (vehicle.ownerId !== req.customUser.uid && req.customUser.role !== 'admin') {
+    res.status(403).json({ message: 'Unauthorized: You do not own this vehicle.' });
+    return null;
+  }
+  return vehicle;
+};
+
+// HELPER: Sends CalendarSyncErrors as their status code and anything else as a 500.
+const handleError = (res, error, context) => {
+  if (error instanceof CalendarSyncError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`[CalendarSyncController] Error ${context}:`, error);
+  res.status(500).json({ message: 'Server error processing calendar sync.', error: error.message });
+};
+
+// GET /api/vehicles/:id/calendar-sync
+const getCalendarSync = async (req, res) => {
+  try {
+    const vehicle = await loadOwnedVehicle(req, res);
+    if (!vehicle) return;
+    const feedToken = await ensureFeedToken(req.params.id, vehicle.ownerId);
+    const { imports } = await getSyncSettings(req.params.id);
+    res.status(200).json({ feedUrl: feedUrl(req, feedToken), imports: imports.map(serializeImport) });
+  } catch (error) {
+    handleError(res, error, `loading calendar sync for vehicle ${req.params.id}`);
+  }
+};
+
+// POST /api/vehicles/:id/calendar-sync/feed-token
+// Replaces the feed URL; calendars subscribed to the old one stop updating.
+const rotateFeedToken = async (req, res) => {
+  try {
+    const vehicle = await loadOwnedVehicle(req, res);
+    if (!vehicle) return;
+    const feedToken = await ensureFeedToken(req.params.id, vehicle.ownerId, { rotate: true });
+    res.status(200).json({ message: 'Calendar feed link replaced.', feedUrl: feedUrl(req, feedToken) });
+  } catch (error) {
+    handleError(res, error, `rotating the feed token for vehicle ${req.params.id}`);
+  }
+};
+
+// POST /api/vehicles/:id/calendar-sync/imports
+// Body: { name?, url }. The feed is synced straight away; a failed first sync keeps the import.
+const addImport = async (req, res) => {
+  try {
+    const vehicle = await loadOwnedVehicle(req, res);
+    if (!vehicle) return;
+    const feed = await addCalendarImport(req.params.id, vehicle.ownerId, req.body);
+    let syncError = null;
+    try {
+      await syncCalendarImport(req.params.id, feed.id);
+    } catch (error) {
+      if (!(error instanceof CalendarSyncError)) throw error;
+      syncError = error.message;
+    }
+    const { imports } = await getSyncSettings(req.params.id);
+    const saved = imports.find((item) => item.id === feed.id) || feed;
+    res.status(201).json({ message: 'Calendar import added.', import: serializeImport(saved), ...(syncError ? { syncError } : {}) });
+  } catch (error) {
+    handleError(res, error, `adding a calendar import to vehicle ${req.params.id}`);
+  }
+};
+
+// POST /api/vehicles/:id/calendar-sync/imports/:importId/sync
+const syncImport = async (req, res) => {
+  try {
+    const vehicle = await loadOwnedVehicle(req, res);
+    if (!vehicle) return;
+    const result = await syncCalendarImport(req.params.id, req.params.importId);
+    res.status(200).json({ message: 'Calendar synced.', ...result });
+  } catch (error) {
+    handleError(res, error, `syncing import ${req.params.importId} for vehicle ${req.params.id}`);
+  }
+};
+
+// DELETE /api/vehicles/:id/calendar-sync/imports/:importId
+const removeImport = async (req, res) => {
+  try {
+    const vehicle = await loadOwnedVehicle(req, res);
+    if (!vehicle) return;
+    await removeCalendarImport(req.params.id, req.params.importId);
+    res.status(200).json({ message: 'Calendar import removed.' });
+  } catch (error) {
+    handleError(res, error, `removing import ${req.params.importId} from vehicle ${req.params.id}`);
+  }
+};
+
+// GET /api/vehicles/calendar-feeds/:token(.ics)
+// Public: calendar apps can't log in, so the secret token is the credential.
+const getCalendarFeed = async (req, res) => {
+  try {
+    const vehicleId = await findVehicleByFeedToken(req.params.token.replace(/\.ics$/i, ''));
+    const vehicleDoc = vehicleId ? await db.collection('vehicles').doc(vehicleId).get() : null;
+    if (!vehicleDoc || !vehicleDoc.exists) {
+      return res.status(404).json({ message: 'Calendar feed not found.' });
+    }
+    const ics = await buildVehicleFeed(vehicleId, vehicleDoc.data());
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="vehicle-${vehicleId}.ics"`);
+    res.status(200).send(ics);
+  } catch (error) {
+    handleError(res, error, 'serving a calendar feed');
+  }
+};
+
+module.exports = {
+  getCalendarSync,
+  rotateFeedToken,
+  addImport,
+  syncImport,
+  removeImport,
+  getCalendarFeed,
+};
@@ -123,19 +123,19 @@ const sendMessage = async (req, res) => {
         } 
     });
 
-    // 4. Send notification
+    // 4. Send notification (booking chats can include a driver, so notify everyone else)
     const participants = chatDoc.data().participants || [];
-    const recipientId = participants.find(id => id !== senderId);
+    const recipientIds = participants.filter(id => id !== senderId);
 
-    if (recipientId) {
+    if (recipientIds.length > 0) {
       const senderDoc = await db.collection('users').doc(senderId).get();
       const senderName = senderDoc.exists ? senderDoc.data().firstName : 'Someone';
 
-      await createNotification(
+      await Promise.all(recipientIds.map((recipientId) => createNotification(
         recipientId,
         `${senderName}: ${lastMessageText}`, // Use summary text in notification
         `/chat/${chatId}` // Assumes /chat/:id route exists
-      );
+      )));
     }
 
     res.status(201).json({ message: 'Message sent successfully.' });
@@ -0,0 +1,172 @@
+const { db, storageBucket } = require('../utils/firebase');
+const {
+  DAMAGE_CLAIMS_COLLECTION,
+  DamageClaimError,
+  validateClaimInput,
+  validateDisputeInput,
+  checkCanFileClaim,
+  checkCanDisputeClaim,
+  fileDamageClaim,
+  acceptDamageClaim,
+  disputeDamageClaim,
+  resolveDamageClaim,
+  withdrawDamageClaim,
+  serializeClaim,
+} = require('../utils/damageClaims');
+
+/**
+ * Helper function to upload a Base64 image to Firebase Storage.
+ */
+const uploadBase64Image = async (base64String, folderName) => {
+  if (!base64String || !base64String.startsWith('data:image/')) {
+    return base64String;
+  }
+  const matches = base64String.match(/^data:(image\/[a-z]+);base64,(.+)$/);
+  if (!matches || matches.length !== 3) {
+    console.error('Invalid Base64 image string format detected.');
+    return null;
+  }
+  const contentType = matches[1];
+  const buffer = Buffer.from(matches[2], 'base64');
+  const uniqueSuffix = `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  const fileName = `${folderName}/${uniqueSuffix}.${contentType.split('/')[1]}`;
+
+  const file = storageBucket.file(fileName);
+  try {
+    await file.save(buffer, { metadata: { contentType }, public: true });
+    return file.publicUrl();
+  } catch (uploadError) {
+    console.error(`[DamageClaimController] Error uploading image to ${fileName}:`, uploadError);
+    return null;
+  }
+};
+
+// HELPER: Uploads a list of photos, failing if any of them can't be stored.
+const uploadPhotos = async (photos, folderName) => {
+  const urls = await Promise.all(photos.map((photo) => uploadBase64Image(photo, folderName)));
+  if (urls.some((url) => !url)) {
+    throw new DamageClaimError('Could not upload one or more photos. Please try again.');
+  }
+  return urls;
+};
+
+// HELPER: Sends DamageClaimErrors as their status code and anything else as a 500.
+const handleError = (res, error, context) => {
+  if (error instanceof DamageClaimError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`[DamageClaimController] Error ${context}:`, error);
+  res.status(500).json({ message: 'Server error processing the damage claim.', error: error.message });
+};
+
+// POST /api/bookings/:bookingId/damage-claims
+// Body: { description, repairEstimate, photos: [base64 or URL] }. The return inspection is linked automatically.
+const fileClaim = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const input = validateClaimInput(req.body);
+    await checkCanFileClaim(bookingId, req.customUser);
+    input.photos = await uploadPhotos(input.photos, `bookings/${bookingId}/damage_claims`);
+    const claim = await fileDamageClaim(bookingId, req.customUser, input);
+    res.status(201).json({ message: 'Damage claim filed. The renter has been asked to respond.', claim });
+  } catch (error) {
+    handleError(res, error, `filing a claim on booking ${bookingId}`);
+  }
+};
+
+// GET /api/bookings/:bookingId/damage-claims
+const getBookingClaims = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const { uid, role } = req.customUser;
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return res.status(404).json({ message: 'Booking not found.' });
+    }
+    const booking = bookingDoc.data();
+    if (role !== 'admin' && uid !== booking.renterId && uid !== booking.ownerId) {
+      return res.status(403).json({ message: 'You are not authorized to view claims on this booking.' });
+    }
+
+    const snapshot = await db.collection(DAMAGE_CLAIMS_COLLECTION).where('bookingId', '==', bookingId).get();
+    const claims = snapshot.docs
+      .map((doc) => serializeClaim(doc.id, doc.data()))
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    res.status(200).json(claims);
+  } catch (error) {
+    handleError(res, error, `fetching claims for booking ${bookingId}`);
+  }
+};
+
+// POST /api/bookings/damage-claims/:claimId/accept
+const acceptClaim = async (req, res) => {
+  try {
+    const claim = await acceptDamageClaim(req.params.claimId, req.customUser);
+    res.status(200).json({ message: 'Damage claim accepted.', claim });
+  } catch (error) {
+    handleError(res, error, `accepting claim ${req.params.claimId}`);
+  }
+};
+
+// POST /api/bookings/damage-claims/:claimId/dispute
+// Body: { statement, photos?: [base64 or URL] }
+const disputeClaim = async (req, res) => {
+  const { claimId } = req.params;
+  try {
+    const input = validateDisputeInput(req.body);
+    await checkCanDisputeClaim(claimId, req.customUser);
+    input.photos = await uploadPhotos(input.photos, `damage_claims/${claimId}/dispute`);
+    const claim = await disputeDamageClaim(claimId, req.customUser, input);
+    res.status(200).json({ message: 'Dispute submitted for admin review.', claim });
+  } catch (error) {
+    handleError(res, error, `disputing claim ${claimId}`);
+  }
+};
+
+// POST /api/bookings/damage-claims/:claimId/withdraw
+const withdrawClaim = async (req, res) => {
+  try {
+    const claim = await withdrawDamageClaim(req.params.claimId, req.customUser);
+    res.status(200).json({ message: 'Damage claim withdrawn.', claim });
+  } catch (error) {
+    handleError(res, error, `withdrawing claim ${req.params.claimId}`);
+  }
+};
+
+// GET /api/admin/damage-claims?status=disputed
+const getDamageClaims = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = status
+      ? db.collection(DAMAGE_CLAIMS_COLLECTION).where('status', '==', status)
+      : db.collection(DAMAGE_CLAIMS_COLLECTION);
+    const snapshot = await query.get();
+    const claims = snapshot.docs
+      .map((doc) => serializeClaim(doc.id, doc.data()))
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    res.status(200).json(claims);
+  } catch (error) {
+    handleError(res, error, 'fetching damage claims');
+  }
+};
+
+// PUT /api/admin/damage-claims/:claimId/resolve
+// Body: { amount, note? } - amount is between 0 and the owner's repair estimate.
+const resolveClaim = async (req, res) => {
+  try {
+    const claim = await resolveDamageClaim(req.params.claimId, req.customUser, req.body);
+    res.status(200).json({ message: 'Damage claim resolved.', claim });
+  } catch (error) {
+    handleError(res, error, `resolving claim ${req.params.claimId}`);
+  }
+};
+
+module.exports = {
+  fileClaim,
+  getBookingClaims,
+  acceptClaim,
+  disputeClaim,
+  withdrawClaim,
+  getDamageClaims,
+  resolveClaim,
+};
@@ -0,0 +1,53 @@
+const { DepositError, updateSecurityDeposit } = require('../utils/securityDeposit');
+
+// HELPER: Runs a deposit action and sends the updated deposit back.
+const runDepositAction = async (req, res, action, payload, successMessage) => {
+  const { bookingId } = req.params;
+  try {
+    const securityDeposit = await updateSecurityDeposit(bookingId, action, req.customUser, payload);
+    res.status(200).json({ message: successMessage, securityDeposit });
+  } catch (error) {
+    if (error instanceof DepositError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`[DepositController] Error during deposit ${action} for booking ${bookingId}:`, error);
+    res.status(500).json({ message: 'Server error updating the security deposit.', error: error.message });
+  }
+};
+
+// POST /api/bookings/:bookingId/deposit/pay
+// Renter submits the deposit payment reference, like confirm-downpayment-by-user.
+const payDeposit = (req, res) => runDepositAction(
+  req, res, 'pay',
+  { referenceNumber: req.body.referenceNumber },
+  'Security deposit submitted for confirmation.'
+);
+
+// POST /api/bookings/:bookingId/deposit/confirm
+const confirmDeposit = (req, res) => runDepositAction(
+  req, res, 'confirm', {},
+  'Security deposit confirmed and held.'
+);
+
+// POST /api/bookings/:bookingId/deposit/release
+// Body: { deductions?: [{ amount, reason, claimType: 'damage'|'late_fee'|'other', claimId? }] }
+const releaseDeposit = (req, res) => runDepositAction(
+  req, res, 'release',
+  { deductions: req.body.deductions },
+  'Security deposit released.'
+);
+
+// POST /api/bookings/:bookingId/deposit/forfeit
+// Body: { reason, claimType?, claimId? }
+const forfeitDeposit = (req, res) => runDepositAction(
+  req, res, 'forfeit',
+  { reason: req.body.reason, claimType: req.body.claimType, claimId: req.body.claimId },
+  'Security deposit forfeited.'
+);
+
+module.exports = {
+  payDeposit,
+  confirmDeposit,
+  releaseDeposit,
+  forfeitDeposit,
+};
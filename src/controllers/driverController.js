@@ -0,0 +1,155 @@
+const { admin, db } = require('../utils/firebase');
+const {
+  DRIVERS_COLLECTION,
+  DriverError,
+  validateDriverProfileInput,
+  findDriverUserId,
+  assignDriver,
+  recordDriverOvertime,
+} = require('../utils/withDriver');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[DriverController] ${message}`);
+};
+
+// HELPER: Sends DriverErrors as their status code and anything else as a 500.
+const handleError = (res, error, context) => {
+  if (error instanceof DriverError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`[DriverController] Error ${context}:`, error);
+  res.status(500).json({ message: 'Server error processing the driver request.', error: error.message });
+};
+
+const serializeDriver = (id, driver) => ({
+  id,
+  ...driver,
+  licenseExpiry: driver.licenseExpiry?.toDate ? driver.licenseExpiry.toDate().toISOString() : driver.licenseExpiry,
+  createdAt: driver.createdAt?.toDate ? driver.createdAt.toDate().toISOString() : null,
+  updatedAt: driver.updatedAt?.toDate ? driver.updatedAt.toDate().toISOString() : null,
+});
+
+// HELPER: Loads a driver profile the requester manages (their own, or any for admins).
+const getManagedDriver = async (driverId, user) => {
+  const driverRef = db.collection(DRIVERS_COLLECTION).doc(driverId);
+  const driverDoc = await driverRef.get();
+  if (!driverDoc.exists || (user.role !== 'admin' && driverDoc.data().ownerId !== user.uid)) {
+    throw new DriverError('Driver not found.', 404);
+  }
+  return { driverRef, driver: driverDoc.data() };
+};
+
+// GET /api/users/me/drivers
+const getMyDrivers = async (req, res) => {
+  try {
+    const snapshot = await db.collection(DRIVERS_COLLECTION).where('ownerId', '==', req.customUser.uid).get();
+    const drivers = snapshot.docs
+      .map((doc) => serializeDriver(doc.id, doc.data()))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    res.status(200).json(drivers);
+  } catch (error) {
+    handleError(res, error, 'fetching drivers');
+  }
+};
+
+// POST /api/users/me/drivers
+// Body: { email, name, phoneNumber, licenseNumber, licenseExpiry }
+const createDriver = async (req, res) => {
+  try {
+    const profile = validateDriverProfileInput(req.body);
+    const userId = await findDriverUserId(profile.email);
+    const newDriver = {
+      ...profile,
+      userId,
+      ownerId: req.customUser.uid,
+      isActive: true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const docRef = await db.collection(DRIVERS_COLLECTION).add(newDriver);
+    log(`Driver ${docRef.id} registered by owner ${req.customUser.uid}.`);
+    res.status(201).json(serializeDriver(docRef.id, { ...newDriver, createdAt: null, updatedAt: null }));
+  } catch (error) {
+    handleError(res, error, 'registering a driver');
+  }
+};
+
+// PUT /api/users/me/drivers/:driverId
+// Body: the profile fields to change, and/or { isActive }
+const updateDriver = async (req, res) => {
+  const { driverId } = req.params;
+  try {
+    const { driverRef, driver } = await getManagedDriver(driverId, req.customUser);
+    const profile = validateDriverProfileInput({
+      ...driver,
+      licenseExpiry: driver.licenseExpiry?.toDate ? driver.licenseExpiry.toDate() : driver.licenseExpiry,
+      ...req.body,
+    });
+    const updates = {
+      ...profile,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (profile.email !== driver.email) {
+      updates.userId = await findDriverUserId(profile.email);
+    }
+    if (req.body.hasOwnProperty('isActive')) {
+      updates.isActive = Boolean(req.body.isActive);
+    }
+    await driverRef.update(updates);
+    log(`Driver ${driverId} updated by ${req.customUser.uid}.`);
+    res.status(200).json(serializeDriver(driverId, { ...driver, ...updates, updatedAt: null }));
+  } catch (error) {
+    handleError(res, error, `updating driver ${driverId}`);
+  }
+};
+
+// DELETE /api/users/me/drivers/:driverId
+// Drivers are deactivated rather than deleted, since past bookings refer to them.
+const deactivateDriver = async (req, res) => {
+  const { driverId } = req.params;
+  try {
+    const { driverRef } = await getManagedDriver(driverId, req.customUser);
+    await driverRef.update({ isActive: false, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    log(`Driver ${driverId} deactivated by ${req.customUser.uid}.`);
+    res.status(200).json({ message: 'Driver deactivated.' });
+  } catch (error) {
+    handleError(res, error, `deactivating driver ${driverId}`);
+  }
+};
+
+// PUT /api/bookings/:bookingId/driver
+// Body: { driverId }
+const assignBookingDriver = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    if (!req.body.driverId) {
+      return res.status(400).json({ message: 'driverId is required.' });
+    }
+    const driver = await assignDriver(bookingId, req.customUser, req.body.driverId);
+    res.status(200).json({ message: 'Driver assigned.', driver });
+  } catch (error) {
+    handleError(res, error, `assigning a driver to booking ${bookingId}`);
+  }
+};
+
+// POST /api/bookings/:bookingId/driver/overtime
+// Body: { hours }
+const recordBookingDriverOvertime = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const overtime = await recordDriverOvertime(bookingId, req.customUser, req.body.hours);
+    res.status(200).json({ message: 'Driver overtime added to the balance.', ...overtime });
+  } catch (error) {
+    handleError(res, error, `recording driver overtime on booking ${bookingId}`);
+  }
+};
+
+module.exports = {
+  getMyDrivers,
+  createDriver,
+  updateDriver,
+  deactivateDriver,
+  assignBookingDriver,
+  recordBookingDriverOvertime,
+};
@@ -0,0 +1,89 @@
+const { storageBucket } = require('../utils/firebase');
+const {
+  PHOTO_SIDES,
+  InspectionError,
+  normalizeInspectionInput,
+  recordInspection,
+  acknowledgeInspection,
+} = require('../utils/inspections');
+
+/**
+ * Helper function to upload a Base64 image to Firebase Storage.
+ */
+const uploadBase64Image = async (base64String, folderName) => {
+  if (!base64String || !base64String.startsWith('data:image/')) {
+    return base64String;
+  }
+  const matches = base64String.match(/^data:(image\/[a-z]+);base64,(.+)$/);
+  if (!matches || matches.length !== 3) {
+    console.error('Invalid Base64 image string format detected.');
+    return null;
+  }
+  const contentType = matches[1];
+  const buffer = Buffer.from(matches[2], 'base64');
+  const uniqueSuffix = `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  const fileName = `${folderName}/${uniqueSuffix}.${contentType.split('/')[1]}`;
+
+  const file = storageBucket.file(fileName);
+  try {
+    await file.save(buffer, { metadata: { contentType }, public: true });
+    return file.publicUrl();
+  } catch (uploadError) {
+    console.error(`[InspectionController] Error uploading image to ${fileName}:`, uploadError);
+    return null;
+  }
+};
+
+// HELPER: Validates the readings, uploads the photos and records the inspection.
+const submitInspection = async (req, res, type) => {
+  const { bookingId } = req.params;
+  try {
+    const readings = normalizeInspectionInput(req.body);
+
+    const folderPath = `bookings/${bookingId}/inspections/${type}`;
+    const urls = await Promise.all(PHOTO_SIDES.map((side) => uploadBase64Image(readings.photos[side], folderPath)));
+    const failed = PHOTO_SIDES.filter((side, i) => !urls[i]);
+    if (failed.length > 0) {
+      return res.status(400).json({ message: `Could not upload the ${failed.join(', ')} photo(s). Please try again.` });
+    }
+    PHOTO_SIDES.forEach((side, i) => { readings.photos[side] = urls[i]; });
+
+    const inspections = await recordInspection(bookingId, type, req.customUser, readings);
+    res.status(201).json({ message: `The ${type} inspection has been recorded.`, inspections });
+  } catch (error) {
+    if (error instanceof InspectionError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`[InspectionController] Error recording ${type} inspection for booking ${bookingId}:`, error);
+    res.status(500).json({ message: 'Server error recording the inspection.', error: error.message });
+  }
+};
+
+// POST /api/bookings/:bookingId/inspections/pickup
+// Body: { odometer, fuelBars, fuelBarsTotal?, damageNotes?, photos: { front, back, left, right } } (photos as base64 or URLs)
+const recordPickupInspection = (req, res) => submitInspection(req, res, 'pickup');
+
+// POST /api/bookings/:bookingId/inspections/return
+// Same body as pickup. Distance driven and missing fuel are worked out against the pickup inspection.
+const recordReturnInspection = (req, res) => submitInspection(req, res, 'return');
+
+// POST /api/bookings/:bookingId/inspections/:type/acknowledge
+const acknowledgeBookingInspection = async (req, res) => {
+  const { bookingId, type } = req.params;
+  try {
+    const inspections = await acknowledgeInspection(bookingId, type, req.customUser);
+    res.status(200).json({ message: `The ${type} inspection has been acknowledged.`, inspections });
+  } catch (error) {
+    if (error instanceof InspectionError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`[InspectionController] Error acknowledging ${type} inspection for booking ${bookingId}:`, error);
+    res.status(500).json({ message: 'Server error acknowledging the inspection.', error: error.message });
+  }
+};
+
+module.exports = {
+  recordPickupInspection,
+  recordReturnInspection,
+  acknowledgeBookingInspection,
+};
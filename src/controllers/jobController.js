@@ -0,0 +1,55 @@
+const { JobSchedulerError, listJobs, getJobRuns, runJob } = require('../utils/jobScheduler');
+
+// GET /api/admin/jobs
+const getScheduledJobs = async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    res.status(200).json(jobs);
+  } catch (error) {
+    console.error('[JobController] Error listing scheduled jobs:', error);
+    res.status(500).json({ message: 'Server error listing scheduled jobs.' });
+  }
+};
+
+// GET /api/admin/jobs/:jobName/runs
+const getScheduledJobRuns = async (req, res) => {
+  try {
+    const { jobName } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await getJobRuns(jobName, limit);
+    res.status(200).json(runs);
+  } catch (error) {
+    if (error instanceof JobSchedulerError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`[JobController] Error fetching runs for job ${req.params.jobName}:`, error);
+    res.status(500).json({ message: 'Server error fetching job runs.' });
+  }
+};
+
+// POST /api/admin/jobs/:jobName/run
+const triggerScheduledJob = async (req, res) => {
+  try {
+    const { jobName } = req.params;
+    const run = await runJob(jobName, { trigger: 'manual', triggeredBy: req.customUser.uid });
+
+    if (run.skipped) {
+      return res.status(409).json({ message: `Job '${jobName}' is already running on another instance.` });
+    }
+
+    console.log(`[JobController] Admin ${req.customUser.uid} triggered job ${jobName}.`);
+    res.status(200).json(run);
+  } catch (error) {
+    if (error instanceof JobSchedulerError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`[JobController] Error triggering job ${req.params.jobName}:`, error);
+    res.status(500).json({ message: 'Server error triggering job.' });
+  }
+};
+
+module.exports = {
+  getScheduledJobs,
+  getScheduledJobRuns,
+  triggerScheduledJob,
+};
@@ -0,0 +1,87 @@
+const {
+  ModificationError,
+  requestModification,
+  acceptModification,
+  declineModification,
+  withdrawModification,
+} = require('../utils/dateModifications');
+const { TripRuleError } = require('../utils/tripRules');
+
+const iso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+// Timestamps are sent as ISO strings, like the rest of the booking endpoints.
+const serializeRequest = (request) => ({
+  ...request,
+  requestedAt: iso(request.requestedAt),
+  respondedAt: iso(request.respondedAt),
+  previousStartDate: iso(request.previousStartDate),
+  previousEndDate: iso(request.previousEndDate),
+  newStartDate: iso(request.newStartDate),
+  newEndDate: iso(request.newEndDate),
+});
+
+// HELPER: Sends ModificationErrors as their status code and anything else as a 500.
+// Broken trip rules also list each rule in `reasons`.
+const handleError = (res, error, context) => {
+  if (error instanceof TripRuleError) {
+    return res.status(error.statusCode).json({ message: error.message, reasons: error.reasons });
+  }
+  if (error instanceof ModificationError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`[ModificationController] Error ${context}:`, error);
+  res.status(500).json({ message: 'Server error processing the date change.', error: error.message });
+};
+
+// POST /api/bookings/:bookingId/modifications
+// Body: { startDate, endDate }
+const requestDateChange = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const request = await requestModification(bookingId, req.customUser, req.body);
+    res.status(201).json({ message: 'Date change requested. Awaiting the owner.', request: serializeRequest(request) });
+  } catch (error) {
+    handleError(res, error, `requesting a date change on booking ${bookingId}`);
+  }
+};
+
+// POST /api/bookings/:bookingId/modifications/accept
+const acceptDateChange = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const { request, refundId } = await acceptModification(bookingId, req.customUser);
+    res.status(200).json({ message: 'Date change accepted. The booking has been updated.', request: serializeRequest(request), refundId });
+  } catch (error) {
+    handleError(res, error, `accepting the date change on booking ${bookingId}`);
+  }
+};
+
+// POST /api/bookings/:bookingId/modifications/decline
+// Body: { reason? }
+const declineDateChange = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const request = await declineModification(bookingId, req.customUser, req.body.reason);
+    res.status(200).json({ message: 'Date change declined.', request: serializeRequest(request) });
+  } catch (error) {
+    handleError(res, error, `declining the date change on booking ${bookingId}`);
+  }
+};
+
+// POST /api/bookings/:bookingId/modifications/withdraw
+const withdrawDateChange = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const request = await withdrawModification(bookingId, req.customUser);
+    res.status(200).json({ message: 'Date change withdrawn.', request: serializeRequest(request) });
+  } catch (error) {
+    handleError(res, error, `withdrawing the date change on booking ${bookingId}`);
+  }
+};
+
+module.exports = {
+  requestDateChange,
+  acceptDateChange,
+  declineDateChange,
+  withdrawDateChange,
+};
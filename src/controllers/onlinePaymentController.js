@@ -0,0 +1,57 @@
+const { db } = require('../utils/firebase');
+const { resolveActorRole } = require('../utils/bookingLifecycle');
+const { OnlinePaymentError, createCheckout, getBookingPayments } = require('../utils/onlinePayments');
+const { PaymongoError } = require('../services/paymentService');
+
+const iso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+// HELPER: Sends OnlinePaymentErrors and Paymongo failures as their status code and anything else as a 500.
+const handleError = (res, error, context) => {
+  if (error instanceof OnlinePaymentError || error instanceof PaymongoError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`[OnlinePaymentController] Error ${context}:`, error);
+  res.status(500).json({ message: 'Server error processing the online payment.', error: error.message });
+};
+
+// POST /api/bookings/:bookingId/checkout
+// Body: { purpose: 'downpayment'|'balance'|'extension' }. The amount is whatever is due
+// for that purpose; the renter pays on the returned checkoutUrl.
+const createBookingCheckout = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const checkout = await createCheckout(bookingId, (req.body || {}).purpose, req.customUser);
+    res.status(201).json({ message: 'Checkout created. Redirect the renter to checkoutUrl.', ...checkout });
+  } catch (error) {
+    handleError(res, error, `creating a checkout for booking ${bookingId}`);
+  }
+};
+
+// GET /api/bookings/:bookingId/payments
+// Lets the renter's page poll for the webhook after returning from the checkout.
+const listBookingPayments = async (req, res) => {
+  const { bookingId } = req.params;
+  try {
+    const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+    if (!bookingDoc.exists) {
+      return res.status(404).json({ message: 'Booking not found.' });
+    }
+    if (!resolveActorRole(bookingDoc.data(), req.customUser)) {
+      return res.status(403).json({ message: 'You are not a party to this booking.' });
+    }
+    const payments = await getBookingPayments(bookingId);
+    res.status(200).json(payments.map((payment) => ({
+      ...payment,
+      createdAt: iso(payment.createdAt),
+      paidAt: iso(payment.paidAt),
+      failedAt: iso(payment.failedAt),
+    })));
+  } catch (error) {
+    handleError(res, error, `listing payments for booking ${bookingId}`);
+  }
+};
+
+module.exports = {
+  createBookingCheckout,
+  listBookingPayments,
+};
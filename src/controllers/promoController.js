@@ -0,0 +1,140 @@
+const { admin, db } = require('../utils/firebase');
+const {
+  PROMO_COLLECTION,
+  PromoCodeError,
+  normalizeCode,
+  normalizePromoInput,
+  serializePromo,
+} = require('../utils/promoCodes');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[PromoController] ${message}`);
+};
+
+// GET /api/admin/promo-codes
+const getPromoCodes = async (req, res) => {
+  try {
+    const snapshot = await db.collection(PROMO_COLLECTION).orderBy('createdAt', 'desc').get();
+    res.status(200).json(snapshot.docs.map((doc) => serializePromo(doc.id, doc.data())));
+  } catch (error) {
+    console.error('[PromoController] Error listing promo codes:', error);
+    res.status(500).json({ message: 'Server error listing promo codes.' });
+  }
+};
+
+// POST /api/admin/promo-codes
+const createPromoCode = async (req, res) => {
+  try {
+    const promo = normalizePromoInput(req.body);
+    const ref = db.collection(PROMO_COLLECTION).doc(promo.code);
+
+    const newPromo = {
+      ...promo,
+      redemptionCount: 0,
+      createdBy: req.customUser.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // create() fails if the code already exists.
+    await ref.create(newPromo);
+
+    log(`Admin ${req.customUser.uid} created promo code ${promo.code}.`);
+    const saved = await ref.get();
+    res.status(201).json(serializePromo(saved.id, saved.data()));
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.code === 6) { // ALREADY_EXISTS
+      return res.status(409).json({ message: 'A promo code with this code already exists.' });
+    }
+    console.error('[PromoController] Error creating promo code:', error);
+    res.status(500).json({ message: 'Server error creating promo code.' });
+  }
+};
+
+// PUT /api/admin/promo-codes/:code
+const updatePromoCode = async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    const ref = db.collection(PROMO_COLLECTION).doc(code);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Promo code not found.' });
+    }
+
+    const updates = normalizePromoInput(req.body, { partial: true, existing: doc.data() });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No valid fields to update.' });
+    }
+
+    await ref.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    log(`Admin ${req.customUser.uid} updated promo code ${code}: ${Object.keys(updates).join(', ')}.`);
+    const saved = await ref.get();
+    res.status(200).json(serializePromo(saved.id, saved.data()));
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`[PromoController] Error updating promo code ${req.params.code}:`, error);
+    res.status(500).json({ message: 'Server error updating promo code.' });
+  }
+};
+
+// DELETE /api/admin/promo-codes/:code
+// Codes are deactivated rather than deleted so bookings that used them keep a valid reference.
+const deactivatePromoCode = async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    const ref = db.collection(PROMO_COLLECTION).doc(code);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Promo code not found.' });
+    }
+
+    await ref.update({ isActive: false, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    log(`Admin ${req.customUser.uid} deactivated promo code ${code}.`);
+    res.status(200).json({ message: 'Promo code deactivated.' });
+  } catch (error) {
+    console.error(`[PromoController] Error deactivating promo code ${req.params.code}:`, error);
+    res.status(500).json({ message: 'Server error deactivating promo code.' });
+  }
+};
+
+// GET /api/admin/promo-codes/:code/redemptions
+const getPromoCodeRedemptions = async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    const ref = db.collection(PROMO_COLLECTION).doc(code);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Promo code not found.' });
+    }
+
+    const snapshot = await ref.collection('redemptions').orderBy('createdAt', 'desc').get();
+    res.status(200).json(snapshot.docs.map((redemption) => {
+      const data = redemption.data();
+      return {
+        id: redemption.id,
+        ...data,
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : null,
+        releasedAt: data.releasedAt?.toDate ? data.releasedAt.toDate().toISOString() : null,
+      };
+    }));
+  } catch (error) {
+    console.error(`[PromoController] Error fetching redemptions for ${req.params.code}:`, error);
+    res.status(500).json({ message: 'Server error fetching promo code redemptions.' });
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  getPromoCodeRedemptions,
+};
@@ -0,0 +1,121 @@
+const { admin, db } = require('../utils/firebase');
+const { createNotification } = require('../utils/notificationHelper');
+const { resolveActorRole } = require('../utils/bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory } = require('../utils/bookingHistory');
+const { REFUNDS_COLLECTION, REFUND_STATUS, buildRefundPaidUpdates } = require('../utils/cancellationPolicy');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[RefundController] ${message}`);
+};
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+
+const serializeRefund = (doc) => {
+  const data = doc.data();
+  return { id: doc.id, ...data, createdAt: toIso(data.createdAt), paidAt: toIso(data.paidAt) };
+};
+
+// GET /api/bookings/refunds?status=pending
+// Admins see every refund; everyone else sees the refunds they owe or are owed.
+const getRefunds = async (req, res) => {
+  try {
+    const { uid, role } = req.customUser;
+    const { status } = req.query;
+
+    const applyStatus = (query) => (status ? query.where('status', '==', status) : query);
+    let docs;
+    if (role === 'admin') {
+      const snapshot = await applyStatus(db.collection(REFUNDS_COLLECTION)).get();
+      docs = snapshot.docs;
+    } else {
+      const [owed, owing] = await Promise.all([
+        applyStatus(db.collection(REFUNDS_COLLECTION).where('renterId', '==', uid)).get(),
+        applyStatus(db.collection(REFUNDS_COLLECTION).where('ownerId', '==', uid)).get(),
+      ]);
+      docs = [...owed.docs, ...owing.docs];
+    }
+
+    const refunds = docs.map(serializeRefund).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    res.status(200).json(refunds);
+  } catch (error) {
+    console.error('[RefundController] Error fetching refunds:', error);
+    res.status(500).json({ message: 'Server error fetching refunds.' });
+  }
+};
+
+// PUT /api/bookings/refunds/:refundId/paid
+// The owner (or an admin) records that the refund was sent to the renter.
+const markRefundPaid = async (req, res) => {
+  try {
+    const { refundId } = req.params;
+    const { referenceNumber } = req.body;
+    const actor = req.customUser;
+
+    if (!referenceNumber) {
+      return res.status(400).json({ message: 'Reference number is required.' });
+    }
+
+    const refundRef = db.collection(REFUNDS_COLLECTION).doc(refundId);
+    const refund = await db.runTransaction(async (transaction) => {
+      const refundDoc = await transaction.get(refundRef);
+      if (!refundDoc.exists) {
+        return { error: 404, message: 'Refund not found.' };
+      }
+      const refundData = refundDoc.data();
+      const bookingRef = db.collection('bookings').doc(refundData.bookingId);
+      const bookingDoc = await transaction.get(bookingRef);
+      const booking = bookingDoc.exists ? bookingDoc.data() : { ownerId: refundData.ownerId, renterId: refundData.renterId };
+
+      const actorRole = resolveActorRole(booking, actor);
+      if (actorRole !== 'owner' && actorRole !== 'admin') {
+        return { error: 403, message: 'Only the owner or an admin can mark this refund as paid.' };
+      }
+      if (refundData.status === REFUND_STATUS.PAID) {
+        return { error: 409, message: 'This refund has already been marked as paid.' };
+      }
+
+      const paidAt = admin.firestore.Timestamp.now();
+      transaction.update(refundRef, { status: REFUND_STATUS.PAID, referenceNumber, paidAt, paidBy: actor.uid });
+
+      if (bookingDoc.exists) {
+        const bookingUpdates = {
+          ...buildRefundPaidUpdates(booking, refundId, refundData, { referenceNumber, paidAt }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        transaction.update(bookingRef, bookingUpdates);
+        await recordBookingHistory(refundData.bookingId, buildHistoryEntry({
+          actor,
+          actorRole,
+          action: 'refund_paid',
+          previousStatus: booking.paymentStatus,
+          newStatus: booking.paymentStatus,
+          note: `Refund of ₱${refundData.amount.toFixed(2)} sent (Ref: ${referenceNumber})`,
+        }), transaction);
+      }
+
+      return { ...refundData, id: refundId, status: REFUND_STATUS.PAID, referenceNumber };
+    });
+
+    if (refund.error) {
+      return res.status(refund.error).json({ message: refund.message });
+    }
+
+    await createNotification(
+      refund.renterId,
+      `Your refund of ₱${refund.amount.toFixed(2)} has been sent (Ref: ${referenceNumber}).`,
+      `/dashboard/my-bookings/${refund.bookingId}`
+    );
+
+    log(`Refund ${refundId} for booking ${refund.bookingId} marked paid by ${actor.uid}.`);
+    res.status(200).json({ message: 'Refund marked as paid.', refund: { ...refund, createdAt: toIso(refund.createdAt), paidAt: new Date().toISOString() } });
+  } catch (error) {
+    console.error(`[RefundController] Error marking refund ${req.params.refundId} as paid:`, error);
+    res.status(500).json({ message: 'Server error updating refund.' });
+  }
+};
+
+module.exports = {
+  getRefunds,
+  markRefundPaid,
+};
@@ -1,6 +1,7 @@
 const { admin, db } = require('../utils/firebase');
 const { createNotification } = require('../utils/notificationHelper');
 const { getAuth } = require('firebase-admin/auth');
+const { InstantBookError, validateRenterRating } = require('../utils/instantBook');
 
 // Helper to get user details
 const getReviewerDetails = async (userId) => {
@@ -222,8 +223,66 @@ const submitReviewReply = async (req, res) => {
 };
 // --- END NEW FUNCTION ---
 
+/**
+ * Lets the owner rate the renter of a finished trip. The rating is kept on the
+ * booking, and the renter's running totals feed instant book's minimum rating.
+ */
+const rateRenter = async (req, res) => {
+  try {
+    const ownerId = req.customUser.uid;
+    const { bookingId } = req.body;
+    if (!bookingId) {
+      return res.status(400).json({ message: 'bookingId is required.' });
+    }
+    const { rating, comment } = validateRenterRating(req.body);
+
+    const bookingRef = db.collection('bookings').doc(bookingId);
+    let renterId;
+    await db.runTransaction(async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists) {
+        throw new InstantBookError('Booking not found.', 404);
+      }
+      const bookingData = bookingDoc.data();
+      if (bookingData.ownerId !== ownerId) {
+        throw new InstantBookError('You are not authorized to rate the renter of this booking.', 403);
+      }
+      if (bookingData.renterRating) {
+        throw new InstantBookError('The renter has already been rated for this booking.', 409);
+      }
+      if (!['completed', 'returned'].includes(bookingData.paymentStatus)) {
+        throw new InstantBookError('You can only rate renters of finished trips.', 409);
+      }
+
+      renterId = bookingData.renterId;
+      transaction.update(bookingRef, {
+        renterRating: { rating, comment, ratedAt: admin.firestore.FieldValue.serverTimestamp() },
+      });
+      transaction.update(db.collection('users').doc(renterId), {
+        renterRatingTotal: admin.firestore.FieldValue.increment(rating),
+        renterRatingCount: admin.firestore.FieldValue.increment(1),
+      });
+    });
+
+    await createNotification(
+      renterId,
+      `Your host rated your trip ${rating} out of 5.`,
+      `/dashboard/my-bookings/${bookingId}`
+    );
+
+    res.status(201).json({ message: 'Renter rated successfully.', rating, comment });
+  } catch (error) {
+    if (error instanceof InstantBookError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error rating renter:', error);
+    res.status(500).json({ message: error.message || 'Server error rating renter.' });
+  }
+};
+
 module.exports = {
   createReview,
   getReviewsForHost,
   submitReviewReply, // <-- ADD TO EXPORTS
+  rateRenter,
 };
\ No newline at end of file
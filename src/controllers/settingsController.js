@@ -0,0 +1,41 @@
+const {
+  DownpaymentPolicyError,
+  getDownpaymentSettings,
+  normalizeSettingsInput,
+  saveDownpaymentSettings,
+} = require('../utils/downpaymentPolicy');
+
+// GET /api/admin/settings/downpayment
+const getDownpaymentPolicy = async (req, res) => {
+  try {
+    const settings = await getDownpaymentSettings();
+    res.status(200).json(settings);
+  } catch (error) {
+    console.error('[SettingsController] Error fetching downpayment settings:', error);
+    res.status(500).json({ message: 'Server error fetching downpayment settings.' });
+  }
+};
+
+// PUT /api/admin/settings/downpayment
+// Existing vehicle and owner percentages outside new bounds are clamped at booking time.
+const updateDownpaymentPolicy = async (req, res) => {
+  try {
+    const current = await getDownpaymentSettings();
+    const settings = normalizeSettingsInput(req.body || {}, current);
+    await saveDownpaymentSettings(settings, req.customUser.uid);
+
+    console.log(`[SettingsController] Admin ${req.customUser.uid} updated downpayment settings: ${JSON.stringify(settings)}`);
+    res.status(200).json(settings);
+  } catch (error) {
+    if (error instanceof DownpaymentPolicyError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('[SettingsController] Error updating downpayment settings:', error);
+    res.status(500).json({ message: 'Server error updating downpayment settings.' });
+  }
+};
+
+module.exports = {
+  getDownpaymentPolicy,
+  updateDownpaymentPolicy,
+};
@@ -3,6 +3,7 @@ const { sendVerificationEmail } = require('../utils/emailService');
 const { getAuth } = require('firebase-admin/auth');
 
 const { createNotification } = require('../utils/notificationHelper');
+const { DownpaymentPolicyError, getDownpaymentSettings, validateDownpaymentPercent } = require('../utils/downpaymentPolicy');
 
 const log = (message, data = '') => {
   console.log(`[UserController] ${message}`, data);
@@ -166,12 +167,22 @@ const updateUserProfile = async (req, res) => {
     if (updates.bannerImageUrl !== undefined) allowedUpdates.bannerImageUrl = updates.bannerImageUrl;
     if (updates.isMobileVerified !== undefined) allowedUpdates.isMobileVerified = updates.isMobileVerified;
     if (updates.email !== undefined) allowedUpdates.email = updates.email;
-    if (updates.emailVerified !== undefined) allowedUpdates.emailVerified = updates.emailVerified;
+    // emailVerified is only ever cleared here (on an email change); verifyEmailCode sets it.
+    if (updates.emailVerified === false) allowedUpdates.emailVerified = false;
     if (updates.profilePhotoUrl !== undefined) allowedUpdates.profilePhotoUrl = updates.profilePhotoUrl;
     // --- ADDED ---
     if (updates.payoutQRCodeUrl !== undefined) allowedUpdates.payoutQRCodeUrl = updates.payoutQRCodeUrl;
     if (updates.payoutDetails !== undefined) allowedUpdates.payoutDetails = updates.payoutDetails;
     // --- END ADDED ---
+    // Owners' default downpayment for vehicles that don't set their own. Null clears it.
+    if (updates.defaultDownPaymentPercent !== undefined) {
+      try {
+        allowedUpdates.defaultDownPaymentPercent = validateDownpaymentPercent(updates.defaultDownPaymentPercent, await getDownpaymentSettings());
+      } catch (error) {
+        if (error instanceof DownpaymentPolicyError) return res.status(400).json({ message: error.message });
+        throw error;
+      }
+    }
 
     if (Object.keys(allowedUpdates).length === 0) {
       return res.status(400).json({ message: 'No valid fields provided for update.' });
@@ -1,5 +1,23 @@
 const { admin, db, storageBucket } = require('../utils/firebase');
-const axios = require('axios');
+const { normalizePricing } = require('../utils/pricingEngine');
+const { geocodeLocation } = require('../utils/geocoding');
+const { DownpaymentPolicyError, getDownpaymentSettings, validateDownpaymentPercent } = require('../utils/downpaymentPolicy');
+const { DepositError, validateDepositAmount } = require('../utils/securityDeposit');
+const { CancellationError, validatePolicyName } = require('../utils/cancellationPolicy');
+const { LateFeeError, validateGraceHours } = require('../utils/lateFees');
+const { InspectionError, validateFuelChargePerBar } = require('../utils/inspections');
+const { AddOnError, normalizeAddOns } = require('../utils/addOns');
+const { DriverError, normalizeWithDriverSettings } = require('../utils/withDriver');
+const { DeliveryError, normalizeDeliverySettings } = require('../utils/delivery');
+const { InstantBookError, normalizeInstantBookSettings } = require('../utils/instantBook');
+const { TripRuleError, normalizeTripRules } = require('../utils/tripRules');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/bookingLifecycle');
+const { getActiveHolds } = require('../utils/reservations');
+const { CalendarError, parseCalendarRange, buildVehicleCalendar, mergeOwnerBlocks } = require('../utils/vehicleCalendar');
+
+// Validation errors from the per-vehicle booking settings, all reported as 400s.
+const SETTING_ERRORS = [DownpaymentPolicyError, DepositError, CancellationError, LateFeeError, InspectionError, AddOnError, DriverError, DeliveryError, InstantBookError, TripRuleError];
+const isSettingError = (error) => SETTING_ERRORS.some((ErrorClass) => error instanceof ErrorClass);
 
 /**
  * Helper function to upload a Base64 image to Firebase Storage.
@@ -50,43 +68,6 @@ const extractStoragePath = (url) => {
     return null;
 };
 
-/**
- * Helper function to geocode a location object using Nominatim.
- */
-const geocodeLocation = async (location) => {
-  if (!location || !location.city || !location.country) {
-    return null;
-  }
-  let query = `${location.barangay || ''}, ${location.city}, ${location.region || ''}, ${location.country}`.replace(/ ,/g, ',');
-  try {
-    const response = await axios.get('https://nominatim.openstreetmap.org/search', {
-      params: { q: query, format: 'json', limit: 1 },
-      headers: { 'User-Agent': 'Car-Rental-App/1.0 (Development)' },
-    });
-    if (response.data && response.data.length > 0) {
-      return { lat: parseFloat(response.data[0].lat), lon: parseFloat(response.data[0].lon) };
-    }
-  } catch (error) {
-    console.error(`[VehicleController] Geocoding error (attempt 1) for query "${query}":`, error.message);
-  }
-
-  query = `${location.city}, ${location.country}`;
-  try {
-    const response = await axios.get('https://nominatim.openstreetmap.org/search', {
-      params: { q: query, format: 'json', limit: 1 },
-      headers: { 'User-Agent': 'Car-Rental-App/1.0 (Development)' },
-    });
-    if (response.data && response.data.length > 0) {
-      return { lat: parseFloat(response.data[0].lat), lon: parseFloat(response.data[0].lon) };
-    }
-  } catch (error) {
-    console.error(`[VehicleController] Geocoding error (attempt 2) for query "${query}":`, error.message);
-  }
-
-  console.warn('[VehicleController] Geocoding failed for all attempts.');
-  return null;
-};
-
 // ==================================================================
 // CONTROLLER FUNCTIONS
 // ==================================================================
@@ -161,7 +142,8 @@ const getVehicleById = async (req, res) => {
         .map(range => {
            const start = range.start?.toDate ? range.start.toDate().toISOString() : null;
            const end = range.end?.toDate ? range.end.toDate().toISOString() : null;
-           return (start && end) ? { start, end } : null;
+           // Imported blocks name their calendar and booking blocks are flagged, so the owner's editor can leave them out.
+           return (start && end) ? { start, end, ...(range.importId ? { source: range.source } : {}), ...(range.bookingId ? { booked: true } : {}) } : null;
         })
         .filter(range => range !== null);
     }
@@ -182,6 +164,45 @@ const getVehicleById = async (req, res) => {
   }
 };
 
+// GET /api/vehicles/:id/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Busy intervals and priced free days. Only the owner (or an admin) sees which booking
+// occupies each interval; everyone else just sees that it is busy.
+const getVehicleCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    let range;
+    try {
+      range = parseCalendarRange(req.query);
+    } catch (error) {
+      if (error instanceof CalendarError) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    const vehicleDoc = await db.collection('vehicles').doc(id).get();
+    if (!vehicleDoc.exists) {
+      return res.status(404).json({ message: 'Vehicle not found.' });
+    }
+    const vehicle = vehicleDoc.data();
+
+    const [bookingsSnapshot, holds] = await Promise.all([
+      db.collection('bookings')
+        .where('vehicleId', '==', id)
+        .where('paymentStatus', 'in', ACTIVE_BOOKING_STATUSES)
+        .get(),
+      getActiveHolds(id),
+    ]);
+    const bookings = bookingsSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const annotate = req.customUser.uid === vehicle.ownerId || req.customUser.role === 'admin';
+
+    res.status(200).json(buildVehicleCalendar({ vehicle, bookings, holds, range, annotate }));
+  } catch (error) {
+    console.error(`[VehicleController][getVehicleCalendar] Error building calendar for vehicle ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Error fetching vehicle calendar.', error: error.message });
+  }
+};
+
 const addVehicle = async (req, res) => {
   try {
     // --- NEW: SUSPENSION CHECK ---
@@ -202,6 +223,36 @@ const addVehicle = async (req, res) => {
       return res.status(400).json({ message: 'Missing required vehicle fields (make, model, year).' });
     }
 
+    let downPaymentPercent = null;
+    let securityDeposit = null;
+    let cancellationPolicy;
+    let lateReturnGraceHours = null;
+    let fuelChargePerBar = null;
+    let addOns = [];
+    let withDriver = null;
+    let delivery = null;
+    let instantBook = null;
+    let tripRules = null;
+    try {
+      if (vehicleData.downPaymentPercent !== undefined) {
+        downPaymentPercent = validateDownpaymentPercent(vehicleData.downPaymentPercent, await getDownpaymentSettings());
+      }
+      securityDeposit = validateDepositAmount(vehicleData.securityDeposit);
+      cancellationPolicy = validatePolicyName(vehicleData.cancellationPolicy);
+      lateReturnGraceHours = validateGraceHours(vehicleData.lateReturnGraceHours);
+      fuelChargePerBar = validateFuelChargePerBar(vehicleData.fuelChargePerBar);
+      addOns = normalizeAddOns(vehicleData.addOns);
+      withDriver = normalizeWithDriverSettings(vehicleData.withDriver);
+      delivery = normalizeDeliverySettings(vehicleData.delivery);
+      instantBook = normalizeInstantBookSettings(vehicleData.instantBook);
+      tripRules = normalizeTripRules(vehicleData.tripRules);
+    } catch (error) {
+      if (isSettingError(error)) {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+
     const cleanData = { ...vehicleData };
     // --- Image Uploads ---
     if (cleanData.cor?.corImage) { cleanData.cor.corImage = await uploadBase64Image(cleanData.cor.corImage, `${folderPath}/documents`); }
@@ -239,7 +290,17 @@ const addVehicle = async (req, res) => {
       latitude: coordinates ? coordinates.lat : null,
       longitude: coordinates ? coordinates.lon : null,
       rentalPricePerDay: parseFloat(cleanData.pricing?.manualPrice || cleanData.pricing?.recommendedPrice || 0),
-      pricing: cleanData.pricing || {},
+      pricing: normalizePricing(cleanData.pricing || {}),
+      downPaymentPercent,
+      securityDeposit,
+      cancellationPolicy,
+      lateReturnGraceHours,
+      fuelChargePerBar,
+      addOns,
+      withDriver,
+      delivery,
+      instantBook,
+      tripRules,
       availability: (cleanData.availability || [])
         .filter(period => period.start && period.end)
         .map(period => {
@@ -294,6 +355,44 @@ const updateVehicle = async (req, res) => {
     }
 
     const cleanUpdates = { ...updates };
+
+    try {
+      if (cleanUpdates.hasOwnProperty('downPaymentPercent')) {
+        cleanUpdates.downPaymentPercent = validateDownpaymentPercent(cleanUpdates.downPaymentPercent, await getDownpaymentSettings());
+      }
+      if (cleanUpdates.hasOwnProperty('securityDeposit')) {
+        cleanUpdates.securityDeposit = validateDepositAmount(cleanUpdates.securityDeposit);
+      }
+      if (cleanUpdates.hasOwnProperty('cancellationPolicy')) {
+        cleanUpdates.cancellationPolicy = validatePolicyName(cleanUpdates.cancellationPolicy);
+      }
+      if (cleanUpdates.hasOwnProperty('lateReturnGraceHours')) {
+        cleanUpdates.lateReturnGraceHours = validateGraceHours(cleanUpdates.lateReturnGraceHours);
+      }
+      if (cleanUpdates.hasOwnProperty('fuelChargePerBar')) {
+        cleanUpdates.fuelChargePerBar = validateFuelChargePerBar(cleanUpdates.fuelChargePerBar);
+      }
+      if (cleanUpdates.hasOwnProperty('addOns')) {
+        cleanUpdates.addOns = normalizeAddOns(cleanUpdates.addOns);
+      }
+      if (cleanUpdates.hasOwnProperty('withDriver')) {
+        cleanUpdates.withDriver = normalizeWithDriverSettings(cleanUpdates.withDriver);
+      }
+      if (cleanUpdates.hasOwnProperty('delivery')) {
+        cleanUpdates.delivery = normalizeDeliverySettings(cleanUpdates.delivery);
+      }
+      if (cleanUpdates.hasOwnProperty('instantBook')) {
+        cleanUpdates.instantBook = normalizeInstantBookSettings(cleanUpdates.instantBook);
+      }
+      if (cleanUpdates.hasOwnProperty('tripRules')) {
+        cleanUpdates.tripRules = normalizeTripRules(cleanUpdates.tripRules);
+      }
+    } catch (error) {
+      if (isSettingError(error)) {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
     
     if (cleanUpdates.cor?.corImage?.startsWith('data:image')) { cleanUpdates.cor.corImage = await uploadBase64Image(cleanUpdates.cor.corImage, `${folderPath}/documents`); }
     const orImageBase64 = cleanUpdates.or?.orImage || cleanUpdates.or?.orImageUrl;
@@ -324,6 +423,7 @@ const updateVehicle = async (req, res) => {
     }
 
     if (cleanUpdates.year) { cleanUpdates.year = parseInt(cleanUpdates.year, 10); }
+    if (cleanUpdates.pricing && typeof cleanUpdates.pricing === 'object') { cleanUpdates.pricing = normalizePricing(cleanUpdates.pricing); }
     const price = cleanUpdates.pricing?.manualPrice ?? cleanUpdates.pricing?.recommendedPrice;
     if (price !== undefined && price !== null) { cleanUpdates.rentalPricePerDay = parseFloat(price); }
     if (cleanUpdates.seats) { cleanUpdates.seatingCapacity = parseInt(cleanUpdates.seats, 10); }
@@ -353,6 +453,11 @@ const updateVehicle = async (req, res) => {
     } else if (cleanUpdates.hasOwnProperty('availability')) {
       cleanUpdates.availability = [];
     }
+    // The owner edits their own blocks. Booking blocks stay until the booking releases them and
+    // imported ones until the next sync.
+    if (cleanUpdates.hasOwnProperty('availability')) {
+      cleanUpdates.availability = mergeOwnerBlocks(cleanUpdates.availability, vehicleDoc.data().availability);
+    }
 
     cleanUpdates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
 
@@ -500,4 +605,5 @@ module.exports = {
   deleteVehicle,
   getVehiclesByOwner,
   getPublicVehiclesByOwner, 
+  getVehicleCalendar,
 };
\ No newline at end of file
@@ -1,106 +1,66 @@
 // backend/src/controllers/webhookController.js
 
-const crypto = require('crypto');
-const { db, admin } = require('../utils/firebase');
+const { WEBHOOK_EVENT_STATUS, recordRejectedDelivery, receiveWebhookEvent } = require('../utils/webhookEvents');
+const { verifyWebhookSignature } = require('../services/paymentService');
 
-const PAYMONGO_WEBHOOK_SECRET = process.env.PAYMONGO_WEBHOOK_SECRET;
+const log = (message) => {
+    console.log(`[WebhookController] ${message}`);
+};
 
+// Every delivery is stored in webhook_events (see utils/webhookEvents.js). Paymongo
+// retries any non-2xx response, so only failures worth retrying get a 500; a redelivery
+// of an event still processing elsewhere gets a 409 so it comes back later. Events that
+// can never apply are acknowledged, left failed, and can be replayed by an admin.
 const handlePaymongoWebhook = async (req, res) => {
-    console.log('--- Webhook Received ---');
+    const secret = process.env.PAYMONGO_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error('[WebhookController] PAYMONGO_WEBHOOK_SECRET is not set.');
+        return res.status(500).send('Webhook secret not configured');
+    }
 
+    // req.rawBody is captured by the JSON parser in server.js; the signature covers the exact bytes.
     const rawBody = req.rawBody;
     const signatureHeader = req.headers['paymongo-signature'];
+    const reject = async (status, reason) => {
+        await recordRejectedDelivery({ provider: 'paymongo', rawBody, signatureHeader, reason });
+        return res.status(status).send(reason);
+    };
 
     if (!signatureHeader) {
-        console.error('Webhook error: Missing Paymongo-Signature header');
-        return res.status(400).send('Missing Paymongo-Signature header');
+        return reject(400, 'Missing Paymongo-Signature header');
     }
-
-    if (!PAYMONGO_WEBHOOK_SECRET || typeof PAYMONGO_WEBHOOK_SECRET !== 'string' || PAYMONGO_WEBHOOK_SECRET.length === 0) {
-        console.error('Webhook Error: PAYMONGO_WEBHOOK_SECRET is not set or is invalid at runtime.');
-        return res.status(500).send('Webhook secret not configured');
-    }
-    console.log('RUNTIME WEBHOOK SECRET: SET');
-
-    let parsedBody;
+    let event;
     try {
-        parsedBody = JSON.parse(rawBody);
+        event = JSON.parse(rawBody).data;
     } catch (parseError) {
-        console.error('Webhook Error: Failed to parse raw body as JSON:', parseError.message);
-        return res.status(400).send('Invalid JSON Payload');
+        return reject(400, 'Invalid JSON payload');
+    }
+    if (!verifyWebhookSignature(rawBody, signatureHeader, secret, { livemode: Boolean(event?.attributes?.livemode) })) {
+        console.error('[WebhookController] Rejected a webhook with an invalid Paymongo-Signature.');
+        return reject(401, 'Invalid Paymongo-Signature');
+    }
+    if (!event?.id) {
+        return reject(400, 'Missing event id');
     }
 
     try {
-        const [timestampPart, signaturePart] = signatureHeader.split(',');
-        const timestamp = timestampPart.split('=')[1];
-        const receivedSignature = signaturePart.split('=')[1];
-
-        const signedPayload = `${timestamp}.${rawBody}`;
+        const eventType = event.attributes?.type;
+        log(`Received ${eventType} (${event.id}).`);
+        const outcome = await receiveWebhookEvent({ provider: 'paymongo', eventId: event.id, eventType, rawBody, signatureHeader });
 
-        const hmac = crypto.createHmac('sha256', PAYMONGO_WEBHOOK_SECRET);
-        hmac.update(signedPayload);
-        const computedSignature = hmac.digest('hex');
-
-        console.log('Received Signature (from header):', receivedSignature);
-        console.log('Computed Signature (on server):', computedSignature);
-
-        if (computedSignature !== receivedSignature) {
-            console.error('Webhook Error: Invalid Paymongo-Signature');
-            return res.status(401).send('Invalid Paymongo-Signature');
+        if (outcome.duplicate && outcome.status === WEBHOOK_EVENT_STATUS.PROCESSING) {
+            return res.status(409).json({ received: true, duplicate: true, status: outcome.status });
         }
-
-        console.log('Paymongo Webhook Signature Verified: OK');
-
-        const eventType = parsedBody.data.attributes.type;
-        const paymentIntendId = parsedBody.data.attributes.data.id;
-        const paymentStatus = parsedBody.data.attributes.data.attributes.status;
-        const bookingId = parsedBody.data.attributes.data.attributes.metadata?.booking_id;
-        const userId = parsedBody.data.attributes.data.attributes.metadata?.user_id;
-
-        console.log(`Event Type: ${eventType}`);
-        console.log(`Payment Intent ID: ${paymentIntendId}`);
-        console.log(`Payment Status: ${paymentStatus}`);
-        console.log(`Associated Bookind ID: ${bookingId}`);
-        console.log(`Associated User ID: ${userId}`);
-
-        if (eventType === 'payment.paid' && bookingId && userId && paymentStatus === 'succeeded') {
-            console.log('__app_id value:', process.env.__app_id);
-
-            const appId = process.env.__app_id || 'default-app-id-for-local';
-            const bookingRef = db.collection('artifacts').doc(appId).collection('users').doc(userId).collection('bookings').doc(bookingId);
-
-            console.log('Attempting to update Firestore document at path:', bookingRef.path);
-
-            try {
-                await bookingRef.set({
-                    status: 'paid',
-                    paymentIntentId: paymentIntentId,
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                }, { merge: true });
-
-                console.log(`Successfully updated/created booking ${bookingId} to status 'paid' for user ${userId}`);
-                res.status(200).send('Webhook received, signature verified, and booking updated.');
-
-            } catch (dbError) {
-                console.error(`Firestore Operation Error for booking ${bookingId} (user ${userId}):`, dbError.message);
-                console.error(dbError.stack);
-                return res.status(200).send('Webhook received, signature verified, but internal database update failed.');
-            }
-        } else {
-            console.log(`Webhook received but not processed: Event type is '${eventType}' or status is not 'succeeded', or missing booking/user ID.`);
-            res.status(200).send('Webhook received, signature verified, but not processed (not a relevant event or missing data).');
+        if (outcome.status === WEBHOOK_EVENT_STATUS.FAILED && outcome.retryable) {
+            return res.status(500).json({ received: true, status: outcome.status });
         }
+        res.status(200).json({ received: true, ...outcome });
     } catch (error) {
-        console.error('Error during webhook processing or verification:', error.message);
-        console.error(error.stack);
-        return res.status(500).send('Internal Server during webhook processing');
+        console.error(`[WebhookController] Error storing or processing event ${event.id}:`, error);
+        res.status(500).send('Error processing webhook');
     }
 };
 
 module.exports = {
     handlePaymongoWebhook
 };
-
-
-
-
@@ -0,0 +1,38 @@
+const { WEBHOOK_EVENT_STATUS, WebhookEventError, listWebhookEvents, replayWebhookEvent } = require('../utils/webhookEvents');
+
+// GET /api/admin/webhook-events?status=failed&limit=50
+const getWebhookEvents = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const events = await listWebhookEvents({ status: req.query.status || undefined, limit });
+    res.status(200).json(events);
+  } catch (error) {
+    if (error instanceof WebhookEventError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('[WebhookEventController] Error listing webhook events:', error);
+    res.status(500).json({ message: 'Server error listing webhook events.' });
+  }
+};
+
+// POST /api/admin/webhook-events/:eventId/replay
+// Processes a failed event again from its stored body. A replay that fails again is
+// reported with a 422 and the event stays failed.
+const replayEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const outcome = await replayWebhookEvent(eventId, req.customUser);
+    res.status(outcome.status === WEBHOOK_EVENT_STATUS.FAILED ? 422 : 200).json(outcome);
+  } catch (error) {
+    if (error instanceof WebhookEventError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`[WebhookEventController] Error replaying webhook event ${req.params.eventId}:`, error);
+    res.status(500).json({ message: 'Server error replaying webhook event.' });
+  }
+};
+
+module.exports = {
+  getWebhookEvents,
+  replayEvent,
+};
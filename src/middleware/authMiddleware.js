@@ -51,7 +51,9 @@ const verifyToken = async (req, res, next) => {
       role: userData.role || 'renter',
       phone_number: userData.phoneNumber || decodedToken.phone_number,
       isSuspended: userData.isSuspended || false, // Ensure this flag is passed
-      ...userData 
+      ...userData,
+      // Taken from the token rather than the profile document.
+      email_verified: decodedToken.email_verified === true,
     };
     
     next();
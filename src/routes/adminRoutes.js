@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const jobController = require('../controllers/jobController');
+const webhookEventController = require('../controllers/webhookEventController');
+const promoController = require('../controllers/promoController');
+const settingsController = require('../controllers/settingsController');
+const damageClaimController = require('../controllers/damageClaimController');
 const { verifyToken, authorizeRole } = require('../middleware/authMiddleware');
 
 /* * [Developer's Note]:
@@ -104,6 +109,25 @@ router.put(
 );
 
 
+// =================================================================
+// [Developer's Note]: DAMAGE CLAIMS
+// Owners file claims on returned bookings; disputed ones are arbitrated here.
+// =================================================================
+
+// GET /api/admin/damage-claims?status=disputed
+router.get(
+  '/damage-claims',
+  damageClaimController.getDamageClaims
+);
+
+// PUT /api/admin/damage-claims/:claimId/resolve
+// Settle a disputed claim at a final amount (charged to the deposit, then the balance)
+router.put(
+  '/damage-claims/:claimId/resolve',
+  damageClaimController.resolveClaim
+);
+
+
 // =================================================================
 // [Developer's Note]: ADMIN CHAT
 // Direct communication channel.
@@ -117,4 +141,108 @@ router.post(
 );
 
 
+// =================================================================
+// [Developer's Note]: SCHEDULED JOBS
+// Background jobs started from server.js (see utils/scheduledJobs.js).
+// =================================================================
+
+// GET /api/admin/jobs
+// List registered jobs with their schedule, lock and last run
+router.get(
+  '/jobs',
+  jobController.getScheduledJobs
+);
+
+// GET /api/admin/jobs/:jobName/runs
+// Run history for one job, newest first
+router.get(
+  '/jobs/:jobName/runs',
+  jobController.getScheduledJobRuns
+);
+
+// POST /api/admin/jobs/:jobName/run
+// Run a job now (still respects the distributed lock)
+router.post(
+  '/jobs/:jobName/run',
+  jobController.triggerScheduledJob
+);
+
+
+// =================================================================
+// [Developer's Note]: WEBHOOK EVENTS
+// Every inbound payment webhook, stored by utils/webhookEvents.js.
+// =================================================================
+
+// GET /api/admin/webhook-events
+// Stored events by status (?status=failed by default), newest first
+router.get(
+  '/webhook-events',
+  webhookEventController.getWebhookEvents
+);
+
+// POST /api/admin/webhook-events/:eventId/replay
+// Process a failed event again from its stored body
+router.post(
+  '/webhook-events/:eventId/replay',
+  webhookEventController.replayEvent
+);
+
+
+// =================================================================
+// [Developer's Note]: PROMO CODES
+// Discount codes renters can apply at booking (see utils/promoCodes.js).
+// =================================================================
+
+// GET /api/admin/promo-codes
+router.get(
+  '/promo-codes',
+  promoController.getPromoCodes
+);
+
+// POST /api/admin/promo-codes
+router.post(
+  '/promo-codes',
+  promoController.createPromoCode
+);
+
+// PUT /api/admin/promo-codes/:code
+// Edit any field except the code itself
+router.put(
+  '/promo-codes/:code',
+  promoController.updatePromoCode
+);
+
+// DELETE /api/admin/promo-codes/:code
+// Deactivates the code; redemptions are kept
+router.delete(
+  '/promo-codes/:code',
+  promoController.deactivatePromoCode
+);
+
+// GET /api/admin/promo-codes/:code/redemptions
+router.get(
+  '/promo-codes/:code/redemptions',
+  promoController.getPromoCodeRedemptions
+);
+
+
+// =================================================================
+// [Developer's Note]: PLATFORM SETTINGS
+// Platform-wide defaults and the bounds owners must stay within.
+// =================================================================
+
+// GET /api/admin/settings/downpayment
+router.get(
+  '/settings/downpayment',
+  settingsController.getDownpaymentPolicy
+);
+
+// PUT /api/admin/settings/downpayment
+// Body: { defaultPercent, minPercent, maxPercent } (any subset)
+router.put(
+  '/settings/downpayment',
+  settingsController.updateDownpaymentPolicy
+);
+
+
 module.exports = router;
\ No newline at end of file
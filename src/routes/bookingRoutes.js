@@ -2,6 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const depositController = require('../controllers/depositController');
+const refundController = require('../controllers/refundController');
+const inspectionController = require('../controllers/inspectionController');
+const damageClaimController = require('../controllers/damageClaimController');
+const driverController = require('../controllers/driverController');
+const modificationController = require('../controllers/modificationController');
+const onlinePaymentController = require('../controllers/onlinePaymentController');
 const authMiddleware = require('../middleware/authMiddleware');
 
 // ==================================================================
@@ -60,6 +67,42 @@ router.post(
 
 // --- GENERAL/SHARED ROUTES ---
 
+// Refunds from cancellations: admins see all, others the ones they owe or are owed
+router.get(
+  '/refunds',
+  authMiddleware.verifyToken,
+  refundController.getRefunds
+);
+
+router.put(
+  '/refunds/:refundId/paid',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  refundController.markRefundPaid
+);
+
+// Damage claims: the renter responds, the owner can withdraw (admins arbitrate under /api/admin)
+router.post(
+  '/damage-claims/:claimId/accept',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner']),
+  damageClaimController.acceptClaim
+);
+
+router.post(
+  '/damage-claims/:claimId/dispute',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner']),
+  damageClaimController.disputeClaim
+);
+
+router.post(
+  '/damage-claims/:claimId/withdraw',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner']),
+  damageClaimController.withdrawClaim
+);
+
 router.get(
   '/user/:userId',
   authMiddleware.verifyToken,
@@ -89,6 +132,12 @@ router.get(
   bookingController.getBookingById
 );
 
+router.get(
+  '/:bookingId/history',
+  authMiddleware.verifyToken,
+  bookingController.getBookingHistory
+);
+
 router.post(
   '/',
   authMiddleware.verifyToken,
@@ -133,13 +182,20 @@ router.delete(
 router.put('/:bookingId/approve', authMiddleware.verifyToken, authMiddleware.authorizeRole(['owner', 'admin']), bookingController.approveBooking);
 router.put('/:bookingId/decline', authMiddleware.verifyToken, authMiddleware.authorizeRole(['owner', 'admin']), bookingController.declineBooking);
 
+// Renters, owners and admins can cancel; the refund follows the vehicle's cancellation policy
 router.put(
   '/:bookingId/cancel',
   authMiddleware.verifyToken,
-  authMiddleware.authorizeRole(['renter']),
+  authMiddleware.authorizeRole(['renter', 'owner', 'admin']),
   bookingController.cancelBooking
 );
 
+router.get(
+  '/:bookingId/cancellation-quote',
+  authMiddleware.verifyToken,
+  bookingController.getCancellationQuote
+);
+
 router.post(
     '/:bookingId/confirm-downpayment-by-user',
     authMiddleware.verifyToken,
@@ -182,4 +238,138 @@ router.get(
   bookingController.generateBookingContract
 );
 
+// --- ONLINE PAYMENTS (Paymongo) ---
+// Only the renter can open a checkout; that is checked in utils/onlinePayments.js.
+
+router.post(
+  '/:bookingId/checkout',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner']),
+  onlinePaymentController.createBookingCheckout
+);
+
+router.get(
+  '/:bookingId/payments',
+  authMiddleware.verifyToken,
+  onlinePaymentController.listBookingPayments
+);
+
+// --- SECURITY DEPOSIT ---
+// Who may act on a given booking is checked in utils/securityDeposit.js.
+
+router.post(
+  '/:bookingId/deposit/pay',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner']),
+  depositController.payDeposit
+);
+
+router.post(
+  '/:bookingId/deposit/confirm',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  depositController.confirmDeposit
+);
+
+router.post(
+  '/:bookingId/deposit/release',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  depositController.releaseDeposit
+);
+
+router.post(
+  '/:bookingId/deposit/forfeit',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  depositController.forfeitDeposit
+);
+
+// --- INSPECTIONS ---
+// Whether the user is a party to the booking is checked in utils/inspections.js.
+
+router.post(
+  '/:bookingId/inspections/pickup',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner', 'admin']),
+  inspectionController.recordPickupInspection
+);
+
+router.post(
+  '/:bookingId/inspections/return',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner', 'admin']),
+  inspectionController.recordReturnInspection
+);
+
+router.post(
+  '/:bookingId/inspections/:type/acknowledge',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner', 'admin']),
+  inspectionController.acknowledgeBookingInspection
+);
+
+// --- DATE CHANGES ---
+// The renter proposes new dates; the owner accepts or declines (see utils/dateModifications.js).
+
+router.post(
+  '/:bookingId/modifications',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner']),
+  modificationController.requestDateChange
+);
+
+router.post(
+  '/:bookingId/modifications/accept',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  modificationController.acceptDateChange
+);
+
+router.post(
+  '/:bookingId/modifications/decline',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  modificationController.declineDateChange
+);
+
+router.post(
+  '/:bookingId/modifications/withdraw',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['renter', 'owner']),
+  modificationController.withdrawDateChange
+);
+
+// --- WITH-DRIVER BOOKINGS ---
+// That the driver is the owner's, and the booking with-driver, is checked in utils/withDriver.js.
+
+router.put(
+  '/:bookingId/driver',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  driverController.assignBookingDriver
+);
+
+router.post(
+  '/:bookingId/driver/overtime',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner', 'admin']),
+  driverController.recordBookingDriverOvertime
+);
+
+// --- DAMAGE CLAIMS ---
+
+router.post(
+  '/:bookingId/damage-claims',
+  authMiddleware.verifyToken,
+  authMiddleware.authorizeRole(['owner']),
+  damageClaimController.fileClaim
+);
+
+router.get(
+  '/:bookingId/damage-claims',
+  authMiddleware.verifyToken,
+  damageClaimController.getBookingClaims
+);
+
 module.exports = router;
\ No newline at end of file
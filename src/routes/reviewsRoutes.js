@@ -30,4 +30,12 @@ router.post(
 );
 // --- END NEW ROUTE ---
 
+// POST /api/reviews/renter-rating - The owner rates the renter of a finished trip
+router.post(
+  '/renter-rating',
+  verifyToken,
+  authorizeRole(['owner']),
+  reviewsController.rateRenter
+);
+
 module.exports = router;
\ No newline at end of file
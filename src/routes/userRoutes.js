@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const driverController = require('../controllers/driverController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { verifyToken, authorizeRole } = require('../middleware/authMiddleware');
 
@@ -81,6 +82,32 @@ router.post(
   userController.toggleFavoriteVehicle
 );
 
+// Owners register the drivers they assign to with-driver bookings
+router.get(
+  '/me/drivers',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  driverController.getMyDrivers
+);
+router.post(
+  '/me/drivers',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  driverController.createDriver
+);
+router.put(
+  '/me/drivers/:driverId',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  driverController.updateDriver
+);
+router.delete(
+  '/me/drivers/:driverId',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  driverController.deactivateDriver
+);
+
 router.put(
   '/update-suspension/:userId',
   authMiddleware.verifyToken,
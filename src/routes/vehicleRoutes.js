@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const vehicleController = require('../controllers/vehicleController');
+const calendarSyncController = require('../controllers/calendarSyncController');
 const { verifyToken, authorizeRole } = require('../middleware/authMiddleware');
 const authMiddleware = require('../middleware/authMiddleware'); // authMiddleware is imported twice, but harmless
 
@@ -22,6 +23,55 @@ router.get(
   vehicleController.getPublicVehiclesByOwner
 );
 
+// GET /api/vehicles/calendar-feeds/:token.ics (Public ICS feed; the secret token is the credential)
+router.get(
+  '/calendar-feeds/:token',
+  calendarSyncController.getCalendarFeed
+);
+
+// GET /api/vehicles/:id/calendar (Busy intervals and priced free days; owners see which booking is where)
+router.get(
+  '/:id/calendar',
+  verifyToken,
+  vehicleController.getVehicleCalendar
+);
+
+// --- CALENDAR SYNC (ICS feed link and imported external calendars) ---
+router.get(
+  '/:id/calendar-sync',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  calendarSyncController.getCalendarSync
+);
+
+router.post(
+  '/:id/calendar-sync/feed-token',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  calendarSyncController.rotateFeedToken
+);
+
+router.post(
+  '/:id/calendar-sync/imports',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  calendarSyncController.addImport
+);
+
+router.post(
+  '/:id/calendar-sync/imports/:importId/sync',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  calendarSyncController.syncImport
+);
+
+router.delete(
+  '/:id/calendar-sync/imports/:importId',
+  verifyToken,
+  authorizeRole(['owner', 'admin']),
+  calendarSyncController.removeImport
+);
+
 // --- MOVED DOWN ---
 // GET /api/vehicles/:id (Generic "by ID" route must come AFTER specific ones)
 router.get(
@@ -19,6 +19,8 @@ const webhookRoutes = require("./routes/webhookRoutes");
 const reviewsRoutes = require("./routes/reviewsRoutes");
 // ----------------------------------
 
+const { startScheduledJobs } = require("./utils/scheduledJobs");
+
 const app = express();
 const PORT = process.env.PORT || 5001;
 
@@ -36,7 +38,15 @@ app.use(cors({
 }));
 
 // Payload limits (for uploading vehicle images)
-app.use(bodyParser.json({ limit: "50mb" }));
+app.use(bodyParser.json({
+  limit: "50mb",
+  // Webhook signatures are computed over the raw bytes, so keep them for those routes.
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/webhooks")) {
+      req.rawBody = buf.toString("utf8");
+    }
+  },
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: "50mb" }));
 
 // --- 3. REGISTER THE ROUTES (The Wiring) ---
@@ -66,4 +76,6 @@ app.use((err, req, res, next) => {
 // Start Server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Background jobs (overdue bookings, etc.)
+  startScheduledJobs();
 });
\ No newline at end of file
@@ -1,62 +1,153 @@
 // src/services/paymentService.js
 
-const PaymongoClient = require('paymongo');
-const paymongo = new PaymongoClient(process.env.PAYMONGO_SECRET_KEY);
+const crypto = require('crypto');
+const axios = require('axios');
 
-exports.createPaymentIntent = async (amount, currency, description, paymentMethodType, returnUrls, metadata) => {
-    try {
-        console.log(`--- Inside paymentService.createPaymentIntent for debugging ---`);
-        console.log(`Parameters received:`);
-        console.log(`  Amount (original): ${amount}`);
-        console.log(`  Amount (Paymongo format - cents): ${Math.round(amount * 100)}`);
-        console.log(`  Currency: '${currency}'`);
-        console.log(`  Description: '${description}'`);
-        console.log(`  Payment Method Type: '${paymentMethodType}'`);
-        console.log(`  Return URLs (type: ${typeof returnUrls}): `, returnUrls);
-        console.log(`  Metadata (type: ${typeof metadata}): `, metadata);
-
-        // Construct the attributes object first
-        const attributesPayload = {
-            amount: Math.round(amount * 100),
-            currency: currency,
-            payment_method_allowed: [paymentMethodType],
-            description: description,
-            statement_descriptor: 'RentCycle Booking',
-            return_url: returnUrls,
-            // --- MODIFIED HERE: Convert metadata values to strings ---
-            metadata: {
-                booking_id: String(metadata.booking_id), // Ensure booking_id is a string
-                user_id: String(metadata.user_id)       // Ensure user_id is a string
-            }
-            // --- END MODIFIED ---
-        };
-
-        console.log('Debug: Attributes payload constructed:', JSON.stringify(attributesPayload, null, 2));
-
-        const requestPayloadForSDK = {
-            data: {
-                attributes: attributesPayload
-            }
-        };
-
-        console.log('Debug: Final object passed to paymongo.paymentIntents.create():', JSON.stringify(requestPayloadForSDK, null, 2));
-
-        const paymentIntent = await paymongo.paymentIntents.create(requestPayloadForSDK);
-
-        console.log("Paymongo Payment Intent created:", paymentIntent);
-        return paymentIntent;
-    } catch (error) {
-        console.error('Error creating Paymongo Payment Intent:', error.response ? error.response.data : error.message);
-        throw new Error(`Paymongo Payment Intent creation failed: ${error.response ? error.response.data.errors[0].detail : error.message}`);
+// Thin client for the Paymongo REST API. PAYMONGO_API_URL points it at another server
+// (e.g. mockPaymongoServer.js) for local testing. Amounts are taken in pesos and sent
+// to Paymongo in centavos.
+const DEFAULT_API_URL = 'https://api.paymongo.com/v1';
+const DEFAULT_PAYMENT_METHODS = ['gcash', 'paymaya', 'card'];
+const REQUEST_TIMEOUT_MS = 15000;
+
+class PaymongoError extends Error {
+    constructor(message, statusCode = 502) {
+        super(message);
+        this.name = 'PaymongoError';
+        this.statusCode = statusCode;
     }
+}
+
+const toCentavos = (amount) => Math.round(amount * 100);
+
+const getApiUrl = () => (process.env.PAYMONGO_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+// PAYMONGO_PAYMENT_METHODS is a comma-separated list, e.g. "gcash,card".
+const getPaymentMethodTypes = () => {
+    const configured = (process.env.PAYMONGO_PAYMENT_METHODS || '').split(',').map((type) => type.trim()).filter(Boolean);
+    return configured.length > 0 ? configured : DEFAULT_PAYMENT_METHODS;
 };
 
-exports.retrievePaymentIntent = async (paymentIntentId) => {
+const paymongoRequest = async (method, path, data) => {
+    const secretKey = process.env.PAYMONGO_SECRET_KEY;
+    if (!secretKey) {
+        throw new PaymongoError('Online payments are not configured.', 503);
+    }
     try {
-        const paymentIntent = await paymongo.paymentIntents.retrieve(paymentIntentId);
-        return paymentIntent;
+        const response = await axios.request({
+            method,
+            url: `${getApiUrl()}${path}`,
+            data,
+            auth: { username: secretKey, password: '' },
+            timeout: REQUEST_TIMEOUT_MS,
+        });
+        return response.data;
     } catch (error) {
-        console.error('Error retrieving Paymongo Payment Intent:', error.response ? error.response.data : error.message);
-        throw new Error(`Paymongo Payment Intent retrieval failed: ${error.response ? error.response.data.errors[0].detail : error.message}`);
+        const detail = error.response?.data?.errors?.[0]?.detail;
+        console.error(`[PaymentService] Paymongo ${method.toUpperCase()} ${path} failed:`, error.response ? error.response.data : error.message);
+        throw new PaymongoError(`Paymongo request failed: ${detail || error.message}`);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Creates a hosted checkout page for a single amount.
+ * @param {object} params
+ * @param {number} params.amount - In pesos.
+ * @param {string} params.name - The line item shown on the checkout page.
+ * @param {string} params.description
+ * @param {string} params.referenceNumber - Shown to the payer and echoed back in webhooks.
+ * @param {string} params.successUrl
+ * @param {string} params.cancelUrl
+ * @param {object} [params.metadata] - String values only; echoed back in webhooks.
+ * @returns {Promise<{id: string, checkoutUrl: string, status: string}>}
+ */
+exports.createCheckoutSession = async ({ amount, currency = 'PHP', name, description, referenceNumber, successUrl, cancelUrl, metadata = {} }) => {
+    const body = await paymongoRequest('post', '/checkout_sessions', {
+        data: {
+            attributes: {
+                line_items: [{ amount: toCentavos(amount), currency, name, quantity: 1 }],
+                payment_method_types: getPaymentMethodTypes(),
+                description,
+                reference_number: referenceNumber,
+                success_url: successUrl,
+                cancel_url: cancelUrl,
+                send_email_receipt: true,
+                show_description: true,
+                show_line_items: true,
+                metadata,
+            },
+        },
+    });
+    return {
+        id: body.data.id,
+        checkoutUrl: body.data.attributes.checkout_url,
+        status: body.data.attributes.status,
+    };
+};
+
+exports.retrieveCheckoutSession = async (checkoutSessionId) => {
+    const body = await paymongoRequest('get', `/checkout_sessions/${encodeURIComponent(checkoutSessionId)}`);
+    return body.data;
+};
+
+// Closes an active checkout page so it can no longer be paid.
+exports.expireCheckoutSession = async (checkoutSessionId) => {
+    const body = await paymongoRequest('post', `/checkout_sessions/${encodeURIComponent(checkoutSessionId)}/expire`);
+    return body.data;
+};
+
+exports.createPaymentIntent = async (amount, currency, description, paymentMethodType, returnUrls, metadata) => {
+    return paymongoRequest('post', '/payment_intents', {
+        data: {
+            attributes: {
+                amount: toCentavos(amount),
+                currency,
+                payment_method_allowed: [paymentMethodType],
+                description,
+                statement_descriptor: 'RentCycle Booking',
+                return_url: returnUrls,
+                // Paymongo only accepts string metadata values.
+                metadata: {
+                    booking_id: String(metadata.booking_id),
+                    user_id: String(metadata.user_id),
+                },
+            },
+        },
+    });
+};
+
+exports.retrievePaymentIntent = async (paymentIntentId) => {
+    return paymongoRequest('get', `/payment_intents/${encodeURIComponent(paymentIntentId)}`);
+};
+
+/**
+ * Signs a webhook body the way Paymongo does: HMAC-SHA256 of "<timestamp>.<raw body>".
+ * @returns {string} The hex signature.
+ */
+exports.signWebhookPayload = (rawBody, timestamp, secret) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+/**
+ * Checks a Paymongo-Signature header ("t=<timestamp>,te=<test sig>,li=<live sig>").
+ * Test-mode events are signed in `te`, live events in `li`.
+ * @param {string} rawBody - The request body exactly as received.
+ * @param {string} header
+ * @param {string} secret - The webhook's secret key.
+ * @param {{livemode?: boolean}} [options]
+ * @returns {boolean}
+ */
+exports.verifyWebhookSignature = (rawBody, header, secret, { livemode = false } = {}) => {
+    const parts = {};
+    String(header || '').split(',').forEach((part) => {
+        const [key, ...rest] = part.trim().split('=');
+        if (key) parts[key] = rest.join('=');
+    });
+    const received = livemode ? parts.li : parts.te;
+    if (!parts.t || !received || typeof rawBody !== 'string') return false;
+
+    const expected = Buffer.from(exports.signWebhookPayload(rawBody, parts.t, secret));
+    const actual = Buffer.from(received);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+exports.PaymongoError = PaymongoError;
@@ -0,0 +1,232 @@
+// backend/src/utils/addOns.js
+const { db } = require('./firebase');
+const { BOOKING_STATUS } = require('./bookingLifecycle');
+const { round2 } = require('./pricingEngine');
+
+// Owners list extras on each vehicle as `vehicle.addOns`. Add-ons with the same `id`
+// on several of an owner's vehicles share one stock, e.g. two child seats for the fleet.
+const ADD_ON_PRICING_TYPES = ['per_trip', 'per_day'];
+const MAX_ADD_ONS_PER_VEHICLE = 20;
+
+// Bookings that have a claim on add-on stock for their dates.
+const STOCK_HOLDING_STATUSES = [
+  BOOKING_STATUS.PENDING_OWNER_APPROVAL,
+  BOOKING_STATUS.PENDING_PAYMENT,
+  BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+  BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+  BOOKING_STATUS.AWAITING_RETURN,
+];
+
+class AddOnError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AddOnError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+const slugify = (name) => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const toWholeNumber = (value, field, { min, allowNull }) => {
+  if (allowNull && (value === undefined || value === null || value === '')) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new AddOnError(`${field} must be a whole number of at least ${min}.`);
+  }
+  return number;
+};
+
+/**
+ * Validates the add-ons an owner lists on a vehicle.
+ * @param {Array} addOns - [{ id?, name, description?, pricingType, price, maxPerBooking?, stock? }]
+ * @returns {Array} Cleaned add-ons. `stock: null` means unlimited.
+ * @throws {AddOnError}
+ */
+const normalizeAddOns = (addOns) => {
+  if (addOns === undefined || addOns === null) return [];
+  if (!Array.isArray(addOns)) {
+    throw new AddOnError('addOns must be a list.');
+  }
+  if (addOns.length > MAX_ADD_ONS_PER_VEHICLE) {
+    throw new AddOnError(`A vehicle can have at most ${MAX_ADD_ONS_PER_VEHICLE} add-ons.`);
+  }
+
+  const clean = addOns.map((addOn) => {
+    const name = typeof addOn?.name === 'string' ? addOn.name.trim() : '';
+    if (!name) {
+      throw new AddOnError('Each add-on needs a name.');
+    }
+    const id = slugify(typeof addOn.id === 'string' && addOn.id.trim() ? addOn.id : name);
+    if (!ADD_ON_PRICING_TYPES.includes(addOn.pricingType)) {
+      throw new AddOnError(`pricingType for "${name}" must be one of: ${ADD_ON_PRICING_TYPES.join(', ')}.`);
+    }
+    const price = parseFloat(addOn.price);
+    if (isNaN(price) || price < 0) {
+      throw new AddOnError(`price for "${name}" must be zero or more.`);
+    }
+    return {
+      id,
+      name,
+      description: typeof addOn.description === 'string' ? addOn.description.trim() : '',
+      pricingType: addOn.pricingType,
+      price: round2(price),
+      maxPerBooking: toWholeNumber(addOn.maxPerBooking ?? 1, `maxPerBooking for "${name}"`, { min: 1 }),
+      stock: toWholeNumber(addOn.stock, `stock for "${name}"`, { min: 0, allowNull: true }),
+    };
+  });
+
+  const ids = clean.map((addOn) => addOn.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new AddOnError(`Add-on IDs must be unique; "${duplicate}" is used twice.`);
+  }
+  return clean;
+};
+
+/**
+ * Matches a renter's selection against the vehicle's add-ons.
+ * @param {object} vehicle
+ * @param {Array<{id: string, quantity?: number}>} selections
+ * @returns {Array<{id, name, pricingType, unitPrice, quantity}>}
+ * @throws {AddOnError}
+ */
+const resolveAddOnSelections = (vehicle, selections) => {
+  if (selections === undefined || selections === null) return [];
+  if (!Array.isArray(selections)) {
+    throw new AddOnError('addOns must be a list of { id, quantity }.');
+  }
+  const offered = vehicle.addOns || [];
+  const seen = new Set();
+  return selections.map((selection) => {
+    const addOn = offered.find((candidate) => candidate.id === selection?.id);
+    if (!addOn) {
+      throw new AddOnError(`This vehicle does not offer the add-on "${selection?.id}".`);
+    }
+    if (seen.has(addOn.id)) {
+      throw new AddOnError(`"${addOn.name}" was selected more than once.`);
+    }
+    seen.add(addOn.id);
+    const quantity = Number(selection.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > addOn.maxPerBooking) {
+      throw new AddOnError(`You can add between 1 and ${addOn.maxPerBooking} of "${addOn.name}".`);
+    }
+    return { id: addOn.id, name: addOn.name, pricingType: addOn.pricingType, unitPrice: addOn.price, quantity };
+  });
+};
+
+/**
+ * Parses `?addOns=child_seat:2,helmet` from a query string into selections.
+ */
+const parseAddOnQuery = (value) => {
+  if (!value) return [];
+  return String(value).split(',').filter(Boolean).map((part) => {
+    const [id, quantity] = part.split(':');
+    return { id: id.trim(), quantity: quantity === undefined ? 1 : Number(quantity) };
+  });
+};
+
+/**
+ * Prices selected add-ons for a quote: per-day add-ons are charged for each billable day.
+ * @returns {Array} Line items, one per add-on.
+ */
+const priceAddOns = (selected, quote) => selected.map((addOn) => {
+  const days = addOn.pricingType === 'per_day' ? quote.billableDays : 1;
+  const quantity = addOn.quantity * days;
+  const label = addOn.pricingType === 'per_day'
+    ? `${addOn.name} × ${addOn.quantity} (${days} day${days === 1 ? '' : 's'})`
+    : `${addOn.name} × ${addOn.quantity}`;
+  return { code: 'add_on', addOnId: addOn.id, label, quantity, unitPrice: addOn.unitPrice, amount: round2(quantity * addOn.unitPrice) };
+});
+
+/**
+ * Adds the selected add-ons to a quote's line items and total.
+ */
+const applyAddOnsToQuote = (quote, selected) => {
+  if (!selected || selected.length === 0) return quote;
+  const items = priceAddOns(selected, quote);
+  const addOnsTotal = round2(items.reduce((sum, item) => sum + item.amount, 0));
+  return {
+    ...quote,
+    lineItems: [...quote.lineItems, ...items],
+    addOnsTotal,
+    total: round2(quote.total + addOnsTotal),
+  };
+};
+
+/**
+ * Extra add-on cost of moving a booking's end date, for per-day add-ons.
+ */
+const quoteAddOnExtension = (selected, currentQuote, newQuote) => {
+  if (!selected || selected.length === 0) return 0;
+  const total = (quote) => priceAddOns(selected, quote).reduce((sum, item) => sum + item.amount, 0);
+  return Math.max(round2(total(newQuote) - total(currentQuote)), 0);
+};
+
+/**
+ * Sums the add-ons other bookings hold during [start, end).
+ * @param {Array<{id: string, data: object}>} bookings - The owner's stock-holding bookings.
+ * @returns {Object<string, number>} Quantity held per add-on ID.
+ */
+const countReservedAddOns = (bookings, { start, end, excludeBookingId = null }) => {
+  const reserved = {};
+  bookings.forEach(({ id, data }) => {
+    if (id === excludeBookingId || !data.addOns?.length) return;
+    if (!(toDate(data.startDate) < end && toDate(data.endDate) > start)) return;
+    data.addOns.forEach((addOn) => {
+      reserved[addOn.id] = (reserved[addOn.id] || 0) + addOn.quantity;
+    });
+  });
+  return reserved;
+};
+
+/**
+ * Checks the selection against the vehicle's stock minus what other bookings hold.
+ * @throws {AddOnError} 409 when an add-on has run out for those dates.
+ */
+const assertAddOnStock = (vehicle, selected, reserved) => {
+  selected.forEach((selection) => {
+    const addOn = (vehicle.addOns || []).find((candidate) => candidate.id === selection.id);
+    if (!addOn || addOn.stock === null || addOn.stock === undefined) return;
+    const left = Math.max(addOn.stock - (reserved[selection.id] || 0), 0);
+    if (selection.quantity > left) {
+      throw new AddOnError(
+        left === 0
+          ? `"${addOn.name}" is fully booked for those dates.`
+          : `Only ${left} "${addOn.name}" left for those dates.`,
+        409
+      );
+    }
+  });
+};
+
+/**
+ * Reads the owner's stock-holding bookings and checks the selection against them.
+ * Pass a transaction so the check and the booking write commit together.
+ * @throws {AddOnError}
+ */
+const assertAddOnsAvailable = async ({ ownerId, vehicle, selected, start, end, excludeBookingId = null, transaction = null }) => {
+  if (!selected || selected.length === 0) return;
+  const query = db.collection('bookings')
+    .where('ownerId', '==', ownerId)
+    .where('paymentStatus', 'in', STOCK_HOLDING_STATUSES);
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+  const bookings = snapshot.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
+  assertAddOnStock(vehicle, selected, countReservedAddOns(bookings, { start, end, excludeBookingId }));
+};
+
+module.exports = {
+  ADD_ON_PRICING_TYPES,
+  AddOnError,
+  normalizeAddOns,
+  resolveAddOnSelections,
+  parseAddOnQuery,
+  priceAddOns,
+  applyAddOnsToQuote,
+  quoteAddOnExtension,
+  countReservedAddOns,
+  assertAddOnStock,
+  assertAddOnsAvailable,
+};
@@ -0,0 +1,119 @@
+// backend/src/utils/bookingHistory.js
+const { admin, db } = require('./firebase');
+
+// Bookings keep an append-only `history` subcollection. Entries are never updated or deleted.
+const HISTORY_SUBCOLLECTION = 'history';
+
+const isTimestamp = (value) => value instanceof admin.firestore.Timestamp;
+
+// FieldValue sentinels (increment, arrayUnion, serverTimestamp) have no readable value until written.
+const isRecordableValue = (value) =>
+  value === null ||
+  ['string', 'number', 'boolean'].includes(typeof value) ||
+  isTimestamp(value);
+
+/**
+ * Compares a booking with the fields about to be written to it.
+ * @param {object} before - The booking as currently stored.
+ * @param {object} updates - The fields being written (updatedAt is ignored).
+ * @returns {{changedFields: string[], changes: object}} Field names, plus from/to values where they can be recorded.
+ */
+const diffBookingFields = (before, updates) => {
+  const changedFields = [];
+  const changes = {};
+
+  Object.keys(updates).forEach((field) => {
+    if (field === 'updatedAt') return;
+    const previous = before ? before[field] : undefined;
+    const next = updates[field];
+
+    const unchanged = isTimestamp(previous) && isTimestamp(next)
+      ? previous.isEqual(next)
+      : previous === next;
+    if (unchanged) return;
+
+    changedFields.push(field);
+    if (isRecordableValue(next) && (previous === undefined || isRecordableValue(previous))) {
+      changes[field] = { from: previous === undefined ? null : previous, to: next };
+    }
+  });
+
+  return { changedFields, changes };
+};
+
+/**
+ * Builds a history entry.
+ * @param {object} params
+ * @param {{uid: string}} params.actor - req.customUser or SYSTEM_ACTOR.
+ * @param {string} params.actorRole - The actor's role on this booking (renter, owner, admin, system).
+ * @param {string} params.action - What happened, e.g. 'approve' or 'request_extension'.
+ * @param {string|null} params.previousStatus
+ * @param {string|null} params.newStatus
+ * @param {object} [params.before] - The booking before the change.
+ * @param {object} [params.updates] - The fields written.
+ * @param {string} [params.note]
+ */
+const buildHistoryEntry = ({ actor, actorRole, action, previousStatus, newStatus, before = null, updates = {}, note = null }) => {
+  const { changedFields, changes } = diffBookingFields(before, updates);
+  return {
+    actorId: actor.uid,
+    actorRole,
+    action,
+    previousStatus: previousStatus || null,
+    newStatus: newStatus || null,
+    changedFields,
+    changes,
+    note,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+};
+
+/**
+ * Appends an entry to a booking's history.
+ * @param {string} bookingId
+ * @param {object} entry - From buildHistoryEntry.
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} [transaction] - Write as part of an ongoing transaction or batch.
+ */
+const recordBookingHistory = async (bookingId, entry, transaction = null) => {
+  const entryRef = db.collection('bookings').doc(bookingId).collection(HISTORY_SUBCOLLECTION).doc();
+  if (transaction) {
+    transaction.set(entryRef, entry);
+  } else {
+    await entryRef.set(entry);
+  }
+  return entryRef.id;
+};
+
+/**
+ * Reads a booking's history, oldest first.
+ */
+const getBookingHistoryEntries = async (bookingId) => {
+  const snapshot = await db.collection('bookings').doc(bookingId)
+    .collection(HISTORY_SUBCOLLECTION)
+    .orderBy('createdAt', 'asc')
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const entry = doc.data();
+    const changes = {};
+    Object.entries(entry.changes || {}).forEach(([field, change]) => {
+      changes[field] = {
+        from: isTimestamp(change.from) ? change.from.toDate().toISOString() : change.from,
+        to: isTimestamp(change.to) ? change.to.toDate().toISOString() : change.to,
+      };
+    });
+    return {
+      id: doc.id,
+      ...entry,
+      changes,
+      createdAt: entry.createdAt?.toDate ? entry.createdAt.toDate().toISOString() : null,
+    };
+  });
+};
+
+module.exports = {
+  diffBookingFields,
+  buildHistoryEntry,
+  recordBookingHistory,
+  getBookingHistoryEntries,
+};
@@ -0,0 +1,454 @@
+// backend/src/utils/bookingLifecycle.js
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const { buildHistoryEntry, recordBookingHistory } = require('./bookingHistory');
+const { HOLD_STAGE, loadReservations } = require('./reservations');
+const { releasePromoRedemption } = require('./promoCodes');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[BookingLifecycle] ${message}`);
+};
+
+const BOOKING_STATUS = {
+  PENDING_OWNER_APPROVAL: 'pending_owner_approval',
+  PENDING_PAYMENT: 'pending_payment',
+  DOWNPAYMENT_PENDING_VERIFICATION: 'downpayment_pending_verification',
+  DOWNPAYMENT_VERIFIED: 'downpayment_verified',
+  CONFIRMED: 'confirmed',
+  PENDING_EXTENSION_PAYMENT: 'pending_extension_payment',
+  AWAITING_RETURN: 'awaiting_return',
+  RETURNED: 'returned',
+  COMPLETED: 'completed',
+  DECLINED_BY_OWNER: 'declined_by_owner',
+  CANCELLED_BY_RENTER: 'cancelled_by_renter',
+  CANCELLED_BY_OWNER: 'cancelled_by_owner',
+};
+
+// Statuses during which the vehicle is physically committed to the renter.
+const ACTIVE_BOOKING_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+  BOOKING_STATUS.AWAITING_RETURN,
+];
+
+// Used by the cron jobs and anything else that acts without a logged-in user.
+const SYSTEM_ACTOR = { uid: 'system', role: 'system' };
+
+const shortId = (bookingId) => bookingId.substring(0, 5);
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+const bookingLink = (bookingId) => `/dashboard/my-bookings/${bookingId}`;
+
+// "the ₱600.00 downpayment (30%)", or "full payment" when the owner requires 100% upfront.
+const describeDownpayment = (booking) => {
+  const amount = `₱${(booking.downPayment || 0).toFixed(2)}`;
+  if (booking.remainingBalance === 0) return `the ${amount} full payment`;
+  return `the ${amount} downpayment${booking.downPaymentPercent ? ` (${booking.downPaymentPercent}%)` : ''}`;
+};
+
+/**
+ * Every legal status change. `roles` are relative to the booking (the renter and
+ * owner of *this* booking), plus 'admin' and 'system'. `effects` run as part of the
+ * same transaction, except `notify`, which runs after it commits. `action` names the
+ * change in the booking history. `hold` renews the booking's reservation hold at that
+ * stage (409 if the dates were taken meanwhile); `releaseHold` drops it. `releasePromo`
+ * gives the booking's promo code use back.
+ */
+const TRANSITIONS = [
+  {
+    from: [BOOKING_STATUS.PENDING_OWNER_APPROVAL],
+    to: BOOKING_STATUS.PENDING_PAYMENT,
+    action: 'approve',
+    roles: ['owner', 'admin'],
+    effects: {
+      hold: HOLD_STAGE.PAYMENT,
+      notify: [{
+        recipient: 'renter',
+        message: ({ booking }) => 'Your booking request has been approved! Please proceed with payment.'
+          + (booking.securityDeposit ? ` A refundable ₱${booking.securityDeposit.amount.toFixed(2)} security deposit is also required.` : ''),
+      }],
+    },
+  },
+  {
+    from: [
+      BOOKING_STATUS.PENDING_OWNER_APPROVAL,
+      BOOKING_STATUS.PENDING_PAYMENT,
+      BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+    ],
+    to: BOOKING_STATUS.DECLINED_BY_OWNER,
+    action: 'decline',
+    roles: ['owner', 'admin'],
+    effects: {
+      releaseHold: true,
+      releasePromo: true,
+      notify: [{ recipient: 'renter', message: () => 'Unfortunately, your booking request has been declined.' }],
+    },
+  },
+  {
+    from: [
+      BOOKING_STATUS.PENDING_OWNER_APPROVAL,
+      BOOKING_STATUS.PENDING_PAYMENT,
+      BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+      BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+      BOOKING_STATUS.CONFIRMED,
+    ],
+    to: BOOKING_STATUS.CANCELLED_BY_RENTER,
+    action: 'cancel',
+    roles: ['renter'],
+    effects: {
+      releaseAvailability: true,
+      releaseHold: true,
+      notify: [{
+        recipient: 'owner',
+        message: ({ bookingId, context }) => `Booking #${shortId(bookingId)} has been cancelled by the renter.`
+          + (context.refundAmount > 0 ? ` A refund of ₱${context.refundAmount.toFixed(2)} is due to the renter.` : ''),
+      }],
+    },
+  },
+  {
+    from: [
+      BOOKING_STATUS.PENDING_PAYMENT,
+      BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+      BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+      BOOKING_STATUS.CONFIRMED,
+    ],
+    to: BOOKING_STATUS.CANCELLED_BY_OWNER,
+    action: 'owner_cancel',
+    roles: ['owner', 'admin'],
+    effects: {
+      releaseAvailability: true,
+      releaseHold: true,
+      notify: [{
+        recipient: 'renter',
+        message: ({ bookingId, context }) => `Unfortunately, booking #${shortId(bookingId)} has been cancelled by the owner.`
+          + (context.refundAmount > 0 ? ` You will be refunded ₱${context.refundAmount.toFixed(2)} in full.` : ''),
+      }],
+    },
+  },
+  {
+    from: [BOOKING_STATUS.PENDING_PAYMENT],
+    to: BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+    action: 'submit_payment',
+    // 'system' for online payments, which the payment webhook submits and confirms.
+    roles: ['renter', 'system'],
+    effects: {
+      hold: HOLD_STAGE.SUBMITTED,
+      notify: [{
+        recipient: 'owner',
+        message: ({ bookingId, booking, context }) => (context.online
+          ? `Renter paid ${describeDownpayment(booking)} online (Ref: ${context.referenceNumber}) for booking #${shortId(bookingId)}.`
+          : `Renter submitted ${describeDownpayment(booking)} (Ref: ${context.referenceNumber}) for booking #${shortId(bookingId)}. Please verify.`),
+      }],
+    },
+  },
+  {
+    from: [BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION],
+    to: BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+    action: 'verify_payment',
+    roles: ['owner', 'admin'],
+    effects: {},
+  },
+  {
+    from: [BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION, BOOKING_STATUS.DOWNPAYMENT_VERIFIED],
+    to: BOOKING_STATUS.CONFIRMED,
+    action: 'confirm_payment',
+    roles: ['owner', 'admin', 'system'],
+    apply: (booking) => ({ amountPaid: booking.downPayment }),
+    effects: {
+      blockAvailability: true,
+      releaseHold: true,
+      createChat: true,
+      notify: [{
+        recipient: 'renter',
+        message: ({ booking, context }) => (context.online
+          ? `Your booking is confirmed! We received ${describeDownpayment(booking)} online.`
+          : `Your booking is confirmed! The owner has verified ${describeDownpayment(booking)}.`),
+      }],
+    },
+  },
+  {
+    from: [BOOKING_STATUS.CONFIRMED],
+    to: BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+    action: 'request_extension',
+    roles: ['renter'],
+    effects: {
+      notify: [{
+        recipient: 'owner',
+        message: ({ bookingId, context }) => `Renter requested a ${context.hours}-hour extension for booking #${shortId(bookingId)}. Cost: ₱${context.extensionCost.toFixed(2)}.`,
+      }],
+    },
+  },
+  {
+    from: [BOOKING_STATUS.PENDING_EXTENSION_PAYMENT],
+    to: BOOKING_STATUS.CONFIRMED,
+    action: 'settle_extension',
+    roles: ['renter', 'system'],
+    effects: {
+      syncAvailability: true,
+      notify: [{
+        recipient: 'owner',
+        message: ({ bookingId, context }) => (context.deferred
+          ? `Renter extended booking #${shortId(bookingId)}. They will pay the ₱${context.extensionCost.toFixed(2)} fee in cash upon return.`
+          : `Renter paid the ₱${context.extensionCost.toFixed(2)} extension fee${context.online ? ' online' : ''} for booking #${shortId(bookingId)}. The trip is now extended.`),
+      }],
+    },
+  },
+  {
+    from: [BOOKING_STATUS.CONFIRMED],
+    to: BOOKING_STATUS.AWAITING_RETURN,
+    action: 'flag_overdue',
+    roles: ['system'],
+    effects: {
+      notify: [
+        { recipient: 'owner', message: ({ bookingId }) => `Your vehicle for booking #${shortId(bookingId)} is now overdue for return, past its grace period.` },
+        { recipient: 'renter', message: ({ bookingId }) => `Your booking (#${shortId(bookingId)}) is now overdue. Please return the vehicle. Late fees are accruing.` },
+      ],
+    },
+  },
+  {
+    from: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.PENDING_EXTENSION_PAYMENT, BOOKING_STATUS.AWAITING_RETURN],
+    to: BOOKING_STATUS.RETURNED,
+    action: 'mark_returned',
+    roles: ['owner', 'admin'],
+    effects: {
+      notify: [{
+        recipient: 'renter',
+        message: ({ bookingId, booking }) => {
+          const base = `The owner has marked your trip for booking #${shortId(bookingId)} as returned.`;
+          const fee = booking.lateFee;
+          return fee && fee.amount > 0
+            ? `${base} A late return fee of ₱${fee.amount.toFixed(2)} (${fee.overdueHours} hours overdue) was added to your remaining balance.`
+            : base;
+        },
+      }],
+    },
+  },
+  {
+    from: [BOOKING_STATUS.RETURNED],
+    to: BOOKING_STATUS.COMPLETED,
+    action: 'complete',
+    roles: ['owner', 'admin'],
+    effects: {
+      notify: [{ recipient: 'renter', message: ({ bookingId }) => `Your booking #${shortId(bookingId)} is now complete. Thank you for renting with RentCycle!` }],
+    },
+  },
+];
+
+/**
+ * Raised for any rejected status change. Controllers send `statusCode` and `toJSON()` as-is.
+ */
+class BookingTransitionError extends Error {
+  constructor(message, statusCode, details = {}) {
+    super(message);
+    this.name = 'BookingTransitionError';
+    this.statusCode = statusCode;
+    this.currentStatus = details.currentStatus || null;
+    this.attemptedStatus = details.attemptedStatus || null;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      currentStatus: this.currentStatus,
+      attemptedStatus: this.attemptedStatus,
+    };
+  }
+}
+
+/**
+ * Resolves the role an actor plays on a specific booking.
+ * @returns {'admin'|'system'|'owner'|'renter'|null}
+ */
+const resolveActorRole = (booking, actor) => {
+  if (!actor) return null;
+  if (actor.role === 'system') return 'system';
+  if (actor.role === 'admin') return 'admin';
+  if (actor.uid === booking.ownerId) return 'owner';
+  if (actor.uid === booking.renterId) return 'renter';
+  return null;
+};
+
+const findTransition = (fromStatus, toStatus) =>
+  TRANSITIONS.find((t) => t.to === toStatus && t.from.includes(fromStatus)) || null;
+
+/**
+ * Checks a status change without touching Firestore.
+ * @returns {object} The matching transition definition.
+ * @throws {BookingTransitionError}
+ */
+const assertTransition = (booking, toStatus, actor) => {
+  const currentStatus = booking.paymentStatus;
+  const details = { currentStatus, attemptedStatus: toStatus };
+
+  if (!Object.values(BOOKING_STATUS).includes(toStatus)) {
+    throw new BookingTransitionError(`Unknown booking status: ${toStatus}`, 400, details);
+  }
+
+  const actorRole = resolveActorRole(booking, actor);
+  if (!actorRole) {
+    throw new BookingTransitionError('You are not authorized to update this booking.', 403, details);
+  }
+
+  const transition = findTransition(currentStatus, toStatus);
+  if (!transition) {
+    throw new BookingTransitionError(`Booking cannot move from '${currentStatus}' to '${toStatus}'.`, 409, details);
+  }
+
+  if (!transition.roles.includes(actorRole)) {
+    throw new BookingTransitionError(`A ${actorRole} cannot move this booking to '${toStatus}'.`, 403, details);
+  }
+
+  return transition;
+};
+
+/** Lists the statuses an actor could move a booking to from its current state. */
+const getAllowedTransitions = (booking, actor) => {
+  const actorRole = resolveActorRole(booking, actor);
+  if (!actorRole) return [];
+  return TRANSITIONS
+    .filter((t) => t.from.includes(booking.paymentStatus) && t.roles.includes(actorRole))
+    .map((t) => t.to);
+};
+
+const withoutBookingBlock = (availability, bookingId) =>
+  (Array.isArray(availability) ? availability : []).filter((block) => block.bookingId !== bookingId);
+
+/**
+ * Moves a booking to a new status inside a Firestore transaction and runs the
+ * side effects declared for that transition.
+ *
+ * @param {string} bookingId
+ * @param {string} toStatus
+ * @param {{uid: string, role: string}} actor - req.customUser or SYSTEM_ACTOR.
+ * @param {object} [options]
+ * @param {object|Function} [options.updates] - Extra booking fields, or `(booking) => fields`. May throw.
+ * @param {object} [options.context] - Values made available to notification messages.
+ * @param {string} [options.note] - Free-text reason stored in the booking history.
+ * @param {Function} [options.onTransaction] - `(transaction, booking, result)` hook for extra writes.
+ * @returns {Promise<{bookingId: string, previousStatus: string, status: string, booking: object, updates: object}>}
+ */
+const transitionBooking = async (bookingId, toStatus, actor, options = {}) => {
+  const { updates = {}, context = {}, note = null, onTransaction } = options;
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new BookingTransitionError('Booking not found.', 404, { attemptedStatus: toStatus });
+    }
+    const booking = bookingDoc.data();
+    const transition = assertTransition(booking, toStatus, actor);
+    const { effects } = transition;
+
+    const touchesAvailability = effects.blockAvailability || effects.syncAvailability || effects.releaseAvailability;
+    const vehicleRef = db.collection('vehicles').doc(booking.vehicleId);
+    const vehicleDoc = touchesAvailability || effects.hold ? await transaction.get(vehicleRef) : null;
+    if (vehicleDoc && !vehicleDoc.exists) {
+      throw new BookingTransitionError('Associated vehicle not found.', 404, { currentStatus: booking.paymentStatus, attemptedStatus: toStatus });
+    }
+    const reservations = effects.hold || effects.releaseHold ? await loadReservations(transaction, booking.vehicleId) : null;
+    if (effects.hold) {
+      // An expired hold is renewed only if nobody else has reserved the dates since.
+      const dates = { start: toDate(booking.startDate), end: toDate(booking.endDate) };
+      const conflict = reservations.findConflict({ vehicle: vehicleDoc.data(), ...dates, bookingId });
+      if (conflict) {
+        throw new BookingTransitionError(conflict.message, 409, { currentStatus: booking.paymentStatus, attemptedStatus: toStatus });
+      }
+      reservations.hold({ bookingId, ...dates, stage: effects.hold });
+    }
+    if (effects.releaseHold) {
+      reservations.release(bookingId);
+    }
+
+    const extraUpdates = typeof updates === 'function' ? updates(booking) : updates;
+    const bookingUpdates = {
+      ...(transition.apply ? transition.apply(booking, context) : {}),
+      ...extraUpdates,
+      paymentStatus: toStatus,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const nextBooking = { ...booking, ...bookingUpdates };
+
+    if (touchesAvailability) {
+      const remainingBlocks = withoutBookingBlock(vehicleDoc.data().availability, bookingId);
+      const newBlocks = effects.releaseAvailability
+        ? remainingBlocks
+        : [...remainingBlocks, { start: nextBooking.startDate, end: nextBooking.endDate, bookingId }];
+      transaction.update(vehicleRef, { availability: newBlocks });
+    }
+
+    reservations?.commit();
+    transaction.update(bookingRef, bookingUpdates);
+
+    await recordBookingHistory(bookingId, buildHistoryEntry({
+      actor,
+      actorRole: resolveActorRole(booking, actor),
+      action: transition.action,
+      previousStatus: booking.paymentStatus,
+      newStatus: toStatus,
+      before: booking,
+      updates: bookingUpdates,
+      note,
+    }), transaction);
+
+    if (effects.releasePromo) {
+      releasePromoRedemption(transaction, bookingId, booking);
+    }
+
+    if (effects.createChat) {
+      transaction.set(db.collection('chats').doc(bookingId), {
+        bookingId,
+        ownerId: booking.ownerId,
+        renterId: booking.renterId,
+        // A driver assigned to a with-driver booking joins the owner and renter.
+        participants: [booking.ownerId, booking.renterId, ...(booking.driver ? [booking.driver.userId] : [])],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastMessage: {
+          text: 'Booking confirmed! You can now chat to arrange the meetup.',
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          senderId: 'system',
+          readBy: [actor.uid],
+        },
+      });
+    }
+
+    const transactionResult = {
+      bookingId,
+      previousStatus: booking.paymentStatus,
+      status: toStatus,
+      booking: nextBooking,
+      updates: bookingUpdates,
+      transition,
+    };
+
+    if (onTransaction) {
+      await onTransaction(transaction, booking, transactionResult);
+    }
+
+    return transactionResult;
+  });
+
+  const recipients = { owner: result.booking.ownerId, renter: result.booking.renterId };
+  for (const notice of result.transition.effects.notify || []) {
+    const userId = recipients[notice.recipient];
+    if (userId) {
+      await createNotification(userId, notice.message({ bookingId, booking: result.booking, context }), bookingLink(bookingId));
+    }
+  }
+
+  log(`Booking ${bookingId} moved from ${result.previousStatus} to ${toStatus} by ${actor.uid}.`);
+  const { transition, ...publicResult } = result;
+  return publicResult;
+};
+
+module.exports = {
+  BOOKING_STATUS,
+  ACTIVE_BOOKING_STATUSES,
+  SYSTEM_ACTOR,
+  TRANSITIONS,
+  BookingTransitionError,
+  resolveActorRole,
+  assertTransition,
+  getAllowedTransitions,
+  transitionBooking,
+};
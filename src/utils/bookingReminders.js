@@ -0,0 +1,218 @@
+// backend/src/utils/bookingReminders.js
+const { DateTime } = require('luxon');
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const { sendBookingReminderEmail } = require('./emailService');
+const { BOOKING_STATUS } = require('./bookingLifecycle');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[BookingReminders] ${message}`);
+};
+
+const DEFAULT_PICKUP_OFFSETS_HOURS = [24, 2];
+const DEFAULT_RETURN_OFFSETS_HOURS = [2];
+const DISPLAY_TIMEZONE = 'Asia/Manila';
+
+// Which bookings can still receive each kind of reminder.
+const REMINDER_STATUSES = {
+  pickup: [BOOKING_STATUS.CONFIRMED],
+  return: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.PENDING_EXTENSION_PAYMENT],
+};
+
+/**
+ * Parses a comma-separated list of hour offsets, e.g. "24,2". Falls back on anything invalid.
+ * @returns {number[]} Offsets in hours, largest first.
+ */
+const parseOffsets = (value, fallback) => {
+  if (!value) return [...fallback];
+  const offsets = value.split(',')
+    .map((part) => parseFloat(part.trim()))
+    .filter((hours) => !isNaN(hours) && hours > 0);
+  return offsets.length > 0 ? [...new Set(offsets)].sort((a, b) => b - a) : [...fallback];
+};
+
+const getReminderOffsets = () => ({
+  pickup: parseOffsets(process.env.PICKUP_REMINDER_OFFSETS_HOURS, DEFAULT_PICKUP_OFFSETS_HOURS),
+  return: parseOffsets(process.env.RETURN_REMINDER_OFFSETS_HOURS, DEFAULT_RETURN_OFFSETS_HOURS),
+});
+
+// Keys are Firestore field names, so fractional offsets use '_' instead of '.' (1.5 -> 1_5h).
+const reminderKey = (type, hours) => `${type}_${String(hours).replace('.', '_')}h`;
+
+/**
+ * Works out which reminder to send for one event (pickup or return).
+ * If the job missed earlier windows (e.g. the booking was confirmed 3 hours before
+ * pickup), only the most imminent reminder is sent and the older ones are marked skipped.
+ *
+ * @param {string} type - 'pickup' or 'return'.
+ * @param {Date} eventTime
+ * @param {number[]} offsets - Hours before the event.
+ * @param {object} alreadySent - The booking's `remindersSent` map.
+ * @param {Date} now
+ * @returns {{send: string|null, hoursBefore: number|null, skip: string[]}}
+ */
+const selectDueReminder = (type, eventTime, offsets, alreadySent, now) => {
+  const result = { send: null, hoursBefore: null, skip: [] };
+  if (!eventTime || now >= eventTime) return result;
+
+  const hoursUntil = (eventTime.getTime() - now.getTime()) / (1000 * 60 * 60);
+  const due = offsets
+    .filter((hours) => hoursUntil <= hours && !(alreadySent && alreadySent[reminderKey(type, hours)]))
+    .sort((a, b) => a - b);
+
+  if (due.length === 0) return result;
+
+  result.send = reminderKey(type, due[0]);
+  result.hoursBefore = due[0];
+  result.skip = due.slice(1).map((hours) => reminderKey(type, hours));
+  return result;
+};
+
+/**
+ * Drops the return reminders from a `remindersSent` map, so a trip whose end date
+ * moved (e.g. an extension) is reminded again about the new return time.
+ */
+const clearReturnReminders = (remindersSent) => {
+  const kept = {};
+  Object.entries(remindersSent || {}).forEach(([key, value]) => {
+    if (!key.startsWith('return_')) kept[key] = value;
+  });
+  return kept;
+};
+
+const formatWhen = (date) => DateTime.fromJSDate(date).setZone(DISPLAY_TIMEZONE).toLocaleString(DateTime.DATETIME_MED);
+
+const formatLead = (hours) => (hours >= 1 ? `${hours} hour${hours === 1 ? '' : 's'}` : `${Math.round(hours * 60)} minutes`);
+
+const buildMessages = (type, vehicleName, eventTime, hoursBefore) => {
+  const when = formatWhen(eventTime);
+  const lead = formatLead(hoursBefore);
+  if (type === 'pickup') {
+    return {
+      renter: `Reminder: your trip with the ${vehicleName} starts in about ${lead} (${when}).`,
+      owner: `Reminder: your ${vehicleName} is due for pickup in about ${lead} (${when}).`,
+      subject: 'Upcoming RentCycle pickup',
+    };
+  }
+  return {
+    renter: `Reminder: please return the ${vehicleName} in about ${lead} (${when}).`,
+    owner: `Reminder: your ${vehicleName} is due back in about ${lead} (${when}).`,
+    subject: 'Upcoming RentCycle return',
+  };
+};
+
+/**
+ * Claims a reminder in a transaction so it is only ever sent once, even across
+ * restarts or instances. Claiming happens before sending, so a crash mid-send
+ * loses that reminder rather than duplicating it.
+ * @returns {Promise<object|null>} The booking data if claimed, null if already sent or no longer eligible.
+ */
+const claimReminder = async (bookingId, type, key, skipKeys) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(bookingRef);
+    if (!doc.exists) return null;
+    const booking = doc.data();
+    const sent = booking.remindersSent || {};
+    if (sent[key] || !REMINDER_STATUSES[type].includes(booking.paymentStatus)) return null;
+
+    const now = admin.firestore.Timestamp.now();
+    const updates = { [`remindersSent.${key}`]: now };
+    skipKeys.forEach((skipKey) => {
+      if (!sent[skipKey]) updates[`remindersSent.${skipKey}`] = 'skipped';
+    });
+    if (type === 'pickup') {
+      updates.isReminderSent = true;
+    }
+    transaction.update(bookingRef, updates);
+    return booking;
+  });
+};
+
+const sendReminder = async (bookingId, booking, type, eventTime, hoursBefore) => {
+  const [vehicleDoc, renterDoc, ownerDoc] = await Promise.all([
+    db.collection('vehicles').doc(booking.vehicleId).get(),
+    db.collection('users').doc(booking.renterId).get(),
+    db.collection('users').doc(booking.ownerId).get(),
+  ]);
+  const vehicle = vehicleDoc.exists ? vehicleDoc.data() : {};
+  const vehicleName = `${vehicle.make || ''} ${vehicle.model || ''}`.trim() || 'vehicle';
+  const messages = buildMessages(type, vehicleName, eventTime, hoursBefore);
+  const link = `/dashboard/my-bookings/${bookingId}`;
+  const emailLink = `${process.env.FRONTEND_URL || 'https://rentcycle.site'}${link}`;
+
+  const recipients = [
+    { userId: booking.renterId, doc: renterDoc, message: messages.renter },
+    { userId: booking.ownerId, doc: ownerDoc, message: messages.owner },
+  ];
+
+  for (const recipient of recipients) {
+    await createNotification(recipient.userId, recipient.message, link);
+    const email = recipient.doc.exists ? recipient.doc.data().email : null;
+    if (email) {
+      await sendBookingReminderEmail(email, {
+        subject: messages.subject,
+        heading: messages.subject,
+        message: recipient.message,
+        link: emailLink,
+      });
+    }
+  }
+};
+
+const processReminderType = async (type, offsets, now, counts) => {
+  if (offsets.length === 0) return;
+  const dateField = type === 'pickup' ? 'startDate' : 'endDate';
+  const windowEnd = new Date(now.getTime() + Math.max(...offsets) * 60 * 60 * 1000);
+
+  // Needs composite indexes on `bookings`: paymentStatus + startDate, and paymentStatus + endDate.
+  const snapshot = await db.collection('bookings')
+    .where('paymentStatus', 'in', REMINDER_STATUSES[type])
+    .where(dateField, '>', admin.firestore.Timestamp.fromDate(now))
+    .where(dateField, '<=', admin.firestore.Timestamp.fromDate(windowEnd))
+    .get();
+
+  for (const doc of snapshot.docs) {
+    counts.checked++;
+    const booking = doc.data();
+    const eventTime = booking[dateField]?.toDate ? booking[dateField].toDate() : null;
+    const due = selectDueReminder(type, eventTime, offsets, booking.remindersSent, now);
+    if (!due.send) continue;
+
+    try {
+      const claimed = await claimReminder(doc.id, type, due.send, due.skip);
+      if (!claimed) continue;
+      await sendReminder(doc.id, claimed, type, eventTime, due.hoursBefore);
+      counts.sent++;
+      log(`Sent ${due.send} reminder for booking ${doc.id}.`);
+    } catch (error) {
+      counts.failed++;
+      console.error(`[BookingReminders] Failed to send ${due.send} reminder for booking ${doc.id}:`, error);
+    }
+  }
+};
+
+/**
+ * Sends every pickup and return reminder that is due. Registered with the job scheduler.
+ * Offsets come from PICKUP_REMINDER_OFFSETS_HOURS and RETURN_REMINDER_OFFSETS_HOURS (e.g. "24,2").
+ * @returns {Promise<{checked: number, sent: number, failed: number}>}
+ */
+const sendDueBookingReminders = async () => {
+  const now = new Date();
+  const offsets = getReminderOffsets();
+  const counts = { checked: 0, sent: 0, failed: 0 };
+
+  await processReminderType('pickup', offsets.pickup, now, counts);
+  await processReminderType('return', offsets.return, now, counts);
+
+  return counts;
+};
+
+module.exports = {
+  parseOffsets,
+  reminderKey,
+  selectDueReminder,
+  clearReturnReminders,
+  sendDueBookingReminders,
+};
@@ -0,0 +1,371 @@
+// backend/src/utils/calendarSync.js
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { admin, db } = require('./firebase');
+const { BOOKING_STATUS } = require('./bookingLifecycle');
+const { buildIcs, parseIcs } = require('./icalendar');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[CalendarSync] ${message}`);
+};
+
+// One document per vehicle (keyed by vehicle ID) with its secret feed token and the
+// external feeds it imports. Kept off the vehicle document, which is public.
+const CALENDAR_SYNC_COLLECTION = 'vehicle_calendar_sync';
+const MAX_IMPORTS_PER_VEHICLE = 5;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+// Past trips are left out of the exported feed after this long.
+const EXPORT_HISTORY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Only trips that are paid for go out in the feed; requests awaiting approval or the
+// downpayment may still fall through.
+const FEED_BOOKING_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+  BOOKING_STATUS.AWAITING_RETURN,
+];
+
+class CalendarSyncError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CalendarSyncError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+const syncRef = (vehicleId) => db.collection(CALENDAR_SYNC_COLLECTION).doc(vehicleId);
+const newFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Reads a vehicle's sync settings.
+ * @returns {Promise<{feedToken: string|null, imports: object[]}>}
+ */
+const getSyncSettings = async (vehicleId) => {
+  const doc = await syncRef(vehicleId).get();
+  const data = doc.exists ? doc.data() : {};
+  return { feedToken: data.feedToken || null, imports: data.imports || [] };
+};
+
+/**
+ * Returns the vehicle's feed token, creating one on first use. With `rotate`, a new
+ * token replaces the old one and the old feed URL stops working.
+ * @returns {Promise<string>}
+ */
+const ensureFeedToken = async (vehicleId, ownerId, { rotate = false } = {}) => {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(syncRef(vehicleId));
+    const current = doc.exists ? doc.data().feedToken : null;
+    if (current && !rotate) return current;
+    const feedToken = newFeedToken();
+    transaction.set(syncRef(vehicleId), {
+      vehicleId,
+      ownerId,
+      feedToken,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return feedToken;
+  });
+};
+
+/**
+ * Finds the vehicle a feed token belongs to.
+ * @returns {Promise<string|null>} The vehicle ID.
+ */
+const findVehicleByFeedToken = async (feedToken) => {
+  if (!feedToken) return null;
+  const snapshot = await db.collection(CALENDAR_SYNC_COLLECTION).where('feedToken', '==', feedToken).limit(1).get();
+  return snapshot.empty ? null : snapshot.docs[0].id;
+};
+
+/**
+ * Turns a vehicle's confirmed bookings and own blocks into feed events. Blocks that
+ * came from an imported feed are left out, so two platforms syncing each other don't
+ * echo each other's bookings back.
+ * @returns {Array<{uid, start, end, summary}>}
+ */
+const buildFeedEvents = (vehicleId, vehicle, bookings, now = new Date()) => {
+  const since = new Date(now.getTime() - EXPORT_HISTORY_DAYS * DAY_MS);
+  const events = bookings.map((booking) => ({
+    uid: `booking-${booking.id}@rentcycle`,
+    start: toDate(booking.startDate),
+    end: toDate(booking.endDate),
+    summary: 'Booked (RentCycle)',
+  }));
+  const bookingIds = new Set(bookings.map((booking) => booking.id));
+  (vehicle.availability || []).forEach((block) => {
+    if (!block.start || !block.end || block.importId || bookingIds.has(block.bookingId)) return;
+    const start = toDate(block.start);
+    events.push({
+      uid: block.bookingId ? `booking-${block.bookingId}@rentcycle` : `block-${vehicleId}-${start.getTime()}@rentcycle`,
+      start,
+      end: toDate(block.end),
+      summary: block.bookingId ? 'Booked (RentCycle)' : 'Unavailable',
+    });
+  });
+  return events.filter((event) => event.end > since).sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Writes the .ics feed for a vehicle.
+ * @returns {Promise<string>}
+ */
+const buildVehicleFeed = async (vehicleId, vehicle, now = new Date()) => {
+  const snapshot = await db.collection('bookings')
+    .where('vehicleId', '==', vehicleId)
+    .where('paymentStatus', 'in', FEED_BOOKING_STATUSES)
+    .get();
+  const bookings = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  const name = `${[vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Vehicle'} (RentCycle)`;
+  return buildIcs({ name, events: buildFeedEvents(vehicleId, vehicle, bookings, now), now });
+};
+
+const isPrivateAddress = (host) => {
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+  const bare = host.replace(/^\[|\]$/g, '');
+  if (net.isIPv4(bare)) {
+    const [a, b] = bare.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(bare)) {
+    const mapped = bare.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return bare === '::' || bare === '::1' || /^f[cd]/i.test(bare) || /^fe[89ab]/i.test(bare);
+  }
+  return false;
+};
+
+/**
+ * dns.lookup for feed downloads that fails when the host resolves to a local or
+ * private-network address. Checking at connect time covers hostnames that point
+ * inside the network and DNS answers that change after the URL was validated.
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  const cb = typeof options === 'function' ? options : callback;
+  const opts = typeof options === 'function' ? {} : options;
+  dns.lookup(hostname, opts, (error, address, family) => {
+    if (error) return cb(error);
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (addresses.some((ip) => isPrivateAddress(ip))) {
+      return cb(new CalendarSyncError(`${hostname} resolves to a private address.`));
+    }
+    return cb(null, address, family);
+  });
+};
+
+const feedAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup }),
+};
+
+/**
+ * Validates an external feed URL. webcal:// links (what most platforms hand out) are
+ * fetched over https; local and private-network addresses are refused.
+ * @returns {string} The URL to fetch.
+ * @throws {CalendarSyncError}
+ */
+const normalizeFeedUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || '').trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw new CalendarSyncError('url must be a valid calendar feed link.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new CalendarSyncError('url must be an http(s) or webcal link.');
+  }
+  if (isPrivateAddress(url.hostname.toLowerCase())) {
+    throw new CalendarSyncError('url must point to a public calendar.');
+  }
+  return url.toString();
+};
+
+/**
+ * Swaps the blocks from one imported feed for its current events. Events that have
+ * already ended are dropped.
+ * @returns {object[]} The vehicle's new `availability`.
+ */
+const replaceImportedBlocks = (availability, feed, events, now = new Date()) => [
+  ...(availability || []).filter((block) => block.importId !== feed.id),
+  ...events
+    .filter((event) => event.end > now)
+    .map((event) => ({
+      start: admin.firestore.Timestamp.fromDate(event.start),
+      end: admin.firestore.Timestamp.fromDate(event.end),
+      importId: feed.id,
+      source: feed.name,
+      externalUid: event.uid,
+    })),
+];
+
+// Updates one import's entry in the sync document.
+const updateImport = (transaction, ref, imports, importId, changes) => {
+  transaction.update(ref, {
+    imports: imports.map((feed) => (feed.id === importId ? { ...feed, ...changes } : feed)),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Fetches one imported feed and replaces its blocks on the vehicle. A failure is
+ * recorded on the import and the blocks from the last good sync are kept.
+ * @returns {Promise<{importId: string, eventCount: number}>}
+ * @throws {CalendarSyncError} 404 for an unknown import, 502 if the feed can't be read.
+ */
+const syncCalendarImport = async (vehicleId, importId, now = new Date()) => {
+  const settings = await getSyncSettings(vehicleId);
+  const feed = settings.imports.find((item) => item.id === importId);
+  if (!feed) {
+    throw new CalendarSyncError('Calendar import not found.', 404);
+  }
+
+  let events;
+  try {
+    // Redirects aren't followed: the target would skip normalizeFeedUrl.
+    const response = await axios.get(feed.url, {
+      ...feedAgents,
+      maxRedirects: 0,
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_FEED_BYTES,
+      responseType: 'text',
+      headers: { 'User-Agent': 'Car-Rental-App/1.0 (Calendar Sync)', Accept: 'text/calendar' },
+    });
+    if (!String(response.data).includes('BEGIN:VCALENDAR')) {
+      throw new Error('The response is not an iCalendar feed.');
+    }
+    events = parseIcs(response.data);
+  } catch (error) {
+    const message = `Could not read the calendar feed: ${error.message}`;
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(syncRef(vehicleId));
+      if (doc.exists) updateImport(transaction, doc.ref, doc.data().imports || [], importId, { lastError: message, lastAttemptAt: admin.firestore.Timestamp.fromDate(now) });
+    });
+    throw new CalendarSyncError(message, 502);
+  }
+
+  await db.runTransaction(async (transaction) => {
+    const vehicleRef = db.collection('vehicles').doc(vehicleId);
+    const [vehicleDoc, syncDoc] = await Promise.all([transaction.get(vehicleRef), transaction.get(syncRef(vehicleId))]);
+    // The import may have been removed while the feed was downloading.
+    const imports = syncDoc.exists ? syncDoc.data().imports || [] : [];
+    if (!vehicleDoc.exists || !imports.some((item) => item.id === importId)) return;
+    transaction.update(vehicleRef, { availability: replaceImportedBlocks(vehicleDoc.data().availability, feed, events, now) });
+    updateImport(transaction, syncDoc.ref, imports, importId, {
+      lastSyncedAt: admin.firestore.Timestamp.fromDate(now),
+      lastAttemptAt: admin.firestore.Timestamp.fromDate(now),
+      lastError: null,
+      eventCount: events.length,
+    });
+  });
+  log(`Synced import ${importId} for vehicle ${vehicleId}: ${events.length} event(s).`);
+  return { importId, eventCount: events.length };
+};
+
+/**
+ * Adds an external feed to a vehicle.
+ * @param {{name?: string, url: string}} input
+ * @returns {Promise<object>} The new import.
+ * @throws {CalendarSyncError}
+ */
+const addCalendarImport = async (vehicleId, ownerId, { name, url } = {}) => {
+  const feed = {
+    id: crypto.randomUUID(),
+    name: typeof name === 'string' && name.trim() ? name.trim().substring(0, 80) : 'External calendar',
+    url: normalizeFeedUrl(url),
+    createdAt: admin.firestore.Timestamp.now(),
+    lastSyncedAt: null,
+    lastAttemptAt: null,
+    lastError: null,
+    eventCount: 0,
+  };
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(syncRef(vehicleId));
+    const imports = doc.exists ? doc.data().imports || [] : [];
+    if (imports.length >= MAX_IMPORTS_PER_VEHICLE) {
+      throw new CalendarSyncError(`A vehicle can import at most ${MAX_IMPORTS_PER_VEHICLE} calendars.`, 409);
+    }
+    if (imports.some((item) => item.url === feed.url)) {
+      throw new CalendarSyncError('This calendar is already imported.', 409);
+    }
+    transaction.set(syncRef(vehicleId), {
+      vehicleId,
+      ownerId,
+      imports: [...imports, feed],
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  });
+  return feed;
+};
+
+/**
+ * Stops importing a feed and removes its blocks from the vehicle.
+ * @throws {CalendarSyncError} 404 for an unknown import.
+ */
+const removeCalendarImport = async (vehicleId, importId) => {
+  await db.runTransaction(async (transaction) => {
+    const vehicleRef = db.collection('vehicles').doc(vehicleId);
+    const [vehicleDoc, syncDoc] = await Promise.all([transaction.get(vehicleRef), transaction.get(syncRef(vehicleId))]);
+    const imports = syncDoc.exists ? syncDoc.data().imports || [] : [];
+    if (!imports.some((item) => item.id === importId)) {
+      throw new CalendarSyncError('Calendar import not found.', 404);
+    }
+    if (vehicleDoc.exists) {
+      transaction.update(vehicleRef, {
+        availability: (vehicleDoc.data().availability || []).filter((block) => block.importId !== importId),
+      });
+    }
+    transaction.update(syncDoc.ref, {
+      imports: imports.filter((item) => item.id !== importId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * Refreshes every imported feed. Registered with the job scheduler (see utils/scheduledJobs.js).
+ * @returns {Promise<{synced: number, failed: number}>}
+ */
+const syncAllCalendarImports = async () => {
+  const snapshot = await db.collection(CALENDAR_SYNC_COLLECTION).get();
+  let synced = 0;
+  let failed = 0;
+  for (const doc of snapshot.docs) {
+    for (const feed of doc.data().imports || []) {
+      try {
+        await syncCalendarImport(doc.id, feed.id);
+        synced++;
+      } catch (error) {
+        failed++;
+        console.error(`[CalendarSync] Could not sync import ${feed.id} for vehicle ${doc.id}:`, error.message);
+      }
+    }
+  }
+  if (synced > 0 || failed > 0) {
+    log(`Synced ${synced} calendar import(s); ${failed} failed.`);
+  }
+  return { synced, failed };
+};
+
+module.exports = {
+  CALENDAR_SYNC_COLLECTION,
+  CalendarSyncError,
+  getSyncSettings,
+  ensureFeedToken,
+  findVehicleByFeedToken,
+  buildFeedEvents,
+  buildVehicleFeed,
+  normalizeFeedUrl,
+  publicOnlyLookup,
+  replaceImportedBlocks,
+  syncCalendarImport,
+  addCalendarImport,
+  removeCalendarImport,
+  syncAllCalendarImports,
+};
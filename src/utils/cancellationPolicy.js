@@ -0,0 +1,186 @@
+// backend/src/utils/cancellationPolicy.js
+const { admin, db } = require('./firebase');
+const { BOOKING_STATUS } = require('./bookingLifecycle');
+const { round2 } = require('./pricingEngine');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REFUNDS_COLLECTION = 'refunds';
+
+/**
+ * Refund tiers per policy, checked top to bottom: the first tier whose
+ * `minHoursBefore` the cancellation meets sets the refund percentage.
+ */
+const CANCELLATION_POLICIES = {
+  flexible: {
+    label: 'Flexible',
+    tiers: [
+      { minHoursBefore: 24, refundPercent: 100 },
+      { minHoursBefore: 0, refundPercent: 50 },
+    ],
+  },
+  moderate: {
+    label: 'Moderate',
+    tiers: [
+      { minHoursBefore: 5 * 24, refundPercent: 100 },
+      { minHoursBefore: 24, refundPercent: 50 },
+      { minHoursBefore: 0, refundPercent: 0 },
+    ],
+  },
+  strict: {
+    label: 'Strict',
+    tiers: [
+      { minHoursBefore: 14 * 24, refundPercent: 100 },
+      { minHoursBefore: 7 * 24, refundPercent: 50 },
+      { minHoursBefore: 0, refundPercent: 0 },
+    ],
+  },
+};
+
+// Vehicles listed before policies existed.
+const DEFAULT_POLICY = 'flexible';
+
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+};
+
+// What a refund is for: a cancelled booking, or an accepted date change that left the
+// renter having paid more than the new total.
+const REFUND_SOURCE = {
+  CANCELLATION: 'cancellation',
+  MODIFICATION: 'modification',
+};
+
+// Payment submitted but not yet verified still means the renter sent money.
+const SUBMITTED_PAYMENT_STATUSES = [
+  BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+  BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+];
+
+class CancellationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CancellationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validates the policy an owner picks for a vehicle.
+ * @throws {CancellationError}
+ */
+const validatePolicyName = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_POLICY;
+  if (!CANCELLATION_POLICIES[value]) {
+    throw new CancellationError(`cancellationPolicy must be one of: ${Object.keys(CANCELLATION_POLICIES).join(', ')}.`);
+  }
+  return value;
+};
+
+/**
+ * What the renter has paid towards the booking so far.
+ */
+const getPaidAmount = (booking) => {
+  if (booking.amountPaid > 0) return booking.amountPaid;
+  return SUBMITTED_PAYMENT_STATUSES.includes(booking.paymentStatus) ? booking.downPayment || 0 : 0;
+};
+
+/**
+ * Works out the refund for cancelling a booking now. Owner (and admin)
+ * cancellations always refund in full; renter cancellations follow the vehicle's policy.
+ * @param {object} params
+ * @param {object} params.booking
+ * @param {object} params.vehicle
+ * @param {'renter'|'owner'|'admin'} params.cancelledBy
+ * @param {Date} [params.now]
+ * @returns {{policy: string, hoursBeforeStart: number, refundPercent: number, paidAmount: number, refundAmount: number}}
+ * @throws {CancellationError} If the trip has already started.
+ */
+const computeRefund = ({ booking, vehicle, cancelledBy, now = new Date() }) => {
+  const start = booking.startDate?.toDate ? booking.startDate.toDate() : new Date(booking.startDate);
+  const hoursBeforeStart = (start.getTime() - now.getTime()) / HOUR_MS;
+  if (hoursBeforeStart <= 0 && booking.paymentStatus === BOOKING_STATUS.CONFIRMED) {
+    throw new CancellationError('This trip has already started and can no longer be cancelled.', 409);
+  }
+
+  const policy = CANCELLATION_POLICIES[vehicle.cancellationPolicy] ? vehicle.cancellationPolicy : DEFAULT_POLICY;
+  const paidAmount = getPaidAmount(booking);
+
+  let refundPercent = 100;
+  if (cancelledBy === 'renter') {
+    const tier = CANCELLATION_POLICIES[policy].tiers.find((t) => hoursBeforeStart >= t.minHoursBefore);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    policy,
+    hoursBeforeStart: Math.max(round2(hoursBeforeStart), 0),
+    refundPercent,
+    paidAmount,
+    refundAmount: round2(paidAmount * refundPercent / 100),
+  };
+};
+
+/**
+ * Queues a refund record in a transaction (write-only, for transitionBooking's onTransaction hook).
+ * @returns {string|null} The refund ID, or null when nothing is owed.
+ */
+const createRefundRecord = (transaction, refundRef, { bookingId, booking, refund, cancelledBy, reason, source = REFUND_SOURCE.CANCELLATION }) => {
+  if (refund.refundAmount <= 0) return null;
+  transaction.set(refundRef, {
+    bookingId,
+    source,
+    renterId: booking.renterId,
+    ownerId: booking.ownerId,
+    amount: refund.refundAmount,
+    paidAmount: refund.paidAmount,
+    refundPercent: refund.refundPercent,
+    policy: refund.policy,
+    cancelledBy,
+    reason: reason || null,
+    status: REFUND_STATUS.PENDING,
+    referenceNumber: null,
+    paidAt: null,
+    paidBy: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return refundRef.id;
+};
+
+const newRefundRef = () => db.collection(REFUNDS_COLLECTION).doc();
+
+/**
+ * Booking updates for a refund that has been sent: the cancellation's refund status,
+ * or the date change the refund came from. Refunds stored before `source` existed are
+ * matched to a date change by their ID.
+ * @returns {object} Empty if the booking has nothing to mark.
+ */
+const buildRefundPaidUpdates = (booking, refundId, refund, { referenceNumber, paidAt }) => {
+  const requests = booking.modificationRequests || [];
+  const index = requests.findIndex((request) => request.refundId === refundId);
+  const fromModification = refund.source === REFUND_SOURCE.MODIFICATION || (!refund.source && index !== -1);
+  if (fromModification) {
+    if (index === -1) return {};
+    return {
+      modificationRequests: requests.map((request, i) => (i === index
+        ? { ...request, refundStatus: REFUND_STATUS.PAID, refundReferenceNumber: referenceNumber, refundPaidAt: paidAt }
+        : request)),
+    };
+  }
+  return booking.cancellation ? { 'cancellation.refundStatus': REFUND_STATUS.PAID } : {};
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  DEFAULT_POLICY,
+  REFUNDS_COLLECTION,
+  REFUND_STATUS,
+  REFUND_SOURCE,
+  CancellationError,
+  validatePolicyName,
+  getPaidAmount,
+  computeRefund,
+  createRefundRecord,
+  newRefundRef,
+  buildRefundPaidUpdates,
+};
@@ -0,0 +1,509 @@
+// backend/src/utils/damageClaims.js
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const { BOOKING_STATUS, SYSTEM_ACTOR, resolveActorRole } = require('./bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory } = require('./bookingHistory');
+const { addBookingCharge, round2 } = require('./pricingEngine');
+const { applyClaimDeduction } = require('./securityDeposit');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[DamageClaims] ${message}`);
+};
+
+const DAMAGE_CLAIMS_COLLECTION = 'damage_claims';
+const HOUR_MS = 60 * 60 * 1000;
+
+// The owner files, the renter accepts or disputes, and an admin arbitrates disputes.
+const CLAIM_STATUS = {
+  PENDING_RESPONSE: 'pending_renter_response',
+  ACCEPTED: 'accepted',
+  DISPUTED: 'disputed',
+  RESOLVED: 'resolved',
+  WITHDRAWN: 'withdrawn',
+};
+const OPEN_CLAIM_STATUSES = [CLAIM_STATUS.PENDING_RESPONSE, CLAIM_STATUS.DISPUTED];
+
+// Hours allowed for each step. A renter who doesn't respond in time is taken to accept the claim.
+const CLAIM_DEADLINE_HOURS = {
+  filing: 72,
+  response: 48,
+  arbitration: 120,
+};
+
+const CLAIMABLE_BOOKING_STATUSES = [BOOKING_STATUS.RETURNED, BOOKING_STATUS.COMPLETED];
+
+class DamageClaimError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DamageClaimError';
+    this.statusCode = statusCode;
+  }
+}
+
+const peso = (amount) => `₱${amount.toFixed(2)}`;
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+const addHours = (date, hours) => new Date(date.getTime() + hours * HOUR_MS);
+const claimLabel = (claimId) => `Damage claim #${claimId.substring(0, 5)}`;
+const bookingLink = (bookingId) => `/dashboard/my-bookings/${bookingId}`;
+
+/**
+ * Validates the owner's claim. Photos must already be uploaded URLs.
+ * @param {object} input - { description, repairEstimate, photos: string[] }
+ * @throws {DamageClaimError}
+ */
+const validateClaimInput = ({ description, repairEstimate, photos } = {}) => {
+  if (!description || typeof description !== 'string' || !description.trim()) {
+    throw new DamageClaimError('A description of the damage is required.');
+  }
+  const amount = parseFloat(repairEstimate);
+  if (isNaN(amount) || amount <= 0) {
+    throw new DamageClaimError('repairEstimate must be a positive amount.');
+  }
+  if (!Array.isArray(photos) || photos.filter(Boolean).length === 0) {
+    throw new DamageClaimError('At least one photo of the damage is required.');
+  }
+  return { description: description.trim(), repairEstimate: round2(amount), photos: photos.filter(Boolean) };
+};
+
+/**
+ * Validates the renter's dispute. Counter-evidence photos are optional.
+ * @throws {DamageClaimError}
+ */
+const validateDisputeInput = ({ statement, photos } = {}) => {
+  if (!statement || typeof statement !== 'string' || !statement.trim()) {
+    throw new DamageClaimError('A statement explaining the dispute is required.');
+  }
+  if (photos !== undefined && !Array.isArray(photos)) {
+    throw new DamageClaimError('photos must be a list.');
+  }
+  return { statement: statement.trim(), photos: (photos || []).filter(Boolean) };
+};
+
+/**
+ * Last moment the owner can file a claim: a set time after the vehicle came back.
+ */
+const getFilingDeadline = (booking) =>
+  addHours(toDate(booking.returnedAt || booking.endDate), CLAIM_DEADLINE_HOURS.filing);
+
+/**
+ * The return inspection the claim points to, or null if none was recorded.
+ */
+const buildInspectionEvidence = (booking) => {
+  const inspection = booking.inspections?.return;
+  if (!inspection) return null;
+  return {
+    type: 'return',
+    recordedAt: inspection.recordedAt,
+    damageNotes: inspection.damageNotes,
+    photos: inspection.photos,
+    pickupDamageNotes: booking.inspections.pickup?.damageNotes ?? null,
+  };
+};
+
+/**
+ * Booking updates that settle a claim: the amount comes out of a paid deposit first
+ * and anything left over is added to the booking's remaining balance.
+ * @returns {{updates: object, settlement: {amount: number, chargedToDeposit: number, addedToBalance: number}}}
+ */
+const buildSettlement = (booking, claimId, amount, now) => {
+  const { deposit, chargedToDeposit } = applyClaimDeduction(
+    booking.securityDeposit,
+    { amount, reason: claimLabel(claimId), claimId },
+    now
+  );
+  const addedToBalance = round2(amount - chargedToDeposit);
+
+  const updates = { openDamageClaimId: null };
+  if (chargedToDeposit > 0) updates.securityDeposit = deposit;
+  if (addedToBalance > 0) {
+    Object.assign(updates, addBookingCharge(booking, { code: 'damage', label: claimLabel(claimId), amount: addedToBalance }));
+  }
+  return { updates, settlement: { amount, chargedToDeposit, addedToBalance, settledAt: now } };
+};
+
+const describeSettlement = ({ amount, chargedToDeposit, addedToBalance }) => {
+  if (amount <= 0) return 'No charge was applied.';
+  const parts = [];
+  if (chargedToDeposit > 0) parts.push(`${peso(chargedToDeposit)} was taken from the security deposit`);
+  if (addedToBalance > 0) parts.push(`${peso(addedToBalance)} was added to the remaining balance`);
+  return `${parts.join(' and ')}.`;
+};
+
+/**
+ * Formats a claim for API responses.
+ */
+const serializeClaim = (id, claim) => {
+  const iso = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+  return {
+    id,
+    ...claim,
+    respondBy: iso(claim.respondBy),
+    arbitrateBy: iso(claim.arbitrateBy),
+    createdAt: iso(claim.createdAt),
+    updatedAt: iso(claim.updatedAt),
+  };
+};
+
+/**
+ * Notifies every admin, e.g. about a dispute waiting for arbitration.
+ */
+const notifyAdmins = async (message, link) => {
+  const snapshot = await db.collection('users').where('role', '==', 'admin').get();
+  for (const doc of snapshot.docs) {
+    await createNotification(doc.id, message, link);
+  }
+};
+
+/**
+ * Commits a claim change together with the booking updates and a booking history entry.
+ * `build(claim, booking, role, now)` returns { claimUpdates, bookingUpdates?, messages: { owner?, renter? }, note }.
+ */
+const runClaimChange = async (claimId, actor, action, build) => {
+  const claimRef = db.collection(DAMAGE_CLAIMS_COLLECTION).doc(claimId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const claimDoc = await transaction.get(claimRef);
+    if (!claimDoc.exists) {
+      throw new DamageClaimError('Damage claim not found.', 404);
+    }
+    const claim = claimDoc.data();
+    const bookingRef = db.collection('bookings').doc(claim.bookingId);
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new DamageClaimError('Booking not found.', 404);
+    }
+    const booking = bookingDoc.data();
+    const role = resolveActorRole(booking, actor);
+    if (!role) {
+      throw new DamageClaimError('You are not a party to this booking.', 403);
+    }
+
+    const now = admin.firestore.Timestamp.now();
+    const change = build(claim, booking, role, now);
+    const claimUpdates = { ...change.claimUpdates, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    transaction.update(claimRef, claimUpdates);
+
+    const bookingUpdates = { ...(change.bookingUpdates || {}), updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    transaction.update(bookingRef, bookingUpdates);
+    await recordBookingHistory(claim.bookingId, buildHistoryEntry({
+      actor,
+      actorRole: role,
+      action: `damage_claim_${action}`,
+      previousStatus: booking.paymentStatus,
+      newStatus: booking.paymentStatus,
+      before: booking,
+      updates: bookingUpdates,
+      note: change.note,
+    }), transaction);
+
+    return { claim: { ...claim, ...change.claimUpdates }, messages: change.messages || {} };
+  });
+
+  const link = bookingLink(result.claim.bookingId);
+  if (result.messages.owner) await createNotification(result.claim.ownerId, result.messages.owner, link);
+  if (result.messages.renter) await createNotification(result.claim.renterId, result.messages.renter, link);
+
+  log(`Claim ${claimId}: ${action} by ${actor.uid} (now ${result.claim.status}).`);
+  return serializeClaim(claimId, result.claim);
+};
+
+/**
+ * Checks that an actor can file a claim on a booking right now.
+ * @throws {DamageClaimError}
+ */
+const assertCanFileClaim = (booking, actor, now = new Date()) => {
+  if (resolveActorRole(booking, actor) !== 'owner') {
+    throw new DamageClaimError('Only the vehicle owner can file a damage claim.', 403);
+  }
+  if (!CLAIMABLE_BOOKING_STATUSES.includes(booking.paymentStatus)) {
+    throw new DamageClaimError('Damage claims can only be filed after the vehicle is returned.', 409);
+  }
+  if (booking.openDamageClaimId) {
+    throw new DamageClaimError('There is already an open damage claim on this booking.', 409);
+  }
+  if (now > getFilingDeadline(booking)) {
+    throw new DamageClaimError(`Damage claims must be filed within ${CLAIM_DEADLINE_HOURS.filing} hours of the return.`, 409);
+  }
+};
+
+/**
+ * Runs the filing checks ahead of the photo uploads, so nothing is stored for a claim
+ * that would be refused. fileDamageClaim checks again when it commits.
+ * @throws {DamageClaimError}
+ */
+const checkCanFileClaim = async (bookingId, actor) => {
+  const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+  if (!bookingDoc.exists) {
+    throw new DamageClaimError('Booking not found.', 404);
+  }
+  assertCanFileClaim(bookingDoc.data(), actor);
+};
+
+/**
+ * Files a damage claim on a returned booking. Only one claim can be open per booking,
+ * and the deposit can't be released while it is.
+ * @param {string} bookingId
+ * @param {{uid: string, role: string}} actor - The booking's owner.
+ * @param {object} input - From validateClaimInput.
+ * @returns {Promise<object>} The new claim, with its ID.
+ * @throws {DamageClaimError}
+ */
+const fileDamageClaim = async (bookingId, actor, input) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const claimRef = db.collection(DAMAGE_CLAIMS_COLLECTION).doc();
+
+  const claim = await db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new DamageClaimError('Booking not found.', 404);
+    }
+    const booking = bookingDoc.data();
+    const now = new Date();
+    assertCanFileClaim(booking, actor, now);
+
+    const newClaim = {
+      bookingId,
+      vehicleId: booking.vehicleId,
+      ownerId: booking.ownerId,
+      renterId: booking.renterId,
+      status: CLAIM_STATUS.PENDING_RESPONSE,
+      description: input.description,
+      repairEstimate: input.repairEstimate,
+      photos: input.photos,
+      inspectionEvidence: buildInspectionEvidence(booking),
+      dispute: null,
+      respondBy: admin.firestore.Timestamp.fromDate(addHours(now, CLAIM_DEADLINE_HOURS.response)),
+      arbitrateBy: null,
+      arbitrationReminderSentAt: null,
+      resolution: null,
+      settlement: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    transaction.set(claimRef, newClaim);
+
+    const bookingUpdates = { openDamageClaimId: claimRef.id, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    transaction.update(bookingRef, bookingUpdates);
+    await recordBookingHistory(bookingId, buildHistoryEntry({
+      actor,
+      actorRole: 'owner',
+      action: 'damage_claim_filed',
+      previousStatus: booking.paymentStatus,
+      newStatus: booking.paymentStatus,
+      before: booking,
+      updates: bookingUpdates,
+      note: `${claimLabel(claimRef.id)} for ${peso(input.repairEstimate)}`,
+    }), transaction);
+
+    return newClaim;
+  });
+
+  await createNotification(
+    claim.renterId,
+    `The owner filed a ${peso(claim.repairEstimate)} damage claim on your booking. Please accept or dispute it within ${CLAIM_DEADLINE_HOURS.response} hours, or it will be treated as accepted.`,
+    bookingLink(bookingId)
+  );
+  log(`Claim ${claimRef.id} filed on booking ${bookingId} by ${actor.uid}.`);
+  return serializeClaim(claimRef.id, claim);
+};
+
+const assertStatus = (claim, statuses, action) => {
+  if (!statuses.includes(claim.status)) {
+    throw new DamageClaimError(`Cannot ${action} a claim that is ${claim.status}.`, 409);
+  }
+};
+
+// Accepting settles the claim at the owner's repair estimate.
+const acceptClaim = (claimId, claim, booking, now, { automatic = false } = {}) => {
+  const { updates, settlement } = buildSettlement(booking, claimId, claim.repairEstimate, now);
+  const outcome = describeSettlement(settlement);
+  return {
+    claimUpdates: { status: CLAIM_STATUS.ACCEPTED, autoAccepted: automatic, acceptedAt: now, settlement },
+    bookingUpdates: updates,
+    messages: {
+      owner: automatic
+        ? `The renter did not respond to your damage claim in time, so it was accepted. ${outcome}`
+        : `The renter accepted your damage claim. ${outcome}`,
+      renter: automatic
+        ? `You did not respond to the damage claim in time, so it was accepted. ${outcome}`
+        : `You accepted the damage claim. ${outcome}`,
+    },
+    note: `${claimLabel(claimId)} accepted${automatic ? ' after the response deadline' : ''}`,
+  };
+};
+
+/**
+ * The renter accepts the claim.
+ * @throws {DamageClaimError}
+ */
+const acceptDamageClaim = (claimId, actor) => runClaimChange(claimId, actor, 'accepted', (claim, booking, role, now) => {
+  if (role !== 'renter') throw new DamageClaimError('Only the renter can accept a damage claim.', 403);
+  assertStatus(claim, [CLAIM_STATUS.PENDING_RESPONSE], 'accept');
+  return acceptClaim(claimId, claim, booking, now);
+});
+
+const assertCanDispute = (claim, role, now) => {
+  if (role !== 'renter') throw new DamageClaimError('Only the renter can dispute a damage claim.', 403);
+  assertStatus(claim, [CLAIM_STATUS.PENDING_RESPONSE], 'dispute');
+  if (now.toMillis() > claim.respondBy.toMillis()) {
+    throw new DamageClaimError('The deadline to dispute this claim has passed.', 409);
+  }
+};
+
+/**
+ * Runs the dispute checks ahead of the photo uploads; disputeDamageClaim checks again.
+ * @throws {DamageClaimError}
+ */
+const checkCanDisputeClaim = async (claimId, actor) => {
+  const claimDoc = await db.collection(DAMAGE_CLAIMS_COLLECTION).doc(claimId).get();
+  if (!claimDoc.exists) {
+    throw new DamageClaimError('Damage claim not found.', 404);
+  }
+  const claim = claimDoc.data();
+  const bookingDoc = await db.collection('bookings').doc(claim.bookingId).get();
+  if (!bookingDoc.exists) {
+    throw new DamageClaimError('Booking not found.', 404);
+  }
+  assertCanDispute(claim, resolveActorRole(bookingDoc.data(), actor), admin.firestore.Timestamp.now());
+};
+
+/**
+ * The renter disputes the claim with counter-evidence, which sends it to an admin.
+ * @param {object} input - From validateDisputeInput.
+ * @throws {DamageClaimError}
+ */
+const disputeDamageClaim = async (claimId, actor, input) => {
+  const claim = await runClaimChange(claimId, actor, 'disputed', (current, booking, role, now) => {
+    assertCanDispute(current, role, now);
+    return {
+      claimUpdates: {
+        status: CLAIM_STATUS.DISPUTED,
+        dispute: { ...input, disputedAt: now },
+        arbitrateBy: admin.firestore.Timestamp.fromMillis(now.toMillis() + CLAIM_DEADLINE_HOURS.arbitration * HOUR_MS),
+      },
+      messages: {
+        owner: 'The renter disputed your damage claim. An admin will review the evidence from both sides.',
+        renter: 'Your dispute was submitted. An admin will review the evidence from both sides.',
+      },
+      note: `${claimLabel(claimId)} disputed`,
+    };
+  });
+  await notifyAdmins(
+    `A damage claim for ${peso(claim.repairEstimate)} was disputed and needs arbitration within ${CLAIM_DEADLINE_HOURS.arbitration} hours.`,
+    `/admin/damage-claims/${claimId}`
+  );
+  return claim;
+};
+
+/**
+ * An admin settles a disputed claim at an amount from 0 up to the repair estimate.
+ * @param {{amount: number, note?: string}} decision
+ * @throws {DamageClaimError}
+ */
+const resolveDamageClaim = (claimId, actor, { amount, note }) => runClaimChange(claimId, actor, 'resolved', (claim, booking, role, now) => {
+  if (role !== 'admin') throw new DamageClaimError('Only an admin can arbitrate a damage claim.', 403);
+  assertStatus(claim, [CLAIM_STATUS.DISPUTED], 'resolve');
+  const finalAmount = parseFloat(amount);
+  if (isNaN(finalAmount) || finalAmount < 0 || finalAmount > claim.repairEstimate) {
+    throw new DamageClaimError(`The final amount must be between 0 and the repair estimate of ${peso(claim.repairEstimate)}.`);
+  }
+
+  const { updates, settlement } = buildSettlement(booking, claimId, round2(finalAmount), now);
+  const outcome = `The final amount is ${peso(settlement.amount)}. ${describeSettlement(settlement)}`;
+  return {
+    claimUpdates: {
+      status: CLAIM_STATUS.RESOLVED,
+      resolution: { amount: settlement.amount, note: note || null, decidedBy: actor.uid, decidedAt: now },
+      settlement,
+    },
+    bookingUpdates: updates,
+    messages: {
+      owner: `An admin resolved the disputed damage claim. ${outcome}`,
+      renter: `An admin resolved your damage claim dispute. ${outcome}`,
+    },
+    note: `${claimLabel(claimId)} resolved at ${peso(settlement.amount)}${note ? `: ${note}` : ''}`,
+  };
+});
+
+/**
+ * The owner withdraws an open claim.
+ * @throws {DamageClaimError}
+ */
+const withdrawDamageClaim = (claimId, actor) => runClaimChange(claimId, actor, 'withdrawn', (claim, booking, role, now) => {
+  if (role !== 'owner') throw new DamageClaimError('Only the owner can withdraw a damage claim.', 403);
+  assertStatus(claim, OPEN_CLAIM_STATUSES, 'withdraw');
+  return {
+    claimUpdates: { status: CLAIM_STATUS.WITHDRAWN, withdrawnAt: now },
+    bookingUpdates: { openDamageClaimId: null },
+    messages: { renter: 'The owner withdrew their damage claim on your booking.' },
+    note: `${claimLabel(claimId)} withdrawn`,
+  };
+});
+
+/**
+ * Scheduled job: accepts claims the renter let lapse and reminds admins about overdue arbitrations.
+ * @returns {Promise<{autoAccepted: number, arbitrationReminders: number, failed: number}>}
+ */
+const processDamageClaimDeadlines = async () => {
+  const now = admin.firestore.Timestamp.now();
+  const claims = db.collection(DAMAGE_CLAIMS_COLLECTION);
+  let autoAccepted = 0;
+  let arbitrationReminders = 0;
+  let failed = 0;
+
+  const lapsed = await claims
+    .where('status', '==', CLAIM_STATUS.PENDING_RESPONSE)
+    .where('respondBy', '<', now)
+    .get();
+  for (const doc of lapsed.docs) {
+    try {
+      await runClaimChange(doc.id, SYSTEM_ACTOR, 'accepted', (claim, booking, role, changedAt) => {
+        assertStatus(claim, [CLAIM_STATUS.PENDING_RESPONSE], 'accept');
+        return acceptClaim(doc.id, claim, booking, changedAt, { automatic: true });
+      });
+      autoAccepted++;
+    } catch (error) {
+      // The renter may have responded since the query ran.
+      failed++;
+      console.error(`[DamageClaims] Could not auto-accept claim ${doc.id}:`, error.message);
+    }
+  }
+
+  const overdue = await claims
+    .where('status', '==', CLAIM_STATUS.DISPUTED)
+    .where('arbitrateBy', '<', now)
+    .get();
+  for (const doc of overdue.docs) {
+    if (doc.data().arbitrationReminderSentAt) continue;
+    await notifyAdmins('A disputed damage claim is past its arbitration deadline.', `/admin/damage-claims/${doc.id}`);
+    await doc.ref.update({ arbitrationReminderSentAt: admin.firestore.FieldValue.serverTimestamp() });
+    arbitrationReminders++;
+  }
+
+  if (autoAccepted > 0 || arbitrationReminders > 0) {
+    log(`Auto-accepted ${autoAccepted} claim(s); sent ${arbitrationReminders} arbitration reminder(s).`);
+  }
+  return { autoAccepted, arbitrationReminders, failed };
+};
+
+module.exports = {
+  DAMAGE_CLAIMS_COLLECTION,
+  CLAIM_STATUS,
+  CLAIM_DEADLINE_HOURS,
+  DamageClaimError,
+  validateClaimInput,
+  validateDisputeInput,
+  getFilingDeadline,
+  buildSettlement,
+  assertCanFileClaim,
+  checkCanFileClaim,
+  checkCanDisputeClaim,
+  fileDamageClaim,
+  acceptDamageClaim,
+  disputeDamageClaim,
+  resolveDamageClaim,
+  withdrawDamageClaim,
+  processDamageClaimDeadlines,
+  serializeClaim,
+};
@@ -0,0 +1,454 @@
+// backend/src/utils/dateModifications.js
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const { BOOKING_STATUS, ACTIVE_BOOKING_STATUSES, resolveActorRole } = require('./bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory } = require('./bookingHistory');
+const { clearReturnReminders } = require('./bookingReminders');
+const { PricingError, quoteRental, toPriceBreakdown, getMileageAllowance, round2 } = require('./pricingEngine');
+const { splitDownpayment } = require('./downpaymentPolicy');
+const { REFUND_SOURCE, REFUND_STATUS, getPaidAmount, createRefundRecord, newRefundRef } = require('./cancellationPolicy');
+const { AddOnError, applyAddOnsToQuote, assertAddOnsAvailable } = require('./addOns');
+const { applyDriverFeesToQuote } = require('./withDriver');
+const { applyDeliveryToQuote } = require('./delivery');
+const { assertTripRules } = require('./tripRules');
+const { findConflict, loadReservations } = require('./reservations');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[DateModifications] ${message}`);
+};
+
+// Requests are kept on the booking as `modificationRequests`; at most one is pending.
+const MODIFICATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  WITHDRAWN: 'withdrawn',
+};
+
+// Dates can change until the trip is over. Pending extensions are settled first.
+const MODIFIABLE_STATUSES = [
+  BOOKING_STATUS.PENDING_OWNER_APPROVAL,
+  BOOKING_STATUS.PENDING_PAYMENT,
+  BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+  BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+  BOOKING_STATUS.CONFIRMED,
+];
+// Before payment, a new total is split into downpayment and balance again.
+const UNPAID_STATUSES = [BOOKING_STATUS.PENDING_OWNER_APPROVAL, BOOKING_STATUS.PENDING_PAYMENT];
+
+class ModificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ModificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+const peso = (amount) => `₱${Math.abs(amount).toFixed(2)}`;
+const shortId = (bookingId) => bookingId.substring(0, 5);
+
+const findPendingIndex = (booking) => (booking.modificationRequests || [])
+  .findIndex((request) => request.status === MODIFICATION_STATUS.PENDING);
+
+/**
+ * Checks proposed dates against the booking as it stands. Once the trip has started
+ * only the end date can move, and not into the past.
+ * @returns {{start: Date, end: Date}}
+ * @throws {ModificationError}
+ */
+const validateNewDates = (booking, { startDate, endDate }, now = new Date()) => {
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    throw new ModificationError('Provide a valid startDate and endDate, with the start before the end.');
+  }
+  const currentStart = toDate(booking.startDate);
+  const currentEnd = toDate(booking.endDate);
+  if (start.getTime() === currentStart.getTime() && end.getTime() === currentEnd.getTime()) {
+    throw new ModificationError('The new dates are the same as the current ones.');
+  }
+  if (currentStart <= now) {
+    if (start.getTime() !== currentStart.getTime()) {
+      throw new ModificationError('The trip has already started, so only the return date can change.', 409);
+    }
+    if (end <= now) {
+      throw new ModificationError('The new return date must be in the future.');
+    }
+  } else if (start <= now) {
+    throw new ModificationError('The new start date must be in the future.');
+  }
+  return { start, end };
+};
+
+/**
+ * Prices a booking for a set of dates the way it was booked: the vehicle's rates plus
+ * its add-ons, driver fees and delivery.
+ * @throws {PricingError}
+ */
+const quoteBookingDates = (vehicle, booking, start, end) => {
+  const quote = applyAddOnsToQuote(quoteRental(vehicle, start, end), booking.addOns || []);
+  return applyDeliveryToQuote(applyDriverFeesToQuote(quote, booking.driverTerms || null), booking.delivery || null);
+};
+
+/**
+ * The price breakdown after a date change: the request's new quote, plus whatever the
+ * booking's breakdown has on top of its quote (the promo discount and charges added later).
+ */
+const buildModifiedBreakdown = (booking, request, newTotal) => {
+  const quotedCodes = new Set(request.quotedCodes);
+  const carried = (booking.priceBreakdown?.lineItems || []).filter((item) => !quotedCodes.has(item.code));
+  return { ...request.priceBreakdown, lineItems: [...request.priceBreakdown.lineItems, ...carried], total: newTotal };
+};
+
+/**
+ * Booking updates for an accepted date change. The price difference between quoting
+ * the new and current dates is added to the total, so a redeemed promo discount and
+ * later charges carry over. Unpaid bookings have their downpayment split again;
+ * otherwise the balance absorbs the difference, and anything already paid beyond the
+ * new total is refunded.
+ * @returns {{updates: object, refundAmount: number}}
+ */
+const buildModificationUpdates = (booking, request) => {
+  const newTotal = round2((booking.totalCost || 0) + request.priceDifference);
+  const updates = {
+    startDate: request.newStartDate,
+    endDate: request.newEndDate,
+    totalCost: newTotal,
+    priceBreakdown: buildModifiedBreakdown(booking, request, newTotal),
+    mileageAllowance: request.mileageAllowance,
+  };
+  let refundAmount = 0;
+  if (UNPAID_STATUSES.includes(booking.paymentStatus)) {
+    Object.assign(updates, splitDownpayment(newTotal, booking.downPaymentPercent || 0));
+  } else {
+    const paid = getPaidAmount(booking);
+    refundAmount = Math.max(round2(paid - newTotal), 0);
+    updates.remainingBalance = Math.max(round2(newTotal - paid), 0);
+  }
+  return { updates, refundAmount };
+};
+
+/**
+ * Reads the vehicle and anything that could clash with the new dates: owner blocks,
+ * other bookings and their reservation holds (this booking's own block, dates and hold
+ * don't count), the vehicle's trip rules, and add-on stock. Transaction reads only.
+ * @param {object} [options]
+ * @param {boolean} [options.checkAdvanceNotice] - Whether a moved start must respect the advance notice.
+ * @returns {Promise<{vehicle: object, reservations: object}>} The vehicle and its staged holds.
+ * @throws {ModificationError|TripRuleError}
+ */
+const assertDatesAvailable = async (transaction, bookingId, booking, start, end, { checkAdvanceNotice = false } = {}) => {
+  const vehicleDoc = await transaction.get(db.collection('vehicles').doc(booking.vehicleId));
+  if (!vehicleDoc.exists) {
+    throw new ModificationError('Associated vehicle not found.', 404);
+  }
+  const vehicle = vehicleDoc.data();
+  const overlaps = (from, to) => from && to && start < to && end > from;
+
+  const blocked = (vehicle.availability || [])
+    .some((block) => block.bookingId !== bookingId && overlaps(toDate(block.start), toDate(block.end)));
+  if (blocked) {
+    throw new ModificationError('The vehicle is unavailable (owner block) during the new dates.', 409);
+  }
+
+  const others = await transaction.get(db.collection('bookings')
+    .where('vehicleId', '==', booking.vehicleId)
+    .where('paymentStatus', 'in', ACTIVE_BOOKING_STATUSES));
+  const otherBookings = others.docs.filter((doc) => doc.id !== bookingId).map((doc) => doc.data());
+  if (otherBookings.some((other) => overlaps(toDate(other.startDate), toDate(other.endDate)))) {
+    throw new ModificationError('The vehicle is booked by someone else during the new dates.', 409);
+  }
+  assertTripRules(vehicle.tripRules, { start, end, otherBookings, checkAdvanceNotice });
+
+  const reservations = await loadReservations(transaction, booking.vehicleId);
+  const held = findConflict({ vehicle: { tripRules: vehicle.tripRules }, holds: reservations.holds, start, end, bookingId });
+  if (held) {
+    throw new ModificationError('The vehicle is being held for another booking during the new dates.', 409);
+  }
+
+  try {
+    await assertAddOnsAvailable({
+      ownerId: booking.ownerId,
+      vehicle,
+      selected: booking.addOns || [],
+      start,
+      end,
+      excludeBookingId: bookingId,
+      transaction,
+    });
+  } catch (error) {
+    if (error instanceof AddOnError) throw new ModificationError(error.message, error.statusCode);
+    throw error;
+  }
+  return { vehicle, reservations };
+};
+
+const loadBooking = async (transaction, bookingId, actor) => {
+  const bookingDoc = await transaction.get(db.collection('bookings').doc(bookingId));
+  if (!bookingDoc.exists) {
+    throw new ModificationError('Booking not found.', 404);
+  }
+  const booking = bookingDoc.data();
+  return { booking, role: resolveActorRole(booking, actor) };
+};
+
+const assertModifiable = (booking) => {
+  if (!MODIFIABLE_STATUSES.includes(booking.paymentStatus)) {
+    throw new ModificationError(`The dates of a booking that is ${booking.paymentStatus} cannot be changed.`, 409);
+  }
+};
+
+/**
+ * Writes the booking updates and their history entry, then notifies the other party.
+ */
+const commitChange = async ({ transaction, bookingId, booking, actor, role, action, updates, note }) => {
+  const bookingUpdates = { ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  transaction.update(db.collection('bookings').doc(bookingId), bookingUpdates);
+  await recordBookingHistory(bookingId, buildHistoryEntry({
+    actor,
+    actorRole: role,
+    action,
+    previousStatus: booking.paymentStatus,
+    newStatus: booking.paymentStatus,
+    before: booking,
+    updates: bookingUpdates,
+    note,
+  }), transaction);
+};
+
+const notify = (userId, bookingId, message) => createNotification(userId, message, `/dashboard/my-bookings/${bookingId}`);
+
+/**
+ * The renter proposes new dates. They are checked for conflicts and repriced now;
+ * the owner then accepts or declines.
+ * @param {string} bookingId
+ * @param {{uid: string, role: string}} actor - The renter.
+ * @param {{startDate: string, endDate: string}} dates
+ * @returns {Promise<object>} The modification request.
+ * @throws {ModificationError|TripRuleError}
+ */
+const requestModification = async (bookingId, actor, dates) => {
+  const result = await db.runTransaction(async (transaction) => {
+    const { booking, role } = await loadBooking(transaction, bookingId, actor);
+    if (role !== 'renter') {
+      throw new ModificationError('Only the renter can request new dates.', 403);
+    }
+    assertModifiable(booking);
+    if (findPendingIndex(booking) !== -1) {
+      throw new ModificationError('A date change is already awaiting the owner. Withdraw it to propose different dates.', 409);
+    }
+    const { start, end } = validateNewDates(booking, dates);
+    // A new start counts as a new booking for the advance notice; the owner's acceptance waives it.
+    const { vehicle } = await assertDatesAvailable(transaction, bookingId, booking, start, end, {
+      checkAdvanceNotice: start.getTime() !== toDate(booking.startDate).getTime(),
+    });
+
+    let currentQuote;
+    let newQuote;
+    try {
+      currentQuote = quoteBookingDates(vehicle, booking, toDate(booking.startDate), toDate(booking.endDate));
+      newQuote = quoteBookingDates(vehicle, booking, start, end);
+    } catch (error) {
+      if (error instanceof PricingError) throw new ModificationError(error.message, 500);
+      throw error;
+    }
+    const priceDifference = round2(newQuote.total - currentQuote.total);
+    const request = {
+      requestedAt: admin.firestore.Timestamp.now(),
+      requestedBy: actor.uid,
+      previousStartDate: booking.startDate,
+      previousEndDate: booking.endDate,
+      newStartDate: admin.firestore.Timestamp.fromDate(start),
+      newEndDate: admin.firestore.Timestamp.fromDate(end),
+      priceDifference,
+      newTotalCost: round2((booking.totalCost || 0) + priceDifference),
+      priceBreakdown: toPriceBreakdown(newQuote),
+      // Line items of either quote are replaced by the new quote; the rest carry over.
+      quotedCodes: [...new Set([...currentQuote.lineItems, ...newQuote.lineItems].map((item) => item.code))],
+      mileageAllowance: getMileageAllowance(vehicle, newQuote),
+      status: MODIFICATION_STATUS.PENDING,
+    };
+
+    await commitChange({
+      transaction,
+      bookingId,
+      booking,
+      actor,
+      role,
+      action: 'modification_requested',
+      updates: { modificationRequests: [...(booking.modificationRequests || []), request] },
+      note: `${start.toISOString()} to ${end.toISOString()} (${priceDifference >= 0 ? '+' : '-'}${peso(priceDifference)})`,
+    });
+    return { booking, request };
+  });
+
+  const { priceDifference } = result.request;
+  const change = priceDifference === 0 ? 'at no change in price' : `for ${peso(priceDifference)} ${priceDifference > 0 ? 'more' : 'less'}`;
+  await notify(result.booking.ownerId, bookingId, `The renter of booking #${shortId(bookingId)} asked to change the trip dates ${change}. Please accept or decline.`);
+  log(`Booking ${bookingId}: date change requested by ${actor.uid}.`);
+  return result.request;
+};
+
+/**
+ * The owner accepts the pending request. Availability is checked again, then the
+ * booking dates, the vehicle's availability block and the balance are updated
+ * together; any overpayment is queued as a refund.
+ * @returns {Promise<{request: object, booking: object, refundId: string|null}>}
+ * @throws {ModificationError|TripRuleError}
+ */
+const acceptModification = async (bookingId, actor) => {
+  const result = await db.runTransaction(async (transaction) => {
+    const { booking, role } = await loadBooking(transaction, bookingId, actor);
+    if (role !== 'owner' && role !== 'admin') {
+      throw new ModificationError('Only the owner can accept a date change.', 403);
+    }
+    assertModifiable(booking);
+    const index = findPendingIndex(booking);
+    if (index === -1) {
+      throw new ModificationError('There is no pending date change on this booking.', 404);
+    }
+    const pending = booking.modificationRequests[index];
+    const start = toDate(pending.newStartDate);
+    const end = toDate(pending.newEndDate);
+    validateNewDates(booking, { startDate: start, endDate: end });
+    const { vehicle, reservations } = await assertDatesAvailable(transaction, bookingId, booking, start, end);
+
+    const { updates, refundAmount } = buildModificationUpdates(booking, pending);
+    const request = {
+      ...pending,
+      status: MODIFICATION_STATUS.ACCEPTED,
+      respondedAt: admin.firestore.Timestamp.now(),
+      respondedBy: actor.uid,
+    };
+    const startMoved = start.getTime() !== toDate(booking.startDate).getTime();
+    Object.assign(updates, {
+      modificationRequests: booking.modificationRequests.map((item, i) => (i === index ? request : item)),
+      remindersSent: startMoved ? {} : clearReturnReminders(booking.remindersSent),
+    });
+
+    // The vehicle's block or reservation hold for this booking, whichever it has, moves with it.
+    const ownHold = reservations.holds.find((hold) => hold.bookingId === bookingId);
+    if (ownHold) {
+      reservations.hold({ bookingId, start, end, stage: ownHold.stage });
+      reservations.commit();
+    }
+    const availability = vehicle.availability || [];
+    if (availability.some((block) => block.bookingId === bookingId)) {
+      transaction.update(db.collection('vehicles').doc(booking.vehicleId), {
+        availability: availability.map((block) => (block.bookingId === bookingId
+          ? { ...block, start: pending.newStartDate, end: pending.newEndDate }
+          : block)),
+      });
+    }
+
+    let refundId = null;
+    if (refundAmount > 0) {
+      refundId = createRefundRecord(transaction, newRefundRef(), {
+        bookingId,
+        booking,
+        refund: { refundAmount, paidAmount: getPaidAmount(booking), refundPercent: null, policy: null },
+        cancelledBy: null,
+        reason: 'Trip dates changed; the renter had paid more than the new total.',
+        source: REFUND_SOURCE.MODIFICATION,
+      });
+      updates.modificationRequests[index] = { ...request, refundId, refundAmount, refundStatus: REFUND_STATUS.PENDING };
+    }
+
+    await commitChange({
+      transaction, bookingId, booking, actor, role, action: 'modification_accepted', updates,
+      note: refundId ? `Refund of ${peso(refundAmount)} queued` : null,
+    });
+    return { booking: { ...booking, ...updates }, request: updates.modificationRequests[index], refundId };
+  });
+
+  const { request, refundId } = result;
+  let message = `Your date change for booking #${shortId(bookingId)} was accepted.`;
+  if (request.priceDifference > 0) message += ` ${peso(request.priceDifference)} was added to your remaining balance.`;
+  if (refundId) message += ` A refund of ${peso(request.refundAmount)} is due to you.`;
+  await notify(result.booking.renterId, bookingId, message);
+  log(`Booking ${bookingId}: date change accepted by ${actor.uid}.`);
+  return result;
+};
+
+// Closes the pending request without changing the booking.
+const closeModification = async (bookingId, actor, { status, roles, action, reason = null }) => {
+  const result = await db.runTransaction(async (transaction) => {
+    const { booking, role } = await loadBooking(transaction, bookingId, actor);
+    if (!roles.includes(role)) {
+      throw new ModificationError('You are not allowed to do this for this booking.', 403);
+    }
+    const index = findPendingIndex(booking);
+    if (index === -1) {
+      throw new ModificationError('There is no pending date change on this booking.', 404);
+    }
+    const request = {
+      ...booking.modificationRequests[index],
+      status,
+      respondedAt: admin.firestore.Timestamp.now(),
+      respondedBy: actor.uid,
+      ...(reason ? { reason } : {}),
+    };
+    await commitChange({
+      transaction,
+      bookingId,
+      booking,
+      actor,
+      role,
+      action,
+      updates: { modificationRequests: booking.modificationRequests.map((item, i) => (i === index ? request : item)) },
+      note: reason,
+    });
+    return { booking, request };
+  });
+  log(`Booking ${bookingId}: date change ${status} by ${actor.uid}.`);
+  return result;
+};
+
+/**
+ * The owner declines the pending request; the booking keeps its dates.
+ * @throws {ModificationError}
+ */
+const declineModification = async (bookingId, actor, reason) => {
+  const result = await closeModification(bookingId, actor, {
+    status: MODIFICATION_STATUS.DECLINED,
+    roles: ['owner', 'admin'],
+    action: 'modification_declined',
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+  });
+  await notify(
+    result.booking.renterId,
+    bookingId,
+    `Your date change for booking #${shortId(bookingId)} was declined.${result.request.reason ? ` Reason: ${result.request.reason}` : ''}`
+  );
+  return result.request;
+};
+
+/**
+ * The renter withdraws their pending request.
+ * @throws {ModificationError}
+ */
+const withdrawModification = async (bookingId, actor) => {
+  const result = await closeModification(bookingId, actor, {
+    status: MODIFICATION_STATUS.WITHDRAWN,
+    roles: ['renter'],
+    action: 'modification_withdrawn',
+  });
+  await notify(result.booking.ownerId, bookingId, `The renter withdrew their date change for booking #${shortId(bookingId)}.`);
+  return result.request;
+};
+
+module.exports = {
+  MODIFICATION_STATUS,
+  MODIFIABLE_STATUSES,
+  ModificationError,
+  validateNewDates,
+  quoteBookingDates,
+  buildModifiedBreakdown,
+  buildModificationUpdates,
+  requestModification,
+  acceptModification,
+  declineModification,
+  withdrawModification,
+};
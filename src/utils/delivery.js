@@ -0,0 +1,166 @@
+// backend/src/utils/delivery.js
+const { geocodeLocation } = require('./geocoding');
+const { round2 } = require('./pricingEngine');
+
+const EARTH_RADIUS_KM = 6371;
+
+class DeliveryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toPositiveAmount = (value, field) => {
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount <= 0) {
+    throw new DeliveryError(`${field} must be a positive number.`);
+  }
+  return round2(amount);
+};
+
+/**
+ * Validates a vehicle's `delivery` settings: whether the owner delivers it to the
+ * renter's address, how far, and the fee per kilometre. Empty clears them.
+ * @param {object} settings - { available, maxRadiusKm, feePerKm }
+ * @returns {object|null}
+ * @throws {DeliveryError}
+ */
+const normalizeDeliverySettings = (settings) => {
+  if (settings === undefined || settings === null || settings === '') return null;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new DeliveryError('delivery must be an object.');
+  }
+  if (!settings.available) {
+    return { available: false, maxRadiusKm: null, feePerKm: null };
+  }
+  return {
+    available: true,
+    maxRadiusKm: toPositiveAmount(settings.maxRadiusKm, 'delivery.maxRadiusKm'),
+    feePerKm: toPositiveAmount(settings.feePerKm, 'delivery.feePerKm'),
+  };
+};
+
+/**
+ * Straight-line distance between two points, in kilometres.
+ */
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return round2(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)));
+};
+
+const normalizeAddress = (address, field) => {
+  if (typeof address !== 'object' || Array.isArray(address)) {
+    throw new DeliveryError(`${field} must be an address object.`);
+  }
+  const clean = ['street', 'barangay', 'city', 'region', 'country'].reduce((acc, key) => {
+    const value = typeof address[key] === 'string' ? address[key].trim() : '';
+    return value ? { ...acc, [key]: value } : acc;
+  }, {});
+  if (!clean.street || !clean.city || !clean.country) {
+    throw new DeliveryError(`${field} needs at least a street, city and country.`);
+  }
+  return clean;
+};
+
+/**
+ * One-line form of an address for notifications and the contract.
+ */
+const formatAddress = (address) => ['street', 'barangay', 'city', 'region', 'country']
+  .map((key) => address[key])
+  .filter(Boolean)
+  .join(', ');
+
+/**
+ * Prices driving between the vehicle and an address.
+ * @returns {{address: object, coordinates: {lat, lon}, distanceKm: number, fee: number}}
+ * @throws {DeliveryError} If the address is outside the vehicle's delivery radius.
+ */
+const priceDeliveryLeg = (vehicle, address, coordinates, field) => {
+  const { maxRadiusKm, feePerKm } = vehicle.delivery;
+  const distance = distanceKm({ lat: vehicle.latitude, lon: vehicle.longitude }, coordinates);
+  if (distance > maxRadiusKm) {
+    throw new DeliveryError(
+      `The ${field} is ${distance.toFixed(1)} km from the vehicle, outside its ${maxRadiusKm} km delivery radius.`
+    );
+  }
+  return { address, coordinates, distanceKm: distance, fee: round2(distance * feePerKm) };
+};
+
+/**
+ * Geocodes the renter's delivery and return addresses and prices each leg from the
+ * vehicle's location. Either address can be left out to use the owner's location.
+ * @param {object} vehicle
+ * @param {{deliveryAddress?: object, returnAddress?: object}} addresses
+ * @returns {Promise<{dropOff: object|null, pickUp: object|null, feePerKm: number, totalFee: number}|null>} Null without delivery.
+ * @throws {DeliveryError}
+ */
+const planDelivery = async (vehicle, { deliveryAddress, returnAddress } = {}) => {
+  if (!deliveryAddress && !returnAddress) return null;
+  if (!vehicle.delivery?.available) {
+    throw new DeliveryError('This vehicle is not offered with delivery.');
+  }
+  if (typeof vehicle.latitude !== 'number' || typeof vehicle.longitude !== 'number') {
+    throw new DeliveryError("This vehicle's location hasn't been mapped, so delivery can't be priced.", 409);
+  }
+
+  const planLeg = async (address, field) => {
+    if (!address) return null;
+    const clean = normalizeAddress(address, field);
+    const coordinates = await geocodeLocation(clean);
+    if (!coordinates) {
+      throw new DeliveryError(`We couldn't locate the ${field}. Please check it and try again.`);
+    }
+    return priceDeliveryLeg(vehicle, clean, coordinates, field);
+  };
+
+  const dropOff = await planLeg(deliveryAddress, 'delivery address');
+  const pickUp = await planLeg(returnAddress, 'return address');
+  return {
+    dropOff,
+    pickUp,
+    feePerKm: vehicle.delivery.feePerKm,
+    totalFee: round2((dropOff?.fee || 0) + (pickUp?.fee || 0)),
+  };
+};
+
+/**
+ * Adds the delivery fees to a quote's line items and total.
+ */
+const applyDeliveryToQuote = (quote, plan) => {
+  if (!plan) return quote;
+  const legs = [
+    { leg: plan.dropOff, code: 'delivery', label: 'Delivery' },
+    { leg: plan.pickUp, code: 'return_pickup', label: 'Return pickup' },
+  ].filter(({ leg }) => leg && leg.fee > 0);
+  if (legs.length === 0) return quote;
+  return {
+    ...quote,
+    lineItems: [
+      ...quote.lineItems,
+      ...legs.map(({ leg, code, label }) => ({
+        code,
+        label: `${label} (${leg.distanceKm.toFixed(1)} km)`,
+        quantity: 1,
+        unitPrice: leg.fee,
+        amount: leg.fee,
+      })),
+    ],
+    deliveryTotal: plan.totalFee,
+    total: round2(quote.total + plan.totalFee),
+  };
+};
+
+module.exports = {
+  DeliveryError,
+  normalizeDeliverySettings,
+  distanceKm,
+  formatAddress,
+  planDelivery,
+  applyDeliveryToQuote,
+};
@@ -0,0 +1,120 @@
+// backend/src/utils/downpaymentPolicy.js
+const { admin, db } = require('./firebase');
+const { round2 } = require('./pricingEngine');
+
+// The platform default and the bounds owners must stay within live in one settings document.
+const SETTINGS_COLLECTION = 'platform_settings';
+const SETTINGS_DOC = 'downpayment';
+
+const DEFAULT_SETTINGS = {
+  defaultPercent: 20,
+  minPercent: 10,
+  maxPercent: 100,
+};
+
+class DownpaymentPolicyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DownpaymentPolicyError';
+    this.statusCode = statusCode;
+  }
+}
+
+const settingsRef = () => db.collection(SETTINGS_COLLECTION).doc(SETTINGS_DOC);
+
+/**
+ * Reads the platform downpayment settings, falling back to the defaults for anything unset.
+ * @returns {Promise<{defaultPercent: number, minPercent: number, maxPercent: number}>}
+ */
+const getDownpaymentSettings = async () => {
+  const doc = await settingsRef().get();
+  const stored = doc.exists ? doc.data() : {};
+  return {
+    defaultPercent: stored.defaultPercent ?? DEFAULT_SETTINGS.defaultPercent,
+    minPercent: stored.minPercent ?? DEFAULT_SETTINGS.minPercent,
+    maxPercent: stored.maxPercent ?? DEFAULT_SETTINGS.maxPercent,
+  };
+};
+
+/**
+ * Validates an admin's change to the settings against the current values.
+ * @returns {object} The complete new settings.
+ * @throws {DownpaymentPolicyError}
+ */
+const normalizeSettingsInput = (input, current) => {
+  const next = { ...current };
+  ['defaultPercent', 'minPercent', 'maxPercent'].forEach((field) => {
+    if (input[field] === undefined) return;
+    const value = parseFloat(input[field]);
+    if (isNaN(value) || value <= 0 || value > 100) {
+      throw new DownpaymentPolicyError(`${field} must be greater than 0 and at most 100.`);
+    }
+    next[field] = value;
+  });
+  if (next.minPercent > next.maxPercent) {
+    throw new DownpaymentPolicyError('minPercent cannot be greater than maxPercent.');
+  }
+  if (next.defaultPercent < next.minPercent || next.defaultPercent > next.maxPercent) {
+    throw new DownpaymentPolicyError('defaultPercent must be between minPercent and maxPercent.');
+  }
+  return next;
+};
+
+const saveDownpaymentSettings = async (settings, adminId) => {
+  await settingsRef().set({
+    ...settings,
+    updatedBy: adminId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+};
+
+/**
+ * Validates a percentage an owner sets on a vehicle or as their own default.
+ * Empty values clear the setting so the next level's default applies.
+ * @returns {number|null}
+ * @throws {DownpaymentPolicyError}
+ */
+const validateDownpaymentPercent = (value, settings) => {
+  if (value === undefined || value === null || value === '') return null;
+  const percent = parseFloat(value);
+  if (isNaN(percent) || percent < settings.minPercent || percent > settings.maxPercent) {
+    throw new DownpaymentPolicyError(
+      `Downpayment must be between ${settings.minPercent}% and ${settings.maxPercent}% of the total.`
+    );
+  }
+  return percent;
+};
+
+/**
+ * Picks the downpayment percentage for a booking: the vehicle's, then the owner's
+ * default, then the platform default. Stored values are clamped to the current
+ * bounds in case an admin tightened them after the owner saved.
+ * @returns {{percent: number, source: 'vehicle'|'owner'|'platform'}}
+ */
+const resolveDownpaymentPercent = ({ vehicle = {}, owner = {}, settings }) => {
+  const clamp = (percent) => Math.min(Math.max(percent, settings.minPercent), settings.maxPercent);
+  const vehiclePercent = parseFloat(vehicle.downPaymentPercent);
+  if (!isNaN(vehiclePercent)) return { percent: clamp(vehiclePercent), source: 'vehicle' };
+  const ownerPercent = parseFloat(owner.defaultDownPaymentPercent);
+  if (!isNaN(ownerPercent)) return { percent: clamp(ownerPercent), source: 'owner' };
+  return { percent: clamp(settings.defaultPercent), source: 'platform' };
+};
+
+/**
+ * Splits a total into the downpayment and the balance left after it.
+ */
+const splitDownpayment = (total, percent) => {
+  const downPayment = round2(total * percent / 100);
+  return { downPayment, remainingBalance: round2(total - downPayment) };
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  DownpaymentPolicyError,
+  getDownpaymentSettings,
+  normalizeSettingsInput,
+  saveDownpaymentSettings,
+  validateDownpaymentPercent,
+  resolveDownpaymentPercent,
+  splitDownpayment,
+};
@@ -85,8 +85,32 @@ const sendContactFormEmail = async (formData) => {
   }
 };
 
+/**
+ * Sends a pickup or return reminder for a booking.
+ */
+const sendBookingReminderEmail = async (to, { subject, heading, message, link }) => {
+  try {
+    await resend.emails.send({
+      from: FROM_EMAIL,
+      to: to,
+      subject: subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #ddd; border-radius: 10px;">
+          <h2 style="color: #333;">${heading}</h2>
+          <p style="font-size: 16px;">${message}</p>
+          ${link ? `<a href="${link}" style="display: inline-block; background-color: #6a0dad; color: #ffffff; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-size: 16px; font-weight: bold; margin: 20px 0;">View Booking</a>` : ''}
+        </div>
+      `,
+    });
+    console.log(`[EmailService] Booking reminder sent to ${to}`);
+  } catch (error) {
+    console.error(`[EmailService] Error sending booking reminder:`, error);
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendContactFormEmail,
+  sendBookingReminderEmail,
 };
\ No newline at end of file
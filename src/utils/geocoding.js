@@ -0,0 +1,43 @@
+// backend/src/utils/geocoding.js
+const axios = require('axios');
+
+/**
+ * Geocodes a location object using Nominatim, falling back to just the city.
+ * @param {object} location - { street?, barangay?, city, region?, country }
+ * @returns {Promise<{lat: number, lon: number}|null>}
+ */
+const geocodeLocation = async (location) => {
+  if (!location || !location.city || !location.country) {
+    return null;
+  }
+  let query = `${location.street ? `${location.street}, ` : ''}${location.barangay || ''}, ${location.city}, ${location.region || ''}, ${location.country}`.replace(/ ,/g, ',');
+  try {
+    const response = await axios.get('https://nominatim.openstreetmap.org/search', {
+      params: { q: query, format: 'json', limit: 1 },
+      headers: { 'User-Agent': 'Car-Rental-App/1.0 (Development)' },
+    });
+    if (response.data && response.data.length > 0) {
+      return { lat: parseFloat(response.data[0].lat), lon: parseFloat(response.data[0].lon) };
+    }
+  } catch (error) {
+    console.error(`[Geocoding] Geocoding error (attempt 1) for query "${query}":`, error.message);
+  }
+
+  query = `${location.city}, ${location.country}`;
+  try {
+    const response = await axios.get('https://nominatim.openstreetmap.org/search', {
+      params: { q: query, format: 'json', limit: 1 },
+      headers: { 'User-Agent': 'Car-Rental-App/1.0 (Development)' },
+    });
+    if (response.data && response.data.length > 0) {
+      return { lat: parseFloat(response.data[0].lat), lon: parseFloat(response.data[0].lon) };
+    }
+  } catch (error) {
+    console.error(`[Geocoding] Geocoding error (attempt 2) for query "${query}":`, error.message);
+  }
+
+  console.warn('[Geocoding] Geocoding failed for all attempts.');
+  return null;
+};
+
+module.exports = { geocodeLocation };
@@ -0,0 +1,157 @@
+// backend/src/utils/icalendar.js
+const { DateTime } = require('luxon');
+const { PRICING_TIMEZONE } = require('./pricingEngine');
+
+// Minimal RFC 5545 support: enough to publish busy periods as events and to read the
+// VEVENTs out of the feeds other platforms (Airbnb, Google Calendar, ...) export.
+const PRODUCT_ID = '-//RentCycle//Vehicle Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+const formatUtc = (date) => DateTime.fromJSDate(toDate(date), { zone: 'utc' }).toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+// Long lines are folded: continuation lines start with a space.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Writes a calendar of busy periods. Events carry no renter details.
+ * @param {object} params
+ * @param {string} params.name - The calendar's display name.
+ * @param {Array<{uid: string, start, end, summary: string}>} params.events
+ * @param {Date} [params.now] - Stamped on every event.
+ * @returns {string} The .ics text, CRLF line endings.
+ */
+const buildIcs = ({ name, events, now = new Date() }) => {
+  const stamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtc(event.start)}`,
+      `DTEND:${formatUtc(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT',
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Reads a DTSTART/DTEND value. Dates (VALUE=DATE) are whole days; times without a
+ * Z or TZID are taken as Manila time.
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+const parseIcsDate = (value, params = {}) => {
+  const zone = params.TZID || PRICING_TIMEZONE;
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const date = DateTime.fromFormat(value, 'yyyyMMdd', { zone });
+    return date.isValid ? { date: date.toJSDate(), allDay: true } : null;
+  }
+  const utc = value.endsWith('Z');
+  const date = DateTime.fromFormat(value.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone: utc ? 'utc' : zone });
+  return date.isValid ? { date: date.toJSDate(), allDay: false } : null;
+};
+
+// "NAME;PARAM=x;PARAM2=y:value" -> { name, params, value }
+const parseContentLine = (line) => {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) colon = i;
+  }
+  if (colon === -1) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach((part) => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Reads the busy events out of an .ics feed. Cancelled and transparent (free) events
+ * are skipped, as are events without a usable start. An all-day event with no end
+ * lasts one day.
+ * @param {string} text
+ * @returns {Array<{uid: string|null, summary: string, start: Date, end: Date}>}
+ */
+const parseIcs = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+    const property = parseContentLine(line);
+    if (property) current[property.name] = property;
+  });
+
+  return events
+    .filter((event) => event.STATUS?.value.toUpperCase() !== 'CANCELLED' && event.TRANSP?.value.toUpperCase() !== 'TRANSPARENT')
+    .map((event) => {
+      const start = event.DTSTART && parseIcsDate(event.DTSTART.value, event.DTSTART.params);
+      if (!start) return null;
+      const end = event.DTEND && parseIcsDate(event.DTEND.value, event.DTEND.params);
+      const endDate = end ? end.date : (start.allDay ? new Date(start.date.getTime() + DAY_MS) : null);
+      if (!endDate || endDate <= start.date) return null;
+      return {
+        uid: event.UID?.value || null,
+        summary: event.SUMMARY ? unescapeText(event.SUMMARY.value) : '',
+        start: start.date,
+        end: endDate,
+      };
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  buildIcs,
+  parseIcs,
+  parseIcsDate,
+};
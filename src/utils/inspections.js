@@ -0,0 +1,298 @@
+// backend/src/utils/inspections.js
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const { BOOKING_STATUS, resolveActorRole } = require('./bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory } = require('./bookingHistory');
+const { addBookingCharge, computeMileageOverage, round2 } = require('./pricingEngine');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[Inspections] ${message}`);
+};
+
+// Inspections are stored on the booking as `inspections.pickup` and `inspections.return`.
+const INSPECTION_TYPES = ['pickup', 'return'];
+const PHOTO_SIDES = ['front', 'back', 'left', 'right'];
+// Fuel gauges are read in bars, as in the contract's fuel policy.
+const DEFAULT_FUEL_BARS_TOTAL = 8;
+
+// Booking statuses in which each inspection can be recorded.
+const INSPECTION_BOOKING_STATUSES = {
+  pickup: [BOOKING_STATUS.CONFIRMED],
+  return: [
+    BOOKING_STATUS.CONFIRMED,
+    BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+    BOOKING_STATUS.AWAITING_RETURN,
+    BOOKING_STATUS.RETURNED,
+  ],
+};
+
+class InspectionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InspectionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const peso = (amount) => `₱${amount.toFixed(2)}`;
+
+/**
+ * Reads the fuel charge per missing bar set on a vehicle. Empty clears it.
+ * @returns {number|null}
+ * @throws {InspectionError}
+ */
+const validateFuelChargePerBar = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) {
+    throw new InspectionError('fuelChargePerBar must be a non-negative amount.');
+  }
+  return round2(amount);
+};
+
+/**
+ * Validates the readings of an inspection. Photos must already be uploaded URLs.
+ * @param {object} input - { odometer, fuelBars, fuelBarsTotal?, damageNotes?, photos: { front, back, left, right } }
+ * @returns {object} The cleaned readings.
+ * @throws {InspectionError}
+ */
+const normalizeInspectionInput = (input = {}) => {
+  const odometer = parseFloat(input.odometer);
+  if (isNaN(odometer) || odometer < 0) {
+    throw new InspectionError('odometer must be a non-negative reading in kilometers.');
+  }
+
+  const fuelBarsTotal = input.fuelBarsTotal === undefined ? DEFAULT_FUEL_BARS_TOTAL : parseInt(input.fuelBarsTotal, 10);
+  if (isNaN(fuelBarsTotal) || fuelBarsTotal < 1) {
+    throw new InspectionError('fuelBarsTotal must be a positive whole number.');
+  }
+  const fuelBars = parseInt(input.fuelBars, 10);
+  if (isNaN(fuelBars) || fuelBars < 0 || fuelBars > fuelBarsTotal) {
+    throw new InspectionError(`fuelBars must be between 0 and ${fuelBarsTotal}.`);
+  }
+
+  const photos = input.photos || {};
+  const missing = PHOTO_SIDES.filter((side) => !photos[side]);
+  if (missing.length > 0) {
+    throw new InspectionError(`Photos are required for each side of the vehicle. Missing: ${missing.join(', ')}.`);
+  }
+
+  return {
+    odometer,
+    fuelBars,
+    fuelBarsTotal,
+    damageNotes: typeof input.damageNotes === 'string' ? input.damageNotes.trim() : '',
+    photos: PHOTO_SIDES.reduce((acc, side) => ({ ...acc, [side]: photos[side] }), {}),
+  };
+};
+
+/**
+ * Compares the return inspection with the pickup inspection, including kilometres
+ * driven past the booking's mileage allowance.
+ * @returns {{distanceKm: number, fuelBarsMissing: number, fuelCharge: number, allowanceKm: number|null, overageKm: number, mileageCharge: number}}
+ * @throws {InspectionError} If the odometer went backwards.
+ */
+const computeInspectionDifferences = (pickup, returned, vehicle = {}, booking = {}) => {
+  const distanceKm = round2(returned.odometer - pickup.odometer);
+  if (distanceKm < 0) {
+    throw new InspectionError(`The return odometer reading cannot be lower than at pickup (${pickup.odometer} km).`);
+  }
+  // Compare as a share of the gauge in case the two readings used different bar counts.
+  const pickupLevel = pickup.fuelBars / pickup.fuelBarsTotal;
+  const returnLevel = returned.fuelBars / returned.fuelBarsTotal;
+  const fuelBarsMissing = Math.max(Math.round((pickupLevel - returnLevel) * returned.fuelBarsTotal), 0);
+  const fuelCharge = round2(fuelBarsMissing * (vehicle.fuelChargePerBar || 0));
+  const overage = computeMileageOverage(booking.mileageAllowance, distanceKm);
+  return {
+    distanceKm,
+    fuelBarsMissing,
+    fuelCharge,
+    allowanceKm: overage.allowanceKm,
+    overageKm: overage.overageKm,
+    mileageCharge: overage.amount,
+  };
+};
+
+/**
+ * Booking updates that add the fuel and mileage overage charges from an acknowledged
+ * return inspection to the balance and the price breakdown.
+ */
+const buildInspectionChargeUpdates = (booking, differences) => {
+  if (!differences) return {};
+  const charges = [];
+  if (differences.fuelCharge > 0) {
+    charges.push({
+      code: 'fuel',
+      label: `Fuel (${differences.fuelBarsMissing} bar${differences.fuelBarsMissing === 1 ? '' : 's'} short)`,
+      amount: differences.fuelCharge,
+    });
+  }
+  if (differences.mileageCharge > 0) {
+    charges.push({
+      code: 'mileage_overage',
+      label: `Mileage overage (${differences.overageKm} km over ${differences.allowanceKm} km)`,
+      amount: differences.mileageCharge,
+    });
+  }
+  return charges.reduce((updates, charge) => ({
+    ...updates,
+    ...addBookingCharge({ ...booking, ...updates }, charge),
+  }), {});
+};
+
+const isAcknowledged = (inspection) => Boolean(inspection.acknowledgements.owner && inspection.acknowledgements.renter);
+
+const assertParty = (booking, actor) => {
+  const role = resolveActorRole(booking, actor);
+  if (!role || role === 'system') {
+    throw new InspectionError('You are not a party to this booking.', 403);
+  }
+  return role;
+};
+
+// Admins acknowledge on the owner's behalf.
+const acknowledgementSide = (role) => (role === 'renter' ? 'renter' : 'owner');
+
+/**
+ * Runs an inspection change in a transaction and records it in the booking history.
+ * `build(booking, role, vehicle, now)` returns the booking updates and the notification text.
+ */
+const runInspectionChange = async (bookingId, actor, action, build) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new InspectionError('Booking not found.', 404);
+    }
+    const booking = bookingDoc.data();
+    const role = assertParty(booking, actor);
+    const vehicleDoc = await transaction.get(db.collection('vehicles').doc(booking.vehicleId));
+    const vehicle = vehicleDoc.exists ? vehicleDoc.data() : {};
+
+    const now = admin.firestore.Timestamp.now();
+    const { updates, message, note } = build(booking, role, vehicle, now);
+    const bookingUpdates = { ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    transaction.update(bookingRef, bookingUpdates);
+
+    await recordBookingHistory(bookingId, buildHistoryEntry({
+      actor,
+      actorRole: role,
+      action,
+      previousStatus: booking.paymentStatus,
+      newStatus: booking.paymentStatus,
+      before: booking,
+      updates: bookingUpdates,
+      note,
+    }), transaction);
+
+    return { booking, role, inspections: bookingUpdates.inspections, message };
+  });
+
+  // Let the other party know there is something to review or that it is settled.
+  const link = `/dashboard/my-bookings/${bookingId}`;
+  const otherParty = result.role === 'renter' ? result.booking.ownerId : result.booking.renterId;
+  await createNotification(otherParty, result.message, link);
+
+  log(`Booking ${bookingId}: ${action} by ${actor.uid}.`);
+  return result.inspections;
+};
+
+/**
+ * Records a pickup or return inspection. The party recording it acknowledges it;
+ * the other party confirms with acknowledgeInspection. Re-recording an inspection
+ * before both have acknowledged it replaces it and clears the acknowledgements.
+ * @param {string} bookingId
+ * @param {'pickup'|'return'} type
+ * @param {{uid: string, role: string}} actor
+ * @param {object} readings - From normalizeInspectionInput.
+ * @returns {Promise<object>} The booking's inspections.
+ * @throws {InspectionError}
+ */
+const recordInspection = (bookingId, type, actor, readings) => {
+  if (!INSPECTION_TYPES.includes(type)) {
+    throw new InspectionError(`Unknown inspection type: ${type}`);
+  }
+
+  return runInspectionChange(bookingId, actor, `inspection_${type}`, (booking, role, vehicle, now) => {
+    if (!INSPECTION_BOOKING_STATUSES[type].includes(booking.paymentStatus)) {
+      throw new InspectionError(`Cannot record a ${type} inspection while the booking is ${booking.paymentStatus}.`, 409);
+    }
+    const inspections = booking.inspections || {};
+    if (inspections[type] && isAcknowledged(inspections[type])) {
+      throw new InspectionError(`The ${type} inspection has already been acknowledged by both parties.`, 409);
+    }
+
+    const inspection = {
+      ...readings,
+      recordedBy: actor.uid,
+      recordedByRole: role,
+      recordedAt: now,
+      acknowledgements: { owner: null, renter: null, [acknowledgementSide(role)]: now },
+    };
+    if (type === 'return') {
+      if (!inspections.pickup) {
+        throw new InspectionError('Record the pickup inspection before the return inspection.', 409);
+      }
+      inspection.differences = computeInspectionDifferences(inspections.pickup, readings, vehicle, booking);
+    }
+
+    return {
+      updates: { inspections: { ...inspections, [type]: inspection } },
+      message: `A ${type} inspection was recorded for booking #${bookingId.substring(0, 5)}. Please review and acknowledge it.`,
+      note: `Odometer ${readings.odometer} km, fuel ${readings.fuelBars}/${readings.fuelBarsTotal} bars`,
+    };
+  });
+};
+
+/**
+ * Acknowledges the other party's inspection. Once both parties have acknowledged the
+ * return inspection, any fuel charge is added to the booking.
+ * @returns {Promise<object>} The booking's inspections.
+ * @throws {InspectionError}
+ */
+const acknowledgeInspection = (bookingId, type, actor) => {
+  if (!INSPECTION_TYPES.includes(type)) {
+    throw new InspectionError(`Unknown inspection type: ${type}`);
+  }
+
+  return runInspectionChange(bookingId, actor, `inspection_${type}_acknowledged`, (booking, role, vehicle, now) => {
+    const inspections = booking.inspections || {};
+    const inspection = inspections[type];
+    if (!inspection) {
+      throw new InspectionError(`No ${type} inspection has been recorded for this booking.`, 404);
+    }
+    const side = acknowledgementSide(role);
+    if (inspection.acknowledgements[side]) {
+      throw new InspectionError(`You have already acknowledged the ${type} inspection.`, 409);
+    }
+
+    const acknowledged = { ...inspection, acknowledgements: { ...inspection.acknowledgements, [side]: now } };
+    const updates = { inspections: { ...inspections, [type]: acknowledged } };
+    let message = `The ${type} inspection for booking #${bookingId.substring(0, 5)} was acknowledged by both parties.`;
+    if (type === 'return' && isAcknowledged(acknowledged)) {
+      const { fuelCharge, mileageCharge, overageKm } = acknowledged.differences;
+      Object.assign(updates, buildInspectionChargeUpdates(booking, acknowledged.differences));
+      if (fuelCharge > 0) {
+        message += ` A fuel charge of ${peso(fuelCharge)} was added to the remaining balance.`;
+      }
+      if (mileageCharge > 0) {
+        message += ` A mileage overage charge of ${peso(mileageCharge)} (${overageKm} km) was added to the remaining balance.`;
+      }
+    }
+    return { updates, message, note: `${side} acknowledged the ${type} inspection` };
+  });
+};
+
+module.exports = {
+  INSPECTION_TYPES,
+  PHOTO_SIDES,
+  InspectionError,
+  validateFuelChargePerBar,
+  normalizeInspectionInput,
+  computeInspectionDifferences,
+  buildInspectionChargeUpdates,
+  recordInspection,
+  acknowledgeInspection,
+};
@@ -0,0 +1,127 @@
+// backend/src/utils/instantBook.js
+const { db } = require('./firebase');
+const { BOOKING_STATUS } = require('./bookingLifecycle');
+const { round2 } = require('./pricingEngine');
+
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+
+class InstantBookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InstantBookError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validates a vehicle's `instantBook` settings: when on, renters who meet every
+ * requirement skip owner approval. Empty clears them.
+ * @param {object} settings - { enabled, requireApprovedToDrive?, requireVerifiedEmail?, minCompletedTrips?, minRating? }
+ * @returns {object|null}
+ * @throws {InstantBookError}
+ */
+const normalizeInstantBookSettings = (settings) => {
+  if (settings === undefined || settings === null || settings === '') return null;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new InstantBookError('instantBook must be an object.');
+  }
+  const minCompletedTrips = Number(settings.minCompletedTrips ?? 0);
+  if (!Number.isInteger(minCompletedTrips) || minCompletedTrips < 0) {
+    throw new InstantBookError('instantBook.minCompletedTrips must be a whole number of zero or more.');
+  }
+  let minRating = null;
+  if (settings.minRating !== undefined && settings.minRating !== null && settings.minRating !== '') {
+    minRating = parseFloat(settings.minRating);
+    if (isNaN(minRating) || minRating < RATING_MIN || minRating > RATING_MAX) {
+      throw new InstantBookError(`instantBook.minRating must be between ${RATING_MIN} and ${RATING_MAX}.`);
+    }
+  }
+  return {
+    enabled: Boolean(settings.enabled),
+    // Both default on: instant book is for renters the platform has vetted.
+    requireApprovedToDrive: settings.requireApprovedToDrive !== false,
+    requireVerifiedEmail: settings.requireVerifiedEmail !== false,
+    minCompletedTrips,
+    minRating,
+  };
+};
+
+/**
+ * A renter's average rating from owners, from the totals kept on their profile.
+ * @returns {{average: number, count: number}|null} Null before their first rating.
+ */
+const getRenterRating = (renter = {}) => {
+  const count = renter.renterRatingCount || 0;
+  if (count === 0) return null;
+  return { average: round2((renter.renterRatingTotal || 0) / count), count };
+};
+
+/**
+ * Checks a renter against a vehicle's instant book requirements. Pure: the caller
+ * supplies the number of trips the renter has completed.
+ * @returns {{eligible: boolean, unmet: string[]}} `unmet` lists the requirements not met.
+ */
+const evaluateInstantBook = (settings, renter = {}, { completedTrips = 0 } = {}) => {
+  if (!settings?.enabled) return { eligible: false, unmet: ['Instant book is off for this vehicle.'] };
+  const unmet = [];
+  if (settings.requireApprovedToDrive && !renter.isApprovedToDrive) {
+    unmet.push('An approved drive application.');
+  }
+  if (settings.requireVerifiedEmail && !renter.emailVerified) {
+    unmet.push('A verified email address.');
+  }
+  if (completedTrips < settings.minCompletedTrips) {
+    unmet.push(`At least ${settings.minCompletedTrips} completed trip${settings.minCompletedTrips === 1 ? '' : 's'} (you have ${completedTrips}).`);
+  }
+  if (settings.minRating) {
+    const rating = getRenterRating(renter);
+    if (!rating || rating.average < settings.minRating) {
+      unmet.push(`A renter rating of at least ${settings.minRating}${rating ? ` (yours is ${rating.average})` : ' (you have no ratings yet)'}.`);
+    }
+  }
+  return { eligible: unmet.length === 0, unmet };
+};
+
+/**
+ * Checks whether a renter can instant book a vehicle, counting their completed trips
+ * only when the vehicle asks for a minimum.
+ * @param {object} vehicle
+ * @param {string} renterId
+ * @param {object} renter - req.customUser; email verification comes from its token claim.
+ * @returns {Promise<{eligible: boolean, unmet: string[]}>}
+ */
+const checkInstantBook = async (vehicle, renterId, renter) => {
+  const settings = vehicle.instantBook;
+  let completedTrips = 0;
+  if (settings?.enabled && settings.minCompletedTrips > 0) {
+    const snapshot = await db.collection('bookings')
+      .where('renterId', '==', renterId)
+      .where('paymentStatus', '==', BOOKING_STATUS.COMPLETED)
+      .get();
+    completedTrips = snapshot.size;
+  }
+  return evaluateInstantBook(settings, { ...renter, emailVerified: renter.email_verified === true }, { completedTrips });
+};
+
+/**
+ * Validates a rating an owner gives a renter after a trip.
+ * @returns {{rating: number, comment: string}}
+ * @throws {InstantBookError}
+ */
+const validateRenterRating = ({ rating, comment } = {}) => {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < RATING_MIN || value > RATING_MAX) {
+    throw new InstantBookError(`rating must be a whole number from ${RATING_MIN} to ${RATING_MAX}.`);
+  }
+  return { rating: value, comment: typeof comment === 'string' ? comment.trim() : '' };
+};
+
+module.exports = {
+  InstantBookError,
+  normalizeInstantBookSettings,
+  getRenterRating,
+  evaluateInstantBook,
+  checkInstantBook,
+  validateRenterRating,
+};
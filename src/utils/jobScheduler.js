@@ -0,0 +1,271 @@
+// backend/src/utils/jobScheduler.js
+const os = require('os');
+const cron = require('node-cron');
+const { admin, db } = require('./firebase');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[JobScheduler] ${message}`);
+};
+
+// One document per job holds its lock and last-run summary; runs live in a subcollection.
+const JOBS_COLLECTION = 'scheduled_jobs';
+const RUNS_SUBCOLLECTION = 'runs';
+const DEFAULT_LOCK_TTL_MINUTES = 10;
+const DEFAULT_TIMEZONE = 'Asia/Manila';
+
+// Identifies this process when several instances of the backend share Firestore.
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${Math.random().toString(36).substring(2, 7)}`;
+
+const jobs = new Map();
+const scheduledTasks = new Map();
+
+class JobSchedulerError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'JobSchedulerError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Env var that overrides a job's cron expression, e.g. JOB_AUTO_HANDLE_OVERDUE_BOOKINGS_CRON.
+ */
+const cronEnvName = (jobName) => `JOB_${jobName.replace(/[^a-zA-Z0-9]+/g, '_').toUpperCase()}_CRON`;
+
+/**
+ * Resolves the cron expression for a job. Setting the override to 'disabled' turns the schedule off.
+ * @returns {string|null} The expression, or null when the job should only run manually.
+ */
+const resolveCronExpression = (job, env = process.env) => {
+  const override = env[cronEnvName(job.name)];
+  const expression = override !== undefined && override !== '' ? override.trim() : job.schedule;
+  if (!expression || expression === 'disabled') return null;
+  return expression;
+};
+
+/**
+ * Adds a job to the registry.
+ * @param {object} job
+ * @param {string} job.name - Unique, also used as the Firestore document ID.
+ * @param {string} job.description
+ * @param {string} job.schedule - Default cron expression.
+ * @param {Function} job.handler - `async () => counts`. Whatever it returns is stored on the run.
+ * @param {number} [job.lockTtlMinutes] - How long a crashed instance can hold the lock.
+ */
+const registerJob = (job) => {
+  if (!job.name || typeof job.handler !== 'function') {
+    throw new Error('A job needs a name and a handler.');
+  }
+  if (jobs.has(job.name)) {
+    throw new Error(`Job '${job.name}' is already registered.`);
+  }
+  jobs.set(job.name, { lockTtlMinutes: DEFAULT_LOCK_TTL_MINUTES, ...job });
+};
+
+const jobRef = (jobName) => db.collection(JOBS_COLLECTION).doc(jobName);
+
+/**
+ * Takes the job's lock unless another instance holds an unexpired one.
+ * @returns {Promise<boolean>} True if this instance now holds the lock.
+ */
+const acquireLock = async (job) => {
+  const ref = jobRef(job.name);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const lock = doc.exists ? doc.data().lock : null;
+    const now = Date.now();
+
+    if (lock && lock.expiresAt && lock.expiresAt.toMillis() > now) {
+      return false;
+    }
+
+    transaction.set(ref, {
+      name: job.name,
+      lock: {
+        owner: INSTANCE_ID,
+        acquiredAt: admin.firestore.Timestamp.fromMillis(now),
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + job.lockTtlMinutes * 60 * 1000),
+      },
+    }, { merge: true });
+    return true;
+  });
+};
+
+const releaseLock = async (job, lastRun) => {
+  const ref = jobRef(job.name);
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const lock = doc.exists ? doc.data().lock : null;
+    const updates = { lastRun };
+    // Only clear the lock if it is still ours (it may have expired and been taken over).
+    if (lock && lock.owner === INSTANCE_ID) {
+      updates.lock = null;
+    }
+    transaction.set(ref, updates, { merge: true });
+  });
+};
+
+/**
+ * Runs a registered job under its distributed lock and records the run.
+ * @param {string} jobName
+ * @param {object} [options]
+ * @param {'schedule'|'manual'} [options.trigger]
+ * @param {string|null} [options.triggeredBy] - UID of the admin for manual runs.
+ * @returns {Promise<object>} The run record, or `{ skipped: true }` if another instance holds the lock.
+ */
+const runJob = async (jobName, { trigger = 'schedule', triggeredBy = null } = {}) => {
+  const job = jobs.get(jobName);
+  if (!job) {
+    throw new JobSchedulerError(`Unknown job: ${jobName}`, 404);
+  }
+
+  const locked = await acquireLock(job);
+  if (!locked) {
+    log(`Job ${jobName} skipped: another instance holds the lock.`);
+    return { jobName, skipped: true, reason: 'locked' };
+  }
+
+  const runRef = jobRef(jobName).collection(RUNS_SUBCOLLECTION).doc();
+  const startedAt = new Date();
+  await runRef.set({
+    jobName,
+    trigger,
+    triggeredBy,
+    instanceId: INSTANCE_ID,
+    status: 'running',
+    startedAt: admin.firestore.Timestamp.fromDate(startedAt),
+  });
+
+  log(`Job ${jobName} started (${trigger}). Run ID: ${runRef.id}`);
+
+  let status = 'succeeded';
+  let counts = {};
+  let errorMessage = null;
+  try {
+    const result = await job.handler();
+    counts = result && typeof result === 'object' ? result : {};
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    console.error(`[JobScheduler] Job ${jobName} failed:`, error);
+  }
+
+  const finishedAt = new Date();
+  const outcome = {
+    status,
+    counts,
+    error: errorMessage,
+    finishedAt: admin.firestore.Timestamp.fromDate(finishedAt),
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+  };
+
+  try {
+    await runRef.update(outcome);
+  } finally {
+    await releaseLock(job, { runId: runRef.id, trigger, startedAt: admin.firestore.Timestamp.fromDate(startedAt), ...outcome });
+  }
+
+  log(`Job ${jobName} ${status} in ${outcome.durationMs}ms.`);
+  return {
+    id: runRef.id,
+    jobName,
+    trigger,
+    triggeredBy,
+    ...outcome,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+  };
+};
+
+/**
+ * Schedules every registered job. Set JOBS_ENABLED=false to keep an instance from scheduling anything.
+ */
+const startScheduler = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    log('Scheduler disabled (JOBS_ENABLED=false).');
+    return;
+  }
+  const timezone = process.env.JOBS_TIMEZONE || DEFAULT_TIMEZONE;
+
+  jobs.forEach((job) => {
+    const expression = resolveCronExpression(job);
+    if (!expression) {
+      log(`Job ${job.name} has no schedule; it can only be triggered manually.`);
+      return;
+    }
+    if (!cron.validate(expression)) {
+      console.error(`[JobScheduler] Invalid cron expression for ${job.name}: "${expression}". Job not scheduled.`);
+      return;
+    }
+
+    const task = cron.schedule(expression, () => runJob(job.name).catch((error) => {
+      console.error(`[JobScheduler] Scheduled run of ${job.name} could not start:`, error);
+    }), { name: job.name, timezone, noOverlap: true });
+
+    scheduledTasks.set(job.name, { task, expression });
+    log(`Scheduled ${job.name} with "${expression}" (${timezone}).`);
+  });
+};
+
+const stopScheduler = () => {
+  scheduledTasks.forEach(({ task }) => task.stop());
+  scheduledTasks.clear();
+};
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+
+const serializeRun = (run) => ({
+  ...run,
+  startedAt: toIso(run.startedAt),
+  finishedAt: toIso(run.finishedAt),
+});
+
+/**
+ * Lists registered jobs with their schedule, lock and last run.
+ */
+const listJobs = async () => {
+  const jobList = [...jobs.values()];
+  const docs = await Promise.all(jobList.map((job) => jobRef(job.name).get()));
+
+  return jobList.map((job, index) => {
+    const state = docs[index].exists ? docs[index].data() : {};
+    const scheduled = scheduledTasks.get(job.name);
+    const nextRun = scheduled ? scheduled.task.getNextRun() : null;
+    return {
+      name: job.name,
+      description: job.description || '',
+      schedule: resolveCronExpression(job),
+      isScheduled: Boolean(scheduled),
+      nextRunAt: nextRun ? nextRun.toISOString() : null,
+      lock: state.lock ? { owner: state.lock.owner, expiresAt: toIso(state.lock.expiresAt) } : null,
+      lastRun: state.lastRun ? serializeRun(state.lastRun) : null,
+    };
+  });
+};
+
+/**
+ * Most recent runs of a job, newest first.
+ */
+const getJobRuns = async (jobName, limit = 20) => {
+  if (!jobs.has(jobName)) {
+    throw new JobSchedulerError(`Unknown job: ${jobName}`, 404);
+  }
+  const snapshot = await jobRef(jobName).collection(RUNS_SUBCOLLECTION)
+    .orderBy('startedAt', 'desc')
+    .limit(limit)
+    .get();
+  return snapshot.docs.map((doc) => serializeRun({ id: doc.id, ...doc.data() }));
+};
+
+module.exports = {
+  JobSchedulerError,
+  cronEnvName,
+  resolveCronExpression,
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  listJobs,
+  getJobRuns,
+};
@@ -0,0 +1,120 @@
+// backend/src/utils/lateFees.js
+const { admin } = require('./firebase');
+const { BOOKING_STATUS } = require('./bookingLifecycle');
+const { PricingError, addBookingCharge, quoteExtension, round2 } = require('./pricingEngine');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_GRACE_HOURS = 3;
+
+// Bookings whose vehicle is still out with the renter.
+const OUT_ON_TRIP_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+  BOOKING_STATUS.AWAITING_RETURN,
+];
+
+class LateFeeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LateFeeError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+/**
+ * Grace period for a vehicle: its own `lateReturnGraceHours`, else LATE_RETURN_GRACE_HOURS, else 3 hours.
+ */
+const getGraceHours = (vehicle = {}) => {
+  const own = parseFloat(vehicle.lateReturnGraceHours);
+  if (!isNaN(own) && own >= 0) return own;
+  const fromEnv = parseFloat(process.env.LATE_RETURN_GRACE_HOURS);
+  return !isNaN(fromEnv) && fromEnv >= 0 ? fromEnv : DEFAULT_GRACE_HOURS;
+};
+
+/**
+ * Validates the grace period an owner sets on a vehicle. Empty clears it.
+ * @throws {LateFeeError}
+ */
+const validateGraceHours = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const hours = parseFloat(value);
+  if (isNaN(hours) || hours < 0 || hours > 24) {
+    throw new LateFeeError('lateReturnGraceHours must be between 0 and 24.');
+  }
+  return hours;
+};
+
+/**
+ * Works out the late fee for a vehicle returned (or still out) at `returnedAt`.
+ * Within the grace period nothing is charged; past it, the whole overdue time is
+ * billed like an extension, so the hourly, half-day and daily rates apply.
+ * @param {object} params
+ * @param {object} params.booking
+ * @param {object} params.vehicle
+ * @param {Date} params.returnedAt
+ * @returns {{overdueHours: number, graceHours: number, withinGrace: boolean, amount: number}}
+ */
+const computeLateFee = ({ booking, vehicle, returnedAt }) => {
+  const start = toDate(booking.startDate);
+  const end = toDate(booking.endDate);
+  const graceHours = getGraceHours(vehicle);
+  const overdueMs = returnedAt.getTime() - end.getTime();
+  const overdueHours = Math.max(round2(overdueMs / HOUR_MS), 0);
+
+  if (overdueHours <= graceHours) {
+    return { overdueHours, graceHours, withinGrace: true, amount: 0 };
+  }
+
+  const { cost } = quoteExtension(vehicle, start, end, returnedAt);
+  return { overdueHours, graceHours, withinGrace: false, amount: cost };
+};
+
+/**
+ * Booking updates for marking a vehicle returned: the return time and, when late,
+ * the fee added to `totalCost`, `remainingBalance` and the price breakdown.
+ * Meant for the `updates` option of transitionBooking.
+ */
+const buildReturnUpdates = (booking, vehicle, returnedAt = new Date()) => {
+  const lateFee = computeLateFee({ booking, vehicle, returnedAt });
+  const updates = {
+    returnedAt: admin.firestore.Timestamp.fromDate(returnedAt),
+    lateFee: { ...lateFee, computedAt: admin.firestore.Timestamp.fromDate(returnedAt) },
+  };
+  if (lateFee.amount <= 0) return updates;
+
+  return {
+    ...updates,
+    ...addBookingCharge(booking, {
+      code: 'late_fee',
+      label: `Late return (${lateFee.overdueHours} hr overdue)`,
+      amount: lateFee.amount,
+    }),
+  };
+};
+
+/**
+ * The late fee accrued so far for a booking that is still out, for display.
+ * @returns {object|null} Null when the booking isn't overdue.
+ */
+const getRunningLateFee = (booking, vehicle, now = new Date()) => {
+  if (!vehicle || !OUT_ON_TRIP_STATUSES.includes(booking.paymentStatus)) return null;
+  if (now <= toDate(booking.endDate)) return null;
+  try {
+    return { ...computeLateFee({ booking, vehicle, returnedAt: now }), asOf: now.toISOString() };
+  } catch (error) {
+    if (error instanceof PricingError) return null;
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  LateFeeError,
+  getGraceHours,
+  validateGraceHours,
+  computeLateFee,
+  buildReturnUpdates,
+  getRunningLateFee,
+};
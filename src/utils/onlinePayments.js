@@ -0,0 +1,428 @@
+// backend/src/utils/onlinePayments.js
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const {
+  BOOKING_STATUS,
+  SYSTEM_ACTOR,
+  BookingTransitionError,
+  resolveActorRole,
+  transitionBooking,
+} = require('./bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory } = require('./bookingHistory');
+const { clearReturnReminders } = require('./bookingReminders');
+const { round2 } = require('./pricingEngine');
+const paymentService = require('../services/paymentService');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[OnlinePayments] ${message}`);
+};
+
+// One document per checkout session. The Paymongo webhook finds it through the
+// `payment_id` metadata and applies the payment to the booking exactly once.
+const PAYMENTS_COLLECTION = 'booking_payments';
+
+const PAYMENT_PURPOSE = {
+  DOWNPAYMENT: 'downpayment',
+  BALANCE: 'balance',
+  EXTENSION: 'extension',
+};
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  // Replaced by a newer checkout (the amount due changed, or the session ran out).
+  EXPIRED: 'expired',
+  // Paid at Paymongo but not applied (e.g. the booking was cancelled meanwhile); needs a manual refund.
+  FAILED: 'failed',
+};
+
+// The remaining balance can be paid online any time between confirmation and return.
+const BALANCE_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+  BOOKING_STATUS.AWAITING_RETURN,
+  BOOKING_STATUS.RETURNED,
+];
+
+class OnlinePaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OnlinePaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+const peso = (amount) => `₱${amount.toFixed(2)}`;
+const shortId = (bookingId) => bookingId.substring(0, 5);
+const bookingLink = (bookingId) => `/dashboard/my-bookings/${bookingId}`;
+
+/** Index of the extension awaiting payment, or -1. */
+const findPendingExtensionIndex = (booking) =>
+  (booking.extensions || []).map((extension) => extension.status).lastIndexOf('pending_payment');
+
+/**
+ * Booking fields for settling the extension at `extensionIndex`: the new end date,
+ * the cost added to the total, and either to amountPaid (status 'paid') or to the
+ * remaining balance (paid on return).
+ * @param {object} booking
+ * @param {number} extensionIndex
+ * @param {object} extensionFields - Merged into the extension, including its new `status`.
+ * @returns {object} Booking updates.
+ */
+const buildExtensionSettlement = (booking, extensionIndex, extensionFields) => {
+  const extensions = [...(booking.extensions || [])];
+  const extension = extensions[extensionIndex];
+  const cost = parseFloat(extension.cost);
+  extensions[extensionIndex] = { ...extension, ...extensionFields };
+  const paidNow = extensionFields.status === 'paid';
+
+  return {
+    endDate: extension.newEndDate,
+    ...(extension.mileageAllowance ? { mileageAllowance: extension.mileageAllowance } : {}),
+    totalCost: admin.firestore.FieldValue.increment(cost),
+    [paidNow ? 'amountPaid' : 'remainingBalance']: admin.firestore.FieldValue.increment(cost),
+    extensions,
+    remindersSent: clearReturnReminders(booking.remindersSent),
+  };
+};
+
+/**
+ * What the renter owes right now for a purpose.
+ * @param {object} booking
+ * @param {string} purpose - A PAYMENT_PURPOSE value.
+ * @returns {{amount: number, label: string, extensionIndex?: number}}
+ * @throws {OnlinePaymentError}
+ */
+const getAmountDue = (booking, purpose) => {
+  const status = booking.paymentStatus;
+  switch (purpose) {
+    case PAYMENT_PURPOSE.DOWNPAYMENT: {
+      if (status !== BOOKING_STATUS.PENDING_PAYMENT) {
+        throw new OnlinePaymentError(`The downpayment cannot be paid while the booking is ${status}.`, 409);
+      }
+      const label = booking.remainingBalance === 0 ? 'Full payment' : 'Downpayment';
+      return { amount: round2(booking.downPayment || 0), label };
+    }
+    case PAYMENT_PURPOSE.EXTENSION: {
+      const extensionIndex = findPendingExtensionIndex(booking);
+      if (status !== BOOKING_STATUS.PENDING_EXTENSION_PAYMENT || extensionIndex === -1) {
+        throw new OnlinePaymentError('No valid, pending extension request found.', 409);
+      }
+      const extension = booking.extensions[extensionIndex];
+      return { amount: round2(parseFloat(extension.cost)), label: `Extension (${extension.hours} hr)`, extensionIndex };
+    }
+    case PAYMENT_PURPOSE.BALANCE: {
+      if (!BALANCE_STATUSES.includes(status)) {
+        throw new OnlinePaymentError(`The balance cannot be paid while the booking is ${status}.`, 409);
+      }
+      const amount = round2(booking.remainingBalance || 0);
+      if (amount <= 0) {
+        throw new OnlinePaymentError('This booking has no remaining balance.', 409);
+      }
+      return { amount, label: 'Remaining balance' };
+    }
+    default:
+      throw new OnlinePaymentError(`purpose must be one of: ${Object.values(PAYMENT_PURPOSE).join(', ')}.`);
+  }
+};
+
+const toCheckout = (paymentId, payment) => ({
+  paymentId,
+  purpose: payment.purpose,
+  amount: payment.amount,
+  checkoutUrl: payment.checkoutUrl,
+});
+
+/**
+ * Finds a checkout already opened for the same amount that can still be paid. Pending
+ * checkouts for an amount that is no longer due are closed and marked expired.
+ * @returns {Promise<object|null>} The reusable checkout, as returned by createCheckout.
+ */
+const findReusableCheckout = async (bookingId, purpose, due) => {
+  const snapshot = await db.collection(PAYMENTS_COLLECTION)
+    .where('bookingId', '==', bookingId)
+    .where('purpose', '==', purpose)
+    .where('status', '==', PAYMENT_STATUS.PENDING)
+    .get();
+  let reusable = null;
+  for (const doc of snapshot.docs) {
+    const payment = doc.data();
+    const sameCharge = payment.amount === due.amount && payment.extensionIndex === due.extensionIndex;
+    const session = await paymentService.retrieveCheckoutSession(payment.checkoutSessionId);
+    const active = session.attributes.status === 'active';
+    if (!reusable && sameCharge && active) {
+      reusable = toCheckout(doc.id, payment);
+      continue;
+    }
+    if (active) await paymentService.expireCheckoutSession(payment.checkoutSessionId);
+    await doc.ref.update({ status: PAYMENT_STATUS.EXPIRED, expiredAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+  return reusable;
+};
+
+/**
+ * Opens a Paymongo checkout for what the renter owes on a booking, or returns the one
+ * already open for the same amount.
+ * @param {string} bookingId
+ * @param {string} purpose - A PAYMENT_PURPOSE value.
+ * @param {{uid: string, role: string}} actor - The renter.
+ * @returns {Promise<{paymentId: string, purpose: string, amount: number, checkoutUrl: string}>}
+ * @throws {OnlinePaymentError|PaymongoError}
+ */
+const createCheckout = async (bookingId, purpose, actor) => {
+  const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+  if (!bookingDoc.exists) {
+    throw new OnlinePaymentError('Booking not found.', 404);
+  }
+  const booking = bookingDoc.data();
+  if (resolveActorRole(booking, actor) !== 'renter') {
+    throw new OnlinePaymentError('Only the renter can pay for this booking.', 403);
+  }
+  const due = getAmountDue(booking, purpose);
+  if (due.amount <= 0) {
+    throw new OnlinePaymentError('Nothing is due for this booking.', 409);
+  }
+  const existing = await findReusableCheckout(bookingId, purpose, due);
+  if (existing) {
+    log(`Reusing checkout ${existing.paymentId} for the ${purpose} of booking ${bookingId}.`);
+    return existing;
+  }
+
+  const paymentRef = db.collection(PAYMENTS_COLLECTION).doc();
+  const returnUrl = `${process.env.FRONTEND_URL || 'https://rentcycle.site'}${bookingLink(bookingId)}`;
+  const session = await paymentService.createCheckoutSession({
+    amount: due.amount,
+    name: `${due.label} - booking #${shortId(bookingId)}`,
+    description: `RentCycle booking #${shortId(bookingId)}`,
+    referenceNumber: paymentRef.id,
+    successUrl: `${returnUrl}?payment=success`,
+    cancelUrl: `${returnUrl}?payment=cancelled`,
+    metadata: { payment_id: paymentRef.id, booking_id: bookingId, purpose },
+  });
+
+  const payment = {
+    bookingId,
+    renterId: booking.renterId,
+    ownerId: booking.ownerId,
+    purpose,
+    amount: due.amount,
+    currency: 'PHP',
+    ...(due.extensionIndex !== undefined ? { extensionIndex: due.extensionIndex } : {}),
+    provider: 'paymongo',
+    checkoutSessionId: session.id,
+    checkoutUrl: session.checkoutUrl,
+    status: PAYMENT_STATUS.PENDING,
+  };
+  await paymentRef.set({ ...payment, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  log(`Checkout ${session.id} opened for the ${purpose} (${peso(due.amount)}) of booking ${bookingId}.`);
+  return toCheckout(paymentRef.id, payment);
+};
+
+/** Lists a booking's online payments, newest first. */
+const getBookingPayments = async (bookingId) => {
+  const snapshot = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).get();
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+};
+
+/**
+ * Reads the amount and Paymongo payment ID out of a paid checkout session.
+ * @param {object} session - The checkout_session resource from the webhook event.
+ * @returns {{amountPaid: number, providerPaymentId: string|null}}
+ */
+const readPaidCheckout = (session) => {
+  const payments = (session.attributes?.payments || []).filter((payment) => payment.attributes?.status === 'paid');
+  const centavos = payments.reduce((sum, payment) => sum + (payment.attributes.amount || 0), 0);
+  return { amountPaid: round2(centavos / 100), providerPaymentId: payments[0]?.id || null };
+};
+
+const markPaid = (paid) => ({
+  status: PAYMENT_STATUS.PAID,
+  paidAmount: paid.amountPaid,
+  providerPaymentId: paid.providerPaymentId,
+  paidAt: admin.firestore.FieldValue.serverTimestamp(),
+});
+
+// The downpayment may have changed (e.g. new dates) since the checkout was opened.
+// A retry finds the booking already submitted, where getAmountDue no longer applies.
+const assertDownpaymentUnchanged = (booking, payment) => {
+  const due = booking.paymentStatus === BOOKING_STATUS.PENDING_PAYMENT
+    ? getAmountDue(booking, PAYMENT_PURPOSE.DOWNPAYMENT).amount
+    : round2(booking.downPayment || 0);
+  if (due !== payment.amount) {
+    throw new OnlinePaymentError(`The checkout was for ${peso(payment.amount)} but the downpayment is now ${peso(due)}.`, 409);
+  }
+};
+
+// The downpayment goes through the same two steps as a manual payment: submitted,
+// then confirmed. A retry after the first step only runs the second.
+const applyDownpayment = async (bookingId, payment, paymentRef, paid) => {
+  const context = { online: true, referenceNumber: paid.providerPaymentId || paymentRef.id };
+  const note = 'Paid online via Paymongo.';
+  const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+  if (bookingDoc.exists && bookingDoc.data().paymentStatus === BOOKING_STATUS.PENDING_PAYMENT) {
+    await transitionBooking(bookingId, BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION, SYSTEM_ACTOR, {
+      updates: (booking) => {
+        assertDownpaymentUnchanged(booking, payment);
+        return { paymentReferenceNumber: context.referenceNumber, paymentMethod: 'paymongo' };
+      },
+      context,
+      note,
+    });
+  }
+  await transitionBooking(bookingId, BOOKING_STATUS.CONFIRMED, SYSTEM_ACTOR, {
+    updates: (booking) => {
+      assertDownpaymentUnchanged(booking, payment);
+      return {};
+    },
+    context,
+    note,
+    onTransaction: (transaction) => transaction.update(paymentRef, markPaid(paid)),
+  });
+};
+
+const applyExtension = async (bookingId, payment, paymentRef, paid) => {
+  await transitionBooking(bookingId, BOOKING_STATUS.CONFIRMED, SYSTEM_ACTOR, {
+    updates: (booking) => {
+      if (findPendingExtensionIndex(booking) !== payment.extensionIndex) {
+        throw new OnlinePaymentError('The extension this payment was for is no longer pending.', 409);
+      }
+      return buildExtensionSettlement(booking, payment.extensionIndex, {
+        status: 'paid',
+        paymentReferenceNumber: paid.providerPaymentId || paymentRef.id,
+        paidAt: new Date(),
+      });
+    },
+    context: { extensionCost: payment.amount, deferred: false, online: true },
+    note: 'Paid online via Paymongo.',
+    onTransaction: (transaction) => transaction.update(paymentRef, markPaid(paid)),
+  });
+};
+
+// A balance payment doesn't change the booking's status, only what's been paid.
+const applyBalance = async (bookingId, payment, paymentRef, paid) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const booking = await db.runTransaction(async (transaction) => {
+    const [bookingDoc, paymentDoc] = await Promise.all([transaction.get(bookingRef), transaction.get(paymentRef)]);
+    if (!bookingDoc.exists) {
+      throw new OnlinePaymentError('Booking not found.', 404);
+    }
+    if (paymentDoc.data().status === PAYMENT_STATUS.PAID) return null;
+    const current = bookingDoc.data();
+    const bookingUpdates = {
+      amountPaid: round2((current.amountPaid || 0) + payment.amount),
+      remainingBalance: Math.max(round2((current.remainingBalance || 0) - payment.amount), 0),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    transaction.update(bookingRef, bookingUpdates);
+    transaction.update(paymentRef, markPaid(paid));
+
+    await recordBookingHistory(bookingId, buildHistoryEntry({
+      actor: SYSTEM_ACTOR,
+      actorRole: 'system',
+      action: 'pay_balance',
+      previousStatus: current.paymentStatus,
+      newStatus: current.paymentStatus,
+      before: current,
+      updates: bookingUpdates,
+      note: `${peso(payment.amount)} paid online via Paymongo.`,
+    }), transaction);
+
+    return current;
+  });
+
+  if (booking) {
+    await createNotification(
+      booking.ownerId,
+      `Renter paid the ${peso(payment.amount)} balance online for booking #${shortId(bookingId)}.`,
+      bookingLink(bookingId)
+    );
+  }
+};
+
+const APPLY_PAYMENT = {
+  [PAYMENT_PURPOSE.DOWNPAYMENT]: applyDownpayment,
+  [PAYMENT_PURPOSE.EXTENSION]: applyExtension,
+  [PAYMENT_PURPOSE.BALANCE]: applyBalance,
+};
+
+/**
+ * Applies a paid Paymongo checkout session to its booking. Already-applied payments
+ * are skipped. A payment that can't be applied (amount short or no longer due, booking moved on) is
+ * marked failed and the error rethrown; any other error leaves it pending for a retry.
+ * @param {object} session - The checkout_session resource from the webhook event.
+ * @returns {Promise<{applied: boolean, paymentId?: string, bookingId?: string, reason?: string}>}
+ */
+const applyCheckoutPayment = async (session) => {
+  const paymentId = session?.attributes?.metadata?.payment_id;
+  if (!paymentId) {
+    return { applied: false, reason: 'Not a booking payment.' };
+  }
+  const paymentRef = db.collection(PAYMENTS_COLLECTION).doc(paymentId);
+  const paymentDoc = await paymentRef.get();
+  if (!paymentDoc.exists) {
+    throw new OnlinePaymentError(`Payment ${paymentId} not found.`, 404);
+  }
+  const payment = paymentDoc.data();
+  if (payment.checkoutSessionId !== session.id) {
+    throw new OnlinePaymentError(`Checkout session ${session.id} does not belong to payment ${paymentId}.`);
+  }
+  if (payment.status === PAYMENT_STATUS.PAID) {
+    return { applied: false, paymentId, bookingId: payment.bookingId, reason: 'Already applied.' };
+  }
+
+  const paid = readPaidCheckout(session);
+  try {
+    if (paid.amountPaid < payment.amount) {
+      throw new OnlinePaymentError(`Paid ${peso(paid.amountPaid)} but ${peso(payment.amount)} was due.`);
+    }
+    await APPLY_PAYMENT[payment.purpose](payment.bookingId, payment, paymentRef, paid);
+  } catch (error) {
+    if (error instanceof OnlinePaymentError || error instanceof BookingTransitionError) {
+      await paymentRef.update({
+        status: PAYMENT_STATUS.FAILED,
+        paidAmount: paid.amountPaid,
+        providerPaymentId: paid.providerPaymentId,
+        error: error.message,
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.error(`[OnlinePayments] Payment ${paymentId} for booking ${payment.bookingId} could not be applied: ${error.message}`);
+    }
+    throw error;
+  }
+
+  log(`Payment ${paymentId} (${payment.purpose}, ${peso(payment.amount)}) applied to booking ${payment.bookingId}.`);
+  return { applied: true, paymentId, bookingId: payment.bookingId };
+};
+
+/**
+ * Handles a Paymongo webhook event. Only paid checkouts do anything; other event
+ * types are acknowledged and ignored.
+ * @param {object} event - The event resource (the webhook body's `data`).
+ * @returns {Promise<{applied: boolean, reason?: string}>}
+ */
+const handlePaymongoEvent = async (event) => {
+  const eventType = event?.attributes?.type;
+  if (eventType !== 'checkout_session.payment.paid') {
+    return { applied: false, reason: `Ignored ${eventType} event.` };
+  }
+  return applyCheckoutPayment(event.attributes.data);
+};
+
+module.exports = {
+  PAYMENTS_COLLECTION,
+  PAYMENT_PURPOSE,
+  PAYMENT_STATUS,
+  OnlinePaymentError,
+  findPendingExtensionIndex,
+  buildExtensionSettlement,
+  getAmountDue,
+  createCheckout,
+  getBookingPayments,
+  readPaidCheckout,
+  applyCheckoutPayment,
+  handlePaymongoEvent,
+};
@@ -0,0 +1,318 @@
+// backend/src/utils/pricingEngine.js
+const { DateTime } = require('luxon');
+
+// All amounts are PHP, rounded to centavos. Calendar days (weekends, seasons) are Manila dates.
+const CURRENCY = 'PHP';
+const PRICING_TIMEZONE = 'Asia/Manila';
+const HOUR_MS = 60 * 60 * 1000;
+const HALF_DAY_HOURS = 12;
+const WEEKLY_MIN_DAYS = 7;
+const MONTHLY_MIN_DAYS = 30;
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+const toPositiveNumber = (value) => {
+  const number = parseFloat(value);
+  return !isNaN(number) && number > 0 ? number : null;
+};
+
+const toPercent = (value) => {
+  const number = parseFloat(value);
+  if (isNaN(number) || number <= 0) return 0;
+  return Math.min(number, 100);
+};
+
+const isIsoDate = (value) => typeof value === 'string' && DateTime.fromISO(value, { zone: PRICING_TIMEZONE }).isValid;
+
+/**
+ * Keeps the valid date-range overrides, sorted by start date.
+ * Each override is `{ name, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', dailyRate }`, both dates inclusive.
+ */
+const normalizeSeasonalRates = (seasonalRates) => {
+  if (!Array.isArray(seasonalRates)) return [];
+  return seasonalRates
+    .filter((season) => season && isIsoDate(season.start) && isIsoDate(season.end) && season.start <= season.end)
+    .map((season) => ({
+      name: typeof season.name === 'string' && season.name.trim() ? season.name.trim() : 'Seasonal rate',
+      start: season.start.substring(0, 10),
+      end: season.end.substring(0, 10),
+      dailyRate: toPositiveNumber(season.dailyRate),
+    }))
+    .filter((season) => season.dailyRate)
+    .sort((a, b) => a.start.localeCompare(b.start));
+};
+
+/**
+ * Cleans the rate fields of a vehicle's `pricing` object before it is saved.
+ * Unknown fields (manualPrice, recommendedPrice, ...) are kept as sent.
+ */
+const normalizePricing = (pricing = {}) => {
+  const clean = { ...pricing };
+  ['hourlyRate', 'halfDayRate', 'weekendRate', 'dailyKmAllowance', 'overageFeePerKm'].forEach((field) => {
+    if (clean.hasOwnProperty(field)) clean[field] = toPositiveNumber(clean[field]);
+  });
+  ['weeklyDiscountPercent', 'monthlyDiscountPercent'].forEach((field) => {
+    if (clean.hasOwnProperty(field)) clean[field] = toPercent(clean[field]);
+  });
+  if (clean.hasOwnProperty('seasonalRates')) {
+    clean.seasonalRates = normalizeSeasonalRates(clean.seasonalRates);
+  }
+  return clean;
+};
+
+/**
+ * Reads the rates from a vehicle document.
+ * @throws {PricingError} If the vehicle has no usable daily rate.
+ */
+const getVehicleRates = (vehicle) => {
+  const pricing = vehicle.pricing || {};
+  const daily = toPositiveNumber(vehicle.rentalPricePerDay)
+    || toPositiveNumber(pricing.manualPrice)
+    || toPositiveNumber(pricing.recommendedPrice);
+  if (!daily) {
+    throw new PricingError('Vehicle rental price is invalid or not set.');
+  }
+  return {
+    daily,
+    hourly: toPositiveNumber(pricing.hourlyRate),
+    halfDay: toPositiveNumber(pricing.halfDayRate),
+    weekend: toPositiveNumber(pricing.weekendRate),
+    seasonal: normalizeSeasonalRates(pricing.seasonalRates),
+    weeklyDiscountPercent: toPercent(pricing.weeklyDiscountPercent),
+    monthlyDiscountPercent: toPercent(pricing.monthlyDiscountPercent),
+  };
+};
+
+/**
+ * The daily rate for one Manila calendar date. A seasonal override wins over the
+ * weekend rate; when overrides overlap, the one that starts latest (the more
+ * specific holiday inside a broader season) applies.
+ */
+const getDayRate = (rates, date) => {
+  const isoDate = date.toISODate();
+  const season = rates.seasonal.filter((s) => s.start <= isoDate && isoDate <= s.end).pop();
+  if (season) {
+    return { rate: season.dailyRate, rateType: 'seasonal', season: season.name };
+  }
+  // Luxon weekdays: 6 = Saturday, 7 = Sunday.
+  if (rates.weekend && date.weekday >= 6) {
+    return { rate: rates.weekend, rateType: 'weekend', season: null };
+  }
+  return { rate: rates.daily, rateType: 'standard', season: null };
+};
+
+/**
+ * Cheapest way to bill the hours left over after the full days: hourly, a half
+ * day (up to 12 hours) or one more day at that day's rate.
+ */
+const priceRemainder = (remainderHours, rates, dayRate) => {
+  const options = [{ code: 'extra_day', label: '1 extra day', quantity: 1, unitPrice: dayRate }];
+  if (rates.halfDay && remainderHours <= HALF_DAY_HOURS) {
+    options.push({ code: 'half_day', label: `Half day (${remainderHours} hr)`, quantity: 1, unitPrice: rates.halfDay });
+  }
+  if (rates.hourly) {
+    options.push({ code: 'hourly', label: `${remainderHours} hr × ₱${rates.hourly.toFixed(2)}`, quantity: remainderHours, unitPrice: rates.hourly });
+  }
+  return options
+    .map((option) => ({ ...option, amount: round2(option.quantity * option.unitPrice) }))
+    .reduce((cheapest, option) => (option.amount < cheapest.amount ? option : cheapest));
+};
+
+const dayLineLabel = (count, { rateType, season, rate }) => {
+  const days = `${count} ${rateType === 'weekend' ? 'weekend ' : ''}day${count === 1 ? '' : 's'}`;
+  return `${days}${season ? ` (${season})` : ''} × ₱${rate.toFixed(2)}`;
+};
+
+/**
+ * Prices a rental period one 24-hour block at a time. Each block takes the rate
+ * of the Manila date it starts on; the last partial block is billed by
+ * priceRemainder.
+ * @param {object} vehicle - The vehicle document (rentalPricePerDay and pricing).
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {object} An itemized quote with a per-day breakdown; `total` is what the booking costs.
+ * @throws {PricingError}
+ */
+const quoteRental = (vehicle, start, end) => {
+  if (!(start instanceof Date) || !(end instanceof Date) || isNaN(start) || isNaN(end) || start >= end) {
+    throw new PricingError('Invalid rental period.');
+  }
+  const rates = getVehicleRates(vehicle);
+
+  // Partial hours are billed as a full hour.
+  const durationHours = Math.ceil((end.getTime() - start.getTime()) / HOUR_MS);
+  const fullDays = Math.floor(durationHours / 24);
+  const remainderHours = durationHours - fullDays * 24;
+  const startLocal = DateTime.fromJSDate(start, { zone: PRICING_TIMEZONE });
+
+  const days = [];
+  const dayGroups = new Map();
+  for (let index = 0; index < fullDays; index++) {
+    const dayStart = startLocal.plus({ days: index });
+    const dayRate = getDayRate(rates, dayStart);
+    days.push({ date: dayStart.toISODate(), hours: 24, ...dayRate, amount: round2(dayRate.rate) });
+
+    const groupKey = `${dayRate.rateType}|${dayRate.season}|${dayRate.rate}`;
+    const group = dayGroups.get(groupKey) || { ...dayRate, count: 0 };
+    group.count++;
+    dayGroups.set(groupKey, group);
+  }
+
+  const lineItems = [...dayGroups.values()].map((group) => ({
+    code: group.rateType === 'standard' ? 'daily' : group.rateType,
+    label: dayLineLabel(group.count, group),
+    quantity: group.count,
+    unitPrice: group.rate,
+    amount: round2(group.count * group.rate),
+  }));
+
+  if (remainderHours > 0) {
+    const dayStart = startLocal.plus({ days: fullDays });
+    const dayRate = getDayRate(rates, dayStart);
+    const remainder = priceRemainder(remainderHours, rates, dayRate.rate);
+    lineItems.push(remainder);
+    days.push({ date: dayStart.toISODate(), hours: remainderHours, ...dayRate, billedAs: remainder.code, amount: remainder.amount });
+  }
+
+  const subtotal = round2(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+  // Discount tiers look at whole days booked, counting a partial day as a day.
+  const billableDays = days.length;
+  let discountPercent = 0;
+  let discountCode = null;
+  if (billableDays >= MONTHLY_MIN_DAYS && rates.monthlyDiscountPercent > 0) {
+    discountPercent = rates.monthlyDiscountPercent;
+    discountCode = 'monthly_discount';
+  } else if (billableDays >= WEEKLY_MIN_DAYS && rates.weeklyDiscountPercent > 0) {
+    discountPercent = rates.weeklyDiscountPercent;
+    discountCode = 'weekly_discount';
+  }
+
+  const discount = round2(subtotal * discountPercent / 100);
+  if (discount > 0) {
+    lineItems.push({
+      code: discountCode,
+      label: `${discountCode === 'monthly_discount' ? 'Monthly' : 'Weekly'} discount (${discountPercent}%)`,
+      quantity: 1,
+      unitPrice: -discount,
+      amount: -discount,
+    });
+  }
+
+  return {
+    currency: CURRENCY,
+    durationHours,
+    fullDays,
+    remainderHours,
+    billableDays,
+    rates,
+    days,
+    lineItems,
+    subtotal,
+    discount,
+    total: round2(subtotal - discount),
+  };
+};
+
+/**
+ * Prices moving a booking's end date: the difference between quoting the whole
+ * trip with the new end and with the current one, so the trip total always
+ * matches what a fresh booking for the same dates would cost.
+ * @returns {{cost: number, currentQuote: object, newQuote: object}}
+ */
+const quoteExtension = (vehicle, start, currentEnd, newEnd) => {
+  const currentQuote = quoteRental(vehicle, start, currentEnd);
+  const newQuote = quoteRental(vehicle, start, newEnd);
+  return {
+    cost: Math.max(round2(newQuote.total - currentQuote.total), 0),
+    currentQuote,
+    newQuote,
+  };
+};
+
+/**
+ * The kilometres a trip includes, from the vehicle's `pricing.dailyKmAllowance`
+ * times the billable days of its quote.
+ * @returns {{dailyKm: number, days: number, totalKm: number, overageFeePerKm: number}|null} Null for unlimited mileage.
+ */
+const getMileageAllowance = (vehicle, quote) => {
+  const pricing = vehicle.pricing || {};
+  const dailyKm = toPositiveNumber(pricing.dailyKmAllowance);
+  if (!dailyKm) return null;
+  return {
+    dailyKm,
+    days: quote.billableDays,
+    totalKm: round2(dailyKm * quote.billableDays),
+    overageFeePerKm: toPositiveNumber(pricing.overageFeePerKm) || 0,
+  };
+};
+
+/**
+ * Kilometres driven past a booking's allowance and what they cost.
+ * @param {object|null} allowance - The booking's `mileageAllowance`.
+ * @param {number} distanceKm - From the pickup and return odometer readings.
+ */
+const computeMileageOverage = (allowance, distanceKm) => {
+  if (!allowance) return { allowanceKm: null, overageKm: 0, amount: 0 };
+  const overageKm = Math.max(round2(distanceKm - allowance.totalKm), 0);
+  return {
+    allowanceKm: allowance.totalKm,
+    overageKm,
+    amount: round2(overageKm * allowance.overageFeePerKm),
+  };
+};
+
+/**
+ * The part of a quote stored on a booking (and printed on its contract).
+ */
+const toPriceBreakdown = (quote) => ({
+  currency: quote.currency,
+  durationHours: quote.durationHours,
+  days: quote.days.map(({ date, hours, rate, rateType, season, amount }) => ({ date, hours, rate, rateType, season, amount })),
+  lineItems: quote.lineItems.map(({ code, label, quantity, unitPrice, amount }) => ({ code, label, quantity, unitPrice, amount })),
+  subtotal: quote.subtotal,
+  discount: quote.discount,
+  total: quote.total,
+});
+
+/**
+ * Booking updates that add a charge raised after booking (late return, fuel, damage)
+ * to the total, the remaining balance and the price breakdown.
+ * @param {object} booking
+ * @param {{code: string, label: string, amount: number}} charge
+ */
+const addBookingCharge = (booking, { code, label, amount }) => {
+  const breakdown = booking.priceBreakdown || { lineItems: [] };
+  return {
+    totalCost: round2((booking.totalCost || 0) + amount),
+    remainingBalance: round2((booking.remainingBalance || 0) + amount),
+    priceBreakdown: {
+      ...breakdown,
+      lineItems: [...breakdown.lineItems, { code, label, quantity: 1, unitPrice: amount, amount }],
+      total: round2((breakdown.total ?? booking.totalCost ?? 0) + amount),
+    },
+  };
+};
+
+module.exports = {
+  CURRENCY,
+  PRICING_TIMEZONE,
+  PricingError,
+  round2,
+  normalizePricing,
+  getVehicleRates,
+  getDayRate,
+  quoteRental,
+  quoteExtension,
+  toPriceBreakdown,
+  getMileageAllowance,
+  computeMileageOverage,
+  addBookingCharge,
+};
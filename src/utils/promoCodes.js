@@ -0,0 +1,285 @@
+// backend/src/utils/promoCodes.js
+const { admin, db } = require('./firebase');
+const { round2 } = require('./pricingEngine');
+
+// One document per code, keyed by the upper-cased code. Each booking that uses a
+// code gets a document in the `redemptions` subcollection, keyed by booking ID.
+const PROMO_COLLECTION = 'promo_codes';
+const REDEMPTIONS_SUBCOLLECTION = 'redemptions';
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const ASSET_TYPES = ['vehicle', 'motorcycle'];
+
+class PromoCodeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.statusCode = statusCode;
+  }
+}
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const promoRef = (code) => db.collection(PROMO_COLLECTION).doc(code);
+
+const toDateOrNull = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new PromoCodeError(`Invalid date for ${field}.`);
+  }
+  return admin.firestore.Timestamp.fromDate(date);
+};
+
+const toLimitOrNull = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number <= 0) {
+    throw new PromoCodeError(`${field} must be a positive whole number.`);
+  }
+  return number;
+};
+
+const toStringList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+    throw new PromoCodeError(`${field} must be a list of IDs.`);
+  }
+  return [...new Set(value.map((item) => item.trim()))];
+};
+
+/**
+ * Validates the fields an admin sends when creating or editing a code.
+ * @param {object} input - The request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (for updates).
+ * @param {object} [options.existing] - The stored code, for checks that span fields on updates.
+ * @returns {object} Fields ready to be written.
+ * @throws {PromoCodeError}
+ */
+const normalizePromoInput = (input = {}, { partial = false, existing = {} } = {}) => {
+  const has = (field) => !partial || input.hasOwnProperty(field);
+  const promo = {};
+
+  if (!partial) {
+    promo.code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,30}$/.test(promo.code)) {
+      throw new PromoCodeError('Code must be 3-30 letters, numbers, dashes or underscores.');
+    }
+  }
+
+  if (has('discountType')) {
+    if (!DISCOUNT_TYPES.includes(input.discountType)) {
+      throw new PromoCodeError(`discountType must be one of: ${DISCOUNT_TYPES.join(', ')}.`);
+    }
+    promo.discountType = input.discountType;
+  }
+  if (has('discountValue')) {
+    const value = parseFloat(input.discountValue);
+    if (isNaN(value) || value <= 0) {
+      throw new PromoCodeError('discountValue must be a positive number.');
+    }
+    promo.discountValue = value;
+  }
+  const discountType = promo.discountType || existing.discountType;
+  const discountValue = promo.discountValue || existing.discountValue;
+  if (discountType === 'percentage' && discountValue > 100) {
+    throw new PromoCodeError('A percentage discount cannot exceed 100.');
+  }
+
+  if (has('description')) promo.description = typeof input.description === 'string' ? input.description.trim() : '';
+  if (has('maxDiscount')) {
+    const maxDiscount = input.maxDiscount === null || input.maxDiscount === undefined || input.maxDiscount === '' ? null : parseFloat(input.maxDiscount);
+    if (maxDiscount !== null && (isNaN(maxDiscount) || maxDiscount <= 0)) {
+      throw new PromoCodeError('maxDiscount must be a positive number.');
+    }
+    promo.maxDiscount = maxDiscount;
+  }
+  if (has('startsAt')) promo.startsAt = toDateOrNull(input.startsAt, 'startsAt');
+  if (has('endsAt')) promo.endsAt = toDateOrNull(input.endsAt, 'endsAt');
+  const startsAt = has('startsAt') ? promo.startsAt : existing.startsAt;
+  const endsAt = has('endsAt') ? promo.endsAt : existing.endsAt;
+  if (startsAt && endsAt && startsAt.toMillis() >= endsAt.toMillis()) {
+    throw new PromoCodeError('endsAt must be after startsAt.');
+  }
+  if (has('maxRedemptions')) promo.maxRedemptions = toLimitOrNull(input.maxRedemptions, 'maxRedemptions');
+  if (has('maxRedemptionsPerUser')) promo.maxRedemptionsPerUser = toLimitOrNull(input.maxRedemptionsPerUser, 'maxRedemptionsPerUser');
+  if (has('minTripDays')) {
+    const minTripDays = input.minTripDays === null || input.minTripDays === undefined || input.minTripDays === '' ? null : parseFloat(input.minTripDays);
+    if (minTripDays !== null && (isNaN(minTripDays) || minTripDays <= 0)) {
+      throw new PromoCodeError('minTripDays must be a positive number.');
+    }
+    promo.minTripDays = minTripDays;
+  }
+  if (has('ownerIds')) promo.ownerIds = toStringList(input.ownerIds, 'ownerIds');
+  if (has('assetTypes')) {
+    promo.assetTypes = toStringList(input.assetTypes, 'assetTypes');
+    if (promo.assetTypes.some((type) => !ASSET_TYPES.includes(type))) {
+      throw new PromoCodeError(`assetTypes may only contain: ${ASSET_TYPES.join(', ')}.`);
+    }
+  }
+  if (has('isActive')) promo.isActive = input.isActive === undefined ? true : Boolean(input.isActive);
+
+  return promo;
+};
+
+/**
+ * Checks a code against one trip and works out the discount. Pure: the caller
+ * supplies how many times the user has already redeemed it.
+ * @param {object} promo - The promo code document.
+ * @param {object} params
+ * @param {object} params.vehicle - The vehicle document.
+ * @param {object} params.quote - From pricingEngine.quoteRental.
+ * @param {number} params.userRedemptionCount
+ * @param {Date} [params.now]
+ * @returns {number} The discount in PHP, never more than the quote total.
+ * @throws {PromoCodeError}
+ */
+const evaluatePromoCode = (promo, { vehicle, quote, userRedemptionCount, now = new Date() }) => {
+  if (!promo.isActive) {
+    throw new PromoCodeError('This promo code is no longer active.');
+  }
+  if (promo.startsAt && promo.startsAt.toDate() > now) {
+    throw new PromoCodeError('This promo code is not valid yet.');
+  }
+  if (promo.endsAt && promo.endsAt.toDate() <= now) {
+    throw new PromoCodeError('This promo code has expired.');
+  }
+  if (promo.maxRedemptions && (promo.redemptionCount || 0) >= promo.maxRedemptions) {
+    throw new PromoCodeError('This promo code has reached its usage limit.');
+  }
+  if (promo.maxRedemptionsPerUser && userRedemptionCount >= promo.maxRedemptionsPerUser) {
+    throw new PromoCodeError('You have already used this promo code the maximum number of times.');
+  }
+  if (promo.minTripDays && quote.durationHours < promo.minTripDays * 24) {
+    throw new PromoCodeError(`This promo code requires a trip of at least ${promo.minTripDays} day(s).`);
+  }
+  if (promo.ownerIds?.length > 0 && !promo.ownerIds.includes(vehicle.ownerId)) {
+    throw new PromoCodeError('This promo code is not valid for this vehicle.');
+  }
+  if (promo.assetTypes?.length > 0 && !promo.assetTypes.includes(vehicle.assetType || 'vehicle')) {
+    throw new PromoCodeError('This promo code is not valid for this type of vehicle.');
+  }
+
+  let discount = promo.discountType === 'percentage'
+    ? quote.total * promo.discountValue / 100
+    : promo.discountValue;
+  if (promo.maxDiscount) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+  return round2(Math.min(discount, quote.total));
+};
+
+/**
+ * Returns a copy of the quote with the promo discount as its own line item.
+ */
+const applyPromoToQuote = (quote, code, discount) => ({
+  ...quote,
+  lineItems: [
+    ...quote.lineItems,
+    { code: 'promo', label: `Promo code ${code}`, quantity: 1, unitPrice: -discount, amount: -discount },
+  ],
+  promoCode: code,
+  promoDiscount: discount,
+  total: round2(quote.total - discount),
+});
+
+const userRedemptionsQuery = (code, userId) => promoRef(code)
+  .collection(REDEMPTIONS_SUBCOLLECTION)
+  .where('userId', '==', userId)
+  .where('status', '==', 'redeemed');
+
+/**
+ * Validates a code for a quote without redeeming it (used by the availability check).
+ * @returns {Promise<object>} The quote with the discount applied.
+ * @throws {PromoCodeError}
+ */
+const previewPromoCode = async (rawCode, { userId, vehicle, quote }) => {
+  const code = normalizeCode(rawCode);
+  const doc = code ? await promoRef(code).get() : null;
+  if (!doc || !doc.exists) {
+    throw new PromoCodeError('Promo code not found.', 404);
+  }
+  const redemptions = await userRedemptionsQuery(code, userId).get();
+  const discount = evaluatePromoCode(doc.data(), { vehicle, quote, userRedemptionCount: redemptions.size });
+  return applyPromoToQuote(quote, code, discount);
+};
+
+/**
+ * Validates and redeems a code inside a transaction. The caller writes the booking
+ * in the same transaction, after this returns (all reads happen here).
+ * @returns {Promise<{quote: object, promo: object, commit: Function}>} `commit()` performs the writes.
+ * @throws {PromoCodeError}
+ */
+const redeemPromoCode = async (transaction, rawCode, { userId, bookingId, vehicle, quote }) => {
+  const code = normalizeCode(rawCode);
+  const ref = code ? promoRef(code) : null;
+  const doc = ref ? await transaction.get(ref) : null;
+  if (!doc || !doc.exists) {
+    throw new PromoCodeError('Promo code not found.', 404);
+  }
+  const redemptions = await transaction.get(userRedemptionsQuery(code, userId));
+  const promoData = doc.data();
+  const discount = evaluatePromoCode(promoData, { vehicle, quote, userRedemptionCount: redemptions.size });
+
+  return {
+    quote: applyPromoToQuote(quote, code, discount),
+    promo: {
+      code,
+      discountType: promoData.discountType,
+      discountValue: promoData.discountValue,
+      discount,
+    },
+    commit: () => {
+      transaction.update(ref, {
+        redemptionCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      transaction.set(ref.collection(REDEMPTIONS_SUBCOLLECTION).doc(bookingId), {
+        userId,
+        bookingId,
+        discount,
+        status: 'redeemed',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    },
+  };
+};
+
+/**
+ * Gives a code's use back when its booking is declined or cancelled before the
+ * trip. Write-only, so it can run from a transitionBooking onTransaction hook.
+ */
+const releasePromoRedemption = (transaction, bookingId, booking) => {
+  if (!booking.promo?.code) return;
+  const ref = promoRef(booking.promo.code);
+  transaction.update(ref, {
+    redemptionCount: admin.firestore.FieldValue.increment(-1),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  transaction.update(ref.collection(REDEMPTIONS_SUBCOLLECTION).doc(bookingId), {
+    status: 'released',
+    releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+const serializePromo = (id, promo) => ({
+  id,
+  ...promo,
+  startsAt: promo.startsAt?.toDate ? promo.startsAt.toDate().toISOString() : null,
+  endsAt: promo.endsAt?.toDate ? promo.endsAt.toDate().toISOString() : null,
+  createdAt: promo.createdAt?.toDate ? promo.createdAt.toDate().toISOString() : null,
+  updatedAt: promo.updatedAt?.toDate ? promo.updatedAt.toDate().toISOString() : null,
+});
+
+module.exports = {
+  PROMO_COLLECTION,
+  PromoCodeError,
+  normalizeCode,
+  normalizePromoInput,
+  evaluatePromoCode,
+  applyPromoToQuote,
+  previewPromoCode,
+  redeemPromoCode,
+  releasePromoRedemption,
+  serializePromo,
+};
@@ -0,0 +1,158 @@
+// backend/src/utils/reservations.js
+const { admin, db } = require('./firebase');
+
+// One document per vehicle, keyed by vehicle ID, listing its `holds`. Every transaction
+// that reserves dates reads and writes this document, so two overlapping requests for
+// the same vehicle can't both commit: the second is retried, sees the first hold and
+// gets a 409.
+const RESERVATIONS_COLLECTION = 'vehicle_reservations';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Where an unpaid booking is in its lifecycle. Holds awaiting the owner or the renter's
+// payment expire; once payment is submitted the hold lasts until the owner confirms it
+// and the vehicle's availability block takes over.
+const HOLD_STAGE = {
+  APPROVAL: 'approval',
+  PAYMENT: 'payment',
+  SUBMITTED: 'submitted',
+};
+
+const DEFAULT_HOLD_HOURS = {
+  [HOLD_STAGE.APPROVAL]: 24,
+  [HOLD_STAGE.PAYMENT]: 24,
+};
+const HOLD_HOURS_ENV = {
+  [HOLD_STAGE.APPROVAL]: 'RESERVATION_APPROVAL_HOLD_HOURS',
+  [HOLD_STAGE.PAYMENT]: 'RESERVATION_PAYMENT_HOLD_HOURS',
+};
+
+class ReservationError extends Error {
+  constructor(message, statusCode = 409, code = null) {
+    super(message);
+    this.name = 'ReservationError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+/**
+ * When a hold placed now at a given stage expires: RESERVATION_<STAGE>_HOLD_HOURS,
+ * else 24 hours. Submitted payments never expire.
+ * @returns {Date|null}
+ */
+const getHoldExpiry = (stage, now = new Date(), env = process.env) => {
+  if (!HOLD_HOURS_ENV[stage]) return null;
+  const fromEnv = parseFloat(env[HOLD_HOURS_ENV[stage]]);
+  const hours = !isNaN(fromEnv) && fromEnv > 0 ? fromEnv : DEFAULT_HOLD_HOURS[stage];
+  return new Date(now.getTime() + hours * HOUR_MS);
+};
+
+const isHoldActive = (hold, now = new Date()) => !hold.expiresAt || toDate(hold.expiresAt) > now;
+
+/**
+ * Looks for anything that rules out a booking's dates: an owner block, another
+ * booking's availability block or another booking's active hold. Other bookings are
+ * kept the vehicle's turnaround buffer away.
+ * @param {object} params
+ * @param {object} params.vehicle - For its `availability` blocks and `tripRules`.
+ * @param {object[]} params.holds
+ * @param {Date} params.start
+ * @param {Date} params.end
+ * @param {string} [params.bookingId] - The booking being reserved; its own block and hold don't count.
+ * @param {Date} [params.now]
+ * @returns {{code: string, message: string}|null}
+ */
+const findConflict = ({ vehicle = {}, holds = [], start, end, bookingId = null, now = new Date() }) => {
+  const buffer = (vehicle.tripRules?.turnaroundHours || 0) * HOUR_MS;
+  const overlaps = (from, to, padding = 0) => start.getTime() < toDate(to).getTime() + padding
+    && end.getTime() > toDate(from).getTime() - padding;
+
+  for (const block of vehicle.availability || []) {
+    if (!block.start || !block.end || (bookingId && block.bookingId === bookingId)) continue;
+    if (!block.bookingId && overlaps(block.start, block.end)) {
+      return { code: 'owner_block', message: 'The vehicle is unavailable (owner block) during the requested times.' };
+    }
+    if (block.bookingId && overlaps(block.start, block.end, buffer)) {
+      return { code: 'booked', message: 'The vehicle is already booked during some of the requested times.' };
+    }
+  }
+  const held = holds.some((hold) => hold.bookingId !== bookingId
+    && isHoldActive(hold, now)
+    && overlaps(hold.start, hold.end, buffer));
+  if (held) {
+    return { code: 'held', message: 'The vehicle is being held for another booking during some of the requested times.' };
+  }
+  return null;
+};
+
+/**
+ * Reads a vehicle's holds inside a transaction. Changes are staged on the returned
+ * handle and written by `commit()`, after the transaction's other reads; expired
+ * holds are dropped on the way.
+ * @returns {Promise<object>} { holds, findConflict, hold, release, commit }
+ */
+const loadReservations = async (transaction, vehicleId) => {
+  const ref = db.collection(RESERVATIONS_COLLECTION).doc(vehicleId);
+  const doc = await transaction.get(ref);
+  let holds = doc.exists ? doc.data().holds || [] : [];
+  let changed = false;
+
+  return {
+    get holds() {
+      return holds;
+    },
+    findConflict: (params) => findConflict({ ...params, holds }),
+    /** Places or moves a booking's hold. */
+    hold: ({ bookingId, start, end, stage, now = new Date() }) => {
+      const expiresAt = getHoldExpiry(stage, now);
+      holds = [
+        ...holds.filter((hold) => hold.bookingId !== bookingId),
+        {
+          bookingId,
+          start: admin.firestore.Timestamp.fromDate(toDate(start)),
+          end: admin.firestore.Timestamp.fromDate(toDate(end)),
+          stage,
+          expiresAt: expiresAt ? admin.firestore.Timestamp.fromDate(expiresAt) : null,
+          heldAt: admin.firestore.Timestamp.fromDate(now),
+        },
+      ];
+      changed = true;
+    },
+    release: (bookingId) => {
+      if (!holds.some((hold) => hold.bookingId === bookingId)) return;
+      holds = holds.filter((hold) => hold.bookingId !== bookingId);
+      changed = true;
+    },
+    commit: (now = new Date()) => {
+      if (!changed) return;
+      transaction.set(ref, {
+        vehicleId,
+        holds: holds.filter((hold) => isHoldActive(hold, now)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    },
+  };
+};
+
+/**
+ * A vehicle's unexpired holds, read outside a transaction (availability checks).
+ * @returns {Promise<object[]>}
+ */
+const getActiveHolds = async (vehicleId, now = new Date()) => {
+  const doc = await db.collection(RESERVATIONS_COLLECTION).doc(vehicleId).get();
+  return (doc.exists ? doc.data().holds || [] : []).filter((hold) => isHoldActive(hold, now));
+};
+
+module.exports = {
+  RESERVATIONS_COLLECTION,
+  HOLD_STAGE,
+  ReservationError,
+  getHoldExpiry,
+  isHoldActive,
+  findConflict,
+  loadReservations,
+  getActiveHolds,
+};
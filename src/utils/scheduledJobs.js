@@ -0,0 +1,48 @@
+// backend/src/utils/scheduledJobs.js
+const { registerJob, startScheduler } = require('./jobScheduler');
+const { autoHandleOverdueBookings } = require('../controllers/bookingController');
+const { sendDueBookingReminders } = require('./bookingReminders');
+const { processDamageClaimDeadlines } = require('./damageClaims');
+const { syncAllCalendarImports } = require('./calendarSync');
+
+// Default schedules are in JOBS_TIMEZONE (Asia/Manila unless set) and can be
+// overridden per job, e.g. JOB_OVERDUE_BOOKINGS_CRON="*/5 * * * *".
+const registerScheduledJobs = () => {
+  registerJob({
+    name: 'overdue-bookings',
+    description: 'Flags confirmed trips that are past the return grace period as awaiting return.',
+    schedule: '*/15 * * * *',
+    handler: autoHandleOverdueBookings,
+  });
+
+  registerJob({
+    name: 'booking-reminders',
+    description: 'Sends pickup and return reminders to renters and owners (offsets set by PICKUP_/RETURN_REMINDER_OFFSETS_HOURS).',
+    schedule: '*/10 * * * *',
+    handler: sendDueBookingReminders,
+  });
+
+  registerJob({
+    name: 'damage-claim-deadlines',
+    description: 'Accepts damage claims the renter did not answer in time and reminds admins about overdue arbitrations.',
+    schedule: '*/30 * * * *',
+    handler: processDamageClaimDeadlines,
+  });
+
+  registerJob({
+    name: 'calendar-imports',
+    description: 'Refreshes the external ICS calendars owners import, replacing their availability blocks.',
+    schedule: '*/30 * * * *',
+    handler: syncAllCalendarImports,
+  });
+};
+
+/**
+ * Registers the app's jobs and starts scheduling them. Called once from server.js.
+ */
+const startScheduledJobs = () => {
+  registerScheduledJobs();
+  startScheduler();
+};
+
+module.exports = { startScheduledJobs };
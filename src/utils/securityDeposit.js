@@ -0,0 +1,342 @@
+// backend/src/utils/securityDeposit.js
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const { BOOKING_STATUS, resolveActorRole } = require('./bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory } = require('./bookingHistory');
+const { round2 } = require('./pricingEngine');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[SecurityDeposit] ${message}`);
+};
+
+// The deposit is tracked in `booking.securityDeposit`, separately from totalCost,
+// and moves through its own statuses independently of `paymentStatus`.
+const DEPOSIT_STATUS = {
+  REQUESTED: 'requested',
+  PAID: 'paid',
+  HELD: 'held',
+  RELEASED: 'released',
+  PARTIALLY_RELEASED: 'partially_released',
+  FORFEITED: 'forfeited',
+  CANCELLED: 'cancelled',
+};
+
+const DEDUCTION_TYPES = ['damage', 'late_fee', 'other'];
+
+// Booking statuses in which the renter can pay the deposit.
+const PAYABLE_BOOKING_STATUSES = [
+  BOOKING_STATUS.PENDING_PAYMENT,
+  BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+  BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+];
+// Deductions and forfeits only make sense once the vehicle is back.
+const RETURNED_BOOKING_STATUSES = [BOOKING_STATUS.RETURNED, BOOKING_STATUS.COMPLETED];
+// A deposit can also be handed back in full when the trip never happened.
+const RELEASABLE_BOOKING_STATUSES = [
+  ...RETURNED_BOOKING_STATUSES,
+  BOOKING_STATUS.DECLINED_BY_OWNER,
+  BOOKING_STATUS.CANCELLED_BY_RENTER,
+  BOOKING_STATUS.CANCELLED_BY_OWNER,
+];
+
+class DepositError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DepositError';
+    this.statusCode = statusCode;
+  }
+}
+
+const peso = (amount) => `₱${amount.toFixed(2)}`;
+
+/**
+ * Reads the deposit amount set on a vehicle.
+ * @returns {number|null} Null when the vehicle doesn't ask for one.
+ * @throws {DepositError} If the value is set but not a valid amount.
+ */
+const validateDepositAmount = (value) => {
+  if (value === undefined || value === null || value === '' || Number(value) === 0) return null;
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) {
+    throw new DepositError('Security deposit must be a positive amount.');
+  }
+  return round2(amount);
+};
+
+/**
+ * The deposit a new booking starts with, or null if the vehicle doesn't require one.
+ */
+const buildInitialDeposit = (vehicle) => {
+  const amount = parseFloat(vehicle.securityDeposit);
+  if (isNaN(amount) || amount <= 0) return null;
+  return {
+    amount: round2(amount),
+    status: DEPOSIT_STATUS.REQUESTED,
+    referenceNumber: null,
+    paidAt: null,
+    heldAt: null,
+    deductions: [],
+    releasedAmount: 0,
+    forfeitReason: null,
+    settledAt: null,
+  };
+};
+
+/**
+ * Validates deductions taken from a deposit on release.
+ * @param {Array<{amount: number, reason: string, claimType: string, claimId?: string}>} deductions
+ * @returns {Array} Cleaned deductions.
+ * @throws {DepositError}
+ */
+const normalizeDeductions = (deductions) => {
+  if (deductions === undefined || deductions === null) return [];
+  if (!Array.isArray(deductions)) {
+    throw new DepositError('Deductions must be a list.');
+  }
+  return deductions.map((deduction) => {
+    const amount = parseFloat(deduction?.amount);
+    if (isNaN(amount) || amount <= 0) {
+      throw new DepositError('Each deduction needs a positive amount.');
+    }
+    if (!deduction.reason || typeof deduction.reason !== 'string') {
+      throw new DepositError('Each deduction needs a reason.');
+    }
+    const claimType = deduction.claimType || 'other';
+    if (!DEDUCTION_TYPES.includes(claimType)) {
+      throw new DepositError(`claimType must be one of: ${DEDUCTION_TYPES.join(', ')}.`);
+    }
+    return {
+      amount: round2(amount),
+      reason: deduction.reason.trim(),
+      claimType,
+      claimId: deduction.claimId || null,
+    };
+  });
+};
+
+/**
+ * The deposit actions. `apply(deposit, booking, payload, now)` returns the new deposit;
+ * `messages` builds the notification text for each party.
+ */
+const DEPOSIT_ACTIONS = {
+  pay: {
+    from: [DEPOSIT_STATUS.REQUESTED],
+    roles: ['renter'],
+    bookingStatuses: PAYABLE_BOOKING_STATUSES,
+    apply: (deposit, booking, { referenceNumber }, now) => {
+      if (!referenceNumber) throw new DepositError('Reference number is required.');
+      return { ...deposit, status: DEPOSIT_STATUS.PAID, referenceNumber, paidAt: now };
+    },
+    messages: (deposit) => ({
+      owner: `The renter paid the ${peso(deposit.amount)} security deposit (Ref: ${deposit.referenceNumber}). Please confirm you received it.`,
+      renter: `Your ${peso(deposit.amount)} security deposit was submitted and is awaiting the owner's confirmation.`,
+    }),
+  },
+  confirm: {
+    from: [DEPOSIT_STATUS.PAID],
+    roles: ['owner', 'admin'],
+    apply: (deposit, booking, payload, now) => ({ ...deposit, status: DEPOSIT_STATUS.HELD, heldAt: now }),
+    messages: (deposit) => ({
+      owner: `You confirmed receipt of the ${peso(deposit.amount)} security deposit. It is now held until the vehicle is returned.`,
+      renter: `The owner confirmed your ${peso(deposit.amount)} security deposit. It will be released after the vehicle is returned.`,
+    }),
+  },
+  release: {
+    from: [DEPOSIT_STATUS.PAID, DEPOSIT_STATUS.HELD],
+    roles: ['owner', 'admin'],
+    bookingStatuses: RELEASABLE_BOOKING_STATUSES,
+    apply: (deposit, booking, { deductions }, now) => {
+      const cleanDeductions = normalizeDeductions(deductions);
+      if (cleanDeductions.length > 0 && !RETURNED_BOOKING_STATUSES.includes(booking.paymentStatus)) {
+        throw new DepositError('Deductions can only be taken after the vehicle is returned.', 409);
+      }
+      const deducted = round2(cleanDeductions.reduce((sum, deduction) => sum + deduction.amount, 0));
+      if (deducted >= deposit.amount) {
+        throw new DepositError('Deductions cover the whole deposit; forfeit it instead.');
+      }
+      return {
+        ...deposit,
+        status: deducted > 0 ? DEPOSIT_STATUS.PARTIALLY_RELEASED : DEPOSIT_STATUS.RELEASED,
+        deductions: cleanDeductions,
+        releasedAmount: round2(deposit.amount - deducted),
+        settledAt: now,
+      };
+    },
+    messages: (deposit) => {
+      if (deposit.status === DEPOSIT_STATUS.RELEASED) {
+        return {
+          owner: `You released the full ${peso(deposit.amount)} security deposit to the renter.`,
+          renter: `Your ${peso(deposit.amount)} security deposit has been released in full.`,
+        };
+      }
+      const reasons = deposit.deductions.map((deduction) => `${deduction.reason} (${peso(deduction.amount)})`).join('; ');
+      return {
+        owner: `You released ${peso(deposit.releasedAmount)} of the ${peso(deposit.amount)} security deposit. Deductions: ${reasons}.`,
+        renter: `${peso(deposit.releasedAmount)} of your ${peso(deposit.amount)} security deposit has been released. Deductions: ${reasons}.`,
+      };
+    },
+  },
+  forfeit: {
+    from: [DEPOSIT_STATUS.HELD],
+    roles: ['owner', 'admin'],
+    bookingStatuses: RETURNED_BOOKING_STATUSES,
+    apply: (deposit, booking, { reason, claimType, claimId }, now) => {
+      if (!reason) throw new DepositError('A reason is required to forfeit a deposit.');
+      const [deduction] = normalizeDeductions([{ amount: deposit.amount, reason, claimType, claimId }]);
+      return {
+        ...deposit,
+        status: DEPOSIT_STATUS.FORFEITED,
+        deductions: [deduction],
+        releasedAmount: 0,
+        forfeitReason: deduction.reason,
+        settledAt: now,
+      };
+    },
+    messages: (deposit) => ({
+      owner: `You kept the ${peso(deposit.amount)} security deposit. Reason: ${deposit.forfeitReason}.`,
+      renter: `Your ${peso(deposit.amount)} security deposit was forfeited. Reason: ${deposit.forfeitReason}.`,
+    }),
+  },
+};
+
+/**
+ * Checks an action against a booking without writing anything.
+ * @returns {object} The action definition.
+ * @throws {DepositError}
+ */
+const assertDepositAction = (booking, action, actor) => {
+  const definition = DEPOSIT_ACTIONS[action];
+  if (!definition) {
+    throw new DepositError(`Unknown deposit action: ${action}`);
+  }
+  const deposit = booking.securityDeposit;
+  if (!deposit) {
+    throw new DepositError('This booking has no security deposit.', 404);
+  }
+  const role = resolveActorRole(booking, actor);
+  if (!role) {
+    throw new DepositError('You are not a party to this booking.', 403);
+  }
+  if (!definition.roles.includes(role)) {
+    throw new DepositError(`A ${role} cannot ${action} this deposit.`, 403);
+  }
+  if (!definition.from.includes(deposit.status)) {
+    throw new DepositError(`Cannot ${action} a deposit that is ${deposit.status}.`, 409);
+  }
+  if (definition.bookingStatuses && !definition.bookingStatuses.includes(booking.paymentStatus)) {
+    throw new DepositError(`Cannot ${action} the deposit while the booking is ${booking.paymentStatus}.`, 409);
+  }
+  if (booking.openDamageClaimId && ['release', 'forfeit'].includes(action)) {
+    throw new DepositError('A damage claim is open on this booking. The deposit is settled when the claim is resolved.', 409);
+  }
+  return definition;
+};
+
+/**
+ * Applies a deposit action in a transaction, records it in the booking history and
+ * notifies both parties.
+ * @param {string} bookingId
+ * @param {'pay'|'confirm'|'release'|'forfeit'} action
+ * @param {{uid: string, role: string}} actor
+ * @param {object} [payload] - referenceNumber (pay), deductions (release), reason/claimType/claimId (forfeit).
+ * @returns {Promise<object>} The updated deposit.
+ * @throws {DepositError}
+ */
+const updateSecurityDeposit = async (bookingId, action, actor, payload = {}) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new DepositError('Booking not found.', 404);
+    }
+    const booking = bookingDoc.data();
+    const definition = assertDepositAction(booking, action, actor);
+
+    const now = admin.firestore.Timestamp.now();
+    const deposit = definition.apply(booking.securityDeposit, booking, payload, now);
+    const updates = { securityDeposit: deposit, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    transaction.update(bookingRef, updates);
+
+    await recordBookingHistory(bookingId, buildHistoryEntry({
+      actor,
+      actorRole: resolveActorRole(booking, actor),
+      action: `deposit_${action}`,
+      previousStatus: booking.paymentStatus,
+      newStatus: booking.paymentStatus,
+      before: booking,
+      updates,
+      note: `Security deposit ${booking.securityDeposit.status} -> ${deposit.status}`,
+    }), transaction);
+
+    return { booking, deposit, messages: definition.messages(deposit) };
+  });
+
+  const link = `/dashboard/my-bookings/${bookingId}`;
+  await createNotification(result.booking.renterId, result.messages.renter, link);
+  await createNotification(result.booking.ownerId, result.messages.owner, link);
+
+  log(`Deposit for booking ${bookingId}: ${action} by ${actor.uid} (now ${result.deposit.status}).`);
+  return result.deposit;
+};
+
+/**
+ * Settles a deposit against an agreed damage claim: the claim amount is deducted and
+ * the rest released, or the whole deposit is forfeited if the claim covers it.
+ * @returns {{deposit: object|null, chargedToDeposit: number}} The deposit unchanged and 0 when
+ *   there is no paid deposit left to charge.
+ */
+const applyClaimDeduction = (deposit, { amount, reason, claimId }, now) => {
+  if (!deposit || ![DEPOSIT_STATUS.PAID, DEPOSIT_STATUS.HELD].includes(deposit.status) || amount <= 0) {
+    return { deposit, chargedToDeposit: 0 };
+  }
+  if (amount >= deposit.amount) {
+    const [deduction] = normalizeDeductions([{ amount: deposit.amount, reason, claimType: 'damage', claimId }]);
+    return {
+      deposit: {
+        ...deposit,
+        status: DEPOSIT_STATUS.FORFEITED,
+        deductions: [deduction],
+        releasedAmount: 0,
+        forfeitReason: deduction.reason,
+        settledAt: now,
+      },
+      chargedToDeposit: deposit.amount,
+    };
+  }
+  const [deduction] = normalizeDeductions([{ amount, reason, claimType: 'damage', claimId }]);
+  return {
+    deposit: {
+      ...deposit,
+      status: DEPOSIT_STATUS.PARTIALLY_RELEASED,
+      deductions: [deduction],
+      releasedAmount: round2(deposit.amount - deduction.amount),
+      settledAt: now,
+    },
+    chargedToDeposit: deduction.amount,
+  };
+};
+
+/**
+ * Booking updates that cancel a deposit nobody has paid yet. Meant for the
+ * `updates` option of transitionBooking when a booking is declined or cancelled.
+ */
+const cancelUnpaidDeposit = (booking) => {
+  if (booking.securityDeposit?.status !== DEPOSIT_STATUS.REQUESTED) return {};
+  return { securityDeposit: { ...booking.securityDeposit, status: DEPOSIT_STATUS.CANCELLED } };
+};
+
+module.exports = {
+  DEPOSIT_STATUS,
+  DepositError,
+  validateDepositAmount,
+  buildInitialDeposit,
+  normalizeDeductions,
+  assertDepositAction,
+  updateSecurityDeposit,
+  applyClaimDeduction,
+  cancelUnpaidDeposit,
+};
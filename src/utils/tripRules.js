@@ -0,0 +1,145 @@
+// backend/src/utils/tripRules.js
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Codes the frontend can key its own copy on; each reason also carries a message.
+const TRIP_RULE_CODES = {
+  MIN_DURATION: 'min_duration',
+  MAX_DURATION: 'max_duration',
+  ADVANCE_NOTICE: 'advance_notice',
+  TURNAROUND: 'turnaround',
+};
+
+/**
+ * A booking that breaks one or more of the vehicle's trip rules. `reasons` lists
+ * each broken rule as { code, message, ...limits }.
+ */
+class TripRuleError extends Error {
+  constructor(message, reasons = [], statusCode = 400) {
+    super(message);
+    this.name = 'TripRuleError';
+    this.statusCode = statusCode;
+    this.reasons = reasons;
+  }
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const readLimit = (settings, field, { integer = false } = {}) => {
+  const value = settings[field];
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (isNaN(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new TripRuleError(`tripRules.${field} must be ${integer ? 'a whole number' : 'a number'} of zero or more.`);
+  }
+  return number || null;
+};
+
+/**
+ * Validates a vehicle's `tripRules`. Every rule is optional; zero or empty turns it off,
+ * and so does an empty value for the whole setting.
+ * @param {object} settings - { minDays?, maxDays?, advanceNoticeHours?, turnaroundHours? }
+ * @returns {object|null}
+ * @throws {TripRuleError}
+ */
+const normalizeTripRules = (settings) => {
+  if (settings === undefined || settings === null || settings === '') return null;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new TripRuleError('tripRules must be an object.');
+  }
+  const rules = {
+    minDays: readLimit(settings, 'minDays', { integer: true }),
+    maxDays: readLimit(settings, 'maxDays', { integer: true }),
+    advanceNoticeHours: readLimit(settings, 'advanceNoticeHours'),
+    turnaroundHours: readLimit(settings, 'turnaroundHours'),
+  };
+  if (rules.minDays && rules.maxDays && rules.minDays > rules.maxDays) {
+    throw new TripRuleError('tripRules.minDays cannot be more than tripRules.maxDays.');
+  }
+  return Object.values(rules).some((value) => value !== null) ? rules : null;
+};
+
+/**
+ * Checks a trip's dates against the vehicle's rules. `otherBookings` are the vehicle's
+ * other active bookings, for the turnaround buffer. Extensions skip the advance notice
+ * and minimum length, since the trip is already under way or booked.
+ * @param {object|null} rules - The vehicle's `tripRules`.
+ * @param {object} trip
+ * @param {Date} trip.start
+ * @param {Date} trip.end
+ * @param {Date} [trip.now]
+ * @param {Array<{startDate, endDate}>} [trip.otherBookings]
+ * @param {boolean} [trip.checkAdvanceNotice=true]
+ * @param {boolean} [trip.checkMinDuration=true]
+ * @returns {object[]} The broken rules; empty when the trip is allowed.
+ */
+const evaluateTripRules = (rules, {
+  start, end, now = new Date(), otherBookings = [], checkAdvanceNotice = true, checkMinDuration = true,
+}) => {
+  if (!rules) return [];
+  const reasons = [];
+  const durationMs = end - start;
+
+  if (checkMinDuration && rules.minDays && durationMs < rules.minDays * DAY_MS) {
+    reasons.push({
+      code: TRIP_RULE_CODES.MIN_DURATION,
+      message: `Trips with this vehicle must last at least ${plural(rules.minDays, 'day')}.`,
+      minDays: rules.minDays,
+    });
+  }
+  if (rules.maxDays && durationMs > rules.maxDays * DAY_MS) {
+    reasons.push({
+      code: TRIP_RULE_CODES.MAX_DURATION,
+      message: `Trips with this vehicle can last at most ${plural(rules.maxDays, 'day')}.`,
+      maxDays: rules.maxDays,
+    });
+  }
+  if (checkAdvanceNotice && rules.advanceNoticeHours) {
+    const earliestStart = new Date(now.getTime() + rules.advanceNoticeHours * HOUR_MS);
+    if (start < earliestStart) {
+      reasons.push({
+        code: TRIP_RULE_CODES.ADVANCE_NOTICE,
+        message: `This vehicle must be booked at least ${plural(rules.advanceNoticeHours, 'hour')} ahead.`,
+        advanceNoticeHours: rules.advanceNoticeHours,
+        earliestStart: earliestStart.toISOString(),
+      });
+    }
+  }
+  if (rules.turnaroundHours) {
+    const buffer = rules.turnaroundHours * HOUR_MS;
+    const tooClose = otherBookings.some((booking) => {
+      const otherStart = toDate(booking.startDate);
+      const otherEnd = toDate(booking.endDate);
+      return start < new Date(otherEnd.getTime() + buffer) && end > new Date(otherStart.getTime() - buffer);
+    });
+    if (tooClose) {
+      reasons.push({
+        code: TRIP_RULE_CODES.TURNAROUND,
+        message: `The owner keeps ${plural(rules.turnaroundHours, 'hour')} between rentals, and another booking is too close to these times.`,
+        turnaroundHours: rules.turnaroundHours,
+      });
+    }
+  }
+  return reasons;
+};
+
+/**
+ * Throws when the trip breaks any of the vehicle's rules.
+ * @throws {TripRuleError} With every broken rule in `reasons`.
+ */
+const assertTripRules = (rules, trip) => {
+  const reasons = evaluateTripRules(rules, trip);
+  if (reasons.length > 0) {
+    throw new TripRuleError(reasons.map((reason) => reason.message).join(' '), reasons);
+  }
+};
+
+module.exports = {
+  TRIP_RULE_CODES,
+  TripRuleError,
+  normalizeTripRules,
+  evaluateTripRules,
+  assertTripRules,
+};
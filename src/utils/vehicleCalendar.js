@@ -0,0 +1,208 @@
+// backend/src/utils/vehicleCalendar.js
+const { DateTime } = require('luxon');
+const { CURRENCY, PRICING_TIMEZONE, PricingError, getVehicleRates, getDayRate } = require('./pricingEngine');
+const { isHoldActive } = require('./reservations');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_CALENDAR_DAYS = 60;
+const MAX_CALENDAR_DAYS = 366;
+
+// Why a slot is busy. Public calendars show these without saying whose booking it is.
+const SLOT_TYPES = {
+  OWNER_BLOCK: 'owner_block',
+  BOOKED: 'booked',
+  HELD: 'held',
+  TURNAROUND: 'turnaround',
+};
+
+class CalendarError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CalendarError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+/**
+ * Reads the `from` and `to` query dates (YYYY-MM-DD, Manila, both inclusive). `from`
+ * defaults to today and `to` to 60 days after it; at most a year can be asked for.
+ * @returns {{from: string, to: string, start: Date, end: Date}} `end` is the midnight after `to`.
+ * @throws {CalendarError}
+ */
+const parseCalendarRange = ({ from, to } = {}, now = new Date()) => {
+  const parse = (value, name) => {
+    const date = DateTime.fromISO(String(value), { zone: PRICING_TIMEZONE });
+    if (!date.isValid) throw new CalendarError(`${name} must be a date (YYYY-MM-DD).`);
+    return date.startOf('day');
+  };
+  const first = from ? parse(from, 'from') : DateTime.fromJSDate(now, { zone: PRICING_TIMEZONE }).startOf('day');
+  const last = to ? parse(to, 'to') : first.plus({ days: DEFAULT_CALENDAR_DAYS - 1 });
+  if (last < first) {
+    throw new CalendarError('to cannot be before from.');
+  }
+  if (last.diff(first, 'days').days + 1 > MAX_CALENDAR_DAYS) {
+    throw new CalendarError(`The calendar covers at most ${MAX_CALENDAR_DAYS} days at a time.`);
+  }
+  return { from: first.toISODate(), to: last.toISODate(), start: first.toJSDate(), end: last.plus({ days: 1 }).toJSDate() };
+};
+
+/**
+ * Lists everything that occupies the vehicle: owner blocks, active bookings (and
+ * availability blocks of bookings not in `bookings`), unexpired holds, and the
+ * turnaround buffer on either side of each booking and hold.
+ * @param {object} params
+ * @param {object} params.vehicle
+ * @param {Array<{id: string, startDate, endDate, paymentStatus: string}>} params.bookings - Active bookings.
+ * @param {object[]} params.holds - From the vehicle's reservation document.
+ * @returns {Array<{start: Date, end: Date, type: string, bookingId: string|null, status: string|null}>}
+ */
+const buildBusySlots = ({ vehicle = {}, bookings = [], holds = [], now = new Date() }) => {
+  const slots = [];
+  const add = (start, end, type, bookingId = null, status = null) => {
+    const slot = { start: toDate(start), end: toDate(end), type, bookingId, status };
+    if (!isNaN(slot.start) && !isNaN(slot.end) && slot.start < slot.end) slots.push(slot);
+  };
+
+  const bookingIds = new Set(bookings.map((booking) => booking.id));
+  bookings.forEach((booking) => add(booking.startDate, booking.endDate, SLOT_TYPES.BOOKED, booking.id, booking.paymentStatus));
+  (vehicle.availability || []).forEach((block) => {
+    if (!block.start || !block.end) return;
+    if (!block.bookingId) {
+      add(block.start, block.end, SLOT_TYPES.OWNER_BLOCK);
+    } else if (!bookingIds.has(block.bookingId)) {
+      add(block.start, block.end, SLOT_TYPES.BOOKED, block.bookingId);
+    }
+  });
+  holds
+    .filter((hold) => isHoldActive(hold, now) && !bookingIds.has(hold.bookingId))
+    .forEach((hold) => add(hold.start, hold.end, SLOT_TYPES.HELD, hold.bookingId, hold.stage));
+
+  const buffer = (vehicle.tripRules?.turnaroundHours || 0) * HOUR_MS;
+  if (buffer > 0) {
+    slots
+      .filter((slot) => slot.type !== SLOT_TYPES.OWNER_BLOCK)
+      .forEach((slot) => {
+        add(new Date(slot.start.getTime() - buffer), slot.start, SLOT_TYPES.TURNAROUND, slot.bookingId);
+        add(slot.end, new Date(slot.end.getTime() + buffer), SLOT_TYPES.TURNAROUND, slot.bookingId);
+      });
+  }
+  return slots;
+};
+
+/**
+ * Clips slots to the range and merges the ones that overlap or touch.
+ * @returns {Array<{start: Date, end: Date, types: string[], slots: object[]}>}
+ */
+const mergeBusySlots = (slots, { start, end }) => {
+  const clipped = slots
+    .filter((slot) => slot.start < end && slot.end > start)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  clipped.forEach((slot) => {
+    const last = merged[merged.length - 1];
+    if (last && slot.start <= last.end) {
+      if (slot.end > last.end) last.end = slot.end;
+      last.slots.push(slot);
+    } else {
+      merged.push({ start: slot.start, end: slot.end, slots: [slot] });
+    }
+  });
+  return merged.map((interval) => ({
+    start: new Date(Math.max(interval.start, start)),
+    end: new Date(Math.min(interval.end, end)),
+    types: [...new Set(interval.slots.map((slot) => slot.type))],
+    slots: interval.slots,
+  }));
+};
+
+/**
+ * The Manila dates in the range with nothing busy on them, each priced at that day's
+ * rate. Rates are left off if the vehicle has no valid price.
+ * @returns {Array<{date: string, rate?: number, rateType?: string, season?: string|null}>}
+ */
+const priceFreeDays = (vehicle, busy, { from, to }) => {
+  let rates = null;
+  try {
+    rates = getVehicleRates(vehicle);
+  } catch (error) {
+    if (!(error instanceof PricingError)) throw error;
+  }
+  const days = [];
+  const last = DateTime.fromISO(to, { zone: PRICING_TIMEZONE });
+  for (let day = DateTime.fromISO(from, { zone: PRICING_TIMEZONE }); day <= last; day = day.plus({ days: 1 })) {
+    const dayStart = day.toJSDate();
+    const dayEnd = day.plus({ days: 1 }).toJSDate();
+    if (busy.some((interval) => interval.start < dayEnd && interval.end > dayStart)) continue;
+    days.push({ date: day.toISODate(), ...(rates ? getDayRate(rates, day) : {}) });
+  }
+  return days;
+};
+
+/**
+ * Builds a vehicle's calendar for a range: merged busy intervals and the priced days
+ * that are free. The owner's version also lists what occupies each interval.
+ * @param {object} params
+ * @param {object} params.vehicle
+ * @param {object[]} params.bookings - Active bookings, each with its `id`.
+ * @param {object[]} params.holds
+ * @param {object} params.range - From parseCalendarRange.
+ * @param {boolean} [params.annotate] - Include the booking behind each slot (owners and admins).
+ * @returns {object}
+ */
+const buildVehicleCalendar = ({ vehicle, bookings, holds, range, annotate = false, now = new Date() }) => {
+  const busy = mergeBusySlots(buildBusySlots({ vehicle, bookings, holds, now }), range);
+  return {
+    from: range.from,
+    to: range.to,
+    timezone: PRICING_TIMEZONE,
+    currency: CURRENCY,
+    busy: busy.map((interval) => ({
+      start: interval.start.toISOString(),
+      end: interval.end.toISOString(),
+      types: interval.types,
+      ...(annotate ? {
+        slots: interval.slots.map((slot) => ({
+          type: slot.type,
+          start: slot.start.toISOString(),
+          end: slot.end.toISOString(),
+          bookingId: slot.bookingId,
+          status: slot.status,
+        })),
+      } : {}),
+    })),
+    freeDays: priceFreeDays(vehicle, busy, range),
+  };
+};
+
+/**
+ * Merges the blocks sent from the owner's editor with the vehicle's booking and imported
+ * blocks, which the owner can't edit. The editor sends every block back as whole dates,
+ * so a sent block overlapping a kept one is that block's copy and is dropped. A sent
+ * block covers up to the midnight after its end date.
+ * @param {Array<{start, end}>} sentBlocks
+ * @param {object[]} existingBlocks - The vehicle's current `availability`.
+ * @returns {object[]} The new `availability`.
+ */
+const mergeOwnerBlocks = (sentBlocks, existingBlocks = []) => {
+  const keptBlocks = existingBlocks.filter((block) => block.importId || block.bookingId);
+  const overlapsKept = (block) => {
+    const start = toDate(block.start).getTime();
+    const end = toDate(block.end).getTime() + DAY_MS;
+    return keptBlocks.some((kept) => start < toDate(kept.end).getTime() && end > toDate(kept.start).getTime());
+  };
+  return [...sentBlocks.filter((block) => !overlapsKept(block)), ...keptBlocks];
+};
+
+module.exports = {
+  SLOT_TYPES,
+  CalendarError,
+  parseCalendarRange,
+  buildBusySlots,
+  mergeBusySlots,
+  priceFreeDays,
+  buildVehicleCalendar,
+  mergeOwnerBlocks,
+};
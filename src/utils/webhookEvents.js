@@ -0,0 +1,249 @@
+// backend/src/utils/webhookEvents.js
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { handlePaymongoEvent } = require('./onlinePayments');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[WebhookEvents] ${message}`);
+};
+
+// Every inbound webhook is stored before it is acted on. Verified deliveries are keyed
+// by provider and the provider's event ID, so a redelivered event finds its earlier
+// record instead of being applied twice. Rejected deliveries (bad signature, unreadable
+// body) get a random ID and are kept only for troubleshooting. Anyone can send those,
+// so only their size and hash are stored, never the body.
+const WEBHOOK_EVENTS_COLLECTION = 'webhook_events';
+// Firestore documents max out at 1 MiB; provider events are a few KB.
+const MAX_STORED_BODY_BYTES = 256 * 1024;
+const MAX_REJECTED_HEADER_LENGTH = 512;
+// An instance that crashed mid-processing loses its claim on the event after this long.
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const WEBHOOK_EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+};
+
+// `(event) => {applied, reason?}` per provider. A thrown error with a statusCode under
+// 500 is permanent (the event can't apply until something changes); anything else is
+// worth retrying.
+const EVENT_HANDLERS = {
+  paymongo: handlePaymongoEvent,
+};
+
+class WebhookEventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+const eventRef = (provider, eventId) => db.collection(WEBHOOK_EVENTS_COLLECTION).doc(`${provider}_${eventId}`);
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+
+const isRetryable = (error) => !(error.statusCode && error.statusCode < 500);
+
+// What is kept of a rejected delivery's body: enough to match it to a provider's logs.
+const bodyFingerprint = (rawBody) => {
+  const body = Buffer.from(String(rawBody ?? ''), 'utf8');
+  return { bodyBytes: body.length, bodySha256: crypto.createHash('sha256').update(body).digest('hex') };
+};
+
+const storedBody = (rawBody) => {
+  const body = Buffer.from(String(rawBody ?? ''), 'utf8');
+  if (body.length <= MAX_STORED_BODY_BYTES) return { rawBody: body.toString('utf8'), rawBodyTruncated: false };
+  return { rawBody: body.subarray(0, MAX_STORED_BODY_BYTES).toString('utf8'), rawBodyTruncated: true };
+};
+
+/**
+ * Whether an event may be (re)processed now: it is new, failed, or stuck processing
+ * past the timeout.
+ * @param {object|null} stored - The stored event, or null if there is none.
+ * @param {number} [now] - Epoch ms.
+ */
+const canClaim = (stored, now = Date.now()) => {
+  if (!stored || stored.status === WEBHOOK_EVENT_STATUS.FAILED) return true;
+  if (stored.status !== WEBHOOK_EVENT_STATUS.PROCESSING) return false;
+  const lastAttempt = stored.lastAttemptAt?.toMillis ? stored.lastAttemptAt.toMillis() : 0;
+  return lastAttempt + PROCESSING_TIMEOUT_MS <= now;
+};
+
+const claimUpdates = () => ({
+  status: WEBHOOK_EVENT_STATUS.PROCESSING,
+  attempts: admin.firestore.FieldValue.increment(1),
+  lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+  error: null,
+});
+
+// Runs the provider's handler on a claimed event and records the outcome.
+const processClaimedEvent = async (ref, provider, rawBody) => {
+  try {
+    const result = await EVENT_HANDLERS[provider](JSON.parse(rawBody).data);
+    const status = result.applied ? WEBHOOK_EVENT_STATUS.PROCESSED : WEBHOOK_EVENT_STATUS.IGNORED;
+    await ref.update({
+      status,
+      result: result.reason || null,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status, ...(result.reason ? { reason: result.reason } : {}) };
+  } catch (error) {
+    const retryable = isRetryable(error);
+    await ref.update({
+      status: WEBHOOK_EVENT_STATUS.FAILED,
+      error: error.message,
+      retryable,
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.error(`[WebhookEvents] ${provider} event ${ref.id} failed${retryable ? '' : ' permanently'}:`, error.message);
+    return { status: WEBHOOK_EVENT_STATUS.FAILED, error: error.message, retryable };
+  }
+};
+
+/**
+ * Records a delivery that was refused before processing (bad signature, unreadable body),
+ * without its body. Never throws: a storage failure must not change the response to the provider.
+ */
+const recordRejectedDelivery = async ({ provider, rawBody, signatureHeader, reason }) => {
+  try {
+    await db.collection(WEBHOOK_EVENTS_COLLECTION).add({
+      provider,
+      eventId: null,
+      ...bodyFingerprint(rawBody),
+      signatureHeader: signatureHeader ? String(signatureHeader).slice(0, MAX_REJECTED_HEADER_LENGTH) : null,
+      signatureValid: false,
+      status: WEBHOOK_EVENT_STATUS.REJECTED,
+      error: reason,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error(`[WebhookEvents] Could not store a rejected ${provider} delivery:`, error.message);
+  }
+};
+
+/**
+ * Stores a verified delivery and processes it unless the same event was already handled.
+ * A redelivery of a failed event is processed again; one of an event that is processing
+ * elsewhere, or already processed or ignored, is only counted.
+ * @param {object} delivery
+ * @param {string} delivery.provider - A key of EVENT_HANDLERS.
+ * @param {string} delivery.eventId - The provider's event ID.
+ * @param {string} delivery.eventType
+ * @param {string} delivery.rawBody
+ * @param {string} delivery.signatureHeader
+ * @returns {Promise<{status: string, duplicate?: boolean, reason?: string, error?: string, retryable?: boolean}>}
+ */
+const receiveWebhookEvent = async ({ provider, eventId, eventType, rawBody, signatureHeader }) => {
+  const ref = eventRef(provider, eventId);
+  const claim = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const stored = doc.exists ? doc.data() : null;
+    const delivered = {
+      deliveries: admin.firestore.FieldValue.increment(1),
+      lastDeliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (!stored) {
+      transaction.set(ref, {
+        provider,
+        eventId,
+        eventType: eventType || null,
+        ...storedBody(rawBody),
+        signatureHeader,
+        signatureValid: true,
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...delivered,
+        ...claimUpdates(),
+      });
+      return { claimed: true };
+    }
+    if (!canClaim(stored)) {
+      transaction.update(ref, delivered);
+      return { claimed: false, status: stored.status };
+    }
+    transaction.update(ref, { ...delivered, ...claimUpdates() });
+    return { claimed: true };
+  });
+
+  if (!claim.claimed) {
+    log(`Duplicate ${provider} event ${eventId} (${claim.status}) not processed again.`);
+    return { status: claim.status, duplicate: true };
+  }
+  return processClaimedEvent(ref, provider, rawBody);
+};
+
+/**
+ * Processes a failed event again from its stored body.
+ * @param {string} id - The webhook_events document ID.
+ * @param {{uid: string}} actor - The admin replaying it.
+ * @throws {WebhookEventError}
+ */
+const replayWebhookEvent = async (id, actor) => {
+  const ref = db.collection(WEBHOOK_EVENTS_COLLECTION).doc(id);
+  const stored = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw new WebhookEventError('Webhook event not found.', 404);
+    }
+    const event = doc.data();
+    if (!event.signatureValid || event.rawBodyTruncated) {
+      throw new WebhookEventError('Only verified, fully stored events can be replayed.', 409);
+    }
+    if (!canClaim(event)) {
+      throw new WebhookEventError(`The event is ${event.status}; only failed events can be replayed.`, 409);
+    }
+    transaction.update(ref, {
+      ...claimUpdates(),
+      lastReplayedBy: actor.uid,
+      lastReplayedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return event;
+  });
+
+  const outcome = await processClaimedEvent(ref, stored.provider, stored.rawBody);
+  log(`Event ${id} replayed by ${actor.uid}: ${outcome.status}.`);
+  return outcome;
+};
+
+const serializeEvent = ({ rawBody, signatureHeader, ...event }) => ({
+  ...event,
+  receivedAt: toIso(event.receivedAt),
+  lastDeliveredAt: toIso(event.lastDeliveredAt),
+  lastAttemptAt: toIso(event.lastAttemptAt),
+  processedAt: toIso(event.processedAt),
+  failedAt: toIso(event.failedAt),
+  lastReplayedAt: toIso(event.lastReplayedAt),
+});
+
+/**
+ * Lists stored events with a status, newest first, without their bodies.
+ * @param {object} [filters]
+ * @param {string} [filters.status] - A WEBHOOK_EVENT_STATUS value; failed by default.
+ * @param {number} [filters.limit]
+ * @throws {WebhookEventError}
+ */
+const listWebhookEvents = async ({ status = WEBHOOK_EVENT_STATUS.FAILED, limit = 50 } = {}) => {
+  if (!Object.values(WEBHOOK_EVENT_STATUS).includes(status)) {
+    throw new WebhookEventError(`status must be one of: ${Object.values(WEBHOOK_EVENT_STATUS).join(', ')}.`);
+  }
+  const snapshot = await db.collection(WEBHOOK_EVENTS_COLLECTION)
+    .where('status', '==', status)
+    .orderBy('receivedAt', 'desc')
+    .limit(limit)
+    .get();
+  return snapshot.docs.map((doc) => serializeEvent({ id: doc.id, ...doc.data() }));
+};
+
+module.exports = {
+  WEBHOOK_EVENTS_COLLECTION,
+  WEBHOOK_EVENT_STATUS,
+  WebhookEventError,
+  canClaim,
+  recordRejectedDelivery,
+  receiveWebhookEvent,
+  replayWebhookEvent,
+  listWebhookEvents,
+};
@@ -0,0 +1,400 @@
+// backend/src/utils/withDriver.js
+const { admin, db } = require('./firebase');
+const { createNotification } = require('./notificationHelper');
+const { BOOKING_STATUS, resolveActorRole } = require('./bookingLifecycle');
+const { buildHistoryEntry, recordBookingHistory } = require('./bookingHistory');
+const { addBookingCharge, round2 } = require('./pricingEngine');
+
+// Helper function for consistent logging
+const log = (message) => {
+  console.log(`[WithDriver] ${message}`);
+};
+
+// Bookings are either self-drive or with one of the owner's registered drivers.
+const DRIVE_MODES = {
+  SELF_DRIVE: 'self_drive',
+  WITH_DRIVER: 'with_driver',
+};
+const DRIVERS_COLLECTION = 'drivers';
+// Hours a driver works per day before overtime applies, unless the vehicle sets its own.
+const DEFAULT_DRIVER_HOURS_PER_DAY = 10;
+
+// The owner can assign or swap the driver until the trip starts.
+const DRIVER_ASSIGNABLE_STATUSES = [
+  BOOKING_STATUS.PENDING_OWNER_APPROVAL,
+  BOOKING_STATUS.PENDING_PAYMENT,
+  BOOKING_STATUS.DOWNPAYMENT_PENDING_VERIFICATION,
+  BOOKING_STATUS.DOWNPAYMENT_VERIFIED,
+  BOOKING_STATUS.CONFIRMED,
+];
+// Overtime is logged during the trip or right after the return.
+const OVERTIME_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PENDING_EXTENSION_PAYMENT,
+  BOOKING_STATUS.AWAITING_RETURN,
+  BOOKING_STATUS.RETURNED,
+];
+
+class DriverError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DriverError';
+    this.statusCode = statusCode;
+  }
+}
+
+const peso = (amount) => `₱${amount.toFixed(2)}`;
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const toAmount = (value, field, { required = false } = {}) => {
+  if (!required && (value === undefined || value === null || value === '')) return 0;
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0 || (required && amount === 0)) {
+    throw new DriverError(`${field} must be ${required ? 'a positive' : 'a non-negative'} amount.`);
+  }
+  return round2(amount);
+};
+
+/**
+ * Validates a vehicle's `withDriver` settings: whether it can be booked with a driver
+ * and the fees the renter pays for one. Empty clears them.
+ * @param {object} settings - { available, required?, dailyRate, hoursPerDay?, overtimeRatePerHour?, mealAllowancePerDay?, lodgingAllowancePerNight? }
+ * @returns {object|null}
+ * @throws {DriverError}
+ */
+const normalizeWithDriverSettings = (settings) => {
+  if (settings === undefined || settings === null || settings === '') return null;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new DriverError('withDriver must be an object.');
+  }
+  const available = Boolean(settings.available);
+  const hoursPerDay = settings.hoursPerDay === undefined || settings.hoursPerDay === null || settings.hoursPerDay === ''
+    ? DEFAULT_DRIVER_HOURS_PER_DAY
+    : Number(settings.hoursPerDay);
+  if (!Number.isInteger(hoursPerDay) || hoursPerDay < 1 || hoursPerDay > 24) {
+    throw new DriverError('withDriver.hoursPerDay must be a whole number between 1 and 24.');
+  }
+  return {
+    available,
+    // A vehicle that is only rented with a driver can't be booked self-drive.
+    required: available && Boolean(settings.required),
+    dailyRate: toAmount(settings.dailyRate, 'withDriver.dailyRate', { required: available }),
+    hoursPerDay,
+    overtimeRatePerHour: toAmount(settings.overtimeRatePerHour, 'withDriver.overtimeRatePerHour'),
+    mealAllowancePerDay: toAmount(settings.mealAllowancePerDay, 'withDriver.mealAllowancePerDay'),
+    lodgingAllowancePerNight: toAmount(settings.lodgingAllowancePerNight, 'withDriver.lodgingAllowancePerNight'),
+  };
+};
+
+/**
+ * Picks the drive mode of a new booking. Self-drive needs the renter's drive
+ * application to be approved; with-driver bookings don't.
+ * @param {object} vehicle
+ * @param {string} [requestedMode] - Defaults to with-driver for vehicles that require it, else self-drive.
+ * @param {object} renter - The renter's user profile.
+ * @returns {string} One of DRIVE_MODES.
+ * @throws {DriverError}
+ */
+const resolveDriveMode = (vehicle, requestedMode, renter = {}) => {
+  const settings = vehicle.withDriver;
+  const mode = requestedMode || (settings?.required ? DRIVE_MODES.WITH_DRIVER : DRIVE_MODES.SELF_DRIVE);
+  if (!Object.values(DRIVE_MODES).includes(mode)) {
+    throw new DriverError(`driveMode must be one of: ${Object.values(DRIVE_MODES).join(', ')}.`);
+  }
+  if (mode === DRIVE_MODES.WITH_DRIVER && !settings?.available) {
+    throw new DriverError('This vehicle is not offered with a driver.');
+  }
+  if (mode === DRIVE_MODES.SELF_DRIVE && settings?.required) {
+    throw new DriverError('This vehicle is only rented with a driver.');
+  }
+  if (mode === DRIVE_MODES.SELF_DRIVE && !renter.isApprovedToDrive) {
+    throw new DriverError(
+      settings?.available
+        ? 'Your drive application must be approved to book self-drive. You can book this vehicle with a driver instead.'
+        : 'Your drive application must be approved before you can book self-drive.',
+      403
+    );
+  }
+  return mode;
+};
+
+/**
+ * The driver fees a with-driver booking agreed to, copied from the vehicle so later
+ * changes to its settings don't affect the booking.
+ */
+const getDriverTerms = (vehicle) => {
+  const { dailyRate, hoursPerDay, overtimeRatePerHour, mealAllowancePerDay, lodgingAllowancePerNight } = vehicle.withDriver;
+  return { dailyRate, hoursPerDay, overtimeRatePerHour, mealAllowancePerDay, lodgingAllowancePerNight };
+};
+
+/**
+ * Prices a driver for a quote: the daily rate and meal allowance for each billable
+ * day, and lodging for each night the trip spans.
+ * @returns {Array} Line items.
+ */
+const priceDriverFees = (terms, quote) => {
+  const days = quote.billableDays;
+  const nights = Math.max(days - 1, 0);
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  const items = [
+    { code: 'driver', label: `Driver (${plural(days, 'day')})`, quantity: days, unitPrice: terms.dailyRate },
+    { code: 'driver_meals', label: `Driver meal allowance (${plural(days, 'day')})`, quantity: days, unitPrice: terms.mealAllowancePerDay },
+    { code: 'driver_lodging', label: `Driver lodging (${plural(nights, 'night')})`, quantity: nights, unitPrice: terms.lodgingAllowancePerNight },
+  ];
+  return items
+    .filter((item) => item.quantity > 0 && item.unitPrice > 0)
+    .map((item) => ({ ...item, amount: round2(item.quantity * item.unitPrice) }));
+};
+
+/**
+ * Adds driver fees to a quote's line items and total. Self-drive quotes pass `terms: null`.
+ */
+const applyDriverFeesToQuote = (quote, terms) => {
+  if (!terms) return quote;
+  const items = priceDriverFees(terms, quote);
+  const driverFeesTotal = round2(items.reduce((sum, item) => sum + item.amount, 0));
+  return {
+    ...quote,
+    lineItems: [...quote.lineItems, ...items],
+    driverFeesTotal,
+    total: round2(quote.total + driverFeesTotal),
+  };
+};
+
+/**
+ * Extra driver fees for moving a booking's end date.
+ */
+const quoteDriverExtension = (terms, currentQuote, newQuote) => {
+  if (!terms) return 0;
+  const total = (quote) => priceDriverFees(terms, quote).reduce((sum, item) => sum + item.amount, 0);
+  return Math.max(round2(total(newQuote) - total(currentQuote)), 0);
+};
+
+/**
+ * Validates a driver profile an owner registers. The driver must already have an
+ * account, found by email, so they can be added to booking chats.
+ * @param {object} input - { email, name, phoneNumber, licenseNumber, licenseExpiry }
+ * @returns {object} The cleaned profile fields.
+ * @throws {DriverError}
+ */
+const validateDriverProfileInput = (input = {}) => {
+  const text = (field) => (typeof input[field] === 'string' ? input[field].trim() : '');
+  const profile = {
+    email: text('email').toLowerCase(),
+    name: text('name'),
+    phoneNumber: text('phoneNumber'),
+    licenseNumber: text('licenseNumber'),
+  };
+  const missing = Object.keys(profile).filter((field) => !profile[field]);
+  if (missing.length > 0) {
+    throw new DriverError(`Missing required driver fields: ${missing.join(', ')}.`);
+  }
+  const licenseExpiry = new Date(input.licenseExpiry);
+  if (!input.licenseExpiry || isNaN(licenseExpiry.getTime())) {
+    throw new DriverError('licenseExpiry must be a valid date.');
+  }
+  if (licenseExpiry <= new Date()) {
+    throw new DriverError("The driver's license has expired.");
+  }
+  return { ...profile, licenseExpiry: admin.firestore.Timestamp.fromDate(licenseExpiry) };
+};
+
+/**
+ * Finds the account a driver profile belongs to.
+ * @returns {Promise<string>} The driver's user ID.
+ * @throws {DriverError} 404 if no account uses the email.
+ */
+const findDriverUserId = async (email) => {
+  const snapshot = await db.collection('users').where('email', '==', email).limit(1).get();
+  if (snapshot.empty) {
+    throw new DriverError(`No registered user has the email ${email}. Drivers need an account to be assigned.`, 404);
+  }
+  return snapshot.docs[0].id;
+};
+
+// The driver details kept on a booking and shown in its contract.
+const toBookingDriver = (driverId, driver, now) => ({
+  driverId,
+  userId: driver.userId,
+  name: driver.name,
+  phoneNumber: driver.phoneNumber,
+  licenseNumber: driver.licenseNumber,
+  assignedAt: now,
+});
+
+/**
+ * Assigns one of the owner's drivers to a with-driver booking, replacing any driver
+ * already assigned. The driver joins the booking chat if it exists.
+ * @param {string} bookingId
+ * @param {{uid: string, role: string}} actor - The owner or an admin.
+ * @param {string} driverId
+ * @returns {Promise<object>} The booking's driver.
+ * @throws {DriverError}
+ */
+const assignDriver = async (bookingId, actor, driverId) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const chatRef = db.collection('chats').doc(bookingId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [bookingDoc, driverDoc, chatDoc] = await Promise.all([
+      transaction.get(bookingRef),
+      transaction.get(db.collection(DRIVERS_COLLECTION).doc(driverId)),
+      transaction.get(chatRef),
+    ]);
+    if (!bookingDoc.exists) {
+      throw new DriverError('Booking not found.', 404);
+    }
+    const booking = bookingDoc.data();
+    const role = resolveActorRole(booking, actor);
+    if (role !== 'owner' && role !== 'admin') {
+      throw new DriverError('Only the owner can assign a driver to this booking.', 403);
+    }
+    if (booking.driveMode !== DRIVE_MODES.WITH_DRIVER) {
+      throw new DriverError('This booking is self-drive.', 409);
+    }
+    if (!DRIVER_ASSIGNABLE_STATUSES.includes(booking.paymentStatus)) {
+      throw new DriverError(`Cannot assign a driver while the booking is ${booking.paymentStatus}.`, 409);
+    }
+    if (!driverDoc.exists || driverDoc.data().ownerId !== booking.ownerId) {
+      throw new DriverError('Driver not found.', 404);
+    }
+    const driver = driverDoc.data();
+    if (!driver.isActive) {
+      throw new DriverError('This driver profile is inactive.', 409);
+    }
+    if (toDate(driver.licenseExpiry) <= toDate(booking.endDate)) {
+      throw new DriverError("The driver's license expires before the trip ends.", 409);
+    }
+    if (driver.userId === booking.renterId) {
+      throw new DriverError('The renter cannot be assigned as the driver.', 409);
+    }
+
+    const now = admin.firestore.Timestamp.now();
+    const previousUserId = booking.driver?.userId || null;
+    const bookingUpdates = {
+      driver: toBookingDriver(driverDoc.id, driver, now),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    transaction.update(bookingRef, bookingUpdates);
+
+    if (chatDoc.exists) {
+      const participants = (chatDoc.data().participants || [])
+        .filter((id) => id !== previousUserId || id === booking.ownerId);
+      if (!participants.includes(driver.userId)) participants.push(driver.userId);
+      transaction.update(chatRef, { participants });
+    }
+
+    await recordBookingHistory(bookingId, buildHistoryEntry({
+      actor,
+      actorRole: role,
+      action: 'driver_assigned',
+      previousStatus: booking.paymentStatus,
+      newStatus: booking.paymentStatus,
+      before: booking,
+      updates: bookingUpdates,
+      note: `Driver: ${driver.name}`,
+    }), transaction);
+
+    return { booking, driver: bookingUpdates.driver, previousUserId };
+  });
+
+  const link = `/dashboard/my-bookings/${bookingId}`;
+  const shortId = bookingId.substring(0, 5);
+  await createNotification(result.booking.renterId, `${result.driver.name} will be your driver for booking #${shortId}.`, link);
+  await createNotification(result.driver.userId, `You have been assigned as the driver for booking #${shortId}.`, link);
+  if (result.previousUserId && result.previousUserId !== result.driver.userId) {
+    await createNotification(result.previousUserId, `You are no longer the driver for booking #${shortId}.`, null);
+  }
+
+  log(`Booking ${bookingId}: driver ${driverId} assigned by ${actor.uid}.`);
+  return result.driver;
+};
+
+/**
+ * Adds overtime worked by the driver past the booking's daily hours to the balance.
+ * @param {string} bookingId
+ * @param {{uid: string, role: string}} actor - The owner or an admin.
+ * @param {number} hours
+ * @returns {Promise<{hours: number, amount: number, remainingBalance: number}>}
+ * @throws {DriverError}
+ */
+const recordDriverOvertime = async (bookingId, actor, hours) => {
+  const overtimeHours = parseFloat(hours);
+  if (isNaN(overtimeHours) || overtimeHours <= 0 || overtimeHours > 24) {
+    throw new DriverError('hours must be more than 0 and at most 24.');
+  }
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new DriverError('Booking not found.', 404);
+    }
+    const booking = bookingDoc.data();
+    const role = resolveActorRole(booking, actor);
+    if (role !== 'owner' && role !== 'admin') {
+      throw new DriverError('Only the owner can record driver overtime.', 403);
+    }
+    if (booking.driveMode !== DRIVE_MODES.WITH_DRIVER || !booking.driver) {
+      throw new DriverError('This booking has no assigned driver.', 409);
+    }
+    if (!OVERTIME_STATUSES.includes(booking.paymentStatus)) {
+      throw new DriverError(`Cannot record overtime while the booking is ${booking.paymentStatus}.`, 409);
+    }
+    const rate = booking.driverTerms?.overtimeRatePerHour || 0;
+    if (rate <= 0) {
+      throw new DriverError('This booking has no overtime rate.', 409);
+    }
+
+    const amount = round2(overtimeHours * rate);
+    const bookingUpdates = {
+      ...addBookingCharge(booking, {
+        code: 'driver_overtime',
+        label: `Driver overtime (${overtimeHours} hr)`,
+        amount,
+      }),
+      driverOvertimeHours: round2((booking.driverOvertimeHours || 0) + overtimeHours),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    transaction.update(bookingRef, bookingUpdates);
+
+    await recordBookingHistory(bookingId, buildHistoryEntry({
+      actor,
+      actorRole: role,
+      action: 'driver_overtime',
+      previousStatus: booking.paymentStatus,
+      newStatus: booking.paymentStatus,
+      before: booking,
+      updates: bookingUpdates,
+      note: `${overtimeHours} hr at ${peso(rate)}/hr`,
+    }), transaction);
+
+    return { booking, amount, remainingBalance: bookingUpdates.remainingBalance };
+  });
+
+  await createNotification(
+    result.booking.renterId,
+    `Driver overtime of ${overtimeHours} hr (${peso(result.amount)}) was added to booking #${bookingId.substring(0, 5)}.`,
+    `/dashboard/my-bookings/${bookingId}`
+  );
+
+  log(`Booking ${bookingId}: ${overtimeHours} hr of driver overtime recorded by ${actor.uid}.`);
+  return { hours: overtimeHours, amount: result.amount, remainingBalance: result.remainingBalance };
+};
+
+module.exports = {
+  DRIVE_MODES,
+  DRIVERS_COLLECTION,
+  DEFAULT_DRIVER_HOURS_PER_DAY,
+  DriverError,
+  normalizeWithDriverSettings,
+  resolveDriveMode,
+  getDriverTerms,
+  priceDriverFees,
+  applyDriverFeesToQuote,
+  quoteDriverExtension,
+  validateDriverProfileInput,
+  findDriverUserId,
+  assignDriver,
+  recordDriverOvertime,
+};